@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  ALLOWED_CONSTANTS,
+  SandboxError,
+  createContext,
+  parseExpression,
+  evaluateNode,
+  normalizeScope,
+  nodeToString
+} = require('./engine');
+
+// Configuração do catálogo de equações (arquivo JSON com todas as definições e versões)
+const CATALOG_LIMITS = {
+  maxEntries: parseInt(process.env.CATALOG_MAX_ENTRIES, 10) || 1000,
+  maxVariables: 50,
+  maxTags: 20,
+  maxVersions: 50,
+  maxDescriptionLength: 1000,
+  defaultPageSize: 20,
+  maxPageSize: 100
+};
+
+const CATALOG_FILE = process.env.CATALOG_FILE || path.join(__dirname, '../../data/catalog.json');
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,32}$/u;
+
+// Definições em memória e fila de escrita no arquivo
+let entries = null;
+let nextId = 1;
+let pendingWrite = Promise.resolve();
+
+// Carrega o arquivo na primeira utilização
+function loadEntries() {
+  if (entries) return entries;
+  entries = [];
+
+  if (!fs.existsSync(CATALOG_FILE)) return entries;
+
+  try {
+    entries = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')).entries || [];
+  } catch (error) {
+    console.error('Catálogo de equações inválido ignorado');
+  }
+
+  nextId = entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  return entries;
+}
+
+// Escritas em sequência; o arquivo é sempre reescrito por inteiro
+function persist() {
+  const content = `${JSON.stringify({ entries }, null, 2)}\n`;
+  pendingWrite = pendingWrite
+    .then(() => fs.promises.mkdir(path.dirname(CATALOG_FILE), { recursive: true }))
+    .then(() => fs.promises.writeFile(CATALOG_FILE, content))
+    .catch(error => console.error('Erro ao gravar catálogo de equações:', error));
+  return pendingWrite;
+}
+
+// Variáveis declaradas: nomes simples ("P") ou objetos { name, description, unit, default }
+function normalizeVariables(variables = []) {
+  if (variables.length > CATALOG_LIMITS.maxVariables) {
+    throw new SandboxError('TOO_MANY_VARIABLES', `Variáveis demais (máximo ${CATALOG_LIMITS.maxVariables})`, {
+      limit: CATALOG_LIMITS.maxVariables
+    });
+  }
+
+  const seen = new Set();
+  return variables.map(item => {
+    const variable = typeof item === 'string' ? { name: item } : { ...item };
+    if (seen.has(variable.name)) {
+      throw new SandboxError('DUPLICATE_VARIABLE', `Variável declarada mais de uma vez: ${variable.name}`, {
+        variable: variable.name
+      });
+    }
+    seen.add(variable.name);
+
+    return {
+      name: variable.name,
+      ...(variable.description !== undefined && { description: variable.description }),
+      ...(variable.unit !== undefined && { unit: variable.unit }),
+      ...(variable.default !== undefined && { default: Number(variable.default) })
+    };
+  });
+}
+
+// A expressão só pode usar as variáveis declaradas (além de constantes e funções liberadas)
+function validateDefinition(expression, variables) {
+  // normalizeScope também rejeita nomes reservados (pi, sin...)
+  const scope = normalizeScope(Object.fromEntries(variables.map(variable => [variable.name, 0])));
+  const node = parseExpression(expression, createContext(scope));
+  const used = new Set(node
+    .filter((child, childPath, parent) => child.type === 'SymbolNode' && !(parent && parent.type === 'FunctionNode' && childPath === 'fn'))
+    .map(child => child.name));
+
+  // Símbolo não declarado seria lido como unidade (b = bit, m = metro); só vale como destino de "to"
+  const targets = new Set(node
+    .filter(child => child.type === 'OperatorNode' && child.fn === 'to')
+    .flatMap(child => child.args[1].filter(item => item.type === 'SymbolNode').map(item => item.name)));
+  const undeclared = [...used].filter(name => !(name in scope) && !ALLOWED_CONSTANTS.has(name) && !targets.has(name));
+  if (undeclared.length > 0) {
+    throw new SandboxError('UNDECLARED_VARIABLE', `Variável não declarada: ${undeclared[0]}`, { variable: undeclared[0] });
+  }
+
+  return {
+    expression: nodeToString(node),
+    unused: variables.map(variable => variable.name).filter(name => !used.has(name))
+  };
+}
+
+const normalizeTags = (tags = []) => [...new Set(tags.map(tag => tag.toLowerCase()))];
+
+// Campos da definição que geram nova versão quando mudam
+const definitionOf = entry => ({
+  version: entry.version,
+  expression: entry.expression,
+  variables: entry.variables,
+  description: entry.description,
+  updatedAt: entry.updatedAt
+});
+
+// Busca por id numérico ou pelo nome (sem diferenciar maiúsculas)
+function findEntry(key) {
+  const list = loadEntries();
+  if (/^\d+$/.test(String(key))) return list.find(entry => entry.id === Number(key)) || null;
+  const name = String(key).toLowerCase();
+  return list.find(entry => entry.name.toLowerCase() === name) || null;
+}
+
+function assertNameAvailable(name, id) {
+  const existing = findEntry(name);
+  if (existing && existing.id !== id) {
+    throw new SandboxError('NAME_TAKEN', `Já existe uma equação chamada ${name}`, { name, id: existing.id });
+  }
+}
+
+// Resumo da listagem (sem o histórico de versões)
+const summarize = ({ versions, ...entry }) => ({ ...entry, versions: versions.length });
+
+function createEntry({ name, expression, variables, description, tags }) {
+  loadEntries();
+  assertNameAvailable(name);
+
+  if (entries.length >= CATALOG_LIMITS.maxEntries) {
+    throw new SandboxError('CATALOG_FULL', `Catálogo cheio (máximo ${CATALOG_LIMITS.maxEntries} equações)`, {
+      limit: CATALOG_LIMITS.maxEntries
+    });
+  }
+
+  const declared = normalizeVariables(variables);
+  const { expression: normalized, unused } = validateDefinition(expression, declared);
+  const now = new Date().toISOString();
+
+  const entry = {
+    id: nextId++,
+    name,
+    expression: normalized,
+    variables: declared,
+    description: description || null,
+    tags: normalizeTags(tags),
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+    versions: []
+  };
+  entry.versions.push(definitionOf(entry));
+
+  entries.push(entry);
+  persist();
+  return { entry, unused };
+}
+
+// Atualização parcial; expressão, variáveis ou descrição novas geram uma versão
+// expectedVersion evita sobrescrever alterações concorrentes
+function updateEntry(entry, { name, expression, variables, description, tags, expectedVersion }) {
+  if (expectedVersion !== undefined && expectedVersion !== entry.version) {
+    throw new SandboxError('VERSION_CONFLICT', `A equação está na versão ${entry.version}, não ${expectedVersion}`, {
+      version: entry.version,
+      expected: expectedVersion
+    });
+  }
+
+  if (name !== undefined) assertNameAvailable(name, entry.id);
+
+  const declared = variables !== undefined ? normalizeVariables(variables) : entry.variables;
+  const { expression: normalized, unused } = validateDefinition(
+    expression !== undefined ? expression : entry.expression,
+    declared
+  );
+
+  const changed = normalized !== entry.expression ||
+    JSON.stringify(declared) !== JSON.stringify(entry.variables) ||
+    (description !== undefined && description !== entry.description);
+
+  if (name !== undefined) entry.name = name;
+  if (tags !== undefined) entry.tags = normalizeTags(tags);
+  entry.updatedAt = new Date().toISOString();
+
+  if (changed) {
+    entry.expression = normalized;
+    entry.variables = declared;
+    if (description !== undefined) entry.description = description;
+    entry.version++;
+    entry.versions.push(definitionOf(entry));
+    entry.versions.splice(0, entry.versions.length - CATALOG_LIMITS.maxVersions);
+  }
+
+  persist();
+  return { entry, unused, newVersion: changed };
+}
+
+function deleteEntry(entry) {
+  entries.splice(entries.indexOf(entry), 1);
+  persist();
+}
+
+// Definição de uma versão específica (a atual quando version não é informada)
+function getVersion(entry, version = entry.version) {
+  return entry.versions.find(item => item.version === version) || null;
+}
+
+// Consulta paginada: busca no nome, descrição e expressão, filtro por tags (todas exigidas)
+function queryCatalog({ q, tags = [], page = 1, limit = CATALOG_LIMITS.defaultPageSize } = {}) {
+  const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const required = normalizeTags(tags);
+
+  const matches = loadEntries().filter(entry => {
+    const text = [entry.name, entry.description || '', entry.expression].join(' ').toLowerCase();
+    return terms.every(term => text.includes(term)) && required.every(tag => entry.tags.includes(tag));
+  });
+
+  const start = (page - 1) * limit;
+  return {
+    items: matches.slice(start, start + limit).map(summarize),
+    pagination: {
+      page,
+      limit,
+      total: matches.length,
+      pages: Math.ceil(matches.length / limit)
+    }
+  };
+}
+
+// Tags em uso com a quantidade de equações
+function listTags() {
+  const counts = new Map();
+  loadEntries().forEach(entry => entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([tag, count]) => ({ tag, count }));
+}
+
+// Avalia a definição conferindo os parâmetros contra as variáveis declaradas
+function evaluateEntry(definition, values = {}) {
+  const declared = new Map(definition.variables.map(variable => [variable.name, variable]));
+
+  const unknown = Object.keys(values).filter(name => !declared.has(name));
+  if (unknown.length > 0) {
+    throw new SandboxError('UNKNOWN_VARIABLE', `Variável desconhecida: ${unknown[0]}`, {
+      variable: unknown[0],
+      available: [...declared.keys()]
+    });
+  }
+
+  const scope = {};
+  const missing = [];
+  declared.forEach((variable, name) => {
+    const value = values[name] !== undefined ? values[name] : variable.default;
+    if (value === undefined) missing.push(name);
+    else scope[name] = value;
+  });
+
+  if (missing.length > 0) {
+    throw new SandboxError('MISSING_VARIABLES', `Valores obrigatórios não informados: ${missing.join(', ')}`, {
+      missing: missing.join(', ')
+    });
+  }
+
+  const node = parseExpression(definition.expression, createContext(scope));
+  return { node, scope, result: evaluateNode(node, scope) };
+}
+
+module.exports = {
+  CATALOG_LIMITS,
+  NAME_PATTERN,
+  TAG_PATTERN,
+  findEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getVersion,
+  queryCatalog,
+  listTags,
+  summarize,
+  evaluateEntry
+};
@@ -0,0 +1,742 @@
+const { SandboxError } = require('./engine');
+const { gcd, lcm } = require('./numberTheory');
+const { findPolynomialRoots, polishRoot } = require('./polynomial');
+
+// Limites das fórmulas fechadas (Cardano e Ferrari) em aritmética racional exata
+const CLOSED_FORM_LIMITS = {
+  // Expoente decimal máximo dos coeficientes (1e-300 ... 1e300)
+  maxExponent: 300,
+  // Fatores quadrados e cúbicos dos radicandos procurados por divisão até esse valor
+  radicalTrialLimit: 1000n,
+  // Aproximações a menos dessa distância (relativa) são a mesma raiz quando Δ = 0
+  repeatedTolerance: 1e-6
+};
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Racionais exatos { n, d } com BigInt (d > 0, fração irredutível)
+function rational(n, d = 1n) {
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  const divisor = gcd(n, d) || 1n;
+  return { n: n / divisor, d: d / divisor };
+}
+
+const int = value => rational(BigInt(value));
+const plus = (a, b) => rational(a.n * b.d + b.n * a.d, a.d * b.d);
+const minus = (a, b) => rational(a.n * b.d - b.n * a.d, a.d * b.d);
+const times = (a, b) => rational(a.n * b.n, a.d * b.d);
+const over = (a, b) => rational(a.n * b.d, a.d * b.n);
+const negate = a => rational(-a.n, a.d);
+const sign = a => (a.n > 0n) - (a.n < 0n);
+const isZero = a => a.n === 0n;
+const sum = (...terms) => terms.reduce(plus);
+const product = (...factors) => factors.reduce(times);
+
+const bitLength = value => (value < 0n ? -value : value).toString(2).length;
+
+// Conversão para número sem estourar quando numerador e denominador são enormes
+function toNumber({ n, d }) {
+  const shift = BigInt(Math.max(0, bitLength(n) - 1000, bitLength(d) - 1000));
+  return Number(n >> shift) / Number(d >> shift);
+}
+
+function formatRational({ n, d }) {
+  return d === 1n ? `${n}` : `${n}/${d}`;
+}
+
+// Coeficiente decimal exato ("0.1" é 1/10, não o double mais próximo)
+function parseRational(value) {
+  const match = String(value).trim().match(DECIMAL_PATTERN);
+  if (!match || `${match[2]}${match[3] || ''}` === '') {
+    throw new SandboxError('INVALID_COEFFICIENT', `Coeficiente inválido: ${value}`, { value: String(value) });
+  }
+
+  const [, signText, whole, fraction = '', exponentText = '0'] = match;
+  const exponent = Number(exponentText) - fraction.length;
+  if (Math.abs(Number(exponentText)) > CLOSED_FORM_LIMITS.maxExponent) {
+    throw new SandboxError('COEFFICIENT_OUT_OF_RANGE', `Coeficiente fora do intervalo aceito: ${value}`, {
+      value: String(value),
+      limit: CLOSED_FORM_LIMITS.maxExponent
+    });
+  }
+
+  const digits = BigInt(`${whole}${fraction}` || '0') * (signText === '-' ? -1n : 1n);
+  return exponent >= 0
+    ? rational(digits * 10n ** BigInt(exponent))
+    : rational(digits, 10n ** BigInt(-exponent));
+}
+
+// Raiz inteira de índice k (Newton a partir de um valor acima da raiz)
+function integerRoot(value, index) {
+  if (value < 2n) return value;
+  let x = 1n << BigInt(Math.ceil(bitLength(value) / Number(index)));
+  for (;;) {
+    const next = ((index - 1n) * x + value / x ** (index - 1n)) / index;
+    if (next >= x) return x;
+    x = next;
+  }
+}
+
+// Fatores perfeitos saem do radical: √72 = 6√2, ∛54 = 3∛2
+function extractPower(value, index) {
+  let outside = 1n;
+  let inside = value;
+  for (let factor = 2n; factor <= CLOSED_FORM_LIMITS.radicalTrialLimit && factor ** index <= inside; factor++) {
+    const power = factor ** index;
+    while (inside % power === 0n) {
+      inside /= power;
+      outside *= factor;
+    }
+  }
+
+  const root = integerRoot(inside, index);
+  if (root ** index === inside) return { outside: outside * root, inside: 1n };
+  return { outside, inside };
+}
+
+// Radical { coefficient, radicand, index } = coefficient·ᵏ√radicand; ᵏ√(n/d) = ᵏ√(n·dᵏ⁻¹)/d
+// Índice 2 exige valor não negativo; índice 3 aceita negativos (raiz real)
+function rationalRoot(value, index) {
+  const negative = value.n < 0n;
+  const { outside, inside } = extractPower((negative ? -value.n : value.n) * value.d ** (index - 1n), index);
+  return { coefficient: rational(negative ? -outside : outside, value.d), radicand: inside, index };
+}
+
+const isRationalRadical = radical => radical.radicand === 1n || isZero(radical.coefficient);
+const scaleRadical = (radical, factor) => ({ ...radical, coefficient: times(radical.coefficient, factor) });
+
+function radicalValue({ coefficient, radicand, index }) {
+  const root = index === 2n ? Math.sqrt(Number(radicand)) : Math.cbrt(Number(radicand));
+  return toNumber(coefficient) * root;
+}
+
+function formatRadical({ coefficient, radicand, index }) {
+  if (radicand === 1n || isZero(coefficient)) return formatRational(coefficient);
+
+  const symbol = index === 2n ? '√' : '∛';
+  let factor = `${coefficient.n}`;
+  if (coefficient.n === 1n) factor = '';
+  else if (coefficient.n === -1n) factor = '-';
+  return `${factor}${symbol}${radicand}${coefficient.d === 1n ? '' : `/${coefficient.d}`}`;
+}
+
+// Soma de termos em texto ("a + -b" vira "a - b"); termos nulos são omitidos
+function joinTerms(terms) {
+  const parts = terms.filter(term => term && term !== '0');
+  if (parts.length === 0) return '0';
+  return parts.reduce((text, term) => (term.startsWith('-') ? `${text} - ${term.slice(1)}` : `${text} + ${term}`));
+}
+
+// Parênteses para usar o texto como fator
+const group = text => (/[\s/]/.test(text) || text.startsWith('-') ? `(${text})` : text);
+
+// Oposto de um termo único (radical, racional ou ∛(...))
+const negateTerm = text => {
+  if (text === '0') return text;
+  return text.startsWith('-') ? text.slice(1) : `-${text}`;
+};
+
+function formatApproximation({ re, im }) {
+  if (im === 0) return re.toFixed(4);
+  return `${re.toFixed(4)} ${im < 0 ? '-' : '+'} ${Math.abs(im).toFixed(4)}i`;
+}
+
+// Múltiplos racionais de π (ângulos notáveis do arccos)
+function formatPi(multiple) {
+  if (isZero(multiple)) return '0';
+  const numerator = multiple.n === 1n ? '' : multiple.n === -1n ? '-' : `${multiple.n}`;
+  return `${numerator}π${multiple.d === 1n ? '' : `/${multiple.d}`}`;
+}
+
+// arccos de valores notáveis como fração de π
+const NOTABLE_ARCCOS = {
+  '0': rational(1n, 2n),
+  '1/2': rational(1n, 3n),
+  '-1/2': rational(2n, 3n),
+  '√2/2': rational(1n, 4n),
+  '-√2/2': rational(3n, 4n),
+  '√3/2': rational(1n, 6n),
+  '-√3/2': rational(5n, 6n)
+};
+
+// Raiz exata em texto: parte real e imaginária separadas ou expressão única
+function rootText({ real, imag, text }) {
+  if (text) return text;
+  if (!imag) return real;
+  // Coeficiente não inteiro entre parênteses: (√3)i, não √3i
+  const negative = imag.startsWith('-');
+  const size = negative ? imag.slice(1) : imag;
+  let imaginary = /^\d+$/.test(size) ? `${size}i` : `(${size})i`;
+  if (size === '1') imaginary = 'i';
+  if (negative) imaginary = `-${imaginary}`;
+  return real === '0' ? imaginary : joinTerms([real, imaginary]);
+}
+
+// Translada a raiz da equação reduzida (x = t + shift) mantendo o texto legível
+function shiftRoot(root, shift) {
+  const shiftText = formatRational(shift);
+  const value = { re: root.value.re + toNumber(shift), im: root.value.im };
+  const exactValue = root.rational ? plus(root.rational, shift) : null;
+
+  if (exactValue) return { ...root, real: formatRational(exactValue), imag: root.imag, value, rational: exactValue };
+  if (root.text) return { ...root, text: isZero(shift) ? root.text : joinTerms([root.text, shiftText]), value };
+  return { ...root, real: joinTerms([root.real === '0' ? '' : root.real, shiftText]), value };
+}
+
+// Refina numericamente e descarta ruído de arredondamento na parte imaginária
+function finishRoots(roots, coefficients, { refine = true } = {}) {
+  const numeric = coefficients.map(toNumber);
+  return roots.map(root => {
+    let value = root.value;
+    if (refine && root.multiplicity === 1 && !root.rational) value = polishRoot(numeric, value);
+    if (!root.imag && !root.text) value = { re: value.re, im: 0 };
+    const noise = 4 * Number.EPSILON * Math.hypot(value.re, value.im);
+    if (Math.abs(value.im) <= noise) value = { re: value.re, im: 0 };
+    if (Math.abs(value.re) <= noise) value = { re: 0, im: value.im };
+    return { ...root, value: { re: value.re + 0, im: value.im + 0 }, exact: rootText(root) };
+  });
+}
+
+// Reais em ordem crescente, depois complexas (parte imaginária positiva antes da conjugada)
+const byPosition = (a, b) => (a.value.im !== 0) - (b.value.im !== 0) ||
+  a.value.re - b.value.re || b.value.im - a.value.im;
+
+// Cardano para t³ + pt + q = 0; raízes com texto exato, valor numérico e multiplicidade
+function depressedCubicRoots(p, q, steps) {
+  const half = rational(1n, 2n);
+  const A = negate(times(q, half));
+  const D = plus(times(A, A), product(p, p, p, rational(1n, 27n)));
+  steps.push(`D = (q/2)² + (p/3)³ = ${formatRational(D)}`);
+
+  if (isZero(p) && isZero(q)) {
+    steps.push('p = q = 0: raiz tripla t = 0');
+    return [{ real: '0', value: { re: 0, im: 0 }, multiplicity: 3, rational: int(0) }];
+  }
+
+  if (isZero(D)) {
+    // Raiz simples 3q/p e raiz dupla -3q/(2p)
+    const simple = over(times(int(3), q), p);
+    const double = over(times(int(-3), q), times(int(2), p));
+    steps.push('D = 0: três raízes reais, uma delas dupla');
+    steps.push(`t₁ = 3q/p = ${formatRational(simple)}`);
+    steps.push(`t₂ = t₃ = -3q/(2p) = ${formatRational(double)}`);
+    return [
+      { real: formatRational(simple), value: { re: toNumber(simple), im: 0 }, multiplicity: 1, rational: simple },
+      { real: formatRational(double), value: { re: toNumber(double), im: 0 }, multiplicity: 2, rational: double }
+    ];
+  }
+
+  if (sign(D) > 0) {
+    steps.push('D > 0: uma raiz real e duas complexas conjugadas (fórmula de Cardano)');
+    const root = rationalRoot(D, 2n);
+
+    // u = ∛(-q/2 + √D), v = ∛(-q/2 - √D)
+    let uText;
+    let vText;
+    let u = null;
+    let v = null;
+    if (isRationalRadical(root)) {
+      u = rationalRoot(plus(A, root.coefficient), 3n);
+      v = rationalRoot(minus(A, root.coefficient), 3n);
+      uText = formatRadical(u);
+      vText = formatRadical(v);
+    } else {
+      uText = `∛(${joinTerms([formatRational(A), formatRadical(root)])})`;
+      vText = `∛(${joinTerms([formatRational(A), formatRadical(scaleRadical(root, int(-1)))])})`;
+    }
+
+    // Numericamente o cubo de maior módulo é calculado direto e o outro por uv = -p/3 (evita cancelamento)
+    const a = toNumber(A);
+    const large = Math.cbrt(a + Math.sign(a || 1) * Math.sqrt(toNumber(D)));
+    const small = -toNumber(p) / (3 * large);
+    const [uValue, vValue] = a >= 0 ? [large, small] : [small, large];
+
+    steps.push(`u = ∛(-q/2 + √D) = ${uText} ≈ ${uValue.toFixed(4)}`);
+    steps.push(`v = ∛(-q/2 - √D) = ${vText} ≈ ${vValue.toFixed(4)}`);
+    steps.push('t₁ = u + v, t₂,₃ = -(u + v)/2 ± (√3/2)(u - v)i');
+
+    const realValue = { re: uValue + vValue, im: 0 };
+    const complexReal = -(uValue + vValue) / 2;
+    const complexImag = Math.sqrt(3) / 2 * (uValue - vValue);
+
+    if (u && v && isRationalRadical(u) && isRationalRadical(v)) {
+      const total = plus(u.coefficient, v.coefficient);
+      const realPart = negate(times(total, half));
+      const imagPart = { coefficient: times(minus(u.coefficient, v.coefficient), half), radicand: 3n, index: 2n };
+      return [
+        { real: formatRational(total), value: realValue, multiplicity: 1, rational: total },
+        { real: formatRational(realPart), imag: formatRadical(imagPart), value: { re: complexReal, im: complexImag }, multiplicity: 1 },
+        { real: formatRational(realPart), imag: formatRadical(scaleRadical(imagPart, int(-1))), value: { re: complexReal, im: -complexImag }, multiplicity: 1 }
+      ];
+    }
+
+    const total = joinTerms([uText, vText]);
+    const realPart = total.includes(' ') ? `-(${total})/2` : `${negateTerm(total)}/2`;
+    const imagPart = `√3/2·${group(joinTerms([uText, negateTerm(vText)]))}`;
+    return [
+      { real: total, value: realValue, multiplicity: 1 },
+      { real: realPart, imag: imagPart, value: { re: complexReal, im: complexImag }, multiplicity: 1 },
+      { real: realPart, imag: `-${imagPart}`, value: { re: complexReal, im: -complexImag }, multiplicity: 1 }
+    ];
+  }
+
+  // Casus irreducibilis: os radicais passam por complexos, a forma trigonométrica fica real
+  // t_k = 2√(-p/3)·cos((θ + 2πk)/3), θ = arccos((3q/(2p))·√(-3/p))
+  steps.push('D < 0: casus irreducibilis, três raízes reais pela forma trigonométrica');
+  const amplitude = scaleRadical(rationalRoot(over(negate(p), int(3)), 2n), int(2));
+  const argument = scaleRadical(rationalRoot(over(int(-3), p), 2n), over(times(int(3), q), times(int(2), p)));
+  const argumentText = formatRadical(argument);
+  const theta = Math.acos(Math.max(-1, Math.min(1, radicalValue(argument))));
+  const notable = NOTABLE_ARCCOS[argumentText];
+  const amplitudeText = formatRadical(amplitude) === '1' ? '' : `${group(formatRadical(amplitude))}·`;
+
+  steps.push(notable
+    ? `θ = arccos(${argumentText}) = ${formatPi(notable)}`
+    : `θ = arccos(${argumentText}) ≈ ${theta.toFixed(4)}`);
+  steps.push(`t_k = ${amplitudeText}cos((θ + 2πk)/3), k = 0, 1, 2`);
+
+  return [0, 1, 2].map(k => {
+    let angle;
+    if (notable) angle = formatPi(over(plus(notable, int(2 * k)), int(3)));
+    else angle = k === 0 ? `arccos(${argumentText})/3` : `(arccos(${argumentText}) + ${k === 1 ? '' : '2·'}2π)/3`;
+    return {
+      real: `${amplitudeText}cos(${angle})`,
+      value: { re: radicalValue(amplitude) * Math.cos((theta + 2 * Math.PI * k) / 3), im: 0 },
+      multiplicity: 1
+    };
+  });
+}
+
+// p(x) exato para x racional (Horner)
+const evaluateRational = (coefficients, x) => coefficients.reduce((value, coefficient) => plus(times(value, x), coefficient), int(0));
+
+// Divisão sintética por (x - root); o resto é zero quando root é raiz
+function deflate(coefficients, root) {
+  const quotient = [coefficients[0]];
+  coefficients.slice(1, -1).forEach(coefficient => quotient.push(plus(coefficient, times(quotient[quotient.length - 1], root))));
+  return quotient;
+}
+
+// Polinômio racional em texto ("x² - 2x - 1")
+function formatRationalPolynomial(coefficients) {
+  const degree = coefficients.length - 1;
+  const terms = coefficients.map((coefficient, index) => {
+    const power = degree - index;
+    if (isZero(coefficient)) return '';
+    const variable = power === 0 ? '' : `x${power > 1 ? '⁰¹²³⁴'[power] : ''}`;
+    if (!variable) return formatRational(coefficient);
+    if (coefficient.n === coefficient.d) return variable;
+    if (coefficient.n === -coefficient.d) return `-${variable}`;
+    const text = formatRational(coefficient);
+    if (coefficient.d === 1n) return `${text}${variable}`;
+    return text.startsWith('-') ? `-(${text.slice(1)})${variable}` : `(${text})${variable}`;
+  });
+  return joinTerms(terms);
+}
+
+// Candidatas racionais a partir das raízes numéricas: toda raiz racional de um polinômio inteiro
+// tem denominador que divide o coeficiente líder; a candidata é confirmada em aritmética exata
+function findRationalRoot(coefficients) {
+  if (isZero(coefficients[coefficients.length - 1])) return int(0);
+
+  const scale = coefficients.reduce((multiple, coefficient) => lcm(multiple, coefficient.d), 1n);
+  const leading = coefficients[0].n * (scale / coefficients[0].d);
+  const denominator = leading < 0n ? -leading : leading;
+  const { roots } = findPolynomialRoots(coefficients.map(toNumber));
+
+  for (const { root } of roots) {
+    if (root.im !== 0) continue;
+    const scaled = Math.round(root.re * Number(denominator));
+    if (!Number.isSafeInteger(scaled)) continue;
+    const candidate = rational(BigInt(scaled), denominator);
+    if (isZero(evaluateRational(coefficients, candidate))) return candidate;
+  }
+  return null;
+}
+
+// ax² + bx + c = 0 exato: x = -b/(2a) ± √(b² - 4ac)/(2a)
+function quadraticRoots([a, b, c]) {
+  const center = over(negate(b), times(int(2), a));
+  const delta = minus(times(b, b), product(int(4), a, c));
+  const centerValue = toNumber(center);
+
+  if (isZero(delta)) return [{ real: formatRational(center), value: { re: centerValue, im: 0 }, multiplicity: 2, rational: center }];
+
+  const radius = rationalRoot(over(sign(delta) < 0 ? negate(delta) : delta, product(int(4), a, a)), 2n);
+  const size = radicalValue(radius);
+  return [1, -1].map(s => {
+    const offset = scaleRadical(radius, int(s));
+    if (sign(delta) < 0) {
+      return { real: formatRational(center), imag: formatRadical(offset), value: { re: centerValue, im: s * size }, multiplicity: 1 };
+    }
+    if (isRationalRadical(offset)) {
+      const exact = plus(center, offset.coefficient);
+      return { real: formatRational(exact), value: { re: toNumber(exact), im: 0 }, multiplicity: 1, rational: exact };
+    }
+    return { real: joinTerms([formatRational(center), formatRadical(offset)]), value: { re: centerValue + s * size, im: 0 }, multiplicity: 1 };
+  });
+}
+
+// Raízes iguais (mesmo racional ou mesmo texto) somam multiplicidade
+function mergeExact(roots) {
+  const merged = [];
+  roots.forEach(root => {
+    const same = merged.find(item => (item.rational && root.rational
+      ? item.rational.n === root.rational.n && item.rational.d === root.rational.d
+      : rootText(item) === rootText(root)));
+    if (same) same.multiplicity += root.multiplicity;
+    else merged.push({ ...root });
+  });
+  return merged;
+}
+
+// Fatora as raízes racionais e resolve o fator restante (grau ≤ 3) de forma exata;
+// a fórmula geral continua nos passos, mas as raízes ficam na forma mais simples
+function simplifyWithRationalRoots(coefficients, steps) {
+  const found = [];
+  let rest = coefficients;
+  while (rest.length > 3) {
+    const root = findRationalRoot(rest);
+    if (!root) break;
+    found.push(root);
+    rest = deflate(rest, root);
+  }
+  if (found.length === 0) return null;
+
+  steps.push(`Raízes racionais (teorema das raízes racionais, verificadas exatamente): ${found.map(formatRational).join(', ')}`);
+  steps.push(`Fator restante: ${formatRationalPolynomial(rest)} = 0`);
+
+  let others;
+  if (rest.length === 2) {
+    const root = negate(over(rest[1], rest[0]));
+    others = [{ real: formatRational(root), value: { re: toNumber(root), im: 0 }, multiplicity: 1, rational: root }];
+  } else if (rest.length === 3) {
+    others = quadraticRoots(rest);
+  } else {
+    others = cubicRoots(rest, steps).roots;
+  }
+
+  const rationalRoots = found.map(root => ({ real: formatRational(root), value: { re: toNumber(root), im: 0 }, multiplicity: 1, rational: root }));
+  return mergeExact([...rationalRoots, ...others]);
+}
+
+// Cúbica ax³ + bx² + cx + d = 0 por Cardano (x = t - b/(3a))
+function cubicRoots([a, b, c, d], steps) {
+  const shift = negate(over(b, times(int(3), a)));
+  const p = over(minus(product(int(3), a, c), times(b, b)), product(int(3), a, a));
+  const q = over(
+    sum(product(int(2), b, b, b), product(int(-9), a, b, c), product(int(27), a, a, d)),
+    product(int(27), a, a, a)
+  );
+  const discriminant = sum(
+    product(int(18), a, b, c, d),
+    product(int(-4), b, b, b, d),
+    product(b, b, c, c),
+    product(int(-4), a, c, c, c),
+    product(int(-27), a, a, d, d)
+  );
+
+  steps.push(`Substituição x = t - b/(3a): x = ${joinTerms(['t', formatRational(shift)])}`);
+  steps.push(`Equação reduzida t³ + pt + q = 0: p = (3ac - b²)/(3a²) = ${formatRational(p)}, q = (2b³ - 9abc + 27a²d)/(27a³) = ${formatRational(q)}`);
+  steps.push(`Discriminante: Δ = 18abcd - 4b³d + b²c² - 4ac³ - 27a²d² = ${formatRational(discriminant)}`);
+
+  let roots = depressedCubicRoots(p, q, steps).map(root => shiftRoot(root, shift));
+  if (roots.some(root => !root.rational)) roots = simplifyWithRationalRoots([a, b, c, d], steps) || roots;
+
+  let type = 'repeated_real';
+  if (sign(discriminant) > 0) type = 'three_real';
+  else if (sign(discriminant) < 0) type = 'one_real_two_complex';
+
+  return {
+    roots: finishRoots(roots, [a, b, c, d]).sort(byPosition),
+    type,
+    discriminant,
+    depressed: { substitution: `x = ${joinTerms(['t', formatRational(shift)])}`, p: formatRational(p), q: formatRational(q) }
+  };
+}
+
+// y = ±√z para z = zReal ± √(zRadical) (ou racional), usado na biquadrada
+function squareRootsOf(zRational, zText, zValue) {
+  if (zRational) {
+    const magnitude = rationalRoot(sign(zRational) < 0 ? negate(zRational) : zRational, 2n);
+    const size = radicalValue(magnitude);
+    if (sign(zRational) >= 0) {
+      return [1, -1].map(s => ({
+        ...(isRationalRadical(magnitude) ? { rational: times(magnitude.coefficient, int(s)) } : {}),
+        real: formatRadical(scaleRadical(magnitude, int(s))),
+        value: { re: s * size, im: 0 }
+      }));
+    }
+    return [1, -1].map(s => ({
+      real: '0',
+      imag: formatRadical(scaleRadical(magnitude, int(s))),
+      value: { re: 0, im: s * size }
+    }));
+  }
+
+  // z irracional ou complexo: raiz principal pela forma polar
+  const modulus = Math.hypot(zValue.re, zValue.im);
+  const principal = {
+    re: Math.sqrt((modulus + zValue.re) / 2),
+    im: Math.sign(zValue.im || 1) * Math.sqrt(Math.max(0, (modulus - zValue.re) / 2))
+  };
+  if (zValue.im === 0 && zValue.re < 0) principal.re = 0;
+  return [1, -1].map(s => ({
+    text: `${s < 0 ? '-' : ''}√(${zText})`,
+    value: { re: s * principal.re, im: s * principal.im }
+  }));
+}
+
+// Biquadrada y⁴ + py² + r = 0: z = y² resolve z² + pz + r = 0
+function biquadraticRoots(p, r, steps) {
+  const half = rational(1n, 2n);
+  const center = negate(times(p, half));
+  const delta = minus(times(p, p), times(int(4), r));
+  steps.push('q = 0: equação biquadrada, z = y² com z² + pz + r = 0');
+  steps.push(`Δz = p² - 4r = ${formatRational(delta)}`);
+
+  if (sign(delta) >= 0) {
+    const root = rationalRoot(times(delta, rational(1n, 4n)), 2n);
+    if (isRationalRadical(root)) {
+      const zs = [plus(center, root.coefficient), minus(center, root.coefficient)];
+      steps.push(`z = -p/2 ± √Δz/2: z₁ = ${formatRational(zs[0])}, z₂ = ${formatRational(zs[1])}`);
+      return zs.flatMap(z => squareRootsOf(z));
+    }
+
+    return [1, -1].flatMap(s => {
+      const zText = joinTerms([formatRational(center), formatRadical(scaleRadical(root, int(s)))]);
+      steps.push(`z${s > 0 ? '₁' : '₂'} = ${zText}`);
+      return squareRootsOf(null, zText, { re: toNumber(center) + s * radicalValue(root), im: 0 });
+    });
+  }
+
+  // z complexo: z = -p/2 ± (√(-Δz)/2)i
+  const imaginary = rationalRoot(times(negate(delta), rational(1n, 4n)), 2n);
+  return [1, -1].flatMap(s => {
+    const imagText = formatRadical(scaleRadical(imaginary, int(s)));
+    const zText = rootText({ real: formatRational(center), imag: imagText });
+    steps.push(`z${s > 0 ? '₁' : '₂'} = ${zText}`);
+    return squareRootsOf(null, zText, { re: toNumber(center), im: s * radicalValue(imaginary) });
+  });
+}
+
+// Termo c·mᵏ da resolvente em texto, com o sinal fora dos parênteses
+function monomialText(coefficient, power) {
+  if (isZero(coefficient)) return '0';
+  const size = sign(coefficient) < 0 ? negate(coefficient) : coefficient;
+  let factor = group(formatRational(size));
+  if (power === 0) factor = formatRational(size);
+  else if (size.n === 1n && size.d === 1n) factor = '';
+  return `${sign(coefficient) < 0 ? '-' : ''}${factor}${['', 'm', 'm²', 'm³'][power]}`;
+}
+
+// Racional dividido por √(2m) ("-4/√(2m)", "3/(2√(2m))")
+function overRootText({ n, d }) {
+  const size = n < 0n ? -n : n;
+  return `${n < 0n ? '-' : ''}${size}/${d === 1n ? '' : `(${d}`}√(2m)${d === 1n ? '' : ')'}`;
+}
+
+// Ferrari: com m raiz positiva da resolvente, y⁴ + py² + qy + r fatora em dois trinômios
+// y = (s₁√(2m) ± √(-(2p + 2m + s₁·2q/√(2m))))/2, s₁ = ±1
+// Com m irracional as raízes exatas citam m, devolvido em resolvent (forma exata e valor)
+function ferrariRoots(p, q, r, steps) {
+  const coefficients = [int(8), times(int(8), p), minus(times(int(2), times(p, p)), times(int(8), r)), negate(times(q, q))];
+  const equation = `${joinTerms(coefficients.map((coefficient, index) => monomialText(coefficient, 3 - index)))} = 0`;
+  steps.push(`Cúbica resolvente: 8m³ + 8pm² + (2p² - 8r)m - q² = 0, ou seja, ${equation}`);
+
+  // q ≠ 0 garante uma raiz real positiva; prefere-se a racional
+  const { roots: candidates } = cubicRoots(coefficients, []);
+  const positive = candidates.filter(root => root.value.im === 0 && root.value.re > 0);
+  const chosen = positive.find(root => root.rational) || positive.sort((x, y) => y.value.re - x.value.re)[0];
+  const m = chosen.value.re;
+  steps.push(`m = ${chosen.exact}${chosen.rational ? '' : ` ≈ ${m.toFixed(4)}`}`);
+  const resolvent = { equation, m: { exact: chosen.exact, value: m } };
+
+  const W = Math.sqrt(2 * m);
+  const numericRoots = [1, -1].flatMap(s1 => {
+    const inner = -(2 * toNumber(p) + 2 * m + s1 * 2 * toNumber(q) / W);
+    const size = Math.sqrt(Math.abs(inner)) / 2;
+    return [1, -1].map(s2 => (inner >= 0
+      ? { re: s1 * W / 2 + s2 * size, im: 0 }
+      : { re: s1 * W / 2, im: s2 * size }));
+  });
+
+  if (!chosen.rational) {
+    steps.push('y = (±√(2m) ± √(-(2p + 2m ± 2q/√(2m))))/2');
+    const twoP = formatRational(times(int(2), p));
+    const roots = [1, -1].flatMap((s1, i) => {
+      const inner = joinTerms([twoP, '2m', overRootText(times(int(2 * s1), q))]);
+      return [1, -1].map((s2, j) => ({
+        text: `(${s1 < 0 ? '-' : ''}√(2m) ${s2 < 0 ? '-' : '+'} √(-(${inner})))/2`,
+        value: numericRoots[i * 2 + j],
+        multiplicity: 1
+      }));
+    });
+    return { roots, resolvent };
+  }
+
+  const w = rationalRoot(times(int(2), chosen.rational), 2n);
+  steps.push(`√(2m) = ${formatRadical(w)}`);
+  steps.push('y = (±√(2m) ± √(-(2p + 2m ± 2q/√(2m))))/2');
+  const half = rational(1n, 2n);
+  const base = negate(times(int(2), plus(p, chosen.rational)));
+
+  const roots = [1, -1].flatMap((s1, i) => {
+    const center = scaleRadical(w, times(int(s1), half));
+
+    if (isRationalRadical(w)) {
+      // √(2m) racional: o radicando interno também é racional
+      const inner = minus(base, over(times(int(2 * s1), q), w.coefficient));
+      const size = rationalRoot(sign(inner) < 0 ? negate(inner) : inner, 2n);
+      return [1, -1].map((s2, j) => {
+        const offset = scaleRadical(size, times(int(s2), half));
+        const value = numericRoots[i * 2 + j];
+        if (sign(inner) < 0) return { real: formatRational(center.coefficient), imag: formatRadical(offset), value, multiplicity: 1 };
+        if (isRationalRadical(offset)) {
+          const exact = plus(center.coefficient, offset.coefficient);
+          return { real: formatRational(exact), value, multiplicity: 1, rational: exact };
+        }
+        return { real: joinTerms([formatRational(center.coefficient), formatRadical(offset)]), value, multiplicity: 1 };
+      });
+    }
+
+    // √(2m) = c√k: 2q/√(2m) = (2q/(ck))√k e o radicando interno é A + B√k
+    const surd = { coefficient: over(times(int(-2 * s1), q), times(w.coefficient, rational(w.radicand))), radicand: w.radicand, index: 2n };
+    const innerValue = toNumber(base) + radicalValue(surd);
+    const innerText = innerValue >= 0
+      ? joinTerms([formatRational(base), formatRadical(surd)])
+      : joinTerms([formatRational(negate(base)), formatRadical(scaleRadical(surd, int(-1)))]);
+
+    return [1, -1].map((s2, j) => {
+      const value = numericRoots[i * 2 + j];
+      const offset = `${s2 < 0 ? '-' : ''}√(${innerText})/2`;
+      if (innerValue < 0) return { real: formatRadical(center), imag: offset, value, multiplicity: 1 };
+      return { real: joinTerms([formatRadical(center), offset]), value, multiplicity: 1 };
+    });
+  });
+  return { roots, resolvent };
+}
+
+// Δ = 0: aproximações coincidentes viram uma raiz com multiplicidade
+function mergeRepeated(roots) {
+  const merged = [];
+  roots.forEach(root => {
+    const scale = CLOSED_FORM_LIMITS.repeatedTolerance * Math.max(1, Math.hypot(root.value.re, root.value.im));
+    const same = merged.find(item => Math.hypot(item.value.re - root.value.re, item.value.im - root.value.im) <= scale);
+    if (same) same.multiplicity += root.multiplicity;
+    else merged.push({ ...root });
+  });
+  return merged;
+}
+
+// Quártica ax⁴ + bx³ + cx² + dx + e = 0 por Ferrari (x = y - b/(4a))
+function quarticRoots([a, b, c, d, e], steps) {
+  const shift = negate(over(b, times(int(4), a)));
+  const p = over(minus(product(int(8), a, c), product(int(3), b, b)), product(int(8), a, a));
+  const q = over(sum(product(b, b, b), product(int(-4), a, b, c), product(int(8), a, a, d)), product(int(8), a, a, a));
+  const r = over(
+    sum(product(int(-3), b, b, b, b), product(int(256), a, a, a, e), product(int(-64), a, a, b, d), product(int(16), a, b, b, c)),
+    product(int(256), a, a, a, a)
+  );
+  const discriminant = sum(
+    product(int(256), a, a, a, e, e, e),
+    product(int(-192), a, a, b, d, e, e),
+    product(int(-128), a, a, c, c, e, e),
+    product(int(144), a, a, c, d, d, e),
+    product(int(-27), a, a, d, d, d, d),
+    product(int(144), a, b, b, c, e, e),
+    product(int(-6), a, b, b, d, d, e),
+    product(int(-80), a, b, c, c, d, e),
+    product(int(18), a, b, c, d, d, d),
+    product(int(16), a, c, c, c, c, e),
+    product(int(-4), a, c, c, c, d, d),
+    product(int(-27), b, b, b, b, e, e),
+    product(int(18), b, b, b, c, d, e),
+    product(int(-4), b, b, b, d, d, d),
+    product(int(-4), b, b, c, c, c, e),
+    product(b, b, c, c, d, d)
+  );
+
+  steps.push(`Substituição x = y - b/(4a): x = ${joinTerms(['y', formatRational(shift)])}`);
+  steps.push(`Equação reduzida y⁴ + py² + qy + r = 0: p = ${formatRational(p)}, q = ${formatRational(q)}, r = ${formatRational(r)}`);
+  steps.push(`Discriminante: Δ = ${formatRational(discriminant)}`);
+
+  let roots;
+  let resolvent = null;
+  if (isZero(q) && isZero(p) && isZero(r)) {
+    steps.push('p = q = r = 0: raiz quádrupla y = 0');
+    roots = [{ real: '0', value: { re: 0, im: 0 }, multiplicity: 4, rational: int(0) }];
+  } else if (isZero(q)) {
+    roots = biquadraticRoots(p, r, steps).map(root => ({ multiplicity: 1, ...root }));
+  } else {
+    ({ roots, resolvent } = ferrariRoots(p, q, r, steps));
+  }
+
+  roots = roots.map(root => shiftRoot(root, shift));
+  if (roots.some(root => !root.rational)) roots = simplifyWithRationalRoots([a, b, c, d, e], steps) || roots;
+  if (isZero(discriminant)) roots = mergeRepeated(roots);
+
+  let type = 'repeated';
+  if (sign(discriminant) < 0) {
+    type = 'two_real_two_complex';
+  } else if (sign(discriminant) > 0) {
+    // P = 8ac - 3b² e D = 64a³e - 16a²c² + 16ab²c - 16a²bd - 3b⁴ negativos: quatro reais
+    const P = minus(product(int(8), a, c), product(int(3), b, b));
+    const D = sum(
+      product(int(64), a, a, a, e),
+      product(int(-16), a, a, c, c),
+      product(int(16), a, b, b, c),
+      product(int(-16), a, a, b, d),
+      product(int(-3), b, b, b, b)
+    );
+    type = sign(P) < 0 && sign(D) < 0 ? 'four_real' : 'four_complex';
+  }
+
+  return {
+    roots: finishRoots(roots, [a, b, c, d, e], { refine: !isZero(discriminant) }).sort(byPosition),
+    type,
+    discriminant,
+    depressed: {
+      substitution: `x = ${joinTerms(['y', formatRational(shift)])}`,
+      p: formatRational(p),
+      q: formatRational(q),
+      r: formatRational(r)
+    },
+    resolvent
+  };
+}
+
+// Resolve por fórmula fechada; coeficientes do maior para o menor grau
+function solveClosedForm(solver, values) {
+  const steps = [];
+  const { roots, type, discriminant, depressed, resolvent } = solver(values.map(parseRational), steps);
+
+  roots.forEach((root, index) => {
+    const label = `x${'₁₂₃₄'[index]}`;
+    const approximation = root.rational ? '' : ` ≈ ${formatApproximation(root.value)}`;
+    const multiplicity = root.multiplicity > 1 ? ` (multiplicidade ${root.multiplicity})` : '';
+    steps.push(`${label} = ${root.exact}${approximation}${multiplicity}`);
+  });
+
+  return {
+    roots: roots.map(({ value, exact, multiplicity }) => ({ value, exact, multiplicity })),
+    type,
+    discriminant: toNumber(discriminant),
+    depressed,
+    ...(resolvent && { resolvent }),
+    steps
+  };
+}
+
+const solveCubic = values => solveClosedForm(cubicRoots, values);
+const solveQuartic = values => solveClosedForm(quarticRoots, values);
+
+module.exports = {
+  CLOSED_FORM_LIMITS,
+  parseRational,
+  solveCubic,
+  solveQuartic
+};
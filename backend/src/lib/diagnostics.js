@@ -0,0 +1,334 @@
+const {
+  ALLOWED_FUNCTIONS,
+  ALLOWED_CONSTANTS,
+  normalizeWithOffsets
+} = require('./engine');
+
+// Limites das sugestões
+const DIAGNOSTIC_LIMITS = {
+  maxSuggestions: 3,
+  defaultCompletions: 20,
+  maxCompletions: 100
+};
+
+const PAIRS = { '(': ')', '[': ']' };
+
+// Ordem das sugestões de mesmo prefixo: variáveis do usuário, constantes e funções
+const COMPLETION_PRIORITY = { variable: 0, constant: 1, function: 2 };
+
+// Tokens do início de um operando (valor esperado)
+const OPERAND_START = ['number', 'identifier', '(', '[', '-', '+'];
+
+const TOKEN_PATTERN = new RegExp([
+  '(?<space>\\s+)',
+  '(?<number>(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?)',
+  '(?<identifier>[\\p{L}_][\\p{L}\\d_]*)',
+  '(?<open>[([])',
+  '(?<close>[)\\]])',
+  '(?<comma>,)',
+  '(?<separator>[;\\n])',
+  '(?<postfix>[!\'])',
+  '(?<operator>\\.[*/^]|==|!=|<=|>=|[-+*/^%=<>:.?&|~])',
+  '(?<unknown>.)'
+].join('|'), 'gu');
+
+// Analisador léxico simples que preserva a posição de cada token
+function tokenize(text) {
+  return [...text.matchAll(TOKEN_PATTERN)]
+    .map(match => {
+      const type = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+      return { type, value: match[0], offset: match.index, length: match[0].length };
+    })
+    .filter(token => token.type !== 'space');
+}
+
+// Parênteses e colchetes sem par, fechados fora de ordem ou trocados
+function findUnbalanced(tokens) {
+  const stack = [];
+  const problems = [];
+
+  tokens.forEach(token => {
+    if (token.type === 'open') {
+      stack.push(token);
+    } else if (token.type === 'close') {
+      const open = stack[stack.length - 1];
+      if (!open) {
+        problems.push({ kind: 'unexpected_close', token });
+      } else if (PAIRS[open.value] !== token.value) {
+        problems.push({ kind: 'mismatched', token, open });
+        stack.pop();
+      } else {
+        stack.pop();
+      }
+    }
+  });
+
+  stack.forEach(open => problems.push({ kind: 'unclosed', token: open }));
+  return problems.sort((a, b) => a.token.offset - b.token.offset);
+}
+
+// Grupos abertos antes de uma posição (para saber quais fechamentos são válidos)
+function openGroupsBefore(tokens, offset) {
+  const stack = [];
+  tokens.filter(token => token.offset < offset).forEach((token, index, list) => {
+    if (token.type === 'open') {
+      // "(" logo após um identificador é chamada de função e aceita vírgulas
+      const previous = list[index - 1];
+      stack.push({ value: token.value, call: token.value === '(' && previous && previous.type === 'identifier' });
+    } else if (token.type === 'close' && stack.length > 0) {
+      stack.pop();
+    } else if (token.type === 'separator') {
+      stack.length = 0;
+    }
+  });
+  return stack;
+}
+
+// Tokens esperados em uma posição, a partir do token anterior
+function expectedTokens(tokens, offset) {
+  const before = tokens.filter(token => token.offset < offset);
+  const previous = before[before.length - 1];
+  const endsOperand = previous && (
+    ['number', 'identifier', 'close', 'postfix'].includes(previous.type)
+  );
+
+  if (!endsOperand) return OPERAND_START;
+
+  const groups = openGroupsBefore(tokens, offset);
+  const innermost = groups[groups.length - 1];
+  const expected = ['operator'];
+
+  if (innermost) {
+    expected.push(PAIRS[innermost.value]);
+    if (innermost.call || innermost.value === '[') expected.push(',');
+    if (innermost.value === '[') expected.push(';');
+  } else {
+    expected.push(';', 'end');
+  }
+
+  return expected;
+}
+
+// Distância de edição (Damerau–Levenshtein restrita) sem diferenciar maiúsculas
+function editDistance(a, b) {
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  const d = Array.from({ length: s.length + 1 }, (_, i) => [i, ...new Array(t.length).fill(0)]);
+  for (let j = 1; j <= t.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[s.length][t.length];
+}
+
+// Nomes parecidos com um identificador desconhecido ("sqr" → sqrt, "sine" → sin)
+function didYouMean(name, candidates) {
+  const tolerance = name.length <= 3 ? 1 : 2;
+
+  return [...new Set(candidates)]
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ candidate, distance }) => candidate !== name && distance <= tolerance)
+    .sort((a, b) =>
+      a.distance - b.distance ||
+      // Em empate, prefere completar o nome digitado ("sqr" → sqrt antes de qr)
+      Number(!a.candidate.startsWith(name)) - Number(!b.candidate.startsWith(name)) ||
+      a.candidate.length - b.candidate.length ||
+      a.candidate.localeCompare(b.candidate)
+    )
+    .slice(0, DIAGNOSTIC_LIMITS.maxSuggestions)
+    .map(({ candidate }) => candidate);
+}
+
+// Posição (no texto original) da primeira ocorrência de um identificador
+function locateIdentifier(normalized, tokens, name) {
+  const token = tokens.find(item => item.type === 'identifier' && item.value === name);
+  if (!token) return null;
+
+  const offset = normalized.toOriginal(token.offset);
+  return { offset, length: normalized.toOriginal(token.offset + token.length) - offset };
+}
+
+// Token do texto normalizado que começa em uma posição (ou o fim da expressão)
+function tokenAt(tokens, offset) {
+  return tokens.find(token => offset >= token.offset && offset < token.offset + token.length) || null;
+}
+
+// Chamadas ("nome(") de funções fora da lista liberada e não definidas pelo usuário, uma por nome
+function unknownCalls(tokens, defined) {
+  const seen = new Set();
+  return tokens.filter((token, index) => {
+    const next = tokens[index + 1];
+    if (token.type !== 'identifier' || !next || next.value !== '(') return false;
+    if (ALLOWED_FUNCTIONS.has(token.value) || defined.has(token.value) || seen.has(token.value)) return false;
+    seen.add(token.value);
+    return true;
+  });
+}
+
+// Diagnóstico estruturado de um erro do sandbox
+// Posições e comprimentos referem-se ao texto enviado pelo cliente
+function diagnose(expression, error, { scope = {} } = {}) {
+  const normalized = normalizeWithOffsets(expression);
+  const tokens = tokenize(normalized.text);
+  const diagnostics = [];
+  const details = error.details || {};
+  const knownNames = [...ALLOWED_FUNCTIONS, ...ALLOWED_CONSTANTS, ...Object.keys(scope)];
+
+  findUnbalanced(tokens).forEach(({ kind, token, open }) => {
+    diagnostics.push({
+      code: 'UNBALANCED_PARENTHESIS',
+      kind,
+      offset: normalized.toOriginal(token.offset),
+      length: 1,
+      token: token.value,
+      ...(kind === 'unclosed' && { expected: [PAIRS[token.value]] }),
+      ...(kind === 'mismatched' && { openedAt: normalized.toOriginal(open.offset), expected: [PAIRS[open.value]] })
+    });
+  });
+
+  if (error.code === 'PARSE_ERROR') {
+    // O Math.js informa a posição a partir de 1
+    const position = Number.isInteger(details.char) ? Math.max(0, details.char - 1) : normalized.text.length;
+    const token = tokenAt(tokens, position);
+    const offset = normalized.toOriginal(position);
+
+    diagnostics.push({
+      code: 'PARSE_ERROR',
+      kind: 'syntax',
+      offset,
+      length: token ? normalized.toOriginal(token.offset + token.length) - offset : 0,
+      ...(token && { token: token.value }),
+      expected: expectedTokens(tokens, position)
+    });
+  }
+
+  // Sem árvore sintática o sandbox não chega a apontar funções desconhecidas: a busca é feita nos tokens
+  if (error.code === 'PARSE_ERROR') {
+    const defined = new Set([...definedNames(tokens).map(item => item.name), ...Object.keys(scope)]);
+    unknownCalls(tokens, defined).forEach(token => {
+      const offset = normalized.toOriginal(token.offset);
+      diagnostics.push({
+        code: 'FUNCTION_NOT_ALLOWED',
+        kind: 'unknown_function',
+        offset,
+        length: normalized.toOriginal(token.offset + token.length) - offset,
+        token: token.value,
+        didYouMean: didYouMean(token.value, [...ALLOWED_FUNCTIONS])
+      });
+    });
+  }
+
+  if (error.code === 'FUNCTION_NOT_ALLOWED' || error.code === 'SYMBOL_NOT_ALLOWED') {
+    const name = details.function || details.symbol;
+    diagnostics.push({
+      code: error.code,
+      kind: error.code === 'FUNCTION_NOT_ALLOWED' ? 'unknown_function' : 'unknown_symbol',
+      ...(locateIdentifier(normalized, tokens, name) || { offset: null, length: 0 }),
+      token: name,
+      didYouMean: didYouMean(name, error.code === 'FUNCTION_NOT_ALLOWED' ? [...ALLOWED_FUNCTIONS] : knownNames)
+    });
+  }
+
+  if (error.code === 'OPERATOR_NOT_ALLOWED') {
+    const token = tokens.find(item => item.value === details.operator);
+    diagnostics.push({
+      code: error.code,
+      kind: 'operator_not_allowed',
+      offset: token ? normalized.toOriginal(token.offset) : null,
+      length: token ? token.length : 0,
+      token: details.operator
+    });
+  }
+
+  return diagnostics;
+}
+
+// Nomes definidos no próprio programa (a = 2; f(x) = x^2)
+function definedNames(tokens) {
+  const names = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== 'identifier') return;
+    const next = tokens[index + 1];
+    if (next && next.value === '=') names.push({ name: token.value, type: 'variable' });
+    if (next && next.value === '(') {
+      const close = tokens.findIndex((item, position) => position > index && item.value === ')');
+      if (close !== -1 && tokens[close + 1] && tokens[close + 1].value === '=') {
+        names.push({ name: token.value, type: 'function' });
+      }
+    }
+  });
+  return names;
+}
+
+// Sugestões de funções, constantes e variáveis para o identificador sob o cursor
+function complete(expression, { cursor = expression.length, scope = {}, limit = DIAGNOSTIC_LIMITS.defaultCompletions } = {}) {
+  const position = Math.max(0, Math.min(cursor, expression.length));
+  const prefix = (expression.slice(0, position).match(/[\p{L}_][\p{L}\d_]*$/u) || [''])[0];
+  const start = position - prefix.length;
+  // Completa a palavra inteira, inclusive a parte depois do cursor
+  const suffix = (expression.slice(position).match(/^[\p{L}\d_]*/u) || [''])[0];
+
+  const tokens = tokenize(expression);
+  // Nome de função já seguido de "(" não recebe outro par de parênteses
+  const callFollows = expression[position + suffix.length] === '(';
+
+  const candidates = [
+    ...Object.keys(scope).map(name => ({ name, type: 'variable' })),
+    ...definedNames(tokens).filter(item => item.name !== prefix),
+    ...[...ALLOWED_CONSTANTS].map(name => ({ name, type: 'constant' })),
+    ...[...ALLOWED_FUNCTIONS].map(name => ({ name, type: 'function' }))
+  ];
+
+  const seen = new Set();
+  const lowerPrefix = prefix.toLowerCase();
+  const ranked = candidates
+    .filter(item => !seen.has(item.name) && seen.add(item.name))
+    .filter(item => item.name.toLowerCase().startsWith(lowerPrefix))
+    .sort((a, b) =>
+      Number(!a.name.startsWith(prefix)) - Number(!b.name.startsWith(prefix)) ||
+      COMPLETION_PRIORITY[a.type] - COMPLETION_PRIORITY[b.type] ||
+      a.name.length - b.name.length ||
+      a.name.localeCompare(b.name)
+    );
+
+  // Sem nenhum prefixo correspondente, oferece nomes parecidos
+  const matches = ranked.length > 0 || prefix === ''
+    ? ranked
+    : didYouMean(prefix, candidates.map(item => item.name))
+      .map(name => candidates.find(item => item.name === name));
+
+  return {
+    prefix,
+    replace: { offset: start, length: prefix.length + suffix.length },
+    total: matches.length,
+    suggestions: matches.slice(0, limit).map(item => {
+      const call = item.type === 'function' && !callFollows;
+      return {
+        label: item.name,
+        type: item.type,
+        insertText: call ? `${item.name}()` : item.name,
+        // Posição do cursor dentro do texto inserido (entre os parênteses nas funções)
+        cursorOffset: call ? item.name.length + 1 : item.name.length
+      };
+    })
+  };
+}
+
+module.exports = {
+  DIAGNOSTIC_LIMITS,
+  tokenize,
+  findUnbalanced,
+  expectedTokens,
+  editDistance,
+  didYouMean,
+  diagnose,
+  complete
+};
@@ -0,0 +1,855 @@
+const { create, all } = require('mathjs');
+
+// Limites de complexidade aplicados antes da avaliação
+const LIMITS = {
+  maxLength: 500,
+  maxNodes: 200,
+  maxDepth: 32,
+  maxMagnitude: 1e100,
+  maxFactorial: 170,
+  maxBigFactorial: 1000,
+  // n máximo de combinations/permutations (o custo cresce com n e k)
+  maxCombinatorics: 1000,
+  defaultPrecision: 64,
+  maxPrecision: 500,
+  // Expoente decimal máximo de resultados BigNumber (10^(10^15) cabe no Decimal, mas não na resposta)
+  maxBigExponent: 10000,
+  maxStatements: 20,
+  maxMatrixElements: 10000,
+  maxScopeVariables: 50,
+  // Instâncias do Math.js mantidas em cache por modo e precisão (cerca de 3 MB cada)
+  maxSandboxes: 8
+};
+
+// Funções liberadas no sandbox, agrupadas pela categoria exibida no catálogo
+const FUNCTION_CATEGORIES = {
+  basic: ['abs', 'ceil', 'floor', 'round', 'fix', 'sign', 'sqrt', 'cbrt', 'nthRoot', 'pow', 'mod', 'hypot'],
+  logarithmic: ['exp', 'expm1', 'log', 'log10', 'log2', 'log1p'],
+  trigonometric: [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'asin', 'acos', 'atan', 'atan2',
+    'sinh', 'cosh', 'tanh', 'asinh', 'acosh', 'atanh'
+  ],
+  combinatorics: ['factorial', 'gamma', 'combinations', 'permutations', 'gcd', 'lcm'],
+  statistics: ['min', 'max', 'sum', 'mean', 'median'],
+  complex: ['re', 'im', 'arg', 'conj'],
+  linear_algebra: [
+    'det', 'inv', 'pinv', 'transpose', 'ctranspose', 'trace', 'eigs', 'dot', 'cross', 'norm', 'size',
+    'diag', 'identity', 'zeros', 'ones', 'kron', 'lusolve', 'lup', 'qr'
+  ]
+};
+
+const ALLOWED_FUNCTIONS = new Set(Object.values(FUNCTION_CATEGORIES).flat());
+
+// Operadores liberados (nome da função associada no Math.js)
+const ALLOWED_OPERATORS = new Set([
+  'add', 'subtract', 'multiply', 'divide', 'unaryMinus', 'unaryPlus', 'pow', 'mod', 'factorial',
+  // conversão de unidades (5 km/h to m/s)
+  'to',
+  // operações elemento a elemento e transposta (A')
+  'dotMultiply', 'dotDivide', 'dotPow', 'ctranspose'
+]);
+
+// Constantes que podem aparecer como símbolos livres
+const ALLOWED_CONSTANTS = new Set(['pi', 'e', 'tau', 'phi', 'i']);
+
+// Tipos de nó aceitos na árvore sintática
+const ALLOWED_NODE_TYPES = new Set([
+  'ConstantNode', 'SymbolNode', 'OperatorNode', 'ParenthesisNode', 'FunctionNode',
+  // matrizes e indexação (A[1, 2])
+  'ArrayNode', 'AccessorNode', 'IndexNode'
+]);
+
+// Nomes aceitos para variáveis e funções do usuário
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Tipos de nó que aumentam a profundidade de aninhamento
+const NESTING_NODE_TYPES = new Set(['ParenthesisNode', 'FunctionNode', 'ArrayNode']);
+
+class SandboxError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Modos de avaliação numérica suportados
+const MODES = {
+  number: { number: 'number' },
+  bignumber: { number: 'BigNumber' },
+  fraction: { number: 'Fraction' }
+};
+
+const disabled = name => () => {
+  throw new SandboxError('FUNCTION_NOT_ALLOWED', `Função ${name} está desabilitada`, { function: name });
+};
+
+// Raiz inteira exata (k-ésima) de um inteiro não negativo, ou undefined
+function exactIntegerRoot(integer, degree) {
+  const estimate = Math.round(integer ** (1 / degree));
+  return [estimate - 1, estimate, estimate + 1].find(candidate => candidate >= 0 &&
+    Math.abs(candidate ** degree - integer) <= 1 && BigInt(candidate) ** BigInt(degree) === BigInt(integer));
+}
+
+// Raiz de fração no modo fraction: exata quando numerador e denominador são potências perfeitas
+function fractionRoot(math) {
+  return (name, value, degree) => {
+    const k = Number(degree);
+    const real = Number.isInteger(k) && k > 0 && (value.s >= 0 || k % 2 === 1);
+    const parts = real ? [value.n, value.d].map(part => exactIntegerRoot(part, k)) : [];
+    if (!real || parts.includes(undefined)) {
+      const args = name === 'nthRoot' ? [value, degree] : [value];
+      const text = args.map(arg => arg.toFraction()).join(', ');
+      throw new SandboxError('UNSUPPORTED_IN_MODE', `${name}(${text}) sem resultado racional exato no modo fraction`, {
+        mode: 'fraction',
+        function: name,
+        value: text
+      });
+    }
+    return math.fraction(value.s * parts[0], parts[1]);
+  };
+}
+
+// Cria uma instância restrita do Math.js para o modo informado
+function createSandbox(mode, precision) {
+  const math = create(all, { ...MODES[mode], precision });
+  const factorialLimit = mode === 'number' ? LIMITS.maxFactorial : LIMITS.maxBigFactorial;
+
+  // Funções com argumento limitado para evitar cálculos gigantes
+  const guardArgument = (name, limit) => {
+    const original = math[name];
+    return math.typed(name, {
+      'number | BigNumber': x => {
+        if (Math.abs(Number(x)) > limit) {
+          throw new SandboxError(
+            'MAGNITUDE_EXCEEDED',
+            `Argumento de ${name} muito grande (máximo ${limit})`,
+            { function: name, limit }
+          );
+        }
+        return original(x);
+      }
+    });
+  };
+
+  // Envolve a função original mantendo as assinaturas: o catálogo as exibe e as demais
+  // funções da instância (det, inv...) passam a chamar a versão protegida
+  const guarded = (name, check) => math.typed(name, Object.fromEntries(
+    Object.entries(math[name].signatures).map(([signature, implementation]) => [
+      signature,
+      (...args) => {
+        check(args);
+        return implementation(...args);
+      }
+    ])
+  ));
+
+  // combinations(n, k) e permutations(n[, k]) exigem inteiros não negativos até o limite
+  const guardCombinatorics = name => guarded(name, args => args.forEach(arg => {
+    const value = Number(arg);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new SandboxError('NON_INTEGER_ARGUMENT', `Argumentos de ${name} devem ser inteiros não negativos`, {
+        function: name
+      });
+    }
+    if (value > LIMITS.maxCombinatorics) {
+      throw new SandboxError(
+        'MAGNITUDE_EXCEEDED',
+        `Argumento de ${name} muito grande (máximo ${LIMITS.maxCombinatorics})`,
+        { function: name, limit: LIMITS.maxCombinatorics }
+      );
+    }
+  }));
+
+  // Funções que constroem matrizes com tamanho limitado, verificado antes de alocar o resultado
+  const guardMatrixSize = (name, countElements) => guarded(name, args => {
+    const count = countElements(args);
+    if (!(count <= LIMITS.maxMatrixElements)) {
+      throw new SandboxError(
+        'MATRIX_TOO_LARGE',
+        `Matriz muito grande em ${name} (máximo ${LIMITS.maxMatrixElements} elementos)`,
+        { function: name, limit: LIMITS.maxMatrixElements }
+      );
+    }
+  });
+
+  // Dimensões pedidas como argumentos numéricos ou como vetor [m, n]
+  const requestedElements = args => args
+    .filter(arg => typeof arg !== 'string')
+    .flatMap(arg => (math.isMatrix(arg) || Array.isArray(arg) ? math.flatten(math.matrix(arg)).toArray() : [arg]))
+    .reduce((count, dimension) => count * Math.abs(Number(dimension)), 1);
+
+  // Dimensões de um argumento (escalares não têm nenhuma)
+  const dimensionsOf = value => {
+    if (math.isMatrix(value)) return value.size();
+    const dimensions = [];
+    for (let level = value; Array.isArray(level); level = level[0]) dimensions.push(level.length);
+    return dimensions;
+  };
+
+  const countOf = dimensions => dimensions.reduce((count, dimension) => count * dimension, 1);
+  const elementCount = value => countOf(dimensionsOf(value));
+
+  // Produto matricial: (m×n)·(n×p) tem m×p elementos; vetor·vetor é escalar
+  const productElements = ([a, b]) => {
+    const [left, right] = [dimensionsOf(a), dimensionsOf(b)];
+    if (left.length === 0 || right.length === 0) return countOf(left) * countOf(right);
+    if (left.length === 2 && right.length === 2) return left[0] * right[1];
+    if (left.length === 2) return left[0];
+    if (right.length === 2) return right[1];
+    return 1;
+  };
+
+  // Operações elemento a elemento expandem dimensões unitárias (coluna + linha vira matriz)
+  const broadcastElements = args => {
+    const shapes = args.map(dimensionsOf);
+    const rank = Math.max(...shapes.map(shape => shape.length));
+    return countOf(Array.from({ length: rank }, (_, axis) => Math.max(
+      ...shapes.map(shape => (axis < rank - shape.length ? 1 : shape[axis - (rank - shape.length)]))
+    )));
+  };
+
+  // diag(v, k) de um vetor com n elementos gera uma matriz (n + |k|)×(n + |k|)
+  const diagonalElements = ([value, offset]) => {
+    const dimensions = dimensionsOf(value);
+    if (dimensions.length !== 1) return 1;
+    const shift = typeof offset === 'string' || offset === undefined ? 0 : Math.abs(Number(offset));
+    return (dimensions[0] + shift) ** 2;
+  };
+
+  // Frações aceitam raízes exatas (sqrt(4/9) = 2/3); as demais seguem sem suporte no modo
+  if (mode === 'fraction') {
+    const root = fractionRoot(math);
+    math.import({
+      sqrt: math.typed('sqrt', { ...math.sqrt.signatures, Fraction: value => root('sqrt', value, 2) }),
+      cbrt: math.typed('cbrt', { ...math.cbrt.signatures, Fraction: value => root('cbrt', value, 3) }),
+      nthRoot: math.typed('nthRoot', {
+        ...math.nthRoot.signatures,
+        Fraction: value => root('nthRoot', value, math.fraction(2)),
+        'Fraction, Fraction': (value, degree) => root('nthRoot', value, degree)
+      })
+    }, { override: true });
+  }
+
+  // Referências originais antes de desabilitá-las na instância
+  const parse = math.parse;
+  const symbolic = { simplify: math.simplify, derivative: math.derivative };
+
+  // Remover funções perigosas da instância (defesa extra além da lista branca)
+  math.import({
+    factorial: guardArgument('factorial', factorialLimit),
+    gamma: guardArgument('gamma', factorialLimit + 1),
+    combinations: guardCombinatorics('combinations'),
+    permutations: guardCombinatorics('permutations'),
+    // identity(n) gera uma matriz n×n
+    identity: guardMatrixSize('identity', args => (args.length === 1 && !math.isMatrix(args[0]) && !Array.isArray(args[0])
+      ? requestedElements(args) ** 2
+      : requestedElements(args))),
+    zeros: guardMatrixSize('zeros', requestedElements),
+    ones: guardMatrixSize('ones', requestedElements),
+    kron: guardMatrixSize('kron', ([a, b]) => elementCount(a) * elementCount(b)),
+    diag: guardMatrixSize('diag', diagonalElements),
+    // Produto externo (coluna × linha) e expansão de dimensões crescem além das entradas
+    multiply: guardMatrixSize('multiply', productElements),
+    ...Object.fromEntries(['add', 'subtract', 'dotMultiply', 'dotDivide', 'dotPow', 'mod', 'atan2', 'nthRoot', 'gcd', 'lcm']
+      .map(name => [name, guardMatrixSize(name, broadcastElements)])),
+    import: disabled('import'),
+    createUnit: disabled('createUnit'),
+    evaluate: disabled('evaluate'),
+    parse: disabled('parse'),
+    compile: disabled('compile'),
+    simplify: disabled('simplify'),
+    derivative: disabled('derivative'),
+    resolve: disabled('resolve'),
+    reviver: disabled('reviver')
+  }, { override: true });
+
+  return { mode, precision, math, parse, symbolic };
+}
+
+// Domínios de resposta: no real, resultados complexos são erro
+const DOMAINS = ['real', 'complex'];
+
+// Parte imaginária desprezível (relativa) tratada como ruído de arredondamento
+const IMAGINARY_TOLERANCE = 1e-12;
+
+// Instâncias já criadas, por modo e precisão, da menos para a mais recentemente usada
+const sandboxes = new Map();
+
+// Obtém (ou cria) o sandbox para as opções de avaliação do cliente
+function getSandbox({ mode = 'number', precision } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(MODES, mode)) {
+    throw new SandboxError('INVALID_MODE', `Modo inválido: ${mode}`, { available_modes: Object.keys(MODES) });
+  }
+
+  let digits = LIMITS.defaultPrecision;
+  if (mode === 'bignumber' && precision !== undefined) {
+    if (!Number.isInteger(precision) || precision < 1 || precision > LIMITS.maxPrecision) {
+      throw new SandboxError('INVALID_PRECISION', `Precisão deve ser um inteiro entre 1 e ${LIMITS.maxPrecision}`, {
+        limit: LIMITS.maxPrecision
+      });
+    }
+    digits = precision;
+  }
+
+  const key = `${mode}:${digits}`;
+  const sandbox = sandboxes.get(key) || createSandbox(mode, digits);
+
+  // Reinsere no fim da fila (LRU) e descarta a instância usada há mais tempo
+  sandboxes.delete(key);
+  sandboxes.set(key, sandbox);
+  if (sandboxes.size > LIMITS.maxSandboxes) {
+    sandboxes.delete(sandboxes.keys().next().value);
+  }
+  return sandbox;
+}
+
+// Instância padrão (modo number) usada pelos demais módulos
+const defaultSandbox = getSandbox();
+const math = defaultSandbox.math;
+
+// Nomes de funções e constantes aceitos sem diferenciar maiúsculas (SIN, Pi...)
+const CASE_INSENSITIVE_NAMES = new Map(
+  [...ALLOWED_FUNCTIONS, ...ALLOWED_CONSTANTS].map(name => [name.toLowerCase(), name])
+);
+
+// Expoentes sobrescritos (x², 10⁻³) como em "x² - 5x + 6 = 0"
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+
+const NORMALIZATION_PATTERN = /×|÷|√|[⁻]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+|[A-Za-z_][A-Za-z0-9_]*/g;
+
+function normalizeToken(token) {
+  if (token === '×') return '*';
+  if (token === '÷') return '/';
+  if (token === '√') return 'sqrt';
+  if (/^[⁻⁰¹²³⁴⁵⁶⁷⁸⁹]/.test(token)) return `^${[...token].map(char => SUPERSCRIPTS[char]).join('')}`;
+  return CASE_INSENSITIVE_NAMES.get(token.toLowerCase()) || token;
+}
+
+// Substituir operadores para Math.js, guardando a posição original de cada caractere
+// Demais identificadores mantêm a caixa, pois unidades diferenciam (N, Pa, MB...)
+function normalizeWithOffsets(expression) {
+  let text = '';
+  const offsets = [];
+  let last = 0;
+
+  const copy = (start, end) => {
+    for (let i = start; i < end; i++) offsets.push(i);
+    text += expression.slice(start, end);
+  };
+
+  expression.replace(NORMALIZATION_PATTERN, (token, index) => {
+    copy(last, index);
+    const replacement = normalizeToken(token);
+    for (let i = 0; i < replacement.length; i++) offsets.push(index + Math.min(i, token.length - 1));
+    text += replacement;
+    last = index + token.length;
+    return token;
+  });
+  copy(last, expression.length);
+  offsets.push(expression.length);
+
+  // Posição no texto original a partir da posição no texto normalizado
+  const toOriginal = offset => offsets[Math.max(0, Math.min(offset, offsets.length - 1))];
+  return { text, toOriginal };
+}
+
+function normalizeExpression(expression) {
+  return normalizeWithOffsets(expression).text;
+}
+
+// Contexto de validação: símbolos e funções conhecidos e contagem de nós
+function createContext(scope = {}, sandbox = defaultSandbox) {
+  return {
+    sandbox,
+    symbols: new Set([...ALLOWED_CONSTANTS, ...Object.keys(scope)]),
+    functions: new Set(),
+    nodeCount: 0
+  };
+}
+
+// Percorre a árvore validando cada nó contra a lista branca
+function validateNode(root, context = createContext()) {
+  const visit = (node, depth, path, parent, locals) => {
+    context.nodeCount++;
+
+    if (context.nodeCount > LIMITS.maxNodes) {
+      throw new SandboxError('TOO_MANY_NODES', `Expressão muito complexa (máximo ${LIMITS.maxNodes} nós)`, {
+        limit: LIMITS.maxNodes
+      });
+    }
+
+    if (depth > LIMITS.maxDepth) {
+      throw new SandboxError('TOO_DEEP', `Expressão muito aninhada (profundidade máxima ${LIMITS.maxDepth})`, {
+        limit: LIMITS.maxDepth
+      });
+    }
+
+    if (!ALLOWED_NODE_TYPES.has(node.type)) {
+      throw new SandboxError('NODE_NOT_ALLOWED', `Construção não permitida: ${node.type}`, {
+        nodeType: node.type
+      });
+    }
+
+    switch (node.type) {
+      case 'ConstantNode':
+        if (!isNumericValue(node.value)) {
+          throw new SandboxError('NODE_NOT_ALLOWED', 'Apenas constantes numéricas são permitidas', {
+            value: String(node.value)
+          });
+        }
+        if (Math.abs(Number(node.value)) > LIMITS.maxMagnitude) {
+          throw new SandboxError('MAGNITUDE_EXCEEDED', `Número muito grande (máximo ${LIMITS.maxMagnitude})`, {
+            value: Number(node.value),
+            limit: LIMITS.maxMagnitude
+          });
+        }
+        break;
+
+      case 'SymbolNode':
+        // Nome de função já validado pelo FunctionNode pai
+        if (parent && parent.type === 'FunctionNode' && path === 'fn') break;
+        // Expressões simbólicas aceitam variáveis livres (x, y, t...)
+        if (context.freeSymbols && IDENTIFIER_PATTERN.test(node.name)) break;
+        if (!context.symbols.has(node.name) && !locals.has(node.name) && !context.sandbox.math.Unit.isValuelessUnit(node.name)) {
+          throw new SandboxError('SYMBOL_NOT_ALLOWED', `Símbolo desconhecido: ${node.name}`, {
+            symbol: node.name
+          });
+        }
+        break;
+
+      case 'OperatorNode':
+        if (!(context.operators || ALLOWED_OPERATORS).has(node.fn)) {
+          throw new SandboxError('OPERATOR_NOT_ALLOWED', `Operador não permitido: ${node.op}`, {
+            operator: node.op
+          });
+        }
+        break;
+
+      case 'IndexNode':
+        // Acesso por ponto (a.b) permitiria ler propriedades internas
+        if (node.dotNotation) {
+          throw new SandboxError('NODE_NOT_ALLOWED', 'Acesso a propriedades não é permitido', {
+            nodeType: node.type
+          });
+        }
+        break;
+
+      case 'FunctionNode': {
+        const name = node.fn.name;
+        const known = ALLOWED_FUNCTIONS.has(name) || context.functions.has(name);
+        if (node.fn.type !== 'SymbolNode' || !known) {
+          throw new SandboxError('FUNCTION_NOT_ALLOWED', `Função não permitida: ${name || node.fn.toString()}`, {
+            function: name || node.fn.toString()
+          });
+        }
+        break;
+      }
+    }
+
+    // Apenas parênteses e chamadas de função contam como aninhamento
+    const nesting = NESTING_NODE_TYPES.has(node.type) ? depth + 1 : depth;
+    node.forEach((child, childPath) => visit(child, nesting, childPath, node, locals));
+  };
+
+  visit(root, 0, null, null, context.locals || new Set());
+  return context;
+}
+
+// Constantes numéricas nos tipos suportados pelos modos de avaliação
+function isNumericValue(value) {
+  return typeof value === 'number' || math.isBigNumber(value) || math.isFraction(value);
+}
+
+// Verifica se o nome pode receber atribuição do usuário
+function assertAssignableName(name) {
+  if (!IDENTIFIER_PATTERN.test(name) || ALLOWED_CONSTANTS.has(name) || ALLOWED_FUNCTIONS.has(name)) {
+    throw new SandboxError('INVALID_NAME', `Nome reservado ou inválido: ${name}`, { name });
+  }
+}
+
+const isValidScopeNumber = value =>
+  typeof value === 'number' && isFinite(value) && Math.abs(value) <= LIMITS.maxMagnitude;
+
+// Converte vetores/matrizes do escopo (arrays aninhados retangulares de números)
+function normalizeScopeMatrix(name, value, sandbox) {
+  let matrix;
+  try {
+    matrix = sandbox.math.matrix(value);
+  } catch (error) {
+    throw new SandboxError('INVALID_SCOPE', `Matriz inválida para a variável ${name}`, { name });
+  }
+
+  const elements = matrix.toArray().flat(Infinity);
+  if (elements.length === 0 || elements.length > LIMITS.maxMatrixElements || !elements.every(isValidScopeNumber)) {
+    throw new SandboxError('INVALID_SCOPE', `Matriz inválida para a variável ${name}`, {
+      name,
+      limit: LIMITS.maxMatrixElements
+    });
+  }
+
+  return matrix.map(element => sandbox.math.numeric(element, sandbox.math.config.number));
+}
+
+// Valida e normaliza o escopo de variáveis enviado pelo cliente
+function normalizeScope(scope, sandbox = defaultSandbox) {
+  if (scope === undefined || scope === null) return {};
+
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    throw new SandboxError('INVALID_SCOPE', 'Escopo deve ser um objeto { nome: valor }');
+  }
+
+  const entries = Object.entries(scope);
+  if (entries.length > LIMITS.maxScopeVariables) {
+    throw new SandboxError('INVALID_SCOPE', `Escopo com variáveis demais (máximo ${LIMITS.maxScopeVariables})`, {
+      limit: LIMITS.maxScopeVariables
+    });
+  }
+
+  return entries.reduce((normalized, [name, value]) => {
+    assertAssignableName(name);
+
+    if (Array.isArray(value)) {
+      normalized[name] = normalizeScopeMatrix(name, value, sandbox);
+      return normalized;
+    }
+
+    if (!isValidScopeNumber(value)) {
+      throw new SandboxError('INVALID_SCOPE', `Valor inválido para a variável ${name}`, { name });
+    }
+
+    // Converter para o tipo numérico do modo (BigNumber, Fraction)
+    normalized[name] = sandbox.math.numeric(value, sandbox.math.config.number);
+    return normalized;
+  }, {});
+}
+
+// Motivos dos erros de sintaxe do Math.js (mensagens em inglês), traduzidos pelo catálogo parse.*
+const PARSE_ERROR_REASONS = [
+  [/^Unexpected end of expression/, () => ({ reason: 'unexpected_end' })],
+  [/^Value expected/, () => ({ reason: 'value_expected' })],
+  [/^Parenthesis \) expected/, () => ({ reason: 'closing_expected', token: ')' })],
+  [/^End of matrix \] expected/, () => ({ reason: 'closing_expected', token: ']' })],
+  [/^(?:Unexpected part|Syntax error in part) "(.*)"/, ([, token]) => ({ reason: 'unexpected_part', token })],
+  [/^Unexpected operator (\S+)/, ([, token]) => ({ reason: 'unexpected_part', token })],
+  [/^Column dimensions mismatch/, () => ({ reason: 'dimension_mismatch' })]
+];
+
+function parseErrorReason(text) {
+  for (const [pattern, describe] of PARSE_ERROR_REASONS) {
+    const match = pattern.exec(text);
+    if (match) return describe(match);
+  }
+  return { reason: 'syntax' };
+}
+
+// Converte a expressão do usuário em árvore sintática sem validar
+function parseRaw(expression, sandbox) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new SandboxError('EMPTY_EXPRESSION', 'Expressão é obrigatória');
+  }
+
+  if (expression.length > LIMITS.maxLength) {
+    throw new SandboxError('EXPRESSION_TOO_LONG', `Expressão muito longa (máximo ${LIMITS.maxLength} caracteres)`, {
+      limit: LIMITS.maxLength
+    });
+  }
+
+  try {
+    return sandbox.parse(normalizeExpression(expression));
+  } catch (error) {
+    // Sem posição (erro fora do analisador) a mensagem original é mantida
+    throw new SandboxError('PARSE_ERROR', error.message, {
+      char: error.char,
+      ...(Number.isInteger(error.char) && parseErrorReason(error.message))
+    });
+  }
+}
+
+// Analisa e valida a expressão, retornando a árvore sintática
+function parseExpression(expression, context = createContext()) {
+  const node = parseRaw(expression, context.sandbox);
+  validateNode(node, context);
+  return node;
+}
+
+// Analisa um programa (instruções separadas por ";" ou quebra de linha)
+// operators substitui a lista de operadores liberados (ex.: operadores bit a bit no modo programador)
+function parseProgram(expression, scope = {}, sandbox = defaultSandbox, { operators } = {}) {
+  const root = parseRaw(expression, sandbox);
+  const context = createContext(scope, sandbox);
+  if (operators) context.operators = operators;
+  const statements = root.type === 'BlockNode' ? root.blocks.map(block => block.node) : [root];
+
+  if (statements.length > LIMITS.maxStatements) {
+    throw new SandboxError('TOO_MANY_STATEMENTS', `Instruções demais (máximo ${LIMITS.maxStatements})`, {
+      limit: LIMITS.maxStatements
+    });
+  }
+
+  statements.forEach(statement => {
+    context.nodeCount++;
+
+    switch (statement.type) {
+      case 'AssignmentNode':
+        if (statement.object.type !== 'SymbolNode' || statement.index) {
+          throw new SandboxError('NODE_NOT_ALLOWED', 'Apenas atribuição a variáveis simples é permitida');
+        }
+        assertAssignableName(statement.name);
+        validateNode(statement.value, context);
+        context.functions.delete(statement.name);
+        context.symbols.add(statement.name);
+        break;
+
+      case 'FunctionAssignmentNode':
+        assertAssignableName(statement.name);
+        statement.params.forEach(assertAssignableName);
+        // Parâmetros valem só no corpo; a própria função ainda não existe (sem recursão)
+        context.functions.delete(statement.name);
+        context.locals = new Set(statement.params);
+        validateNode(statement.expr, context);
+        context.locals = null;
+        context.functions.add(statement.name);
+        context.symbols.delete(statement.name);
+        break;
+
+      default:
+        validateNode(statement, context);
+    }
+  });
+
+  return { statements, context };
+}
+
+// Texto da árvore com constantes no formato decimal (Fraction imprimiria "1/1")
+function nodeToString(node) {
+  return node.toString({
+    handler: child => (child.type === 'ConstantNode' && math.isFraction(child.value)
+      ? math.format(child.value, { fraction: 'decimal' })
+      : undefined)
+  });
+}
+
+// Frações do Math.js guardam numerador e denominador em double: acima de 2^53 deixam de ser exatas
+function isExactFraction(value) {
+  return Number.isSafeInteger(value.n) && Number.isSafeInteger(value.d);
+}
+
+// Procura frações inexatas no resultado (inclusive em matrizes e decomposições)
+function hasInexactFraction(value) {
+  if (math.isFraction(value)) return !isExactFraction(value);
+  if (math.isMatrix(value)) return hasInexactFraction(value.toArray());
+  if (Array.isArray(value)) return value.some(hasInexactFraction);
+  if (isPlainObject(value)) return Object.values(value).some(hasInexactFraction);
+  return false;
+}
+
+// Procura BigNumbers com expoente acima do limite (inclusive em matrizes e decomposições)
+function exceedsBigExponent(value) {
+  if (math.isBigNumber(value)) return value.isFinite() && value.e > LIMITS.maxBigExponent;
+  if (math.isMatrix(value)) return exceedsBigExponent(value.toArray());
+  if (Array.isArray(value)) return value.some(exceedsBigExponent);
+  if (isPlainObject(value)) return Object.values(value).some(exceedsBigExponent);
+  return false;
+}
+
+// Executa a árvore já validada, padronizando erros de avaliação
+function run(node, scope, sandbox) {
+  let value;
+  try {
+    value = node.compile().evaluate(scope);
+  } catch (error) {
+    if (error instanceof SandboxError) throw error;
+    if (error instanceof RangeError) {
+      throw new SandboxError('EVALUATION_ERROR', 'Cálculo excedeu os limites de recursão');
+    }
+    // Funções sem assinatura para Fraction (sin, log...) falham na checagem de tipos do Math.js
+    if (sandbox.mode === 'fraction' && /Fraction/.test(error.message)) {
+      const [, name] = error.message.match(/in function (\w+)/) || [];
+      throw new SandboxError('UNSUPPORTED_IN_MODE', `Operação não suportada para frações no modo fraction${name ? `: ${name}` : ''}`, {
+        mode: sandbox.mode,
+        ...(name && { function: name })
+      });
+    }
+    throw new SandboxError('EVALUATION_ERROR', error.message);
+  }
+
+  if (sandbox.mode === 'fraction' && hasInexactFraction(value)) {
+    throw new SandboxError(
+      'UNSUPPORTED_IN_MODE',
+      `Resultado sem representação exata no modo fraction (numerador e denominador até ${Number.MAX_SAFE_INTEGER})`,
+      { mode: sandbox.mode, limit: Number.MAX_SAFE_INTEGER }
+    );
+  }
+
+  // O Decimal representa expoentes até 9e15: o limite vale antes de serializar os dígitos
+  if (sandbox.mode === 'bignumber' && exceedsBigExponent(value)) {
+    throw new SandboxError('RESULT_TOO_LARGE', `Resultado muito grande (máximo 1e${LIMITS.maxBigExponent})`, {
+      limit: `1e${LIMITS.maxBigExponent}`
+    });
+  }
+
+  // Operações entre matrizes (produto externo, kron...) também respeitam o limite
+  if (math.isMatrix(value) && value.size().reduce((count, dimension) => count * dimension, 1) > LIMITS.maxMatrixElements) {
+    throw new SandboxError('MATRIX_TOO_LARGE', `Matriz resultante muito grande (máximo ${LIMITS.maxMatrixElements} elementos)`, {
+      limit: LIMITS.maxMatrixElements
+    });
+  }
+
+  return value;
+}
+
+// Avalia uma árvore já validada (ex.: resultado de uma derivada) com o escopo do cliente
+function evaluateNode(node, scope = {}, options = {}) {
+  const sandbox = getSandbox(options);
+  const variables = normalizeScope(scope, sandbox);
+  return applyDomain(run(node, { ...variables }, sandbox), options.domain || 'real');
+}
+
+// Compila a expressão como função real de uma variável (integração, gráficos...)
+// Valores complexos viram NaN; resultados não escalares (unidades, matrizes) são erro
+function compileFunction(expression, variable = 'x', scope = {}) {
+  assertAssignableName(variable);
+
+  const variables = normalizeScope(scope, defaultSandbox);
+  const node = parseExpression(expression, createContext({ ...variables, [variable]: 0 }, defaultSandbox));
+  const code = node.compile();
+  const runtimeScope = { ...variables };
+
+  const evaluate = x => {
+    runtimeScope[variable] = x;
+
+    let value;
+    try {
+      value = code.evaluate(runtimeScope);
+    } catch (error) {
+      throw new SandboxError('EVALUATION_ERROR', error.message, { [variable]: x });
+    }
+
+    if (typeof value === 'number') return value;
+    if (math.isComplex(value)) {
+      return Math.abs(value.im) <= IMAGINARY_TOLERANCE * Math.max(1, Math.abs(value.re)) ? value.re : NaN;
+    }
+    throw new SandboxError('INVALID_RESULT', `A expressão deve resultar em um número real para cada valor de ${variable}`, {
+      [variable]: x
+    });
+  };
+
+  return { node, evaluate };
+}
+
+// Analisa, valida e avalia a expressão no sandbox
+function evaluateExpression(expression, scope = {}, options = {}) {
+  const sandbox = getSandbox(options);
+  const variables = normalizeScope(scope, sandbox);
+  const node = parseExpression(expression, createContext(variables, sandbox));
+
+  return { node, result: run(node, { ...variables }, sandbox) };
+}
+
+// Aplica o domínio pedido ao resultado final (inclusive elementos de matrizes)
+function applyDomain(value, domain) {
+  if (domain === 'complex') return value;
+
+  if (math.isMatrix(value)) return value.map(element => applyDomain(element, domain));
+  if (Array.isArray(value)) return value.map(element => applyDomain(element, domain));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, applyDomain(entry, domain)]));
+  }
+  if (!math.isComplex(value)) return value;
+
+  if (Math.abs(value.im) <= IMAGINARY_TOLERANCE * Math.max(1, Math.abs(value.re))) {
+    return value.re;
+  }
+
+  throw new SandboxError('COMPLEX_RESULT', 'Resultado complexo fora do domínio real', {
+    hint: 'complex_domain',
+    value: math.format(value, { precision: 10 })
+  });
+}
+
+// Objetos simples devolvidos por decomposições (eigs, lup, qr)
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Avalia um programa com variáveis e funções definidas pelo usuário
+function evaluateProgram(expression, scope = {}, options = {}) {
+  const domain = options.domain || 'real';
+  if (!DOMAINS.includes(domain)) {
+    throw new SandboxError('INVALID_DOMAIN', `Domínio inválido: ${domain}`, { available_domains: DOMAINS });
+  }
+
+  const sandbox = getSandbox(options);
+  const variables = normalizeScope(scope, sandbox);
+  const { statements } = parseProgram(expression, variables, sandbox);
+  const runtimeScope = { ...variables };
+  const assignments = [];
+  let result;
+
+  statements.forEach(statement => {
+    const value = run(statement, runtimeScope, sandbox);
+
+    if (statement.type === 'FunctionAssignmentNode') {
+      assignments.push({
+        type: 'function',
+        name: statement.name,
+        params: statement.params,
+        definition: nodeToString(statement)
+      });
+      return;
+    }
+
+    if (statement.type === 'AssignmentNode') {
+      assignments.push({
+        type: 'variable',
+        name: statement.name,
+        definition: nodeToString(statement),
+        value
+      });
+    }
+
+    result = value;
+  });
+
+  if (result === undefined) {
+    throw new SandboxError('NO_RESULT', 'O programa não produz nenhum valor (apenas definições de funções)');
+  }
+
+  return {
+    statements,
+    result: applyDomain(result, domain),
+    assignments,
+    mode: sandbox.mode,
+    precision: sandbox.precision,
+    domain
+  };
+}
+
+module.exports = {
+  math,
+  LIMITS,
+  FUNCTION_CATEGORIES,
+  ALLOWED_FUNCTIONS,
+  ALLOWED_OPERATORS,
+  ALLOWED_CONSTANTS,
+  MODES,
+  DOMAINS,
+  SandboxError,
+  getSandbox,
+  normalizeExpression,
+  normalizeWithOffsets,
+  normalizeScope,
+  createContext,
+  validateNode,
+  parseExpression,
+  parseProgram,
+  nodeToString,
+  isPlainObject,
+  isExactFraction,
+  evaluateNode,
+  evaluateExpression,
+  compileFunction,
+  evaluateProgram
+};
@@ -0,0 +1,223 @@
+const { ALLOWED_CONSTANTS, getSandbox, normalizeScope } = require('./engine');
+const { serializeResult } = require('./result');
+
+// Regra aplicada em cada redução (chave do catálogo explain.*)
+const OPERATOR_RULES = {
+  pow: 'exponent',
+  dotPow: 'exponent',
+  factorial: 'factorial',
+  unaryMinus: 'sign',
+  unaryPlus: 'sign',
+  multiply: 'multiplication',
+  dotMultiply: 'multiplication',
+  divide: 'division',
+  dotDivide: 'division',
+  mod: 'modulo',
+  add: 'addition',
+  subtract: 'subtraction',
+  to: 'conversion',
+  ctranspose: 'transpose'
+};
+
+// Marcadores que delimitam a subexpressão reduzida no texto (removidos da resposta)
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+// Valores exibidos sem parênteses dentro de uma expressão
+const PLAIN_NUMBER = /^\d+(\.\d+)?(e[+-]?\d+)?$/;
+
+// Filhos avaliáveis de um nó (o nome da função em FunctionNode não conta)
+function childrenOf(node) {
+  const children = [];
+  node.forEach((child, path) => {
+    if (path !== 'fn') children.push({ child, path });
+  });
+  return children;
+}
+
+// Substitui um filho mantendo a identidade dos demais nós ("args[1]", "content"...)
+function replaceChild(parent, path, replacement) {
+  const match = path.match(/^(\w+)\[(\d+)\]$/);
+  if (match) parent[match[1]][Number(match[2])] = replacement;
+  else parent[path] = replacement;
+}
+
+function createExplainer(sandbox, scope, precision) {
+  const { math } = sandbox;
+  // Texto de exibição dos nós já reduzidos
+  const reduced = new Map();
+
+  // Variáveis e constantes são substituídas; unidades (km, N) já são valores
+  const isSubstitutable = node => node.type === 'SymbolNode' && Object.prototype.hasOwnProperty.call(scope, node.name);
+
+  // Expressões só de unidades (m/s em "to m/s") são valores, não contas
+  const isUnitExpression = node => {
+    if (node.type === 'SymbolNode') return !isSubstitutable(node);
+    if (node.type === 'ParenthesisNode') return isUnitExpression(node.content);
+    return node.type === 'OperatorNode' && node.args.every(isUnitExpression);
+  };
+
+  const isValue = node => {
+    if (node.type === 'ConstantNode' || isUnitExpression(node)) return true;
+    if (node.type === 'ParenthesisNode') return isValue(node.content);
+    // Número negativo digitado (-3) não é uma operação a explicar
+    if (node.type === 'OperatorNode' && node.fn === 'unaryMinus') return node.args[0].type === 'ConstantNode';
+    // Matrizes literais e índices só de valores não geram passo próprio
+    if (node.type === 'ArrayNode' || node.type === 'IndexNode') return childrenOf(node).every(({ child }) => isValue(child));
+    return false;
+  };
+
+  // Próxima redução: primeiro nó, da esquerda para a direita e de dentro para fora, cujos operandos já são valores
+  // A árvore do parser já codifica a precedência (2 + 3 * 4 é add(2, multiply(3, 4)))
+  const findNext = (node, parent = null, path = null) => {
+    if (isValue(node)) return null;
+
+    for (const { child, path: childPath } of childrenOf(node)) {
+      const found = findNext(child, node, childPath);
+      if (found) return found;
+    }
+
+    if (node.type === 'ParenthesisNode') return null;
+    return { node, parent, path };
+  };
+
+  // Nós reduzidos usam o valor formatado; frações do modo fraction aparecem em decimal
+  const displayOf = node => {
+    if (reduced.has(node)) return reduced.get(node);
+    if (node.type === 'ConstantNode' && math.isFraction(node.value)) return math.format(node.value, { fraction: 'decimal' });
+    return undefined;
+  };
+
+  const ruleOf = node => {
+    if (node.type === 'SymbolNode') return 'substitution';
+    if (node.type === 'FunctionNode') return 'function';
+    if (node.type === 'AccessorNode') return 'index';
+    return OPERATOR_RULES[node.fn] || 'operation';
+  };
+
+  const toText = (root, target) => {
+    let marked = target;
+    const text = root.toString({
+      implicit: 'show',
+      handler: (node, options) => {
+        if (node === marked) {
+          marked = null;
+          const inner = node.toString(options);
+          marked = target;
+          return `${MARK_START}${inner}${MARK_END}`;
+        }
+        return displayOf(node);
+      }
+    });
+    return text;
+  };
+
+  const highlightOf = marked => {
+    const offset = marked.indexOf(MARK_START);
+    const end = marked.indexOf(MARK_END);
+    return {
+      expression: marked.replace(MARK_START, '').replace(MARK_END, ''),
+      highlight: { offset, length: end - offset - 1, text: marked.slice(offset + 1, end) }
+    };
+  };
+
+  // Reduz a instrução passo a passo até restar um único valor
+  function explainStatement(statement, statementIndex, steps) {
+    let root = statement;
+
+    for (let found = findNext(root); found; found = findNext(root)) {
+      const { node, path } = found;
+      // Parênteses em volta de um valor desaparecem junto com a redução
+      let target = node;
+      let { parent } = found;
+      let targetPath = path;
+      while (parent && parent.type === 'ParenthesisNode') {
+        target = parent;
+        const outer = findParent(root, parent);
+        parent = outer && outer.parent;
+        targetPath = outer && outer.path;
+      }
+
+      const value = node.compile().evaluate(scope);
+      const { formatted } = serializeResult(value, { precision });
+      const replacement = new math.ConstantNode(value);
+      reduced.set(replacement, needsParentheses(formatted, parent, targetPath) ? `(${formatted})` : formatted);
+
+      const before = highlightOf(toText(root, target));
+      if (parent) replaceChild(parent, targetPath, replacement);
+      else root = replacement;
+
+      steps.push({
+        step: steps.length + 1,
+        statement: statementIndex,
+        rule: ruleOf(node),
+        operation: node.toString({ implicit: 'show', handler: displayOf }),
+        ...before,
+        result: formatted,
+        after: toText(root, null)
+      });
+    }
+
+    return root;
+  }
+
+  return { explainStatement, toText };
+}
+
+// Valores que não são números simples (-4, 1/3, 2i, 5 km) ficam entre parênteses dentro de operações,
+// exceto como primeiro termo de uma soma ou subtração (-4 + 6)
+function needsParentheses(formatted, parent, path) {
+  if (!parent || PLAIN_NUMBER.test(formatted)) return false;
+  if (parent.type !== 'OperatorNode' && parent.type !== 'AccessorNode') return false;
+  return !(['add', 'subtract'].includes(parent.fn) && path === 'args[0]' && /^-?[\d.e+]+$/.test(formatted));
+}
+
+// Pai e caminho de um nó dentro da árvore
+function findParent(root, target) {
+  let result = null;
+  root.traverse((node, path, parent) => {
+    if (node === target && !result) result = { parent, path };
+  });
+  return result;
+}
+
+// Passos da avaliação das instruções já validadas por evaluateProgram
+// Definições de função não geram passos; atribuições são reduzidas e entram no escopo
+function explainProgram(statements, scope = {}, options = {}) {
+  const sandbox = getSandbox(options);
+  const runtimeScope = {
+    ...Object.fromEntries([...ALLOWED_CONSTANTS].map(name => [name, sandbox.math[name]])),
+    ...normalizeScope(scope, sandbox)
+  };
+  const precision = options.mode === 'bignumber' ? sandbox.precision : 10;
+  const steps = [];
+  const chains = [];
+
+  statements.forEach((original, index) => {
+    const statement = original.cloneDeep();
+
+    if (statement.type === 'FunctionAssignmentNode') {
+      statement.compile().evaluate(runtimeScope);
+      return;
+    }
+
+    const target = statement.type === 'AssignmentNode' ? statement.value : statement;
+    const explainer = createExplainer(sandbox, runtimeScope, precision);
+    const first = steps.length;
+    const start = explainer.toText(target, null);
+    const reducedRoot = explainer.explainStatement(target, index, steps);
+    const value = reducedRoot.compile().evaluate(runtimeScope);
+
+    if (statement.type === 'AssignmentNode') runtimeScope[statement.name] = value;
+
+    // Resumo no formato "2 + 3 * 4 → 2 + 12 → 14" (atribuições com o nome: "a = 2 * 3 → 6")
+    const chain = [start, ...steps.slice(first).map(step => step.after)].join(' → ');
+    chains.push(statement.type === 'AssignmentNode' ? `${statement.name} = ${chain}` : chain);
+  });
+
+  return { steps, summary: chains.join('; ') };
+}
+
+module.exports = {
+  explainProgram
+};
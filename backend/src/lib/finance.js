@@ -0,0 +1,352 @@
+const { SandboxError } = require('./engine');
+const { brentRoot, findBrackets } = require('./roots');
+
+// Limites dos cálculos financeiros
+const FINANCE_LIMITS = {
+  maxPeriods: 1200,
+  maxCashFlows: 1200,
+  defaultDecimals: 2,
+  maxDecimals: 10,
+  irrTolerance: 1e-12,
+  defaultIrrGuess: 0.1
+};
+
+const INTEREST_TYPES = ['simple', 'compound'];
+const AMORTIZATION_SYSTEMS = ['price', 'sac'];
+const PAYMENT_TIMINGS = ['end', 'begin'];
+const RATE_KINDS = ['nominal', 'effective', 'periodic'];
+
+// Taxas da grade de busca da TIR: densa perto de zero e esparsa nas taxas extremas
+const IRR_GRID = [
+  -0.999, -0.99, -0.95,
+  ...Array.from({ length: 190 }, (_, index) => -0.9 + index * 0.01),
+  1.25, 1.5, 2, 3, 5, 10, 20, 50, 100, 1000
+];
+
+// Arredondamento de valores monetários (sem -0)
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round((value + Math.sign(value) * Number.EPSILON * Math.abs(value)) * factor) / factor || 0;
+};
+
+// Números das fórmulas substituídas (até 10 casas, sem zeros à direita)
+const show = value => String(roundTo(value, 10));
+
+function assertRate(rate, name = 'rate') {
+  if (!Number.isFinite(rate) || rate <= -1) {
+    throw new SandboxError('INVALID_RATE', `Taxa inválida em ${name} (use decimal maior que -1, ex.: 0.01 para 1%)`, { name });
+  }
+}
+
+// (1 + i)^n, base de quase todas as fórmulas
+const growth = (rate, periods) => (1 + rate) ** periods;
+
+// Juros simples: J = C × i × n e M = C × (1 + i × n)
+function simpleInterest({ principal, rate, periods, decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  const interest = principal * rate * periods;
+  const amount = principal + interest;
+
+  const table = Array.from({ length: periods }, (_, index) => ({
+    period: index + 1,
+    interest: roundTo(principal * rate, decimals),
+    accumulatedInterest: roundTo(principal * rate * (index + 1), decimals),
+    balance: roundTo(principal * (1 + rate * (index + 1)), decimals)
+  }));
+
+  return {
+    type: 'simple',
+    amount: roundTo(amount, decimals),
+    interest: roundTo(interest, decimals),
+    formula: 'M = C × (1 + i × n)',
+    calculation: `${show(principal)} × (1 + ${show(rate)} × ${periods}) = ${show(roundTo(amount, decimals))}`,
+    table
+  };
+}
+
+// Juros compostos: M = C × (1 + i)^n, juros calculados sobre o saldo de cada período
+function compoundInterest({ principal, rate, periods, decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  const amount = principal * growth(rate, periods);
+
+  const table = Array.from({ length: periods }, (_, index) => {
+    const opening = principal * growth(rate, index);
+    return {
+      period: index + 1,
+      interest: roundTo(opening * rate, decimals),
+      accumulatedInterest: roundTo(opening * (1 + rate) - principal, decimals),
+      balance: roundTo(opening * (1 + rate), decimals)
+    };
+  });
+
+  return {
+    type: 'compound',
+    amount: roundTo(amount, decimals),
+    interest: roundTo(amount - principal, decimals),
+    formula: 'M = C × (1 + i)^n',
+    calculation: `${show(principal)} × (1 + ${show(rate)})^${periods} = ${show(roundTo(amount, decimals))}`,
+    table
+  };
+}
+
+// Fator da série uniforme de pagamentos (antecipada quando timing = begin)
+function annuityFactors(rate, periods, timing) {
+  const due = timing === 'begin' ? 1 + rate : 1;
+  if (rate === 0) return { future: periods, present: periods };
+  return {
+    future: (growth(rate, periods) - 1) / rate * due,
+    present: (1 - growth(rate, -periods)) / rate * due
+  };
+}
+
+// VF = VP × (1 + i)^n + PMT × [(1 + i)^n − 1] / i
+function futureValue({ presentValue = 0, payment = 0, rate, periods, timing = 'end', decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  const factors = annuityFactors(rate, periods, timing);
+  const value = presentValue * growth(rate, periods) + payment * factors.future;
+
+  // Evolução do saldo: depósito no início ou no fim de cada período
+  let balance = presentValue;
+  const table = Array.from({ length: periods }, (_, index) => {
+    const opening = balance;
+    const deposit = payment;
+    const interest = (timing === 'begin' ? opening + deposit : opening) * rate;
+    balance = opening + deposit + interest;
+    return {
+      period: index + 1,
+      opening: roundTo(opening, decimals),
+      payment: roundTo(deposit, decimals),
+      interest: roundTo(interest, decimals),
+      balance: roundTo(balance, decimals)
+    };
+  });
+
+  // Sem juros a série uniforme é a soma simples dos pagamentos
+  const annuity = rate === 0 ? 'PMT × n' : timing === 'begin' ? 'PMT × [(1 + i)^n − 1] / i × (1 + i)' : 'PMT × [(1 + i)^n − 1] / i';
+  return {
+    futureValue: roundTo(value, decimals),
+    formula: payment === 0 ? 'VF = VP × (1 + i)^n' : `VF = VP × (1 + i)^n + ${annuity}`,
+    calculation: `${show(presentValue)} × (1 + ${show(rate)})^${periods}` +
+      (payment === 0 ? '' : ` + ${show(payment)} × ${show(factors.future)}`) +
+      ` = ${show(roundTo(value, decimals))}`,
+    totalPayments: roundTo(payment * periods, decimals),
+    totalInterest: roundTo(value - presentValue - payment * periods, decimals),
+    table
+  };
+}
+
+// VP = VF / (1 + i)^n + PMT × [1 − (1 + i)^−n] / i
+function presentValue({ futureValue: future = 0, payment = 0, rate, periods, timing = 'end', decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  const factors = annuityFactors(rate, periods, timing);
+  const value = future / growth(rate, periods) + payment * factors.present;
+
+  // Cada fluxo descontado até a data zero (pagamentos antecipados ocorrem em 0..n−1)
+  const offset = timing === 'begin' ? 0 : 1;
+  const table = Array.from({ length: periods + 1 }, (_, period) => {
+    const cashFlow = (period - offset >= 0 && period - offset < periods ? payment : 0) + (period === periods ? future : 0);
+    const discountFactor = growth(rate, -period);
+    return {
+      period,
+      cashFlow: roundTo(cashFlow, decimals),
+      discountFactor: roundTo(discountFactor, 10),
+      presentValue: roundTo(cashFlow * discountFactor, decimals)
+    };
+  }).filter(row => row.cashFlow !== 0);
+
+  const annuity = rate === 0 ? 'PMT × n' : timing === 'begin' ? 'PMT × [1 − (1 + i)^−n] / i × (1 + i)' : 'PMT × [1 − (1 + i)^−n] / i';
+  return {
+    presentValue: roundTo(value, decimals),
+    formula: payment === 0 ? 'VP = VF / (1 + i)^n' : `VP = VF / (1 + i)^n + ${annuity}`,
+    calculation: `${show(future)} / (1 + ${show(rate)})^${periods}` +
+      (payment === 0 ? '' : ` + ${show(payment)} × ${show(factors.present)}`) +
+      ` = ${show(roundTo(value, decimals))}`,
+    table
+  };
+}
+
+// Tabela de amortização: Price (prestações iguais) ou SAC (amortizações iguais)
+function amortize({ principal, rate, periods, system = 'price', decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  const price = system === 'price';
+  const installment = rate === 0 ? principal / periods : principal * rate / (1 - growth(rate, -periods));
+  const constantAmortization = principal / periods;
+
+  let balance = principal;
+  const totals = { payment: 0, interest: 0, amortization: 0 };
+  const schedule = [{ period: 0, payment: 0, interest: 0, amortization: 0, balance: roundTo(principal, decimals) }];
+
+  for (let period = 1; period <= periods; period++) {
+    const interest = balance * rate;
+    const amortization = price ? installment - interest : constantAmortization;
+    const payment = price ? installment : amortization + interest;
+    balance -= amortization;
+
+    totals.payment += payment;
+    totals.interest += interest;
+    totals.amortization += amortization;
+    schedule.push({
+      period,
+      payment: roundTo(payment, decimals),
+      interest: roundTo(interest, decimals),
+      amortization: roundTo(amortization, decimals),
+      // Resíduo de ponto flutuante no último período
+      balance: period === periods ? 0 : roundTo(balance, decimals)
+    });
+  }
+
+  // Com taxa zero a prestação é só o principal dividido pelo prazo
+  const priceFormula = rate === 0
+    ? {
+      formula: 'PMT = PV / n',
+      calculation: `${show(principal)} / ${periods} = ${show(roundTo(installment, decimals))}`
+    }
+    : {
+      formula: 'PMT = PV × i / [1 − (1 + i)^−n]',
+      calculation: `${show(principal)} × ${show(rate)} / [1 − (1 + ${show(rate)})^−${periods}] = ${show(roundTo(installment, decimals))}`
+    };
+
+  return {
+    system,
+    ...(price
+      ? { payment: roundTo(installment, decimals), ...priceFormula }
+      : {
+        amortization: roundTo(constantAmortization, decimals),
+        firstPayment: schedule[1].payment,
+        lastPayment: schedule[periods].payment,
+        formula: 'A = PV / n; Jₖ = Sₖ₋₁ × i; PMTₖ = A + Jₖ',
+        calculation: `${show(principal)} / ${periods} = ${show(roundTo(constantAmortization, decimals))}`
+      }),
+    totals: {
+      payment: roundTo(totals.payment, decimals),
+      interest: roundTo(totals.interest, decimals),
+      amortization: roundTo(totals.amortization, decimals)
+    },
+    schedule
+  };
+}
+
+// Soma dos fluxos descontados: VPL = Σ CFₜ / (1 + i)^t, com t = 0 no primeiro fluxo
+const discountedSum = (cashFlows, rate) =>
+  cashFlows.reduce((sum, cashFlow, period) => sum + cashFlow / growth(rate, period), 0);
+
+function netPresentValue({ rate, cashFlows, decimals = FINANCE_LIMITS.defaultDecimals }) {
+  assertRate(rate);
+  let cumulative = 0;
+  let payback = null;
+
+  const table = cashFlows.map((cashFlow, period) => {
+    const discountFactor = growth(rate, -period);
+    const value = cashFlow * discountFactor;
+    const before = cumulative;
+    cumulative += value;
+    // Payback descontado: primeiro período em que o acumulado deixa de ser negativo
+    if (payback === null && before < 0 && cumulative >= 0) payback = period;
+    return {
+      period,
+      cashFlow: roundTo(cashFlow, decimals),
+      discountFactor: roundTo(discountFactor, 10),
+      presentValue: roundTo(value, decimals),
+      cumulative: roundTo(cumulative, decimals)
+    };
+  });
+
+  return {
+    npv: roundTo(cumulative, decimals),
+    formula: 'VPL = Σ CFₜ / (1 + i)^t',
+    calculation: `${cashFlows.map((cashFlow, period) => `${show(cashFlow)} / (1 + ${show(rate)})^${period}`).join(' + ')} = ${show(roundTo(cumulative, decimals))}`,
+    discountedPayback: payback,
+    table
+  };
+}
+
+// Trocas de sinal na sequência de fluxos: limite superior do número de TIRs (regra de Descartes)
+const signChanges = cashFlows => cashFlows
+  .filter(cashFlow => cashFlow !== 0)
+  .reduce((count, cashFlow, index, flows) => count + (index > 0 && Math.sign(cashFlow) !== Math.sign(flows[index - 1]) ? 1 : 0), 0);
+
+// TIR: todas as raízes do VPL em (−1, ∞) separadas na grade e refinadas pelo método de Brent
+// Quando há mais de uma, vale a mais próxima da estimativa (guess)
+function internalRateOfReturn({ cashFlows, guess = FINANCE_LIMITS.defaultIrrGuess, decimals = FINANCE_LIMITS.defaultDecimals }) {
+  const changes = signChanges(cashFlows);
+  if (changes === 0) {
+    throw new SandboxError('INVALID_CASH_FLOWS', 'Os fluxos de caixa precisam ter ao menos um valor positivo e um negativo', {});
+  }
+
+  const npv = rate => discountedSum(cashFlows, rate);
+  const found = findBrackets(npv, IRR_GRID)
+    .map(([lower, upper]) => brentRoot(npv, lower, upper, { tolerance: FINANCE_LIMITS.irrTolerance }))
+    .filter(result => result && result.converged);
+
+  const roots = found
+    .sort((a, b) => a.root - b.root)
+    .filter((result, index, list) => index === 0 || Math.abs(result.root - list[index - 1].root) > 1e-9);
+
+  if (roots.length === 0) {
+    throw new SandboxError('IRR_NOT_FOUND', 'Nenhuma TIR encontrada entre -99,9% e 100000%', {});
+  }
+
+  const best = roots.reduce((closest, result) =>
+    (Math.abs(result.root - guess) < Math.abs(closest.root - guess) ? result : closest));
+  const { table } = netPresentValue({ rate: best.root, cashFlows, decimals });
+
+  return {
+    irr: roundTo(best.root, 12),
+    npvAtIrr: best.value,
+    iterations: best.iterations,
+    method: 'brent',
+    roots: roots.map(result => roundTo(result.root, 12)),
+    signChanges: changes,
+    formula: 'Σ CFₜ / (1 + TIR)^t = 0',
+    table
+  };
+}
+
+// Conversão de taxas para um ano com m capitalizações
+// nominal j: i = j / m; efetiva anual ie: i = (1 + ie)^(1/m) − 1; periódica: a própria i
+function convertRate({ rate, from, periodsPerYear }) {
+  assertRate(from === 'nominal' ? rate / periodsPerYear : rate);
+  const m = periodsPerYear;
+  const periodic = {
+    nominal: rate / m,
+    effective: growth(rate, 1 / m) - 1,
+    periodic: rate
+  }[from];
+  const effective = growth(periodic, m) - 1;
+
+  const formulas = {
+    nominal: { formula: 'ie = (1 + j / m)^m − 1', calculation: `(1 + ${show(rate)} / ${m})^${m} − 1 = ${show(effective)}` },
+    effective: { formula: 'i = (1 + ie)^(1/m) − 1; j = i × m', calculation: `(1 + ${show(rate)})^(1/${m}) − 1 = ${show(periodic)}` },
+    periodic: { formula: 'ie = (1 + i)^m − 1; j = i × m', calculation: `(1 + ${show(rate)})^${m} − 1 = ${show(effective)}` }
+  };
+
+  return {
+    periodic: roundTo(periodic, 10),
+    nominal: roundTo(periodic * m, 10),
+    effective: roundTo(effective, 10),
+    // Capitalização contínua equivalente
+    continuous: roundTo(Math.log1p(effective), 10),
+    ...formulas[from],
+    table: Array.from({ length: m }, (_, index) => ({
+      period: index + 1,
+      factor: roundTo(growth(periodic, index + 1), 10),
+      accumulatedRate: roundTo(growth(periodic, index + 1) - 1, 10)
+    }))
+  };
+}
+
+module.exports = {
+  FINANCE_LIMITS,
+  INTEREST_TYPES,
+  AMORTIZATION_SYSTEMS,
+  PAYMENT_TIMINGS,
+  RATE_KINDS,
+  simpleInterest,
+  compoundInterest,
+  futureValue,
+  presentValue,
+  amortize,
+  netPresentValue,
+  internalRateOfReturn,
+  convertRate
+};
@@ -0,0 +1,651 @@
+const { getSandbox, SandboxError } = require('./engine');
+const { brentRoot, findBrackets } = require('./roots');
+
+const sandbox = getSandbox();
+const { math } = sandbox;
+const { OperatorNode, FunctionNode, ConstantNode, SymbolNode } = math;
+
+// Limites da resolução numérica
+const FORMULA_LIMITS = {
+  maxRoots: 10,
+  tolerance: 1e-12
+};
+
+// Grade da busca numérica: 0 e ±10^k de 1e-12 a 1e12 (quatro pontos por década)
+const SEARCH_GRID = (() => {
+  const magnitudes = Array.from({ length: 97 }, (_, index) => 10 ** (-12 + index / 4));
+  return [...magnitudes.map(value => -value).reverse(), 0, ...magnitudes];
+})();
+
+// Biblioteca de fórmulas: variáveis em unidades do SI (unidade null = adimensional)
+// default: constantes físicas e valores usuais, usados quando o cliente não informa a variável
+const FORMULAS = [
+  {
+    id: 'uniform-acceleration-velocity',
+    name: 'Velocidade no MUV',
+    category: 'kinematics',
+    description: 'Velocidade final de um corpo com aceleração constante',
+    equation: 'v = v0 + a * t',
+    variables: {
+      v: { description: 'Velocidade final', unit: 'm/s' },
+      v0: { description: 'Velocidade inicial', unit: 'm/s' },
+      a: { description: 'Aceleração', unit: 'm/s^2' },
+      t: { description: 'Tempo', unit: 's' }
+    },
+    tags: ['muv', 'velocidade', 'aceleração']
+  },
+  {
+    id: 'uniform-acceleration-displacement',
+    name: 'Função horária do espaço no MUV',
+    category: 'kinematics',
+    description: 'Deslocamento de um corpo com aceleração constante',
+    equation: 's = v0 * t + a * t^2 / 2',
+    variables: {
+      s: { description: 'Deslocamento', unit: 'm' },
+      v0: { description: 'Velocidade inicial', unit: 'm/s' },
+      a: { description: 'Aceleração', unit: 'm/s^2' },
+      t: { description: 'Tempo', unit: 's' }
+    },
+    tags: ['muv', 'deslocamento', 'posição']
+  },
+  {
+    id: 'torricelli',
+    name: 'Equação de Torricelli',
+    category: 'kinematics',
+    description: 'Relaciona velocidades e deslocamento sem depender do tempo',
+    equation: 'v^2 = v0^2 + 2 * a * s',
+    variables: {
+      v: { description: 'Velocidade final', unit: 'm/s' },
+      v0: { description: 'Velocidade inicial', unit: 'm/s' },
+      a: { description: 'Aceleração', unit: 'm/s^2' },
+      s: { description: 'Deslocamento', unit: 'm' }
+    },
+    tags: ['muv', 'velocidade']
+  },
+  {
+    id: 'average-speed',
+    name: 'Velocidade média',
+    category: 'kinematics',
+    description: 'Distância percorrida dividida pelo tempo',
+    equation: 'v = d / t',
+    variables: {
+      v: { description: 'Velocidade média', unit: 'm/s' },
+      d: { description: 'Distância', unit: 'm' },
+      t: { description: 'Tempo', unit: 's' }
+    },
+    tags: ['velocidade', 'distância']
+  },
+  {
+    id: 'projectile-range',
+    name: 'Alcance do lançamento oblíquo',
+    category: 'projectile',
+    description: 'Alcance horizontal de um projétil lançado e recebido na mesma altura, sem resistência do ar',
+    equation: 'R = v0^2 * sin(2 * theta) / g',
+    variables: {
+      R: { description: 'Alcance horizontal', unit: 'm' },
+      v0: { description: 'Velocidade de lançamento', unit: 'm/s' },
+      theta: { description: 'Ângulo de lançamento', unit: 'rad' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 }
+    },
+    tags: ['projétil', 'lançamento', 'alcance']
+  },
+  {
+    id: 'projectile-max-height',
+    name: 'Altura máxima do lançamento oblíquo',
+    category: 'projectile',
+    description: 'Altura máxima atingida por um projétil sem resistência do ar',
+    equation: 'H = v0^2 * sin(theta)^2 / (2 * g)',
+    variables: {
+      H: { description: 'Altura máxima', unit: 'm' },
+      v0: { description: 'Velocidade de lançamento', unit: 'm/s' },
+      theta: { description: 'Ângulo de lançamento', unit: 'rad' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 }
+    },
+    tags: ['projétil', 'lançamento', 'altura']
+  },
+  {
+    id: 'projectile-flight-time',
+    name: 'Tempo de voo do lançamento oblíquo',
+    category: 'projectile',
+    description: 'Tempo até o projétil voltar à altura de lançamento',
+    equation: 'T = 2 * v0 * sin(theta) / g',
+    variables: {
+      T: { description: 'Tempo de voo', unit: 's' },
+      v0: { description: 'Velocidade de lançamento', unit: 'm/s' },
+      theta: { description: 'Ângulo de lançamento', unit: 'rad' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 }
+    },
+    tags: ['projétil', 'lançamento', 'tempo']
+  },
+  {
+    id: 'newton-second-law',
+    name: 'Segunda lei de Newton',
+    category: 'dynamics',
+    description: 'Força resultante sobre um corpo de massa constante',
+    equation: 'F = m * a',
+    variables: {
+      F: { description: 'Força resultante', unit: 'N' },
+      m: { description: 'Massa', unit: 'kg' },
+      a: { description: 'Aceleração', unit: 'm/s^2' }
+    },
+    tags: ['força', 'newton']
+  },
+  {
+    id: 'hooke-law',
+    name: 'Lei de Hooke',
+    category: 'dynamics',
+    description: 'Força elástica de uma mola deformada',
+    equation: 'F = k * x',
+    variables: {
+      F: { description: 'Força elástica', unit: 'N' },
+      k: { description: 'Constante elástica', unit: 'N/m' },
+      x: { description: 'Deformação', unit: 'm' }
+    },
+    tags: ['mola', 'elasticidade']
+  },
+  {
+    id: 'universal-gravitation',
+    name: 'Lei da gravitação universal',
+    category: 'dynamics',
+    description: 'Atração gravitacional entre duas massas',
+    equation: 'F = G * m1 * m2 / r^2',
+    variables: {
+      F: { description: 'Força gravitacional', unit: 'N' },
+      G: { description: 'Constante gravitacional', unit: 'N m^2/kg^2', default: 6.6743e-11 },
+      m1: { description: 'Massa do primeiro corpo', unit: 'kg' },
+      m2: { description: 'Massa do segundo corpo', unit: 'kg' },
+      r: { description: 'Distância entre os centros', unit: 'm' }
+    },
+    tags: ['gravidade', 'newton']
+  },
+  {
+    id: 'kinetic-energy',
+    name: 'Energia cinética',
+    category: 'energy',
+    description: 'Energia associada ao movimento de translação',
+    equation: 'K = m * v^2 / 2',
+    variables: {
+      K: { description: 'Energia cinética', unit: 'J' },
+      m: { description: 'Massa', unit: 'kg' },
+      v: { description: 'Velocidade', unit: 'm/s' }
+    },
+    tags: ['energia', 'trabalho']
+  },
+  {
+    id: 'gravitational-potential-energy',
+    name: 'Energia potencial gravitacional',
+    category: 'energy',
+    description: 'Energia de um corpo a uma altura h perto da superfície',
+    equation: 'U = m * g * h',
+    variables: {
+      U: { description: 'Energia potencial', unit: 'J' },
+      m: { description: 'Massa', unit: 'kg' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 },
+      h: { description: 'Altura', unit: 'm' }
+    },
+    tags: ['energia', 'gravidade']
+  },
+  {
+    id: 'mass-energy',
+    name: 'Equivalência massa-energia',
+    category: 'energy',
+    description: 'Energia de repouso de uma massa',
+    equation: 'En = m * c^2',
+    variables: {
+      En: { description: 'Energia de repouso', unit: 'J' },
+      m: { description: 'Massa', unit: 'kg' },
+      c: { description: 'Velocidade da luz no vácuo', unit: 'm/s', default: 299792458 }
+    },
+    tags: ['relatividade', 'einstein', 'energia']
+  },
+  {
+    id: 'simple-pendulum',
+    name: 'Período do pêndulo simples',
+    category: 'oscillations',
+    description: 'Período de oscilação para pequenas amplitudes',
+    equation: 'T = 2 * pi * sqrt(L / g)',
+    variables: {
+      T: { description: 'Período', unit: 's' },
+      L: { description: 'Comprimento do fio', unit: 'm' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 }
+    },
+    tags: ['pêndulo', 'período', 'oscilação']
+  },
+  {
+    id: 'wave-speed',
+    name: 'Equação fundamental da ondulatória',
+    category: 'waves',
+    description: 'Velocidade de propagação de uma onda',
+    equation: 'v = f * lambda',
+    variables: {
+      v: { description: 'Velocidade da onda', unit: 'm/s' },
+      f: { description: 'Frequência', unit: 'Hz' },
+      lambda: { description: 'Comprimento de onda', unit: 'm' }
+    },
+    tags: ['onda', 'frequência']
+  },
+  {
+    id: 'ohm-law',
+    name: 'Lei de Ohm',
+    category: 'electricity',
+    description: 'Tensão em um resistor ôhmico',
+    equation: 'V = I * R',
+    variables: {
+      V: { description: 'Tensão', unit: 'V' },
+      I: { description: 'Corrente', unit: 'A' },
+      R: { description: 'Resistência', unit: 'ohm' }
+    },
+    tags: ['resistor', 'tensão', 'corrente']
+  },
+  {
+    id: 'electric-power',
+    name: 'Potência elétrica',
+    category: 'electricity',
+    description: 'Potência dissipada ou fornecida por um elemento de circuito',
+    equation: 'P = V * I',
+    variables: {
+      P: { description: 'Potência', unit: 'W' },
+      V: { description: 'Tensão', unit: 'V' },
+      I: { description: 'Corrente', unit: 'A' }
+    },
+    tags: ['potência', 'circuito']
+  },
+  {
+    id: 'coulomb-law',
+    name: 'Lei de Coulomb',
+    category: 'electricity',
+    description: 'Força entre duas cargas pontuais no vácuo',
+    equation: 'F = k * q1 * q2 / r^2',
+    variables: {
+      F: { description: 'Força elétrica', unit: 'N' },
+      k: { description: 'Constante eletrostática', unit: 'N m^2/C^2', default: 8.9875517923e9 },
+      q1: { description: 'Primeira carga', unit: 'C' },
+      q2: { description: 'Segunda carga', unit: 'C' },
+      r: { description: 'Distância entre as cargas', unit: 'm' }
+    },
+    tags: ['carga', 'eletrostática']
+  },
+  {
+    id: 'capacitor-energy',
+    name: 'Energia armazenada no capacitor',
+    category: 'electricity',
+    description: 'Energia do campo elétrico de um capacitor carregado',
+    equation: 'U = C * V^2 / 2',
+    variables: {
+      U: { description: 'Energia', unit: 'J' },
+      C: { description: 'Capacitância', unit: 'F' },
+      V: { description: 'Tensão', unit: 'V' }
+    },
+    tags: ['capacitor', 'energia']
+  },
+  {
+    id: 'ideal-gas',
+    name: 'Equação dos gases ideais',
+    category: 'thermodynamics',
+    description: 'Equação de estado de Clapeyron para um gás ideal',
+    equation: 'P * V = n * R * T',
+    variables: {
+      P: { description: 'Pressão', unit: 'Pa' },
+      V: { description: 'Volume', unit: 'm^3' },
+      n: { description: 'Quantidade de matéria', unit: 'mol' },
+      R: { description: 'Constante universal dos gases', unit: 'J/(mol K)', default: 8.314462618 },
+      T: { description: 'Temperatura absoluta', unit: 'K' }
+    },
+    tags: ['gás', 'clapeyron', 'pressão', 'temperatura']
+  },
+  {
+    id: 'sensible-heat',
+    name: 'Calor sensível',
+    category: 'thermodynamics',
+    description: 'Calor trocado em uma variação de temperatura sem mudança de fase',
+    equation: 'Q = m * c * dT',
+    variables: {
+      Q: { description: 'Quantidade de calor', unit: 'J' },
+      m: { description: 'Massa', unit: 'kg' },
+      c: { description: 'Calor específico', unit: 'J/(kg K)' },
+      dT: { description: 'Variação de temperatura', unit: 'K' }
+    },
+    tags: ['calor', 'calorimetria']
+  },
+  {
+    id: 'density',
+    name: 'Massa específica',
+    category: 'fluids',
+    description: 'Massa por unidade de volume',
+    equation: 'rho = m / V',
+    variables: {
+      rho: { description: 'Massa específica', unit: 'kg/m^3' },
+      m: { description: 'Massa', unit: 'kg' },
+      V: { description: 'Volume', unit: 'm^3' }
+    },
+    tags: ['densidade', 'massa']
+  },
+  {
+    id: 'hydrostatic-pressure',
+    name: 'Lei de Stevin',
+    category: 'fluids',
+    description: 'Pressão a uma profundidade h em um fluido em repouso',
+    equation: 'P = P0 + rho * g * h',
+    variables: {
+      P: { description: 'Pressão na profundidade h', unit: 'Pa' },
+      P0: { description: 'Pressão na superfície', unit: 'Pa', default: 101325 },
+      rho: { description: 'Massa específica do fluido', unit: 'kg/m^3' },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 },
+      h: { description: 'Profundidade', unit: 'm' }
+    },
+    tags: ['pressão', 'hidrostática', 'stevin']
+  },
+  {
+    id: 'continuity',
+    name: 'Equação da continuidade',
+    category: 'fluids',
+    description: 'Conservação da vazão de um fluido incompressível',
+    equation: 'A1 * v1 = A2 * v2',
+    variables: {
+      A1: { description: 'Área da seção 1', unit: 'm^2' },
+      v1: { description: 'Velocidade na seção 1', unit: 'm/s' },
+      A2: { description: 'Área da seção 2', unit: 'm^2' },
+      v2: { description: 'Velocidade na seção 2', unit: 'm/s' }
+    },
+    tags: ['vazão', 'escoamento']
+  },
+  {
+    id: 'bernoulli',
+    name: 'Equação de Bernoulli',
+    category: 'fluids',
+    description: 'Conservação de energia ao longo de uma linha de corrente (fluido ideal e incompressível)',
+    equation: 'P1 + rho * v1^2 / 2 + rho * g * h1 = P2 + rho * v2^2 / 2 + rho * g * h2',
+    variables: {
+      P1: { description: 'Pressão no ponto 1', unit: 'Pa' },
+      v1: { description: 'Velocidade no ponto 1', unit: 'm/s' },
+      h1: { description: 'Altura do ponto 1', unit: 'm' },
+      P2: { description: 'Pressão no ponto 2', unit: 'Pa' },
+      v2: { description: 'Velocidade no ponto 2', unit: 'm/s' },
+      h2: { description: 'Altura do ponto 2', unit: 'm' },
+      rho: { description: 'Massa específica do fluido', unit: 'kg/m^3', default: 1000 },
+      g: { description: 'Aceleração da gravidade', unit: 'm/s^2', default: 9.80665 }
+    },
+    tags: ['escoamento', 'pressão', 'energia']
+  },
+  {
+    id: 'snell-law',
+    name: 'Lei de Snell-Descartes',
+    category: 'optics',
+    description: 'Refração da luz na interface entre dois meios',
+    equation: 'n1 * sin(theta1) = n2 * sin(theta2)',
+    variables: {
+      n1: { description: 'Índice de refração do meio 1', unit: null },
+      theta1: { description: 'Ângulo de incidência', unit: 'rad' },
+      n2: { description: 'Índice de refração do meio 2', unit: null },
+      theta2: { description: 'Ângulo de refração', unit: 'rad' }
+    },
+    tags: ['refração', 'luz']
+  },
+  {
+    id: 'thin-lens',
+    name: 'Equação de Gauss para lentes delgadas',
+    category: 'optics',
+    description: 'Relaciona a distância focal com as distâncias do objeto e da imagem',
+    equation: '1 / f = 1 / p + 1 / q',
+    variables: {
+      f: { description: 'Distância focal', unit: 'm' },
+      p: { description: 'Distância do objeto', unit: 'm' },
+      q: { description: 'Distância da imagem', unit: 'm' }
+    },
+    tags: ['lente', 'espelho', 'foco']
+  }
+];
+
+// Árvores das equações (parse único; as fórmulas são fixas e confiáveis)
+const parsed = new Map(FORMULAS.map(formula => {
+  const [lhs, rhs] = formula.equation.split('=').map(side => sandbox.parse(side.trim()));
+  return [formula.id, { lhs, rhs }];
+}));
+
+const FORMULA_CATEGORIES = [...new Set(FORMULAS.map(formula => formula.category))];
+
+const getFormula = id => FORMULAS.find(formula => formula.id === id) || null;
+
+// Filtros da listagem: categoria e busca no id, nome, descrição, tags e variáveis
+function filterFormulas({ category, q } = {}) {
+  const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  return FORMULAS.filter(formula => {
+    const haystack = [
+      formula.id,
+      formula.name,
+      formula.description,
+      ...formula.tags,
+      ...Object.values(formula.variables).map(variable => variable.description)
+    ].join(' ').toLowerCase();
+
+    return (!category || formula.category === category) && terms.every(term => haystack.includes(term));
+  });
+}
+
+// Valor informado pelo cliente: número na unidade SI da variável ou texto com unidade ("72 km/h")
+function toVariableValue(name, value, variable) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  if (typeof value === 'string') {
+    if (value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+
+    let unit;
+    try {
+      unit = math.unit(value);
+    } catch (error) {
+      throw new SandboxError('INVALID_VALUE', `Valor inválido para ${name}: ${value}`, { variable: name, value });
+    }
+
+    try {
+      return variable.unit ? unit.toNumber(variable.unit) : unit.toNumber();
+    } catch (error) {
+      throw new SandboxError('INCOMPATIBLE_UNIT', `Unidade incompatível em ${name} (esperado ${variable.unit || 'adimensional'})`, {
+        variable: name,
+        expected: variable.unit || 'adimensional'
+      });
+    }
+  }
+
+  throw new SandboxError('INVALID_VALUE', `Valor inválido para ${name}: ${value}`, { variable: name, value: String(value) });
+}
+
+// Resultado na unidade pedida pelo cliente
+function convertResult(name, value, variable, unit) {
+  try {
+    const converted = math.unit(value, variable.unit || '').to(unit);
+    return { value: converted.toNumber(unit), unit, formatted: converted.format({ precision: 10 }) };
+  } catch (error) {
+    throw new SandboxError('INCOMPATIBLE_UNIT', `Unidade incompatível em ${name} (esperado ${variable.unit || 'adimensional'})`, {
+      variable: name,
+      expected: variable.unit || 'adimensional'
+    });
+  }
+}
+
+const mentions = (node, name) => node.filter(child => child.type === 'SymbolNode' && child.name === name).length;
+
+const call = (name, ...args) => new FunctionNode(new SymbolNode(name), args);
+const operation = (op, fn, ...args) => new OperatorNode(op, fn, args);
+
+// Inversas das funções da biblioteca (ramo principal)
+const INVERSE_FUNCTIONS = {
+  sqrt: other => operation('^', 'pow', other, new ConstantNode(2)),
+  sin: other => call('asin', other),
+  cos: other => call('acos', other),
+  tan: other => call('atan', other),
+  exp: other => call('log', other),
+  log: other => call('exp', other)
+};
+
+// Isola a incógnita quando ela aparece uma única vez: desfaz as operações do lado que a contém,
+// aplicando a inversa de cada uma ao outro lado (ramo principal de raízes e funções trigonométricas)
+function isolate(node, other, unknown) {
+  if (node.type === 'SymbolNode' && node.name === unknown) return other;
+  if (node.type === 'ParenthesisNode') return isolate(node.content, other, unknown);
+
+  if (node.type === 'FunctionNode') {
+    const inverse = INVERSE_FUNCTIONS[node.fn.name];
+    return inverse && node.args.length === 1 ? isolate(node.args[0], inverse(other), unknown) : null;
+  }
+
+  if (node.type !== 'OperatorNode') return null;
+
+  if (node.args.length === 1) {
+    if (node.fn === 'unaryMinus') return isolate(node.args[0], operation('-', 'unaryMinus', other), unknown);
+    if (node.fn === 'unaryPlus') return isolate(node.args[0], other, unknown);
+    return null;
+  }
+
+  const [a, b] = node.args;
+  const inLeft = mentions(a, unknown) > 0;
+  const [inner, rest] = inLeft ? [a, b] : [b, a];
+
+  switch (node.fn) {
+    case 'add':
+      return isolate(inner, operation('-', 'subtract', other, rest), unknown);
+    case 'subtract':
+      return isolate(inner, inLeft ? operation('+', 'add', other, rest) : operation('-', 'subtract', rest, other), unknown);
+    case 'multiply':
+      return isolate(inner, operation('/', 'divide', other, rest), unknown);
+    case 'divide':
+      return isolate(inner, inLeft ? operation('*', 'multiply', other, rest) : operation('/', 'divide', rest, other), unknown);
+    case 'pow':
+      if (inLeft) {
+        // x^2 = y → x = sqrt(y) (raiz positiva); demais expoentes: y^(1/n)
+        const root = rest.type === 'ConstantNode' && rest.value === 2
+          ? call('sqrt', other)
+          : operation('^', 'pow', other, operation('/', 'divide', new ConstantNode(1), rest));
+        return isolate(inner, root, unknown);
+      }
+      return isolate(inner, operation('/', 'divide', call('log', other), call('log', rest)), unknown);
+    default:
+      return null;
+  }
+}
+
+// Valor real de uma árvore (complexos e não finitos viram NaN)
+function evaluateReal(code, scope) {
+  try {
+    const value = code.evaluate(scope);
+    if (typeof value === 'number') return value;
+    if (math.isComplex(value) && Math.abs(value.im) <= 1e-12 * Math.max(1, Math.abs(value.re))) return value.re;
+  } catch (error) {
+    // Domínio inválido (log de negativo, divisão por zero) conta como ponto sem valor
+  }
+  return NaN;
+}
+
+// Busca numérica: trocas de sinal de lhs − rhs na grade, refinadas pelo método de Brent
+function solveNumerically(lhs, rhs, unknown, scope, guess) {
+  const code = operation('-', 'subtract', lhs, rhs).compile();
+  const residual = x => evaluateReal(code, { ...scope, [unknown]: x });
+  const grid = guess === undefined ? SEARCH_GRID : [...SEARCH_GRID, guess].sort((a, b) => a - b);
+
+  const roots = findBrackets(residual, grid)
+    .map(([lower, upper]) => brentRoot(residual, lower, upper, { tolerance: FORMULA_LIMITS.tolerance }))
+    .filter(result => result && result.converged && Number.isFinite(result.value))
+    // Polos (1/x) também trocam de sinal; só valem raízes com resíduo pequeno
+    .filter(result => Math.abs(result.value) <= 1e-6 * Math.max(1, Math.abs(result.root)))
+    .map(result => result.root)
+    .sort((a, b) => a - b)
+    .filter((root, index, list) => index === 0 || Math.abs(root - list[index - 1]) > 1e-9 * Math.max(1, Math.abs(root)))
+    .slice(0, FORMULA_LIMITS.maxRoots);
+
+  if (roots.length === 0) {
+    throw new SandboxError('NO_SOLUTION', `Nenhuma solução real encontrada para ${unknown}`, { variable: unknown });
+  }
+
+  // Com estimativa, a raiz mais próxima dela; sem, a menor raiz positiva (grandezas físicas)
+  const chosen = guess !== undefined
+    ? roots.reduce((best, root) => (Math.abs(root - guess) < Math.abs(best - guess) ? root : best))
+    : roots.find(root => root > 0) ?? roots[roots.length - 1];
+
+  return { value: chosen, roots };
+}
+
+// Resolve a fórmula para a variável que falta (ou para target, quando informado)
+// unit: unidade de saída adicional para o resultado (ex.: km/h para uma velocidade)
+function solveFormula(formula, values = {}, { target, guess, unit } = {}) {
+  const unknownNames = Object.keys(values).filter(name => !formula.variables[name]);
+  if (unknownNames.length > 0) {
+    throw new SandboxError('UNKNOWN_VARIABLE', `Variável desconhecida: ${unknownNames[0]}`, {
+      variable: unknownNames[0],
+      available: Object.keys(formula.variables)
+    });
+  }
+
+  if (target !== undefined && !formula.variables[target]) {
+    throw new SandboxError('UNKNOWN_VARIABLE', `Variável desconhecida: ${target}`, {
+      variable: target,
+      available: Object.keys(formula.variables)
+    });
+  }
+
+  // Conhecidas: valores do cliente e, para as demais (exceto o alvo), os valores padrão
+  const scope = {};
+  const used = {};
+  Object.entries(formula.variables).forEach(([name, variable]) => {
+    if (name === target) return;
+    if (values[name] !== undefined) {
+      scope[name] = toVariableValue(name, values[name], variable);
+      used[name] = { value: scope[name], unit: variable.unit, source: 'input' };
+    } else if (variable.default !== undefined) {
+      scope[name] = variable.default;
+      used[name] = { value: variable.default, unit: variable.unit, source: 'default' };
+    }
+  });
+
+  const missing = Object.keys(formula.variables).filter(name => scope[name] === undefined);
+  if (missing.length !== 1) {
+    const code = missing.length === 0 ? 'NOTHING_TO_SOLVE' : 'UNDERDETERMINED';
+    const reason = missing.length === 0
+      ? 'Todas as variáveis foram informadas; omita uma delas ou indique target'
+      : `Informe todas as variáveis exceto uma (faltam: ${missing.join(', ')})`;
+    throw new SandboxError(code, reason, { missing: missing.join(', ') });
+  }
+
+  const [unknown] = missing;
+  const { lhs, rhs } = parsed.get(formula.id);
+  const occurrences = mentions(lhs, unknown) + mentions(rhs, unknown);
+
+  // Isolamento simbólico: incógnita uma única vez em um dos lados
+  const isolated = occurrences === 1
+    ? (mentions(lhs, unknown) ? isolate(lhs, rhs, unknown) : isolate(rhs, lhs, unknown))
+    : null;
+
+  let value;
+  let roots;
+  if (isolated) {
+    value = evaluateReal(isolated.compile(), scope);
+    if (!Number.isFinite(value)) {
+      throw new SandboxError('NO_SOLUTION', `Nenhuma solução real encontrada para ${unknown}`, { variable: unknown });
+    }
+  } else {
+    ({ value, roots } = solveNumerically(lhs, rhs, unknown, scope, guess));
+  }
+
+  const variable = formula.variables[unknown];
+  return {
+    variable: unknown,
+    description: variable.description,
+    value,
+    unit: variable.unit,
+    ...(unit && { converted: convertResult(unknown, value, variable, unit) }),
+    method: isolated ? 'symbolic' : 'numeric',
+    ...(isolated && { expression: `${unknown} = ${isolated.toString()}` }),
+    ...(roots && { roots }),
+    // Resíduo lhs − rhs com a solução, para conferência
+    residual: evaluateReal(operation('-', 'subtract', lhs, rhs).compile(), { ...scope, [unknown]: value }),
+    knowns: used
+  };
+}
+
+module.exports = {
+  FORMULA_LIMITS,
+  FORMULAS,
+  FORMULA_CATEGORIES,
+  getFormula,
+  filterFormulas,
+  solveFormula
+};
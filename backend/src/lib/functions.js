@@ -0,0 +1,191 @@
+const defaultMath = require('mathjs');
+const {
+  math,
+  FUNCTION_CATEGORIES,
+  ALLOWED_FUNCTIONS,
+  ALLOWED_CONSTANTS,
+  DOMAINS,
+  evaluateProgram
+} = require('./engine');
+const { serializeResult } = require('./result');
+
+// Tipos internos do Math.js exibidos com o nome do tipo público
+const TYPE_ALIASES = { DenseMatrix: 'Matrix', SparseMatrix: 'Matrix' };
+
+// Categoria de cada função liberada (as demais usam a categoria do Math.js)
+const CATEGORY_OF = new Map(
+  Object.entries(FUNCTION_CATEGORIES).flatMap(([category, names]) => names.map(name => [name, category]))
+);
+
+let catalog = null;
+
+const helpOf = name => {
+  try {
+    return math.help(name).doc;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Categorias do Math.js que correspondem às do catálogo
+const MATHJS_CATEGORIES = {
+  Arithmetic: 'basic',
+  Trigonometry: 'trigonometric',
+  Combinatorics: 'combinatorics',
+  Statistics: 'statistics',
+  Complex: 'complex',
+  Matrix: 'linear_algebra'
+};
+
+const categoryOf = (name, doc) =>
+  CATEGORY_OF.get(name) || MATHJS_CATEGORIES[doc.category] || doc.category.toLowerCase();
+
+// Algumas descrições do Math.js vêm como lista de parágrafos
+const descriptionOf = doc => [].concat(doc.description || []).join(' ') || null;
+
+// Tipos de um parâmetro ("number | BigNumber", "...number") sem repetições
+const parameterTypes = parameter => [...new Set(
+  parameter.replace(/^\.\.\./, '').split('|').map(type => TYPE_ALIASES[type.trim()] || type.trim())
+)];
+
+// Assinaturas tipadas (typed-function) agrupadas pelos tipos públicos
+function signaturesOf(name) {
+  // Funções protegidas no sandbox perdem as assinaturas; usa as da instância padrão
+  const fn = typeof math[name].signatures === 'object' ? math[name] : defaultMath[name];
+  if (!fn || typeof fn.signatures !== 'object') return [];
+
+  const seen = new Set();
+  return Object.keys(fn.signatures).flatMap(signature => {
+    const parameters = signature === '' ? [] : signature.split(',');
+    const types = parameters.map(parameter => parameterTypes(parameter).join(' | '));
+    const key = types.join(',');
+    if (seen.has(key)) return [];
+    seen.add(key);
+    return [{ types, variadic: parameters.some(parameter => parameter.trim().startsWith('...')) }];
+  });
+}
+
+// Tipos aceitos em cada posição, considerando todas as assinaturas
+function argumentTypesOf(signatures) {
+  const positions = [];
+  signatures.forEach(({ types }) => types.forEach((type, index) => {
+    if (!positions[index]) positions[index] = new Set();
+    type.split(' | ').forEach(item => positions[index].add(item));
+  }));
+  return positions.map(types => [...types]);
+}
+
+// Operadores equivalentes à função na sintaxe documentada ("n!" → "!", "x ^ y" → "^")
+const operatorsOf = (name, syntax) => syntax
+  .filter(form => !form.includes(`${name}(`))
+  .map(form => form.replace(/[\w\s.,]/g, ''))
+  .filter(Boolean);
+
+// Exemplo que define uma variável ou função (a = 2, f(x) = x^2)
+const ASSIGNMENT = /^\s*[A-Za-z_]\w*(\([^)]*\))?\s*=(?!=)/;
+
+const runsAlone = (example, domain) => {
+  try {
+    evaluateProgram(example, {}, { domain });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Executa os exemplos da documentação no sandbox e mantém apenas os que funcionam
+// Exemplos dependem dos anteriores (a = log(2.4); exp(a)), por isso rodam em sequência
+// Exemplos que não usam a função (5 * 5 em sqrt) ficam de fora da resposta
+function runnableExamples(name, { examples = [], syntax = [] }) {
+  if (!ALLOWED_FUNCTIONS.has(name)) return [];
+
+  const previous = [];
+  const pattern = new RegExp(`\\b${name}\\b`);
+  const operators = operatorsOf(name, syntax);
+  const mentions = example => pattern.test(example) || operators.some(operator => example.includes(operator));
+
+  return examples.flatMap(example => {
+    for (const domain of DOMAINS) {
+      try {
+        const { statements, result } = evaluateProgram([...previous, example].join('\n'), {}, { domain });
+        previous.push(example);
+        // Definições de função (isOdd(x) = x % 2) não têm valor próprio
+        if (!mentions(example) || statements[statements.length - 1].type === 'FunctionAssignmentNode') return [];
+
+        return [{
+          expression: example,
+          result: serializeResult(result).formatted,
+          domain,
+          // Definições anteriores das quais o exemplo depende (a = [1, 2, 3; 4, 5, 6])
+          ...(!runsAlone(example, domain) && { setup: previous.slice(0, -1).filter(item => ASSIGNMENT.test(item)) })
+        }];
+      } catch (error) {
+        // Tenta o domínio complexo antes de descartar o exemplo
+      }
+    }
+    return [];
+  });
+}
+
+function describeFunction(name, doc) {
+  const signatures = signaturesOf(name);
+  return {
+    name,
+    category: categoryOf(name, doc),
+    allowed: ALLOWED_FUNCTIONS.has(name),
+    syntax: doc.syntax || [],
+    signatures,
+    argumentTypes: argumentTypesOf(signatures),
+    description: descriptionOf(doc),
+    examples: runnableExamples(name, doc),
+    seealso: doc.seealso || []
+  };
+}
+
+function describeConstant(name) {
+  return {
+    name,
+    value: serializeResult(math[name]).formatted,
+    description: descriptionOf(helpOf(name) || {})
+  };
+}
+
+// Catálogo gerado a partir da instância configurada do Math.js (calculado uma única vez)
+function getFunctionCatalog() {
+  if (catalog) return catalog;
+
+  const functions = Object.keys(math)
+    .filter(name => /^[a-z]/.test(name) && typeof math[name] === 'function')
+    .map(name => [name, helpOf(name)])
+    .filter(([name, doc]) => doc && doc.category !== 'Constants')
+    .map(([name, doc]) => describeFunction(name, doc))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  catalog = {
+    functions,
+    categories: [...new Set([
+      ...Object.keys(FUNCTION_CATEGORIES),
+      ...functions.map(item => item.category).sort()
+    ])],
+    constants: [...ALLOWED_CONSTANTS].map(describeConstant)
+  };
+  return catalog;
+}
+
+// Filtros da consulta: categoria, busca no nome/descrição e funções liberadas
+function filterFunctions(functions, { category, q, allowed } = {}) {
+  const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  return functions.filter(item =>
+    (!category || item.category === category) &&
+    (allowed === undefined || item.allowed === allowed) &&
+    terms.every(term =>
+      item.name.toLowerCase().includes(term) || (item.description || '').toLowerCase().includes(term)
+    )
+  );
+}
+
+module.exports = {
+  getFunctionCatalog,
+  filterFunctions
+};
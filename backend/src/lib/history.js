@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Configuração do histórico (arquivo JSON Lines, um registro por linha)
+const HISTORY_LIMITS = {
+  maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 10000,
+  // Folga antes de reescrever o arquivo: compacta ao passar de maxEntries × compactionSlack
+  compactionSlack: 1.1,
+  maxStoredRequestBytes: 64 * 1024,
+  maxStoredResponseBytes: 64 * 1024,
+  maxStoredExpressionLength: 1000,
+  defaultPageSize: 20,
+  maxPageSize: 100
+};
+
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, '../../data/history.jsonl');
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+
+const SESSION_HEADER = 'X-Session-Id';
+const SESSION_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Registros em memória (ordem de inserção) e fila de escrita no arquivo
+let entries = null;
+let nextId = 1;
+let pendingWrite = Promise.resolve();
+
+// Carrega o arquivo na primeira utilização; linhas corrompidas são ignoradas
+function loadEntries() {
+  if (entries) return entries;
+  entries = [];
+
+  if (!fs.existsSync(HISTORY_FILE)) return entries;
+
+  fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.error('Linha inválida no histórico ignorada');
+    }
+  });
+
+  nextId = entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  return entries;
+}
+
+// Escritas em sequência para não intercalar linhas
+function enqueueWrite(write) {
+  pendingWrite = pendingWrite
+    .then(() => fs.promises.mkdir(path.dirname(HISTORY_FILE), { recursive: true }))
+    .then(write)
+    .catch(error => console.error('Erro ao gravar histórico:', error));
+  return pendingWrite;
+}
+
+// Ao passar do limite com folga, volta a maxEntries descartando os registros mais antigos
+// e reescreve o arquivo; entre compactações os registros novos só são acrescentados
+function compact() {
+  entries.splice(0, entries.length - HISTORY_LIMITS.maxEntries);
+  const content = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  return enqueueWrite(() => fs.promises.writeFile(HISTORY_FILE, content));
+}
+
+// Texto pesquisável da requisição: expressão, lote, equação ou sistema
+function extractExpression(body = {}) {
+  if (typeof body.expression === 'string') return body.expression;
+  if (typeof body.equation === 'string') return body.equation;
+  if (typeof body.expressions === 'string') return body.expressions;
+  if (Array.isArray(body.expressions)) {
+    return body.expressions
+      .map(item => (typeof item === 'string' ? item : item && item.expression))
+      .filter(item => typeof item === 'string')
+      .join('; ');
+  }
+  if (typeof body.eq1 === 'string' || typeof body.eq2 === 'string') {
+    return [body.eq1, body.eq2].filter(Boolean).join('; ');
+  }
+  return null;
+}
+
+// Respostas muito grandes (gráficos) ficam fora do arquivo
+function storableResponse(body) {
+  const size = Buffer.byteLength(JSON.stringify(body) || '');
+  return size > HISTORY_LIMITS.maxStoredResponseBytes ? { response: null, truncated: true } : { response: body };
+}
+
+// Requisições acima do limite também (o corpo JSON aceito vai até 10 MB); sem ela não há replay
+function storableRequest(body) {
+  const size = Buffer.byteLength(JSON.stringify(body) || '');
+  return size > HISTORY_LIMITS.maxStoredRequestBytes ? { request: null, requestTruncated: true } : { request: body };
+}
+
+// Texto de busca também limitado (o lote inteiro viraria uma única expressão)
+function storableExpression(body) {
+  const expression = extractExpression(body);
+  return expression && expression.slice(0, HISTORY_LIMITS.maxStoredExpressionLength);
+}
+
+function record({ session, locale, endpoint, path: requestPath, request, status, response, replayOf }) {
+  loadEntries();
+
+  const entry = {
+    id: nextId++,
+    timestamp: new Date().toISOString(),
+    session,
+    locale,
+    endpoint,
+    path: requestPath,
+    expression: storableExpression(request),
+    ...storableRequest(request),
+    status,
+    ...storableResponse(response),
+    ...(replayOf !== undefined && { replayOf })
+  };
+
+  entries.push(entry);
+
+  if (entries.length > HISTORY_LIMITS.maxEntries * HISTORY_LIMITS.compactionSlack) compact();
+  else enqueueWrite(() => fs.promises.appendFile(HISTORY_FILE, `${JSON.stringify(entry)}\n`));
+
+  return entry;
+}
+
+function getEntry(id) {
+  return loadEntries().find(entry => entry.id === id) || null;
+}
+
+// Busca textual: todos os termos precisam aparecer na expressão (sem diferenciar maiúsculas)
+function matchesSearch(entry, terms) {
+  const text = (entry.expression || '').toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+// Consulta paginada, do mais recente para o mais antigo
+function queryHistory({ session, endpoint, from, to, q, page = 1, limit = HISTORY_LIMITS.defaultPageSize } = {}) {
+  const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  const matches = loadEntries().filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+    return (!session || entry.session === session) &&
+      (!endpoint || entry.endpoint === endpoint || entry.path === endpoint) &&
+      time >= fromTime && time <= toTime &&
+      matchesSearch(entry, terms);
+  }).reverse();
+
+  const start = (page - 1) * limit;
+  return {
+    items: matches.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total: matches.length,
+      pages: Math.ceil(matches.length / limit)
+    }
+  };
+}
+
+// Identificador do cliente: cabeçalho X-Session-Id ou um novo, devolvido na resposta
+function resolveSession(req, res) {
+  const header = req.get(SESSION_HEADER);
+  const session = header && SESSION_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set(SESSION_HEADER, session);
+  return session;
+}
+
+// Middleware que grava requisição e resposta dos cálculos (POST) de um módulo
+function historyMiddleware(endpoint) {
+  return (req, res, next) => {
+    if (!HISTORY_ENABLED || req.method !== 'POST') return next();
+
+    const session = resolveSession(req, res);
+    const requestPath = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      // Rotas que só alteram dados (cadastro no catálogo) marcam res.locals.skipHistory
+      if (res.locals.skipHistory) return json(body);
+
+      record({
+        session,
+        locale: req.locale,
+        endpoint,
+        path: requestPath,
+        request: req.body,
+        status: res.statusCode,
+        response: body,
+        replayOf: req.replayOf
+      });
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  HISTORY_LIMITS,
+  HISTORY_ENABLED,
+  SESSION_HEADER,
+  SESSION_PATTERN,
+  historyMiddleware,
+  queryHistory,
+  getEntry,
+  resolveSession,
+  extractExpression
+};
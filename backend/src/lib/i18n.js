@@ -0,0 +1,194 @@
+const { SandboxError, math } = require('./engine');
+
+const DEFAULT_LOCALE = 'pt-BR';
+
+// Catálogos de mensagens por idioma (src/locales)
+const CATALOGS = {
+  'pt-BR': require('../locales/pt-BR.json'),
+  en: require('../locales/en.json'),
+  es: require('../locales/es.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined), catalog);
+
+const placeholdersOf = template => [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+
+const interpolate = (template, params = {}) =>
+  template.replace(PLACEHOLDER, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+// Mensagem do catálogo; cai no idioma padrão e, por fim, na própria chave
+function translate(locale, key, params) {
+  const template = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  return typeof template === 'string' ? interpolate(template, params) : key;
+}
+
+// Negocia o idioma pelo Accept-Language e expõe req.locale e req.t
+function localeMiddleware(req, res, next) {
+  req.locale = req.acceptsLanguages(SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+  req.t = (key, params) => translate(req.locale, key, params);
+  res.set('Content-Language', req.locale);
+  next();
+}
+
+// Mensagem de validação do express-validator no idioma da requisição
+function message(key, params) {
+  return (value, { req }) => translate(req.locale, key, params);
+}
+
+// Traduz a mensagem de um SandboxError usando o código e os detalhes do erro
+// Cada código pode ter variantes; vale a primeira cujos parâmetros estão presentes
+function translateError(error, locale) {
+  // Erros de sintaxe do parser têm o motivo no catálogo (parse.*), inclusive no idioma padrão
+  if (error && error.code === 'PARSE_ERROR' && error.details && error.details.reason) {
+    return translate(locale, `parse.${error.details.reason}`, error.details);
+  }
+  if (!error || !error.code || locale === DEFAULT_LOCALE) return error && error.message;
+
+  const entry = lookup(CATALOGS[locale] || {}, `sandbox.${error.code}`);
+  if (!entry) return error.message;
+
+  const params = { ...error.details, message: error.message };
+  const template = [].concat(entry).find(candidate =>
+    placeholdersOf(candidate).every(name => params[name] !== undefined)
+  );
+  return template ? interpolate(template, params) : error.message;
+}
+
+// Formato numérico do idioma: separadores decimal e de milhar
+const formats = new Map();
+
+function numberFormatOf(locale) {
+  if (!formats.has(locale)) {
+    const formatter = new Intl.NumberFormat(locale);
+    const parts = formatter.formatToParts(12345.6);
+    const part = type => (parts.find(item => item.type === type) || {}).value;
+
+    formats.set(locale, {
+      decimal: part('decimal') || '.',
+      group: part('group') || '',
+      // Alguns idiomas (es) só agrupam a partir de 5 dígitos
+      minimumGrouping: formatter.format(1000).length > 4 ? 4 : 5
+    });
+  }
+  return formats.get(locale);
+}
+
+// Valida a opção locale das requisições de cálculo
+function resolveLocale(locale) {
+  if (locale === undefined || locale === null) return null;
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new SandboxError('INVALID_LOCALE', `Locale não suportado: ${locale}`, {
+      locale,
+      available_locales: SUPPORTED_LOCALES
+    });
+  }
+  return locale;
+}
+
+const ambiguousSeparator = (locale, position) =>
+  new SandboxError('AMBIGUOUS_SEPARATOR', `Com vírgula decimal, separe argumentos e elementos com ";" (posição ${position})`, {
+    locale,
+    position
+  });
+
+// Funções do Math.js que só aceitam um argumento: "sqrt(2,25)" não tem outra leitura
+function takesSingleArgument(name) {
+  const signatures = typeof math[name] === 'function' && math[name].signatures;
+  return Boolean(signatures) && Object.keys(signatures).every(signature => !/,|\.\.\./.test(signature));
+}
+
+// Decimal com vírgula numa lista de argumentos ou numa matriz sem ";" ("max(1,2)", "[1,2]")
+// poderia ser lido como dois elementos: a lista precisa usar ";" ou o número, parênteses
+function assertUnambiguousLists(expression, locale) {
+  const decimals = new Set([...expression.matchAll(/\d,(?=\d)/g)].map(match => match.index + 1));
+  const open = [];
+
+  [...expression].forEach((char, index) => {
+    if (char === '(') {
+      const callee = /([A-Za-z_]\w*)\s*$/.exec(expression.slice(0, index));
+      open.push({ list: Boolean(callee) && !takesSingleArgument(callee[1]), separated: false, decimalAt: null });
+    } else if (char === '[') {
+      open.push({ list: true, separated: false, decimalAt: null });
+    } else if (char === ';' && open.length > 0) {
+      open[open.length - 1].separated = true;
+    } else if (decimals.has(index) && open.length > 0) {
+      const frame = open[open.length - 1];
+      if (frame.decimalAt === null) frame.decimalAt = index;
+    } else if (char === ')' || char === ']') {
+      const frame = open.pop();
+      if (frame && frame.list && !frame.separated && frame.decimalAt !== null) throw ambiguousSeparator(locale, frame.decimalAt);
+    }
+  });
+
+  const unclosed = open.find(frame => frame.list && !frame.separated && frame.decimalAt !== null);
+  if (unclosed) throw ambiguousSeparator(locale, unclosed.decimalAt);
+}
+
+// Converte números digitados no formato do idioma para a notação do parser ("2,5" → "2.5")
+// Com vírgula decimal, a vírgula só separa decimais: argumentos e elementos de matriz usam ";"
+// ("max(1,5; 2)", "[[1; 2]; [3; 4]]"); fora de parênteses e colchetes, ";" separa instruções
+function delocalizeExpression(expression, locale) {
+  if (!locale || typeof expression !== 'string') return expression;
+  if (numberFormatOf(locale).decimal !== ',') return expression;
+
+  // Vírgula fora de um número ("f(x, y)", "max(1, 2)") teria dois significados
+  const misplaced = expression.search(/(?<!\d),|,(?!\d)/);
+  if (misplaced >= 0) throw ambiguousSeparator(locale, misplaced);
+  assertUnambiguousLists(expression, locale);
+
+  let depth = 0;
+  return [...expression
+    // Milhares com ponto e decimal com vírgula: 1.234,5
+    .replace(/\d{1,3}(?:\.\d{3})+,\d+/g, number => number.replace(/\./g, '').replace(',', '.'))
+    .replace(/(\d),(?=\d)/g, '$1.')]
+    .map(char => {
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+      return char === ';' && depth > 0 ? ',' : char;
+    })
+    .join('');
+}
+
+// Agrupa a parte inteira de um número com o separador de milhar do idioma
+function groupDigits(digits, { group, minimumGrouping }) {
+  if (!group || digits.length < minimumGrouping) return digits;
+  return digits.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+}
+
+// Aplica os separadores do idioma a um texto "formatted" (números, listas e matrizes)
+// Expoentes (1.5e+21) são mantidos sem agrupamento
+function localizeFormatted(text, locale) {
+  if (!locale || typeof text !== 'string') return text;
+
+  const numberFormat = numberFormatOf(locale);
+  const listSeparator = numberFormat.decimal === ',' ? '; ' : ', ';
+
+  return text
+    .split(', ')
+    .map(piece => piece.replace(/(\d+)(?:\.(\d+))?(e[+-]?\d+)?/g, (match, integer, fraction, exponent, offset, whole) => {
+      // Dígitos logo após "e" fazem parte de um expoente
+      if (offset > 0 && /[eE]/.test(whole[offset - 1])) return match;
+
+      return groupDigits(integer, numberFormat) +
+        (fraction !== undefined ? numberFormat.decimal + fraction : '') +
+        (exponent || '');
+    }))
+    .join(listSeparator);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  translate,
+  translateError,
+  localeMiddleware,
+  message,
+  resolveLocale,
+  delocalizeExpression,
+  localizeFormatted
+};
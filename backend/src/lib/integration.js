@@ -0,0 +1,318 @@
+const { compileFunction, evaluateExpression, SandboxError } = require('./engine');
+
+// Limites da integração numérica
+const INTEGRATION_LIMITS = {
+  defaultTolerance: 1e-10,
+  minTolerance: 1e-15,
+  maxTolerance: 1e-2,
+  maxEvaluations: 200000,
+  maxSimpsonDepth: 50,
+  maxRombergLevels: 20,
+  maxSubintervals: 2000
+};
+
+const METHODS = ['simpson', 'gauss-kronrod', 'romberg'];
+
+// Nós e pesos de Gauss–Kronrod (15 pontos) com Gauss embutido (7 pontos), metade positiva
+const KRONROD_NODES = [
+  0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+  0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+  0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+  0.207784955007898467600689403773245, 0
+];
+const KRONROD_WEIGHTS = [
+  0.022935322010529224963732008058970, 0.063092092629978553290700663189204,
+  0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+  0.169004726639267902826583426598550, 0.190350578064785409913256402421014,
+  0.204432940075298892414161999234649, 0.209482141084727828012999174891714
+];
+// Pesos de Gauss para os nós de índice ímpar de KRONROD_NODES (1, 3, 5, 7)
+const GAUSS_WEIGHTS = [
+  0.129484966168869693270611432679082, 0.279705391489276667901467771423780,
+  0.381830050505118944950369775488975, 0.417959183673469387755102040816327
+];
+
+const INFINITY_PATTERN = /^([+-]?)(inf|infinity|∞)$/i;
+
+// Limite de integração: número, ±inf ou expressão constante (ex.: "pi/2")
+function parseBound(value, name) {
+  if (typeof value === 'number' && isFinite(value)) return value;
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const infinity = value.trim().match(INFINITY_PATTERN);
+    if (infinity) return infinity[1] === '-' ? -Infinity : Infinity;
+
+    try {
+      const { result } = evaluateExpression(value);
+      if (typeof result === 'number' && isFinite(result)) return result;
+    } catch (error) {
+      // Cai no erro padrão abaixo
+    }
+  }
+
+  throw new SandboxError('INVALID_BOUND', `Limite de integração inválido: ${name}`, {
+    bound: name,
+    hint: 'integration_bound'
+  });
+}
+
+// Afastamento dos extremos abertos do intervalo transformado
+const ENDPOINT_OFFSET = 1e-9;
+
+// Troca de variável que leva intervalos infinitos para um intervalo finito
+// Nos extremos abertos (x infinito) usa o valor em um ponto vizinho como limite
+function mapInterval(f, a, b) {
+  const transformed = (transform, t, inside) => {
+    const { x, jacobian } = transform(t);
+    if (isFinite(x) && isFinite(jacobian)) return f(x) * jacobian;
+
+    const limit = transform(inside);
+    return f(limit.x) * limit.jacobian;
+  };
+
+  if (a === -Infinity && b === Infinity) {
+    // x = t / (1 - t²), t ∈ (-1, 1)
+    const transform = t => ({ x: t / (1 - t * t), jacobian: (1 + t * t) / ((1 - t * t) ** 2) });
+    return {
+      a: -1,
+      b: 1,
+      g: t => transformed(transform, t, t < 0 ? -1 + ENDPOINT_OFFSET : 1 - ENDPOINT_OFFSET)
+    };
+  }
+
+  if (b === Infinity) {
+    // x = a + t / (1 - t), t ∈ [0, 1)
+    const transform = t => ({ x: a + t / (1 - t), jacobian: 1 / ((1 - t) ** 2) });
+    return { a: 0, b: 1, g: t => transformed(transform, t, 1 - ENDPOINT_OFFSET) };
+  }
+
+  if (a === -Infinity) {
+    // x = b - (1 - t) / t, t ∈ (0, 1]
+    const transform = t => ({ x: b - (1 - t) / t, jacobian: 1 / (t * t) });
+    return { a: 0, b: 1, g: t => transformed(transform, t, ENDPOINT_OFFSET) };
+  }
+
+  return { a, b, g: f };
+}
+
+// Conta as avaliações e interrompe quando o orçamento se esgota
+function createCounter(f) {
+  const counter = {
+    evaluations: 0,
+    exhausted: () => counter.evaluations >= INTEGRATION_LIMITS.maxEvaluations,
+    f: x => {
+      counter.evaluations++;
+      const y = f(x);
+      if (!isFinite(y)) {
+        throw new SandboxError('NON_FINITE_INTEGRAND', `Integrando não finito ou não real em x = ${x}`, {
+          x,
+          hint: 'endpoint_singularity'
+        });
+      }
+      return y;
+    }
+  };
+  return counter;
+}
+
+const target = (tolerance, value) => tolerance * Math.max(1, Math.abs(value));
+
+// Simpson adaptativo com extrapolação de Richardson
+function adaptiveSimpson(counter, a, b, tolerance) {
+  const { f } = counter;
+  let converged = true;
+  let errorEstimate = 0;
+  let subintervals = 0;
+
+  const simpson = (fa, fm, fb, h) => (h / 6) * (fa + 4 * fm + fb);
+
+  const refine = (a, b, fa, fm, fb, whole, eps, depth) => {
+    const m = (a + b) / 2;
+    const lm = (a + m) / 2;
+    const rm = (m + b) / 2;
+    const flm = f(lm);
+    const frm = f(rm);
+    const left = simpson(fa, flm, fm, m - a);
+    const right = simpson(fm, frm, fb, b - m);
+    const delta = left + right - whole;
+
+    if (Math.abs(delta) <= 15 * eps || depth >= INTEGRATION_LIMITS.maxSimpsonDepth || counter.exhausted()) {
+      if (Math.abs(delta) > 15 * eps) converged = false;
+      errorEstimate += Math.abs(delta) / 15;
+      subintervals++;
+      return left + right + delta / 15;
+    }
+
+    return refine(a, m, fa, flm, fm, left, eps / 2, depth + 1) +
+      refine(m, b, fm, frm, fb, right, eps / 2, depth + 1);
+  };
+
+  const fa = f(a);
+  const fm = f((a + b) / 2);
+  const fb = f(b);
+  const whole = simpson(fa, fm, fb, b - a);
+  const value = refine(a, b, fa, fm, fb, whole, target(tolerance, whole), 0);
+
+  return { value, errorEstimate, converged, subintervals };
+}
+
+// Regra G7-K15 em um subintervalo: integral de Kronrod e erro |K15 - G7|
+function kronrod(f, a, b) {
+  const center = (a + b) / 2;
+  const half = (b - a) / 2;
+  const fc = f(center);
+  let kronrodSum = fc * KRONROD_WEIGHTS[7];
+  let gaussSum = fc * GAUSS_WEIGHTS[3];
+
+  for (let i = 0; i < 7; i++) {
+    const dx = half * KRONROD_NODES[i];
+    const pair = f(center - dx) + f(center + dx);
+    kronrodSum += KRONROD_WEIGHTS[i] * pair;
+    if (i % 2 === 1) gaussSum += GAUSS_WEIGHTS[(i - 1) / 2] * pair;
+  }
+
+  return {
+    a,
+    b,
+    value: kronrodSum * half,
+    error: Math.abs((kronrodSum - gaussSum) * half)
+  };
+}
+
+// Gauss–Kronrod adaptativo: subdivide o subintervalo de maior erro
+function gaussKronrod(counter, a, b, tolerance) {
+  const intervals = [kronrod(counter.f, a, b)];
+  const total = key => intervals.reduce((sum, interval) => sum + interval[key], 0);
+  let converged = false;
+
+  while (true) {
+    const value = total('value');
+    if (total('error') <= target(tolerance, value)) {
+      converged = true;
+      break;
+    }
+    if (intervals.length >= INTEGRATION_LIMITS.maxSubintervals || counter.exhausted()) break;
+
+    let worst = 0;
+    intervals.forEach((interval, index) => {
+      if (interval.error > intervals[worst].error) worst = index;
+    });
+
+    const { a: left, b: right } = intervals[worst];
+    const middle = (left + right) / 2;
+    intervals.splice(worst, 1, kronrod(counter.f, left, middle), kronrod(counter.f, middle, right));
+  }
+
+  return {
+    value: total('value'),
+    errorEstimate: total('error'),
+    converged,
+    subintervals: intervals.length
+  };
+}
+
+// Romberg: trapézios sucessivos com extrapolação de Richardson
+function romberg(counter, a, b, tolerance) {
+  const { f } = counter;
+  const h = b - a;
+  let previous = [(h / 2) * (f(a) + f(b))];
+  let errorEstimate = Infinity;
+  let converged = false;
+  let level = 1;
+
+  for (; level <= INTEGRATION_LIMITS.maxRombergLevels; level++) {
+    // Novos pontos médios do trapézio com 2^level subintervalos
+    const points = 2 ** (level - 1);
+    if (counter.evaluations + points > INTEGRATION_LIMITS.maxEvaluations) {
+      counter.evaluations = INTEGRATION_LIMITS.maxEvaluations;
+      break;
+    }
+
+    const step = h / points;
+    let sum = 0;
+    for (let k = 0; k < points; k++) sum += f(a + (k + 0.5) * step);
+
+    const current = [previous[0] / 2 + (step / 2) * sum];
+    for (let j = 1; j <= level; j++) {
+      current[j] = current[j - 1] + (current[j - 1] - previous[j - 1]) / (4 ** j - 1);
+    }
+
+    errorEstimate = Math.abs(current[level] - previous[level - 1]);
+    previous = current;
+
+    // Exige alguns níveis para não parar em coincidências de funções periódicas
+    if (level >= 4 && errorEstimate <= target(tolerance, current[level])) {
+      converged = true;
+      break;
+    }
+  }
+
+  return {
+    value: previous[previous.length - 1],
+    errorEstimate,
+    converged,
+    levels: previous.length
+  };
+}
+
+const INTEGRATORS = {
+  simpson: adaptiveSimpson,
+  'gauss-kronrod': gaussKronrod,
+  romberg
+};
+
+// Integral definida de uma expressão em [lower, upper]
+function integrate(expression, {
+  variable = 'x',
+  lower,
+  upper,
+  method = 'gauss-kronrod',
+  tolerance = INTEGRATION_LIMITS.defaultTolerance,
+  scope
+} = {}) {
+  if (!METHODS.includes(method)) {
+    throw new SandboxError('INVALID_METHOD', `Método de integração inválido: ${method}`, { available_methods: METHODS });
+  }
+
+  const a = parseBound(lower, 'lower');
+  const b = parseBound(upper, 'upper');
+  const { node, evaluate } = compileFunction(expression, variable, scope);
+
+  const response = { node, method, lower: a, upper: b, tolerance };
+
+  if (a === b) {
+    return { ...response, value: 0, errorEstimate: 0, evaluations: 0, converged: true };
+  }
+
+  // Limites invertidos: ∫[b, a] = -∫[a, b]
+  const sign = a < b ? 1 : -1;
+  const interval = mapInterval(evaluate, Math.min(a, b), Math.max(a, b));
+  const counter = createCounter(interval.g);
+  const { value, ...details } = INTEGRATORS[method](counter, interval.a, interval.b, tolerance);
+
+  if (!isFinite(value)) {
+    throw new SandboxError('INVALID_RESULT', 'A integral resultou em infinito ou NaN');
+  }
+
+  const result = {
+    ...response,
+    ...details,
+    value: sign * value,
+    evaluations: counter.evaluations
+  };
+
+  // Aviso como código + parâmetros; a rota traduz pelo catálogo (warnings.*)
+  if (!details.converged) {
+    result.warning = counter.exhausted()
+      ? { code: 'evaluation_limit', params: { limit: INTEGRATION_LIMITS.maxEvaluations } }
+      : { code: 'not_converged', params: {} };
+  }
+
+  return result;
+}
+
+module.exports = {
+  INTEGRATION_LIMITS,
+  METHODS,
+  integrate
+};
@@ -0,0 +1,292 @@
+const { ALLOWED_CONSTANTS, SandboxError, evaluateNode } = require('./engine');
+const { parseSymbolic } = require('./symbolic');
+
+// Limites do sistema linear (equações × incógnitas) e tolerâncias da eliminação
+const LINEAR_SYSTEM_LIMITS = {
+  maxEquations: 50,
+  maxVariables: 50,
+  maxSteps: 200,
+  // Pivô abaixo dessa fração da magnitude da própria linha é tratado como zero
+  pivotTolerance: 1e-10,
+  // Pontos extras onde a equação precisa bater com a forma linear extraída
+  linearityTolerance: 1e-9
+};
+
+const EQUATION_PATTERN = /(?<![<>=!])=(?!=)/;
+
+// Nomes padrão das incógnitas: x, y, z, w até quatro, depois x1, x2, ...
+function defaultVariables(count) {
+  if (count <= 4) return ['x', 'y', 'z', 'w'].slice(0, count);
+  return Array.from({ length: count }, (_, index) => `x${index + 1}`);
+}
+
+// Ruído de arredondamento some (0.1 + 0.2 = 0.3, -0 = 0)
+function clean(value, scale = 1) {
+  if (Math.abs(value) <= 1e-12 * scale) return 0;
+  return Number(value.toPrecision(12));
+}
+
+const formatNumber = value => String(Number(value.toPrecision(4)));
+
+// Linha "2x - y + 3z = 7" a partir dos coeficientes
+function formatLinearEquation(coefficients, constant, variables) {
+  const terms = coefficients.map((coefficient, index) => {
+    if (coefficient === 0) return '';
+    const size = Math.abs(coefficient);
+    return `${coefficient < 0 ? '-' : ''}${size === 1 ? '' : size}${variables[index]}`;
+  }).filter(Boolean);
+
+  const left = terms.length === 0
+    ? '0'
+    : terms.reduce((text, term) => (term.startsWith('-') ? `${text} - ${term.slice(1)}` : `${text} + ${term}`));
+  return `${left} = ${constant}`;
+}
+
+// Equações em texto viram a matriz aumentada: os coeficientes saem da avaliação em pontos
+// (f(0) e f(eⱼ)) e a linearidade é conferida em pontos adicionais
+function parseLinearEquations(equations, declared) {
+  const parsed = equations.map(equation => {
+    const sides = equation.split(EQUATION_PATTERN);
+    if (sides.length !== 2) {
+      throw new SandboxError('NOT_AN_EQUATION', `Equação deve ter exatamente um sinal de igual: ${equation}`, { equation });
+    }
+    const node = parseSymbolic(`(${sides[0]}) - (${sides[1]})`);
+    const symbols = node
+      .filter((child, path, parent) => child.type === 'SymbolNode' && !(parent && parent.type === 'FunctionNode' && path === 'fn'))
+      .map(child => child.name)
+      .filter(name => !ALLOWED_CONSTANTS.has(name));
+    return { equation, node, symbols };
+  });
+
+  const found = [...new Set(parsed.flatMap(item => item.symbols))];
+  let variables = found.sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  if (declared) {
+    const duplicate = declared.find((name, index) => declared.indexOf(name) !== index);
+    if (duplicate) {
+      throw new SandboxError('DUPLICATE_VARIABLE', `Variável declarada mais de uma vez: ${duplicate}`, { variable: duplicate });
+    }
+    const undeclared = found.find(name => !declared.includes(name));
+    if (undeclared) {
+      throw new SandboxError('UNDECLARED_VARIABLE', `Variável não declarada: ${undeclared}`, { variable: undeclared });
+    }
+    variables = declared;
+  }
+
+  if (variables.length === 0) {
+    throw new SandboxError('NO_VARIABLES', 'As equações não têm incógnitas');
+  }
+  if (variables.length > LINEAR_SYSTEM_LIMITS.maxVariables) {
+    throw new SandboxError('TOO_MANY_VARIABLES', `Variáveis demais (máximo ${LINEAR_SYSTEM_LIMITS.maxVariables})`, {
+      limit: LINEAR_SYSTEM_LIMITS.maxVariables
+    });
+  }
+
+  const matrix = parsed.map(({ equation, node }) => {
+    const evaluate = values => {
+      const scope = Object.fromEntries(variables.map((name, index) => [name, values[index]]));
+      const value = evaluateNode(node, scope);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new SandboxError('NONLINEAR_EQUATION', `Equação não é linear nas incógnitas: ${equation}`, { equation });
+      }
+      return value;
+    };
+
+    const origin = evaluate(variables.map(() => 0));
+    const coefficients = variables.map((_, column) => evaluate(variables.map((__, index) => (index === column ? 1 : 0))) - origin);
+
+    // f(v) = f(0) + Σ aⱼvⱼ em pontos fora da base detecta termos como xy, x² ou sin(x)
+    [0.7, -1.3].forEach(seed => {
+      const point = variables.map((_, index) => seed * (index + 1) + 0.25);
+      const expected = origin + coefficients.reduce((total, coefficient, index) => total + coefficient * point[index], 0);
+      const scale = Math.max(Math.abs(origin), ...coefficients.map((coefficient, index) => Math.abs(coefficient * point[index])));
+      if (Math.abs(evaluate(point) - expected) > LINEAR_SYSTEM_LIMITS.linearityTolerance * scale) {
+        throw new SandboxError('NONLINEAR_EQUATION', `Equação não é linear nas incógnitas: ${equation}`, { equation });
+      }
+    });
+
+    // Ruído relativo ao maior termo da própria equação (1e-12x = 1e-12 continua valendo)
+    const scale = Math.max(Math.abs(origin), ...coefficients.map(Math.abs));
+    return [...coefficients.map(value => clean(value, scale)), clean(-origin, scale)];
+  });
+
+  return { matrix, variables };
+}
+
+// Registro dos passos com limite (sistemas grandes geram muitas operações)
+function createRecorder(steps) {
+  let omitted = 0;
+  return {
+    push(text) {
+      if (steps.length < LINEAR_SYSTEM_LIMITS.maxSteps) steps.push(text);
+      else omitted++;
+    },
+    flush() {
+      if (omitted > 0) steps.push(`... ${omitted} operações elementares omitidas`);
+      omitted = 0;
+    }
+  };
+}
+
+// Magnitude de cada linha: o maior |valor| de [aᵢ | bᵢ], atualizada nas combinações de linhas
+// (Lᵢ - f·Lⱼ acumula arredondamento da ordem de |f|·‖Lⱼ‖); pivôs e resíduos são comparados com
+// a escala da própria linha, então sistemas inteiros em 1e-12 não viram zero
+const rowMagnitude = row => Math.max(...row.map(Math.abs));
+
+// Eliminação de Gauss com pivoteamento parcial escalado, seguida de Gauss–Jordan quando o sistema é possível
+// matrix: linhas [a₁ ... aₙ | b]; a classificação segue Rouché–Capelli (postos de A e [A|b])
+function solveLinearSystem(matrix, variables = defaultVariables(matrix[0].length - 1)) {
+  const rows = matrix.length;
+  const columns = variables.length;
+  const augmented = matrix.map(row => row.map(Number));
+  const scales = augmented.map(rowMagnitude);
+  const negligible = (value, index) => Math.abs(value) <= LINEAR_SYSTEM_LIMITS.pivotTolerance * scales[index];
+
+  const equations = augmented.map(row => formatLinearEquation(row.slice(0, -1), row[columns], variables));
+  const steps = [
+    `Sistema: ${equations.join(', ')}`,
+    `Matriz aumentada [A|b] ${rows}×${columns + 1}; eliminação de Gauss com pivoteamento parcial escalado`
+  ];
+  const recorder = createRecorder(steps);
+
+  // Escalonamento: em cada coluna o maior |aᵢⱼ| relativo à magnitude da linha vira pivô
+  const relative = (index, column) => (scales[index] === 0 ? 0 : Math.abs(augmented[index][column]) / scales[index]);
+  const pivots = [];
+  for (let column = 0, row = 0; column < columns && row < rows; column++) {
+    let best = row;
+    for (let index = row + 1; index < rows; index++) {
+      if (relative(index, column) > relative(best, column)) best = index;
+    }
+    if (negligible(augmented[best][column], best)) continue;
+
+    if (best !== row) {
+      [augmented[row], augmented[best]] = [augmented[best], augmented[row]];
+      [scales[row], scales[best]] = [scales[best], scales[row]];
+      recorder.push(`L${row + 1} ↔ L${best + 1}`);
+    }
+
+    for (let index = row + 1; index < rows; index++) {
+      const factor = augmented[index][column] / augmented[row][column];
+      if (factor === 0) continue;
+      augmented[index] = augmented[index].map((value, position) => value - factor * augmented[row][position]);
+      augmented[index][column] = 0;
+      scales[index] = Math.max(scales[index], Math.abs(factor) * scales[row]);
+      recorder.push(`L${index + 1} ← L${index + 1} - (${formatNumber(factor)})·L${row + 1}`);
+    }
+
+    pivots.push({ row, column });
+    row++;
+  }
+  recorder.flush();
+
+  const echelon = augmented.map((row, index) => row.map(value => clean(value, scales[index])));
+  const rank = pivots.length;
+  const inconsistent = augmented.findIndex((row, index) => index >= rank && !negligible(row[columns], index));
+  const ranks = { coefficient: rank, augmented: rank + (inconsistent >= 0 ? 1 : 0), variables: columns };
+
+  steps.push(`posto(A) = ${ranks.coefficient}, posto([A|b]) = ${ranks.augmented}, incógnitas = ${columns}`);
+
+  if (inconsistent >= 0) {
+    steps.push(`L${inconsistent + 1}: 0 = ${formatNumber(augmented[inconsistent][columns])}, sistema impossível (posto(A) < posto([A|b]))`);
+    return { type: 'none', equations, variables, ranks, echelon, steps };
+  }
+
+  // Gauss–Jordan: pivôs unitários e zeros acima deles
+  steps.push('Substituição reversa (Gauss–Jordan)');
+  for (let index = pivots.length - 1; index >= 0; index--) {
+    const { row, column } = pivots[index];
+    const pivot = augmented[row][column];
+    if (pivot !== 1) {
+      augmented[row] = augmented[row].map(value => value / pivot);
+      scales[row] /= Math.abs(pivot);
+      recorder.push(`L${row + 1} ← L${row + 1} / (${formatNumber(pivot)})`);
+    }
+    augmented[row][column] = 1;
+
+    for (let above = 0; above < row; above++) {
+      const factor = augmented[above][column];
+      if (factor === 0) continue;
+      augmented[above] = augmented[above].map((value, position) => value - factor * augmented[row][position]);
+      augmented[above][column] = 0;
+      scales[above] = Math.max(scales[above], Math.abs(factor) * scales[row]);
+      recorder.push(`L${above + 1} ← L${above + 1} - (${formatNumber(factor)})·L${row + 1}`);
+    }
+  }
+  recorder.flush();
+
+  const reduced = augmented.map((row, index) => row.map(value => clean(value, scales[index])));
+  const pivotColumns = new Set(pivots.map(({ column }) => column));
+  const free = variables.filter((_, column) => !pivotColumns.has(column));
+
+  if (free.length === 0) {
+    const solution = {};
+    pivots.forEach(({ row, column }) => { solution[variables[column]] = reduced[row][columns]; });
+    steps.push(`posto(A) = posto([A|b]) = ${columns}: solução única`);
+    variables.forEach(name => steps.push(`${name} = ${solution[name]}`));
+    return { type: 'unique', equations, variables, ranks, echelon, reduced, solution, steps };
+  }
+
+  // Infinitas soluções: cada variável de pivô em função das livres (parâmetros)
+  steps.push(`posto(A) = posto([A|b]) = ${rank} < ${columns}: infinitas soluções com ${free.length} variável(is) livre(s): ${free.join(', ')}`);
+  const particular = Object.fromEntries(variables.map(name => [name, 0]));
+  const expressions = Object.fromEntries(free.map(name => [name, name]));
+  const basis = free.map(name => ({ parameter: name, direction: Object.fromEntries(variables.map(item => [item, item === name ? 1 : 0])) }));
+
+  pivots.forEach(({ row, column }) => {
+    const name = variables[column];
+    particular[name] = reduced[row][columns];
+
+    const terms = [];
+    if (reduced[row][columns] !== 0) terms.push(String(reduced[row][columns]));
+    free.forEach((freeName, index) => {
+      const coefficient = clean(-reduced[row][variables.indexOf(freeName)]);
+      basis[index].direction[name] = coefficient;
+      if (coefficient === 0) return;
+      const size = Math.abs(coefficient);
+      terms.push(`${coefficient < 0 ? '-' : ''}${size === 1 ? '' : size}${freeName}`);
+    });
+
+    expressions[name] = terms.length === 0
+      ? '0'
+      : terms.reduce((text, term) => (term.startsWith('-') ? `${text} - ${term.slice(1)}` : `${text} + ${term}`));
+    steps.push(`${name} = ${expressions[name]}`);
+  });
+
+  return {
+    type: 'infinite',
+    equations,
+    variables,
+    ranks,
+    echelon,
+    reduced,
+    parametric: {
+      freeVariables: free,
+      expressions: Object.fromEntries(variables.map(name => [name, expressions[name]])),
+      particular,
+      basis
+    },
+    steps
+  };
+}
+
+// Resíduo de cada equação (Ax - b) para a solução informada, relativo aos termos da equação (Σ|aⱼxⱼ| + |b|)
+function verifyLinearSolution(matrix, variables, values) {
+  return matrix.map(row => {
+    const columns = row.length - 1;
+    const terms = row.slice(0, columns).map((coefficient, index) => Number(coefficient) * values[variables[index]]);
+    const residual = terms.reduce((total, term) => total + term, 0) - Number(row[columns]);
+    const scale = terms.reduce((total, term) => total + Math.abs(term), Math.abs(Number(row[columns])));
+    return {
+      equation: formatLinearEquation(row.slice(0, columns).map(Number), Number(row[columns]), variables),
+      residual: Math.abs(residual) <= 1e-10 * scale ? 0 : residual,
+      isValid: Math.abs(residual) <= 1e-6 * scale
+    };
+  });
+}
+
+module.exports = {
+  LINEAR_SYSTEM_LIMITS,
+  defaultVariables,
+  parseLinearEquations,
+  solveLinearSystem,
+  verifyLinearSolution
+};
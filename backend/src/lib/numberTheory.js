@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const { SandboxError } = require('./engine');
+
+// Limites das operações com inteiros de tamanho arbitrário
+const NUMBER_THEORY_LIMITS = {
+  maxDigits: 1000,
+  maxFactorDigits: 60,
+  maxRhoIterations: 500000,
+  maxValues: 50,
+  maxCongruences: 20,
+  defaultRounds: 20,
+  maxRounds: 64,
+  maxStepBits: 64
+};
+
+// Bases do Miller–Rabin determinístico para n < 3.317.044.064.679.887.385.961.981
+const DETERMINISTIC_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+
+// Primos pequenos para a divisão por tentativa (crivo de Eratóstenes)
+const TRIAL_DIVISION_LIMIT = 10000;
+const SMALL_PRIMES = (() => {
+  const composite = new Uint8Array(TRIAL_DIVISION_LIMIT + 1);
+  const primes = [];
+  for (let i = 2; i <= TRIAL_DIVISION_LIMIT; i++) {
+    if (composite[i]) continue;
+    primes.push(BigInt(i));
+    for (let j = i * i; j <= TRIAL_DIVISION_LIMIT; j += i) composite[j] = 1;
+  }
+  return primes;
+})();
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+const abs = value => (value < 0n ? -value : value);
+
+// Resto sempre não negativo (o % do JavaScript segue o sinal do dividendo)
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+// Inteiro do cliente: número inteiro seguro ou texto com dígitos (tamanho arbitrário)
+function toInteger(value, name, { maxDigits = NUMBER_THEORY_LIMITS.maxDigits } = {}) {
+  let text;
+  if (typeof value === 'number' && Number.isSafeInteger(value)) text = String(value);
+  else if (typeof value === 'string' && INTEGER_PATTERN.test(value.trim())) text = value.trim();
+  else if (typeof value === 'bigint') text = value.toString();
+
+  if (text === undefined) {
+    throw new SandboxError('INVALID_INTEGER', `Inteiro inválido em ${name} (use número inteiro ou texto com dígitos)`, { name });
+  }
+
+  if (text.replace(/^[+-]/, '').replace(/^0+(?=\d)/, '').length > maxDigits) {
+    throw new SandboxError('INTEGER_TOO_LARGE', `Inteiro muito grande em ${name} (máximo ${maxDigits} dígitos)`, {
+      name,
+      limit: maxDigits
+    });
+  }
+
+  return BigInt(text);
+}
+
+// Inteiro positivo (módulos, números a fatorar...)
+function toPositiveInteger(value, name, options) {
+  const integer = toInteger(value, name, options);
+  if (integer < 1n) {
+    throw new SandboxError('NON_POSITIVE_INTEGER', `${name} deve ser um inteiro positivo`, { name });
+  }
+  return integer;
+}
+
+function gcd(a, b) {
+  let x = abs(a);
+  let y = abs(b);
+  while (y !== 0n) [x, y] = [y, x % y];
+  return x;
+}
+
+function lcm(a, b) {
+  if (a === 0n || b === 0n) return 0n;
+  return abs(a / gcd(a, b) * b);
+}
+
+// Algoritmo de Euclides estendido com a tabela de divisões (a·x + b·y = mdc)
+function extendedGcd(a, b) {
+  const steps = [];
+  let [oldR, r] = [abs(a), abs(b)];
+  let [oldS, s] = [1n, 0n];
+  let [oldT, t] = [0n, 1n];
+
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    const remainder = oldR - quotient * r;
+    steps.push({
+      dividend: oldR.toString(),
+      divisor: r.toString(),
+      quotient: quotient.toString(),
+      remainder: remainder.toString(),
+      equation: `${oldR} = ${quotient} × ${r} + ${remainder}`
+    });
+    [oldR, r] = [r, remainder];
+    [oldS, s] = [s, oldS - quotient * s];
+    [oldT, t] = [t, oldT - quotient * t];
+  }
+
+  // Coeficientes calculados para |a| e |b|; o sinal volta para os valores originais
+  const x = a < 0n ? -oldS : oldS;
+  const y = b < 0n ? -oldT : oldT;
+  return { gcd: oldR, x, y, steps };
+}
+
+// mdc e mmc de uma lista, com coeficientes de Bézout (Σ aᵢ·xᵢ = mdc) e as divisões de cada par
+function gcdOfValues(values) {
+  let divisor = abs(values[0]);
+  let multiple = abs(values[0]);
+  let coefficients = [values[0] < 0n ? -1n : 1n];
+  const pairs = [];
+
+  for (const value of values.slice(1)) {
+    const { gcd: next, x, y, steps } = extendedGcd(divisor, value);
+    pairs.push({ a: divisor.toString(), b: value.toString(), gcd: next.toString(), steps });
+    coefficients = [...coefficients.map(coefficient => coefficient * x), y];
+    divisor = next;
+    multiple = lcm(multiple, value);
+  }
+
+  return { gcd: divisor, lcm: multiple, coefficients, pairs };
+}
+
+// Exponenciação modular por quadrados sucessivos, bit a bit do expoente (do mais significativo)
+function modPow(base, exponent, modulus) {
+  if (modulus === 1n) return { result: 0n, steps: [] };
+
+  let power = mod(base, modulus);
+  let e = exponent;
+  if (e < 0n) {
+    power = modInverse(power, modulus).inverse;
+    e = -e;
+  }
+
+  const bits = e.toString(2);
+  const steps = [];
+  let result = 1n;
+
+  for (const bit of bits) {
+    result = (result * result) % modulus;
+    const squared = result;
+    if (bit === '1') result = (result * power) % modulus;
+    steps.push({ bit: Number(bit), squared: squared.toString(), result: result.toString() });
+  }
+
+  // Expoentes muito longos ficam sem a tabela de passos
+  return { result: e === 0n ? 1n % modulus : result, steps: bits.length <= NUMBER_THEORY_LIMITS.maxStepBits ? steps : null };
+}
+
+// Inverso modular pelo Euclides estendido; só existe quando mdc(a, m) = 1
+function modInverse(a, modulus) {
+  if (modulus < 2n) {
+    throw new SandboxError('INVALID_MODULUS', 'O módulo deve ser maior que 1', { modulus: modulus.toString() });
+  }
+
+  const { gcd: divisor, x, steps } = extendedGcd(mod(a, modulus), modulus);
+  if (divisor !== 1n) {
+    throw new SandboxError('NO_INVERSE', `${a} não tem inverso módulo ${modulus} (mdc = ${divisor})`, {
+      a: a.toString(),
+      modulus: modulus.toString(),
+      gcd: divisor.toString()
+    });
+  }
+
+  return { inverse: mod(x, modulus), steps };
+}
+
+// Inteiro aleatório uniforme em [min, max]
+function randomBetween(min, max) {
+  const range = max - min + 1n;
+  const bytes = Math.ceil(range.toString(16).length / 2) + 8;
+  return min + BigInt(`0x${crypto.randomBytes(bytes).toString('hex')}`) % range;
+}
+
+// Uma rodada do Miller–Rabin: true quando a base prova que n é composto
+function isWitness(base, n, d, s) {
+  let x = modPow(base, d, n).result;
+  if (x === 1n || x === n - 1n) return false;
+  for (let i = 1n; i < s; i++) {
+    x = (x * x) % n;
+    if (x === n - 1n) return false;
+  }
+  return true;
+}
+
+// Teste de Miller–Rabin: determinístico abaixo de DETERMINISTIC_LIMIT, probabilístico acima
+function millerRabin(n, { rounds = NUMBER_THEORY_LIMITS.defaultRounds } = {}) {
+  const deterministic = n < DETERMINISTIC_LIMIT;
+  const summary = { deterministic, rounds: deterministic ? DETERMINISTIC_BASES.length : rounds };
+
+  if (n < 2n) return { ...summary, isPrime: false, witness: null };
+  const smallPrime = SMALL_PRIMES.find(prime => n % prime === 0n);
+  if (smallPrime !== undefined) {
+    return { ...summary, isPrime: n === smallPrime, witness: null, divisor: n === smallPrime ? null : smallPrime };
+  }
+
+  // n - 1 = d · 2^s com d ímpar
+  let d = n - 1n;
+  let s = 0n;
+  while (d % 2n === 0n) {
+    d /= 2n;
+    s++;
+  }
+
+  const bases = deterministic
+    ? DETERMINISTIC_BASES
+    : Array.from({ length: rounds }, () => randomBetween(2n, n - 2n));
+  const witness = bases.find(base => isWitness(base, n, d, s));
+
+  return { ...summary, isPrime: witness === undefined, witness: witness === undefined ? null : witness };
+}
+
+const isPrime = n => millerRabin(n).isPrime;
+
+// Pollard rho (variante de Brent), consumindo o orçamento de iterações compartilhado
+function pollardBrent(n, budget) {
+  if (n % 2n === 0n) return 2n;
+
+  for (let c = 1n; c < 50n; c++) {
+    const f = value => (value * value + c) % n;
+    let y = randomBetween(1n, n - 1n);
+    let r = 1n;
+    let q = 1n;
+    let divisor = 1n;
+    let x;
+    let saved;
+
+    while (divisor === 1n) {
+      x = y;
+      for (let i = 0n; i < r; i++) y = f(y);
+
+      for (let k = 0n; k < r && divisor === 1n; k += 128n) {
+        saved = y;
+        const batch = r - k < 128n ? r - k : 128n;
+        for (let i = 0n; i < batch; i++) {
+          y = f(y);
+          q = (q * abs(x - y)) % n;
+        }
+        divisor = gcd(q, n);
+        budget.iterations += Number(batch);
+        if (budget.iterations > NUMBER_THEORY_LIMITS.maxRhoIterations) return null;
+      }
+      r *= 2n;
+    }
+
+    // O lote passou do fator; refaz passo a passo a partir do último ponto salvo
+    if (divisor === n) {
+      do {
+        saved = f(saved);
+        divisor = gcd(abs(x - saved), n);
+      } while (divisor === 1n);
+    }
+
+    if (divisor !== n) return divisor;
+  }
+
+  return null;
+}
+
+// Fatoração: divisão por primos pequenos, Miller–Rabin e Pollard rho para o restante
+// Fatores que não puderam ser separados dentro do orçamento voltam em remaining
+function factorize(n) {
+  const factors = new Map();
+  const remaining = [];
+  const budget = { iterations: 0 };
+  let rest = abs(n);
+
+  const add = (prime, count = 1) => factors.set(prime, (factors.get(prime) || 0) + count);
+
+  for (const prime of SMALL_PRIMES) {
+    if (prime * prime > rest) break;
+    while (rest % prime === 0n) {
+      add(prime);
+      rest /= prime;
+    }
+  }
+
+  const pending = rest > 1n ? [rest] : [];
+  while (pending.length > 0) {
+    const value = pending.pop();
+    if (isPrime(value)) {
+      add(value);
+      continue;
+    }
+
+    const divisor = pollardBrent(value, budget);
+    if (divisor === null) {
+      remaining.push(value);
+      continue;
+    }
+    pending.push(divisor, value / divisor);
+  }
+
+  return {
+    factors: [...factors.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([prime, exponent]) => ({ prime, exponent })),
+    remaining: remaining.sort((a, b) => (a < b ? -1 : 1)),
+    complete: remaining.length === 0
+  };
+}
+
+// Fatoração em texto: 360 = 2^3 × 3^2 × 5
+function formatFactorization(factors) {
+  return factors.map(({ prime, exponent }) => (exponent > 1 ? `${prime}^${exponent}` : `${prime}`)).join(' × ');
+}
+
+// φ(n) = n · Π (1 − 1/p) sobre os primos distintos de n
+function totient(n) {
+  if (n === 1n) return { totient: 1n, factors: [] };
+
+  const { factors, complete } = factorize(n);
+  if (!complete) {
+    throw new SandboxError('FACTORIZATION_INCOMPLETE', 'Não foi possível fatorar n completamente dentro do limite de iterações', {
+      limit: NUMBER_THEORY_LIMITS.maxRhoIterations
+    });
+  }
+
+  const value = factors.reduce((result, { prime }) => result / prime * (prime - 1n), n);
+  return { totient: value, factors };
+}
+
+// Teorema Chinês do Resto generalizado (módulos não precisam ser coprimos)
+// x ≡ a (mod m) acumulado congruência a congruência
+function solveCongruences(congruences) {
+  let x = 0n;
+  let modulus = 1n;
+  const steps = [];
+
+  for (let index = 0; index < congruences.length; index++) {
+    const { remainder, modulus: m } = congruences[index];
+    const a = mod(remainder, m);
+    const { gcd: g, x: p } = extendedGcd(modulus, m);
+
+    // Compatível somente se x ≡ a (mod mdc(M, m))
+    if ((a - x) % g !== 0n) {
+      return { solvable: false, conflict: index, steps };
+    }
+
+    const step = m / g;
+    const t = mod((a - x) / g * p, step);
+    const combined = modulus * step;
+    x = mod(x + modulus * t, combined);
+    modulus = combined;
+
+    steps.push({
+      congruence: `x ≡ ${a} (mod ${m})`,
+      solution: x.toString(),
+      modulus: modulus.toString(),
+      equation: `x ≡ ${x} (mod ${modulus})`
+    });
+  }
+
+  return { solvable: true, solution: x, modulus, steps };
+}
+
+module.exports = {
+  NUMBER_THEORY_LIMITS,
+  toInteger,
+  toPositiveInteger,
+  gcd,
+  lcm,
+  extendedGcd,
+  gcdOfValues,
+  modPow,
+  modInverse,
+  millerRabin,
+  factorize,
+  formatFactorization,
+  totient,
+  solveCongruences
+};
@@ -0,0 +1,426 @@
+const { compileFunction, evaluateExpression, SandboxError } = require('./engine');
+
+// Limites da amostragem de gráficos
+const PLOT_LIMITS = {
+  maxExpressions: 5,
+  defaultPoints: 200,
+  minPoints: 10,
+  maxPoints: 2000,
+  maxRefinementPasses: 12,
+  searchIterations: 60
+};
+
+// Ângulo mínimo (radianos, em coordenadas normalizadas) que justifica refinar um trecho
+const CURVATURE_THRESHOLD = 0.05;
+// Salto normalizado a partir do qual um trecho é investigado como descontinuidade
+const JUMP_THRESHOLD = 0.1;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Ponto médio sem somar os extremos (a + b estoura perto de ±1.8e308)
+const midpoint = (a, b) => a + (b - a) / 2;
+
+// Limite do intervalo do gráfico: número ou expressão constante (ex.: "2*pi")
+function parseDomainBound(value, name) {
+  if (typeof value === 'number' && isFinite(value)) return value;
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    try {
+      const { result } = evaluateExpression(value);
+      if (typeof result === 'number' && isFinite(result)) return result;
+    } catch (error) {
+      // Cai no erro padrão abaixo
+    }
+  }
+
+  throw new SandboxError('INVALID_DOMAIN_BOUND', `Limite do intervalo inválido: ${name}`, {
+    bound: name,
+    hint: 'plot_bound'
+  });
+}
+
+// Função amostrável: pontos fora do domínio (NaN, ±∞, erro de avaliação) viram null
+function createSampler(expression, variable, scope) {
+  const { node, evaluate } = compileFunction(expression, variable, scope);
+
+  const f = x => {
+    let y;
+    try {
+      y = evaluate(x);
+    } catch (error) {
+      if (error.code === 'EVALUATION_ERROR') return null;
+      throw error;
+    }
+    return isFinite(y) ? y : null;
+  };
+
+  return { node, f };
+}
+
+// Escala vertical robusta (percentis 5–95) para não ser dominada por assíntotas
+function verticalScale(samples) {
+  const values = samples.map(point => point.y).filter(y => y !== null).sort((a, b) => a - b);
+  if (values.length === 0) return 1;
+
+  const at = fraction => values[Math.min(values.length - 1, Math.floor(fraction * values.length))];
+  const spread = at(0.95) - at(0.05);
+  if (spread > 0) return spread;
+
+  return Math.max(1, Math.abs(values[0]));
+}
+
+// Ângulo de mudança de direção no ponto i (coordenadas normalizadas)
+function turnAngle(samples, i, xScale, yScale) {
+  const previous = samples[i - 1];
+  const point = samples[i];
+  const next = samples[i + 1];
+  if (!previous || !next || previous.y === null || point.y === null || next.y === null) return 0;
+
+  const a1 = Math.atan2((point.y - previous.y) / yScale, (point.x - previous.x) / xScale);
+  const a2 = Math.atan2((next.y - point.y) / yScale, (next.x - point.x) / xScale);
+  return Math.abs(a2 - a1);
+}
+
+// Amostragem adaptativa: parte de uma malha uniforme e insere pontos médios
+// nos trechos de maior curvatura ou nas bordas de regiões indefinidas
+function sampleAdaptive(f, min, max, points) {
+  const initial = Math.max(PLOT_LIMITS.minPoints, Math.floor(points / 4));
+  const step = (max - min) / (initial - 1);
+  let samples = Array.from({ length: initial }, (_, i) => {
+    const x = i === initial - 1 ? max : min + i * step;
+    return { x, y: f(x) };
+  });
+
+  const xScale = max - min;
+  const minWidth = xScale * 1e-7;
+
+  for (let pass = 0; pass < PLOT_LIMITS.maxRefinementPasses && samples.length < points; pass++) {
+    const yScale = verticalScale(samples);
+
+    const candidates = [];
+    for (let i = 0; i < samples.length - 1; i++) {
+      const left = samples[i];
+      const right = samples[i + 1];
+      if (right.x - left.x < minWidth || (left.y === null && right.y === null)) continue;
+
+      const score = left.y === null || right.y === null
+        ? Math.PI
+        : Math.max(turnAngle(samples, i, xScale, yScale), turnAngle(samples, i + 1, xScale, yScale));
+
+      if (score > CURVATURE_THRESHOLD) candidates.push({ index: i, score });
+    }
+
+    if (candidates.length === 0) break;
+
+    // Refina primeiro os trechos mais curvos, até o orçamento de pontos
+    const selected = new Set(candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, points - samples.length)
+      .map(candidate => candidate.index));
+
+    const refined = [];
+    samples.forEach((point, i) => {
+      refined.push(point);
+      if (selected.has(i)) {
+        const x = midpoint(point.x, samples[i + 1].x);
+        refined.push({ x, y: f(x) });
+      }
+    });
+    samples = refined;
+  }
+
+  return samples;
+}
+
+// Estreita um salto por bissecção; se ele não diminui, é descontinuidade
+function classifyJump(f, left, right, yScale) {
+  const initialJump = Math.abs(right.y - left.y);
+  let a = left;
+  let b = right;
+
+  for (let i = 0; i < PLOT_LIMITS.searchIterations && b.x - a.x > 0; i++) {
+    const x = midpoint(a.x, b.x);
+    if (x <= a.x || x >= b.x) break;
+
+    const middle = { x, y: f(x) };
+    if (middle.y === null) return classifyBoundary(f, Math.abs(a.y) > Math.abs(b.y) ? a : b, x, yScale);
+
+    if (Math.abs(middle.y - a.y) >= Math.abs(b.y - middle.y)) b = middle;
+    else a = middle;
+  }
+
+  const jump = Math.abs(b.y - a.y);
+  if (jump <= JUMP_THRESHOLD * yScale / 2) return null;
+
+  // Em uma assíntota o salto cresce conforme o intervalo encolhe (ou já é desproporcional)
+  const blowsUp = jump > 10 * initialJump || Math.max(Math.abs(a.y), Math.abs(b.y)) > 1e3 * yScale;
+  return {
+    x: midpoint(a.x, b.x),
+    type: blowsUp ? 'asymptote' : 'jump'
+  };
+}
+
+// Fronteira entre um ponto definido e um indefinido: assíntota (|y| explode) ou início de região indefinida
+function classifyBoundary(f, defined, undefinedX, yScale) {
+  let a = defined;
+  let b = undefinedX;
+
+  for (let i = 0; i < PLOT_LIMITS.searchIterations; i++) {
+    const x = midpoint(a.x, b);
+    if (x === a.x || x === b) break;
+
+    const y = f(x);
+    if (y === null) b = x;
+    else a = { x, y };
+  }
+
+  return {
+    x: b,
+    type: Math.abs(a.y) > 1e3 * yScale ? 'asymptote' : 'undefined'
+  };
+}
+
+// Quebra a polilinha em pontos indefinidos e descontinuidades
+function splitSegments(f, samples, tolerance) {
+  const yScale = verticalScale(samples);
+  const segments = [];
+  const discontinuities = [];
+  let current = [];
+
+  // Ponto isolado colado em uma assíntota não forma trecho desenhável
+  const close = () => {
+    const stray = current.length === 1 && Math.abs(current[0].y) > 1e3 * yScale;
+    if (current.length > 0 && !stray) segments.push(current);
+    current = [];
+  };
+
+  samples.forEach((point, i) => {
+    const previous = samples[i - 1];
+
+    if (point.y === null) {
+      if (previous && previous.y !== null) discontinuities.push(classifyBoundary(f, previous, point.x, yScale));
+      close();
+      return;
+    }
+
+    if (previous && previous.y === null) {
+      discontinuities.push(classifyBoundary(f, point, previous.x, yScale));
+    } else if (previous && Math.abs(point.y - previous.y) > JUMP_THRESHOLD * yScale) {
+      const discontinuity = classifyJump(f, previous, point, yScale);
+      if (discontinuity) {
+        discontinuities.push(discontinuity);
+        close();
+      }
+    }
+
+    current.push(point);
+  });
+  close();
+
+  return { segments, discontinuities: dedupe(discontinuities, tolerance * 1e3) };
+}
+
+// Raiz por bissecção entre dois pontos com sinais opostos
+function bisect(f, left, right) {
+  let a = left;
+  let b = right;
+
+  for (let i = 0; i < PLOT_LIMITS.searchIterations; i++) {
+    const x = midpoint(a.x, b.x);
+    const y = f(x);
+    if (y === null || y === 0) return x;
+    if (Math.sign(y) === Math.sign(a.y)) a = { x, y };
+    else b = { x, y };
+  }
+
+  return midpoint(a.x, b.x);
+}
+
+// Extremo local por seção áurea em [a, b]
+function goldenSection(f, a, b, type) {
+  const better = (y1, y2) => (type === 'maximum' ? y1 > y2 : y1 < y2);
+  let x1 = b - GOLDEN_RATIO * (b - a);
+  let x2 = a + GOLDEN_RATIO * (b - a);
+  let y1 = f(x1);
+  let y2 = f(x2);
+
+  for (let i = 0; i < PLOT_LIMITS.searchIterations && y1 !== null && y2 !== null; i++) {
+    if (better(y1, y2)) {
+      b = x2;
+      x2 = x1;
+      y2 = y1;
+      x1 = b - GOLDEN_RATIO * (b - a);
+      y1 = f(x1);
+    } else {
+      a = x1;
+      x1 = x2;
+      y1 = y2;
+      x2 = a + GOLDEN_RATIO * (b - a);
+      y2 = f(x2);
+    }
+  }
+
+  const x = midpoint(a, b);
+  const y = f(x);
+  return y === null ? null : { x, y, type };
+}
+
+// Evita pontos repetidos encontrados por trechos vizinhos
+function dedupe(points, tolerance) {
+  return points
+    .sort((a, b) => a.x - b.x)
+    .filter((point, i, sorted) => i === 0 || point.x - sorted[i - 1].x > tolerance);
+}
+
+// Raízes e extremos dentro de cada trecho contínuo
+function findFeatures(f, segments, tolerance, yScale) {
+  const roots = [];
+  const extrema = [];
+
+  segments.forEach(segment => {
+    segment.forEach((point, i) => {
+      const previous = segment[i - 1];
+      const next = segment[i + 1];
+
+      // Zeros em platôs (ex.: floor(x) em [0, 1)) não são raízes isoladas
+      const isolated = (!previous || previous.y !== 0) && (!next || next.y !== 0);
+      if (point.y === 0 && isolated) roots.push({ x: point.x, y: 0 });
+      if (next && point.y * next.y < 0) roots.push({ x: bisect(f, point, next), y: 0 });
+
+      if (!previous || !next) return;
+
+      const before = point.y - previous.y;
+      const after = next.y - point.y;
+      if (before * after < 0) {
+        const extremum = goldenSection(f, previous.x, next.x, before > 0 ? 'maximum' : 'minimum');
+        if (extremum) extrema.push(extremum);
+      }
+    });
+  });
+
+  // Raízes tangentes (ex.: x² em 0) aparecem só como extremos
+  extrema
+    .filter(extremum => Math.abs(extremum.y) <= 1e-10 * yScale)
+    .forEach(extremum => roots.push({ x: extremum.x, y: 0 }));
+
+  return {
+    roots: dedupe(roots, tolerance),
+    extrema: dedupe(extrema, tolerance)
+  };
+}
+
+// Interseções entre duas curvas: raízes de f - g onde ambas são finitas
+function findIntersections(first, second, min, max, points, tolerance) {
+  const difference = x => {
+    const y1 = first(x);
+    const y2 = second(x);
+    return y1 === null || y2 === null ? null : y1 - y2;
+  };
+
+  const samples = Array.from({ length: points }, (_, i) => {
+    const x = i === points - 1 ? max : min + (i * (max - min)) / (points - 1);
+    return { x, y: difference(x) };
+  });
+
+  const intersections = [];
+  samples.forEach((point, i) => {
+    const next = samples[i + 1];
+    if (point.y === null) return;
+
+    let x = null;
+    if (point.y === 0) {
+      // Curvas coincidentes em um trecho não geram interseções pontuais
+      const previous = samples[i - 1];
+      const isolated = (!previous || previous.y !== 0) && (!next || next.y !== 0);
+      if (isolated) x = point.x;
+    } else if (next && next.y !== null && point.y * next.y < 0) {
+      x = bisect(difference, point, next);
+    }
+    if (x === null) return;
+
+    // Troca de sinal por assíntota não é interseção
+    const y = first(x);
+    const other = second(x);
+    if (y !== null && other !== null && Math.abs(y - other) <= 1e-6 * Math.max(1, Math.abs(y))) {
+      intersections.push({ x, y });
+    }
+  });
+
+  return dedupe(intersections, tolerance);
+}
+
+// Dados de gráfico de uma ou mais expressões no intervalo [min, max]
+function plot(expressions, {
+  variable = 'x',
+  domain = {},
+  points = PLOT_LIMITS.defaultPoints,
+  scope
+} = {}) {
+  const list = Array.isArray(expressions) ? expressions : [expressions];
+  if (list.length === 0 || list.length > PLOT_LIMITS.maxExpressions) {
+    throw new SandboxError('TOO_MANY_EXPRESSIONS', `Informe de 1 a ${PLOT_LIMITS.maxExpressions} expressões`, {
+      limit: PLOT_LIMITS.maxExpressions
+    });
+  }
+
+  const min = parseDomainBound(domain.min, 'min');
+  const max = parseDomainBound(domain.max, 'max');
+  if (min >= max) {
+    throw new SandboxError('INVALID_DOMAIN_BOUND', 'O limite min deve ser menor que max', { min, max });
+  }
+  // Cada limite é finito, mas a largura pode estourar (-1e308 a 1e308) e tornar o passo NaN
+  if (!isFinite(max - min)) {
+    throw new SandboxError('INVALID_DOMAIN_BOUND', `Intervalo largo demais: max - min deve ser no máximo ${Number.MAX_VALUE}`, {
+      min,
+      max,
+      limit: Number.MAX_VALUE
+    });
+  }
+
+  if (!Number.isInteger(points) || points < PLOT_LIMITS.minPoints || points > PLOT_LIMITS.maxPoints) {
+    throw new SandboxError('INVALID_POINTS', `Número de pontos deve ser um inteiro entre ${PLOT_LIMITS.minPoints} e ${PLOT_LIMITS.maxPoints}`, {
+      min: PLOT_LIMITS.minPoints,
+      limit: PLOT_LIMITS.maxPoints
+    });
+  }
+
+  const tolerance = (max - min) * 1e-9;
+  const samplers = list.map(expression => createSampler(expression, variable, scope));
+
+  const series = samplers.map(({ node, f }, index) => {
+    const samples = sampleAdaptive(f, min, max, points);
+    const { segments, discontinuities } = splitSegments(f, samples, tolerance);
+    const { roots, extrema } = findFeatures(f, segments, tolerance, verticalScale(samples));
+
+    return {
+      index,
+      expression: list[index],
+      parsed: node.toString(),
+      samples: samples.length,
+      segments: segments.map(segment => segment.map(point => [point.x, point.y])),
+      discontinuities,
+      roots,
+      extrema
+    };
+  });
+
+  const intersections = [];
+  for (let i = 0; i < samplers.length; i++) {
+    for (let j = i + 1; j < samplers.length; j++) {
+      findIntersections(samplers[i].f, samplers[j].f, min, max, points, tolerance)
+        .forEach(point => intersections.push({ ...point, series: [i, j] }));
+    }
+  }
+
+  return {
+    variable,
+    domain: { min, max },
+    points,
+    series,
+    intersections
+  };
+}
+
+module.exports = {
+  PLOT_LIMITS,
+  plot
+};
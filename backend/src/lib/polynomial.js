@@ -0,0 +1,237 @@
+// Limites e tolerâncias da busca de raízes de polinômios
+const POLYNOMIAL_LIMITS = {
+  maxDegree: 100,
+  maxIterations: 500,
+  polishIterations: 10,
+  // Aproximações a menos dessa distância (relativa) são candidatas a raiz múltipla
+  clusterRadius: 1e-2,
+  // Um grupo é raiz múltipla se as aproximações se espalham no máximo esse múltiplo do
+  // espalhamento que o arredondamento produz numa raiz de multiplicidade m
+  multiplicitySpread: 8,
+  // Parte imaginária desprezível: a raiz é real
+  realTolerance: 1e-8
+};
+
+const EPSILON = Number.EPSILON;
+
+// Aritmética complexa mínima em { re, im }
+const complex = (re, im = 0) => ({ re, im });
+const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+const sub = (a, b) => complex(a.re - b.re, a.im - b.im);
+const mul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const magnitude = a => Math.hypot(a.re, a.im);
+
+function div(a, b) {
+  const denominator = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+}
+
+// Coeficientes do maior para o menor grau (como a, b, c da quadrática)
+function derivative(coefficients) {
+  const degree = coefficients.length - 1;
+  return coefficients.slice(0, -1).map((coefficient, index) => coefficient * (degree - index));
+}
+
+// Horner com derivada e cota do erro de arredondamento (Σ|aᵢ||z|ⁱ)
+function horner(coefficients, z) {
+  const radius = magnitude(z);
+  let value = complex(coefficients[0]);
+  let slope = complex(0);
+  let bound = Math.abs(coefficients[0]);
+
+  for (let index = 1; index < coefficients.length; index++) {
+    slope = add(mul(slope, z), value);
+    value = add(mul(value, z), complex(coefficients[index]));
+    bound = bound * radius + Math.abs(coefficients[index]);
+  }
+
+  return { value, slope, bound };
+}
+
+// Método de Aberth–Ehrlich: Newton simultâneo com repulsão entre as aproximações
+// Exige grau ≥ 2 e termo independente não nulo (raízes nulas já removidas)
+function aberth(coefficients) {
+  const degree = coefficients.length - 1;
+  // Aproximações iniciais num círculo com a média geométrica dos módulos das raízes
+  const radius = Math.pow(Math.abs(coefficients[degree] / coefficients[0]), 1 / degree);
+  const roots = Array.from({ length: degree }, (_, index) => {
+    const angle = 2 * Math.PI * index / degree + 0.4;
+    return complex(radius * Math.cos(angle), radius * Math.sin(angle));
+  });
+  const done = new Array(degree).fill(false);
+
+  for (let iteration = 1; iteration <= POLYNOMIAL_LIMITS.maxIterations; iteration++) {
+    for (let k = 0; k < degree; k++) {
+      if (done[k]) continue;
+
+      const { value, slope, bound } = horner(coefficients, roots[k]);
+      if (magnitude(value) <= 4 * EPSILON * bound) {
+        done[k] = true;
+        continue;
+      }
+      if (magnitude(slope) === 0) {
+        // Ponto crítico: desloca a aproximação para sair dele
+        roots[k] = add(roots[k], complex(1e-8 * Math.max(1, radius), 1e-8 * Math.max(1, radius)));
+        continue;
+      }
+
+      const ratio = div(value, slope);
+      let repulsion = complex(0);
+      for (let j = 0; j < degree; j++) {
+        if (j !== k) repulsion = add(repulsion, div(complex(1), sub(roots[k], roots[j])));
+      }
+
+      const correction = div(ratio, sub(complex(1), mul(ratio, repulsion)));
+      roots[k] = sub(roots[k], correction);
+      if (magnitude(correction) <= EPSILON * magnitude(roots[k])) done[k] = true;
+    }
+
+    if (done.every(Boolean)) return { roots, radius, iterations: iteration, converged: true };
+  }
+
+  return { roots, radius, iterations: POLYNOMIAL_LIMITS.maxIterations, converged: false };
+}
+
+// Newton a partir de z, mantendo o melhor ponto (|f| mínimo)
+function polishRoot(coefficients, z) {
+  let best = z;
+  let { value, slope } = horner(coefficients, z);
+  let bestValue = magnitude(value);
+
+  for (let iteration = 0; iteration < POLYNOMIAL_LIMITS.polishIterations && bestValue > 0; iteration++) {
+    if (magnitude(slope) === 0) break;
+    const next = sub(best, div(value, slope));
+    ({ value, slope } = horner(coefficients, next));
+    if (!(magnitude(value) < bestValue)) break;
+    best = next;
+    bestValue = magnitude(value);
+  }
+
+  return best;
+}
+
+// Perto de uma raiz r de multiplicidade m, p(z) ≈ p⁽ᵐ⁾(r)/m! (z − r)^m: o arredondamento em p
+// (ε Σ|aᵢ||r|ⁱ) espalha as aproximações até |z − r| ≈ (ε Σ|aᵢ||r|ⁱ / |p⁽ᵐ⁾(r)/m!|)^(1/m), que
+// cresce com o módulo da raiz. Raízes distintas mais afastadas que isso não são fundidas
+// (x² − 2.000001x + 1.000001 tem raízes 1 e 1.000001, embora |p| no centro seja ~1e-13)
+function isMultipleRoot(coefficients, center, members) {
+  const multiplicity = members.length;
+  const { bound } = horner(coefficients, center);
+
+  let reduced = coefficients;
+  let factorial = 1;
+  for (let order = 1; order <= multiplicity; order++) {
+    reduced = derivative(reduced);
+    factorial *= order;
+  }
+  const leading = magnitude(horner(reduced, center).value) / factorial;
+  if (leading === 0) return false;
+
+  const scatter = Math.pow(EPSILON * bound / leading, 1 / multiplicity);
+  const spread = Math.max(...members.map(member => magnitude(sub(member, center))));
+  return spread <= POLYNOMIAL_LIMITS.multiplicitySpread * scatter;
+}
+
+// Raízes múltiplas se espalham (erro ~ ε^(1/m)) em volta da raiz verdadeira; o centro do grupo
+// é refinado por Newton em p⁽ᵐ⁻¹⁾, onde a raiz é simples, e aceito se o espalhamento for desse tamanho
+function groupRoots(coefficients, approximations) {
+  const remaining = approximations.slice();
+  const groups = [];
+
+  while (remaining.length > 0) {
+    const seed = remaining.shift();
+    const radius = POLYNOMIAL_LIMITS.clusterRadius * Math.max(1, magnitude(seed));
+    const members = [seed];
+    for (let index = remaining.length - 1; index >= 0; index--) {
+      if (magnitude(sub(remaining[index], seed)) <= radius) members.push(...remaining.splice(index, 1));
+    }
+
+    if (members.length > 1) {
+      const mean = members.reduce(add, complex(0));
+      let reduced = coefficients;
+      for (let order = 1; order < members.length; order++) reduced = derivative(reduced);
+      const center = polishRoot(reduced, complex(mean.re / members.length, mean.im / members.length));
+
+      if (isMultipleRoot(coefficients, center, members)) {
+        groups.push({ root: center, multiplicity: members.length });
+        continue;
+      }
+    }
+
+    // Raízes próximas mas distintas: cada uma refinada separadamente
+    members.forEach(member => groups.push({ root: polishRoot(coefficients, member), multiplicity: 1 }));
+  }
+
+  return groups;
+}
+
+// Coeficientes reais: parte imaginária desprezível vira raiz real refinada na reta
+function toRealIfClose(coefficients, { root, multiplicity }) {
+  if (Math.abs(root.im) > POLYNOMIAL_LIMITS.realTolerance * Math.max(1, magnitude(root))) {
+    return { root, multiplicity };
+  }
+
+  let reduced = coefficients;
+  for (let order = 1; order < multiplicity; order++) reduced = derivative(reduced);
+  return { root: polishRoot(reduced, complex(root.re)), multiplicity };
+}
+
+// Reais primeiro, depois complexas por parte real (parte imaginária positiva antes da conjugada)
+const byPosition = (a, b) => (a.root.im !== 0) - (b.root.im !== 0) || a.root.re - b.root.re || b.root.im - a.root.im;
+
+// Componentes no nível do arredondamento viram zero (evita -5e-18 + 1i)
+function clean({ re, im }) {
+  const scale = 4 * EPSILON * Math.hypot(re, im);
+  return complex(Math.abs(re) <= scale ? 0 : re + 0, Math.abs(im) <= scale ? 0 : im + 0);
+}
+
+// Todas as raízes (reais e complexas) com multiplicidade
+// coefficients: do maior para o menor grau, já sem zeros à esquerda e com grau ≥ 1
+function findPolynomialRoots(coefficients) {
+  // Zeros à direita: x = 0 é raiz exata com essa multiplicidade
+  let trimmed = coefficients.slice();
+  let zeroMultiplicity = 0;
+  while (trimmed.length > 1 && trimmed[trimmed.length - 1] === 0) {
+    trimmed.pop();
+    zeroMultiplicity++;
+  }
+
+  // Mônico para que a escala dos coeficientes não afete as tolerâncias
+  trimmed = trimmed.map(coefficient => coefficient / trimmed[0]);
+  const degree = trimmed.length - 1;
+
+  let groups = [];
+  let details = { radius: null, iterations: 0, converged: true };
+
+  if (degree === 1) {
+    groups = [{ root: complex(-trimmed[1]), multiplicity: 1 }];
+  } else if (degree > 1) {
+    const { roots, ...rest } = aberth(trimmed);
+    details = rest;
+    groups = groupRoots(trimmed, roots).map(group => toRealIfClose(trimmed, group));
+  }
+
+  if (zeroMultiplicity > 0) groups.push({ root: complex(0), multiplicity: zeroMultiplicity });
+
+  return {
+    roots: groups
+      .map(({ root, multiplicity }) => ({ root: clean(root), multiplicity }))
+      .sort(byPosition),
+    zeroMultiplicity,
+    method: degree > 1 ? 'aberth' : 'direct',
+    ...details
+  };
+}
+
+// Valor de p(x) para x real ou complexo, com a cota de arredondamento
+function evaluatePolynomial(coefficients, z) {
+  const { value, bound } = horner(coefficients, typeof z === 'number' ? complex(z) : z);
+  return { value, bound };
+}
+
+module.exports = {
+  POLYNOMIAL_LIMITS,
+  findPolynomialRoots,
+  evaluatePolynomial,
+  polishRoot
+};
@@ -0,0 +1,439 @@
+const {
+  SandboxError,
+  getSandbox,
+  normalizeScope,
+  parseProgram,
+  nodeToString
+} = require('./engine');
+const { serializeResult } = require('./result');
+
+// Palavras suportadas e comportamento no estouro
+const WORD_SIZES = [8, 16, 32, 64];
+const OVERFLOW_MODES = ['wrap', 'saturate', 'error'];
+const PROGRAMMER_DEFAULTS = { wordSize: 64, signed: true, overflow: 'wrap' };
+
+// Operadores do modo programador (nomes das funções associadas no Math.js)
+const PROGRAMMER_OPERATORS = new Set([
+  'add', 'subtract', 'multiply', 'divide', 'mod', 'pow', 'unaryMinus', 'unaryPlus',
+  // bit a bit: & | ^| ~ << >> >>>
+  'bitAnd', 'bitOr', 'bitXor', 'bitNot', 'leftShift', 'rightArithShift', 'rightLogShift'
+]);
+
+const BITWISE_OPERATORS = new Set(['bitAnd', 'bitOr', 'bitXor', 'bitNot', 'leftShift', 'rightArithShift', 'rightLogShift']);
+
+// Formatos IEEE-754 exibidos para valores de ponto flutuante
+const IEEE_FORMATS = {
+  single: { bits: 32, exponentBits: 8, fractionBits: 23, bias: 127 },
+  double: { bits: 64, exponentBits: 11, fractionBits: 52, bias: 1023 }
+};
+
+// Constantes reais disponíveis (a unidade imaginária não faz sentido aqui)
+const CONSTANT_VALUES = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI, phi: (1 + Math.sqrt(5)) / 2 };
+
+const isInteger = value => typeof value === 'bigint';
+
+// Valida as opções e calcula os limites da palavra
+function resolveWord({ wordSize = PROGRAMMER_DEFAULTS.wordSize, signed = PROGRAMMER_DEFAULTS.signed, overflow = PROGRAMMER_DEFAULTS.overflow } = {}) {
+  if (!WORD_SIZES.includes(wordSize)) {
+    throw new SandboxError('INVALID_WORD_SIZE', `Tamanho de palavra inválido: ${wordSize}`, {
+      wordSize,
+      available_word_sizes: WORD_SIZES
+    });
+  }
+  if (typeof signed !== 'boolean') {
+    throw new SandboxError('INVALID_SIGNEDNESS', 'signed deve ser true ou false');
+  }
+  if (!OVERFLOW_MODES.includes(overflow)) {
+    throw new SandboxError('INVALID_OVERFLOW_MODE', `Modo de estouro inválido: ${overflow}`, {
+      overflow,
+      available_overflow_modes: OVERFLOW_MODES
+    });
+  }
+
+  const bits = BigInt(wordSize);
+  return {
+    size: wordSize,
+    signed,
+    overflow,
+    min: signed ? -(1n << (bits - 1n)) : 0n,
+    max: signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n
+  };
+}
+
+// Padrão de bits reinterpretado na palavra (complemento de dois)
+const toWord = (value, word) => (word.signed ? BigInt.asIntN(word.size, value) : BigInt.asUintN(word.size, value));
+
+// Resultado fora da faixa: contorna, satura ou gera erro conforme word.overflow
+function overflowed(state, { wrapped, negative }) {
+  const { word } = state;
+  state.overflowed = true;
+
+  if (word.overflow === 'error') {
+    throw new SandboxError('OVERFLOW', `Estouro em ${word.size} bits ${word.signed ? 'com' : 'sem'} sinal (faixa ${word.min} a ${word.max})`, {
+      wordSize: word.size,
+      signed: word.signed,
+      min: word.min.toString(),
+      max: word.max.toString()
+    });
+  }
+  if (word.overflow === 'saturate') return negative ? word.min : word.max;
+  return wrapped;
+}
+
+// Ajusta o resultado exato de uma operação aritmética à palavra
+function fit(state, value) {
+  if (value >= state.word.min && value <= state.word.max) return value;
+  return overflowed(state, { wrapped: toWord(value, state.word), negative: value < 0n });
+}
+
+// Literais que cabem na largura da palavra são lidos como padrão de bits (0xFF em 8 bits com sinal é -1)
+function literal(state, value) {
+  if (value >= -(1n << BigInt(state.word.size - 1)) && value < (1n << BigInt(state.word.size))) {
+    return toWord(value, state.word);
+  }
+  return fit(state, value);
+}
+
+// Constante do parser (BigNumber exato): inteiros viram BigInt, os demais ponto flutuante
+function fromBigNumber(state, value) {
+  return value.isInteger() ? literal(state, BigInt(value.toFixed())) : value.toNumber();
+}
+
+const requireInteger = (value, operator) => {
+  if (!isInteger(value)) {
+    throw new SandboxError('NON_INTEGER_OPERAND', `O operador ${operator} exige operandos inteiros`, { operator });
+  }
+  return value;
+};
+
+// Deslocamento: quantidade inteira e não negativa
+const shiftAmount = (value, operator) => {
+  const amount = requireInteger(value, operator);
+  if (amount < 0n) {
+    throw new SandboxError('INVALID_SHIFT', 'O deslocamento deve ser um inteiro não negativo', { operator });
+  }
+  return amount;
+};
+
+const divisionByZero = () => new SandboxError('DIVISION_BY_ZERO', 'Divisão por zero');
+
+// Potência inteira; expoentes negativos produzem ponto flutuante
+function integerPow(state, base, exponent) {
+  if (exponent < 0n) return Math.pow(Number(base), Number(exponent));
+  if ((base >= -1n && base <= 1n) || exponent <= BigInt(state.word.size)) return fit(state, base ** exponent);
+
+  // |base| ≥ 2 com expoente maior que a palavra sempre estoura; o valor contornado vem da exponenciação modular
+  let wrapped = 1n;
+  let square = BigInt.asUintN(state.word.size, base);
+  for (let e = exponent; e > 0n; e >>= 1n) {
+    if (e & 1n) wrapped = BigInt.asUintN(state.word.size, wrapped * square);
+    square = BigInt.asUintN(state.word.size, square * square);
+  }
+  return overflowed(state, { wrapped: toWord(wrapped, state.word), negative: base < 0n && exponent % 2n === 1n });
+}
+
+// Operações com inteiros na palavra: aritmética verifica estouro, bit a bit opera sobre o padrão
+const INTEGER_OPERATIONS = {
+  add: (state, a, b) => fit(state, a + b),
+  subtract: (state, a, b) => fit(state, a - b),
+  multiply: (state, a, b) => fit(state, a * b),
+  // Divisão inteira truncada em direção a zero, como em C
+  divide: (state, a, b) => {
+    if (b === 0n) throw divisionByZero();
+    return fit(state, a / b);
+  },
+  mod: (state, a, b) => {
+    if (b === 0n) throw divisionByZero();
+    return a % b;
+  },
+  pow: integerPow,
+  unaryMinus: (state, a) => fit(state, -a),
+  unaryPlus: (state, a) => a,
+  bitAnd: (state, a, b) => toWord(a & b, state.word),
+  bitOr: (state, a, b) => toWord(a | b, state.word),
+  bitXor: (state, a, b) => toWord(a ^ b, state.word),
+  bitNot: (state, a) => toWord(~a, state.word),
+  leftShift: (state, a, b) => (b >= BigInt(state.word.size) ? 0n : toWord(a << b, state.word)),
+  rightArithShift: (state, a, b) => {
+    if (b >= BigInt(state.word.size)) return a < 0n ? -1n : 0n;
+    return a >> b;
+  },
+  rightLogShift: (state, a, b) => {
+    if (b >= BigInt(state.word.size)) return 0n;
+    return toWord(BigInt.asUintN(state.word.size, a) >> b, state.word);
+  }
+};
+
+const FLOAT_OPERATIONS = {
+  add: (a, b) => a + b,
+  subtract: (a, b) => a - b,
+  multiply: (a, b) => a * b,
+  divide: (a, b) => {
+    if (b === 0) throw divisionByZero();
+    return a / b;
+  },
+  mod: (a, b) => {
+    if (b === 0) throw divisionByZero();
+    return a % b;
+  },
+  pow: Math.pow,
+  unaryMinus: a => -a,
+  unaryPlus: a => a
+};
+
+function applyOperator(state, node, values) {
+  const name = node.fn;
+
+  if (BITWISE_OPERATORS.has(name)) {
+    values.forEach(value => requireInteger(value, node.op));
+    if (['leftShift', 'rightArithShift', 'rightLogShift'].includes(name)) shiftAmount(values[1], node.op);
+    return INTEGER_OPERATIONS[name](state, ...values);
+  }
+
+  if (values.every(isInteger)) return INTEGER_OPERATIONS[name](state, ...values);
+
+  // Qualquer operando fracionário leva a operação para ponto flutuante (double)
+  return FLOAT_OPERATIONS[name](...values.map(Number));
+}
+
+// Arredondamento de ponto flutuante para inteiro da palavra
+const toInteger = round => (state, value) => {
+  if (isInteger(value)) return value;
+  if (!Number.isFinite(value)) {
+    throw new SandboxError('INVALID_RESULT', 'O cálculo resultou em infinito ou NaN');
+  }
+  return fit(state, BigInt(round(value)));
+};
+
+const absolute = (state, value) => (isInteger(value) ? fit(state, value < 0n ? -value : value) : Math.abs(value));
+
+const gcdOf = (a, b) => {
+  let x = a < 0n ? -a : a;
+  let y = b < 0n ? -b : b;
+  while (y !== 0n) [x, y] = [y, x % y];
+  return x;
+};
+
+// Funções do modo programador: [aridade mínima, máxima, implementação]
+const PROGRAMMER_FUNCTIONS = {
+  abs: [1, 1, absolute],
+  sign: [1, 1, (state, value) => (isInteger(value) ? BigInt(value > 0n) - BigInt(value < 0n) : Math.sign(value))],
+  min: [1, Infinity, (state, ...values) => values.reduce((a, b) => (b < a ? b : a))],
+  max: [1, Infinity, (state, ...values) => values.reduce((a, b) => (b > a ? b : a))],
+  gcd: [2, Infinity, (state, ...values) => values.map(value => requireInteger(value, 'gcd')).reduce(gcdOf)],
+  lcm: [2, Infinity, (state, ...values) => values.map(value => requireInteger(value, 'lcm')).reduce((a, b) => {
+    if (a === 0n || b === 0n) return 0n;
+    return fit(state, absolute(state, a * b) / gcdOf(a, b));
+  })],
+  sqrt: [1, 1, (state, value) => Math.sqrt(Number(value))],
+  floor: [1, 1, toInteger(Math.floor)],
+  ceil: [1, 1, toInteger(Math.ceil)],
+  round: [1, 1, toInteger(Math.round)],
+  fix: [1, 1, toInteger(Math.trunc)]
+};
+
+function callFunction(state, node, values) {
+  const name = node.fn.name;
+  if (!Object.prototype.hasOwnProperty.call(PROGRAMMER_FUNCTIONS, name)) {
+    throw new SandboxError('FUNCTION_NOT_ALLOWED', `Função não disponível no modo programmer: ${name}`, { function: name });
+  }
+
+  const [minArgs, maxArgs, fn] = PROGRAMMER_FUNCTIONS[name];
+  if (values.length < minArgs || values.length > maxArgs) {
+    throw new SandboxError('INVALID_ARGUMENTS', `Número de argumentos inválido em ${name}`, { function: name });
+  }
+  return fn(state, ...values);
+}
+
+// Interpreta a árvore já validada com inteiros (BigInt) e ponto flutuante (number)
+function evaluate(state, node, variables) {
+  switch (node.type) {
+    case 'ConstantNode':
+      return fromBigNumber(state, node.value);
+
+    case 'SymbolNode':
+      if (Object.prototype.hasOwnProperty.call(variables, node.name)) return variables[node.name];
+      if (Object.prototype.hasOwnProperty.call(CONSTANT_VALUES, node.name)) return CONSTANT_VALUES[node.name];
+      throw new SandboxError('SYMBOL_NOT_ALLOWED', `Símbolo desconhecido: ${node.name}`, { symbol: node.name });
+
+    case 'ParenthesisNode':
+      return evaluate(state, node.content, variables);
+
+    case 'OperatorNode': {
+      // -128 é um literal (não a negação de 128, que estouraria em 8 bits)
+      const [argument] = node.args;
+      if (node.fn === 'unaryMinus' && argument.type === 'ConstantNode' && argument.value.isInteger()) {
+        return literal(state, -BigInt(argument.value.toFixed()));
+      }
+      return applyOperator(state, node, node.args.map(arg => evaluate(state, arg, variables)));
+    }
+
+    case 'FunctionNode':
+      return callFunction(state, node, node.args.map(arg => evaluate(state, arg, variables)));
+
+    default:
+      throw new SandboxError('NODE_NOT_ALLOWED', `Construção não permitida no modo programmer: ${node.type}`, {
+        nodeType: node.type
+      });
+  }
+}
+
+// Variáveis do escopo: inteiros entram na palavra, os demais como ponto flutuante
+function programmerScope(state, scope, sandbox) {
+  return Object.entries(normalizeScope(scope, sandbox)).reduce((variables, [name, value]) => {
+    if (!sandbox.math.isBigNumber(value)) {
+      throw new SandboxError('INVALID_SCOPE', `Valor inválido para a variável ${name}`, { name });
+    }
+    variables[name] = fromBigNumber(state, value);
+    return variables;
+  }, {});
+}
+
+// Avalia um programa no modo programador (0xFF, 0b1010, 0o17, operadores bit a bit)
+// Literais são lidos pelo sandbox bignumber para que valores de 64 bits cheguem exatos
+function evaluateProgrammer(expression, scope = {}, options = {}) {
+  const word = resolveWord(options);
+  const sandbox = getSandbox({ mode: 'bignumber' });
+  const state = { word, overflowed: false };
+  const variables = programmerScope(state, scope, sandbox);
+  const { statements } = parseProgram(expression, variables, sandbox, { operators: PROGRAMMER_OPERATORS });
+  const assignments = [];
+  let result;
+
+  statements.forEach(statement => {
+    if (statement.type === 'FunctionAssignmentNode') {
+      throw new SandboxError('NODE_NOT_ALLOWED', 'Definição de funções não é suportada no modo programmer', {
+        nodeType: statement.type
+      });
+    }
+
+    if (statement.type === 'AssignmentNode') {
+      const value = evaluate(state, statement.value, variables);
+      variables[statement.name] = value;
+      assignments.push({ type: 'variable', name: statement.name, definition: nodeToString(statement), value });
+      result = value;
+      return;
+    }
+
+    result = evaluate(state, statement, variables);
+  });
+
+  if (!isInteger(result) && !Number.isFinite(result)) {
+    throw new SandboxError('INVALID_RESULT', 'O cálculo resultou em infinito ou NaN');
+  }
+
+  return { result, assignments, word, overflowed: state.overflowed };
+}
+
+// Campos de bits de um número nos formatos IEEE-754 de 32 e 64 bits
+function ieee754(value, name) {
+  const format = IEEE_FORMATS[name];
+  const view = new DataView(new ArrayBuffer(8));
+  let pattern;
+  let stored;
+
+  if (format.bits === 32) {
+    view.setFloat32(0, value);
+    pattern = BigInt(view.getUint32(0));
+    stored = view.getFloat32(0);
+  } else {
+    view.setFloat64(0, value);
+    pattern = view.getBigUint64(0);
+    stored = view.getFloat64(0);
+  }
+
+  const bits = pattern.toString(2).padStart(format.bits, '0');
+  const exponent = bits.slice(1, 1 + format.exponentBits);
+  const fraction = bits.slice(1 + format.exponentBits);
+  const biased = parseInt(exponent, 2);
+  const fractionIsZero = !fraction.includes('1');
+
+  let kind = 'normal';
+  if (biased === 0) kind = fractionIsZero ? 'zero' : 'subnormal';
+  else if (biased === 2 ** format.exponentBits - 1) kind = fractionIsZero ? 'infinity' : 'nan';
+
+  // Infinito (valor grande demais para 32 bits) não existe em JSON
+  const jsonNumber = number => (Number.isFinite(number) ? number : String(number));
+
+  return {
+    bits: format.bits,
+    sign: Number(bits[0]),
+    exponent: {
+      bits: exponent,
+      biased,
+      bias: format.bias,
+      unbiased: kind === 'normal' ? biased - format.bias : kind === 'subnormal' ? 1 - format.bias : null
+    },
+    fraction: { bits: fraction, hexadecimal: BigInt(`0b${fraction}`).toString(16).toUpperCase() },
+    binary: `${bits[0]} ${exponent} ${fraction}`,
+    hexadecimal: pattern.toString(16).toUpperCase().padStart(format.bits / 4, '0'),
+    class: kind,
+    stored: jsonNumber(stored),
+    roundingError: jsonNumber(stored - value)
+  };
+}
+
+// Representação de um inteiro da palavra em todas as bases (padrão de bits em complemento de dois)
+function describeInteger(value, word) {
+  const pattern = BigInt.asUintN(word.size, value);
+  const decimal = value.toString();
+
+  return {
+    result: Number.isSafeInteger(Number(value)) ? Number(value) : decimal,
+    formatted: decimal,
+    type: 'integer',
+    bases: {
+      binary: pattern.toString(2),
+      octal: pattern.toString(8),
+      decimal,
+      hexadecimal: pattern.toString(16).toUpperCase()
+    },
+    // Palavra completa agrupada em nibbles: "1111 1111"
+    bits: pattern.toString(2).padStart(word.size, '0').replace(/(.{4})(?=.)/g, '$1 '),
+    interpretations: {
+      signed: BigInt.asIntN(word.size, value).toString(),
+      unsigned: pattern.toString()
+    }
+  };
+}
+
+function describeFloat(value) {
+  return {
+    ...serializeResult(value),
+    type: 'float',
+    bases: {
+      binary: value.toString(2),
+      octal: value.toString(8),
+      decimal: String(value),
+      hexadecimal: value.toString(16).toUpperCase()
+    },
+    ieee754: {
+      single: ieee754(value, 'single'),
+      double: ieee754(value, 'double')
+    }
+  };
+}
+
+function describeProgrammerValue(value, word) {
+  return isInteger(value) ? describeInteger(value, word) : describeFloat(value);
+}
+
+// Palavra na resposta (limites como texto, pois 64 bits não cabem em number)
+function describeWord(word) {
+  return {
+    size: word.size,
+    signed: word.signed,
+    overflow: word.overflow,
+    min: word.min.toString(),
+    max: word.max.toString()
+  };
+}
+
+module.exports = {
+  WORD_SIZES,
+  OVERFLOW_MODES,
+  PROGRAMMER_DEFAULTS,
+  evaluateProgrammer,
+  describeProgrammerValue,
+  describeWord
+};
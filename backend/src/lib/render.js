@@ -0,0 +1,266 @@
+const { getSandbox, math, SandboxError } = require('./engine');
+const { parseSymbolic } = require('./symbolic');
+
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// Precedência dos operadores para decidir parênteses na MathML
+const PRECEDENCE = {
+  to: 0,
+  add: 1,
+  subtract: 1,
+  multiply: 2,
+  divide: 2,
+  dotMultiply: 2,
+  dotDivide: 2,
+  mod: 2,
+  unaryMinus: 3,
+  unaryPlus: 3,
+  pow: 4,
+  dotPow: 4,
+  factorial: 5,
+  ctranspose: 5
+};
+
+// Símbolos dos operadores binários na MathML
+const OPERATOR_SYMBOLS = {
+  add: '+',
+  subtract: '&#x2212;',
+  multiply: '&#x22C5;',
+  dotMultiply: '.&#x22C5;',
+  dotDivide: './',
+  mod: 'mod',
+  to: '&#x2192;'
+};
+
+// Constantes com grafia própria
+const CONSTANT_SYMBOLS = {
+  pi: '&#x3C0;',
+  tau: '&#x3C4;',
+  phi: '&#x3C6;',
+  e: 'e',
+  i: 'i'
+};
+
+// Funções com notação especial na MathML
+const FUNCTION_RENDERERS = {
+  sqrt: ([arg]) => `<msqrt>${toMathML(arg)}</msqrt>`,
+  nthRoot: ([arg, index]) => (index ? `<mroot>${toMathML(arg)}${toMathML(index)}</mroot>` : `<msqrt>${toMathML(arg)}</msqrt>`),
+  abs: ([arg]) => fence(toMathML(arg), '|', '|'),
+  factorial: ([arg]) => `<mrow>${wrap(arg, PRECEDENCE.factorial)}<mo>!</mo></mrow>`
+};
+
+const fence = (content, open = '(', close = ')') =>
+  `<mrow><mo>${open}</mo>${content}<mo>${close}</mo></mrow>`;
+
+const precedenceOf = node => {
+  const content = node.type === 'ParenthesisNode' ? null : node;
+  if (!content || content.type !== 'OperatorNode') return Infinity;
+  return PRECEDENCE[content.fn] === undefined ? 2 : PRECEDENCE[content.fn];
+};
+
+// Inclui parênteses quando o filho tem precedência menor que o operador pai
+function wrap(node, precedence, strict = false) {
+  const childPrecedence = precedenceOf(node);
+  const needsParenthesis = strict ? childPrecedence <= precedence : childPrecedence < precedence;
+  return needsParenthesis ? fence(toMathML(node)) : toMathML(node);
+}
+
+// Número em MathML; notação científica vira m × 10^e
+function numberToMathML(value) {
+  const text = math.format(value, { precision: 14 });
+  const negative = text.startsWith('-');
+  const digits = negative ? text.slice(1) : text;
+  const [mantissa, exponent] = digits.split('e');
+
+  let body = `<mn>${mantissa}</mn>`;
+  if (exponent !== undefined) {
+    body = `<mrow><mn>${mantissa}</mn><mo>&#xD7;</mo><msup><mn>10</mn><mn>${Number(exponent)}</mn></msup></mrow>`;
+  }
+
+  return negative ? `<mrow><mo>&#x2212;</mo>${body}</mrow>` : body;
+}
+
+function symbolToMathML(name) {
+  if (Object.prototype.hasOwnProperty.call(CONSTANT_SYMBOLS, name)) return `<mi>${CONSTANT_SYMBOLS[name]}</mi>`;
+  // Unidades em fonte normal (km, N, degC), variáveis em itálico
+  if (name.length > 1 || math.Unit.isValuelessUnit(name)) return `<mi mathvariant="normal">${name}</mi>`;
+  return `<mi>${name}</mi>`;
+}
+
+function operatorToMathML(node) {
+  const [left, right] = node.args;
+  const precedence = PRECEDENCE[node.fn] === undefined ? 2 : PRECEDENCE[node.fn];
+
+  switch (node.fn) {
+    case 'unaryMinus':
+    case 'unaryPlus':
+      return `<mrow><mo>${node.fn === 'unaryMinus' ? '&#x2212;' : '+'}</mo>${wrap(left, precedence)}</mrow>`;
+
+    case 'divide':
+      return `<mfrac>${toMathML(left)}${toMathML(right)}</mfrac>`;
+
+    case 'pow':
+    case 'dotPow':
+      return `<msup>${wrap(left, precedence, true)}${toMathML(right)}</msup>`;
+
+    case 'factorial':
+      return `<mrow>${wrap(left, precedence, true)}<mo>!</mo></mrow>`;
+
+    case 'ctranspose':
+      return `<msup>${wrap(left, precedence, true)}<mo>&#x2032;</mo></msup>`;
+
+    case 'multiply':
+      if (node.implicit) {
+        // Multiplicação implícita (2x, 5 km) usa o operador invisível
+        return `<mrow>${wrap(left, precedence)}<mo>&#x2062;</mo>${wrap(right, precedence)}</mrow>`;
+      }
+      break;
+  }
+
+  // Operadores binários: o lado direito de "-" e "mod" precisa de parênteses em empate
+  const strictRight = node.fn === 'subtract' || node.fn === 'mod';
+  const symbol = OPERATOR_SYMBOLS[node.fn] || node.op;
+  return `<mrow>${wrap(left, precedence)}<mo>${symbol}</mo>${wrap(right, precedence, strictRight)}</mrow>`;
+}
+
+function functionToMathML(node) {
+  const name = node.fn.name;
+  if (FUNCTION_RENDERERS[name]) return FUNCTION_RENDERERS[name](node.args);
+
+  // log(x, b) → log_b(x)
+  if (name === 'log' && node.args.length === 2) {
+    return `<mrow><msub><mi>log</mi>${toMathML(node.args[1])}</msub><mo>&#x2061;</mo>${fence(toMathML(node.args[0]))}</mrow>`;
+  }
+
+  const args = node.args.map(toMathML).join('<mo>,</mo>');
+  return `<mrow><mi>${name}</mi><mo>&#x2061;</mo>${fence(args)}</mrow>`;
+}
+
+// Matriz (linhas de ArrayNode) ou vetor coluna, como no LaTeX do Math.js
+function arrayToMathML(node) {
+  const rows = node.items.every(item => item.type === 'ArrayNode')
+    ? node.items.map(row => row.items)
+    : node.items.map(item => [item]);
+
+  const table = rows
+    .map(row => `<mtr>${row.map(item => `<mtd>${toMathML(item)}</mtd>`).join('')}</mtr>`)
+    .join('');
+  return fence(`<mtable>${table}</mtable>`, '[', ']');
+}
+
+// Decomposições ({ L, U, p }) como tabela "nome: valor"
+function objectToMathML(node) {
+  const rows = Object.keys(node.properties)
+    .map(key => `<mtr><mtd>${symbolToMathML(key)}<mo>:</mo></mtd><mtd>${toMathML(node.properties[key])}</mtd></mtr>`)
+    .join('');
+  return fence(`<mtable>${rows}</mtable>`, '{', '}');
+}
+
+// Converte a árvore do Math.js em MathML de apresentação (sem o elemento <math>)
+function toMathML(node) {
+  switch (node.type) {
+    case 'ConstantNode':
+      return numberToMathML(node.value);
+    case 'SymbolNode':
+      return symbolToMathML(node.name);
+    case 'ParenthesisNode':
+      return fence(toMathML(node.content));
+    case 'OperatorNode':
+      return operatorToMathML(node);
+    case 'FunctionNode':
+      return functionToMathML(node);
+    case 'ArrayNode':
+      return arrayToMathML(node);
+    case 'IndexNode':
+      return node.dimensions.map(toMathML).join('<mo>,</mo>');
+    case 'ObjectNode':
+      return objectToMathML(node);
+    case 'AccessorNode':
+      return `<msub>${toMathML(node.object)}<mrow>${toMathML(node.index)}</mrow></msub>`;
+    default:
+      throw new SandboxError('RENDER_ERROR', `Nó sem representação MathML: ${node.type}`);
+  }
+}
+
+const mathElement = (content, display) =>
+  `<math xmlns="${MATHML_NAMESPACE}" display="${display}">${content}</math>`;
+
+// LaTeX e MathML de uma árvore já validada
+function renderNode(node, { display = 'block' } = {}) {
+  return {
+    latex: node.toTex({ implicit: 'hide' }),
+    mathml: mathElement(toMathML(node), display)
+  };
+}
+
+// Divide uma equação em lados esquerdo e direito (um único "=")
+function splitEquation(text) {
+  const sides = text.split(/(?<![<>=!])=(?!=)/);
+  if (sides.length > 2) {
+    throw new SandboxError('PARSE_ERROR', 'A equação deve ter um único sinal de igual', { reason: 'single_equals' });
+  }
+  return sides;
+}
+
+// Renderiza expressão ou equação em texto ("x² - 5x + 6 = 0" também é aceito)
+function renderExpression(text, { display = 'block' } = {}) {
+  const sides = splitEquation(text).map(side => parseSymbolic(side));
+  if (sides.length === 1) return { ...renderNode(sides[0], { display }), type: 'expression' };
+
+  const [left, right] = sides;
+  return {
+    latex: `${left.toTex({ implicit: 'hide' })}=${right.toTex({ implicit: 'hide' })}`,
+    mathml: mathElement(`<mrow>${toMathML(left)}<mo>=</mo>${toMathML(right)}</mrow>`, display),
+    type: 'equation'
+  };
+}
+
+// Renderiza o texto "formatted" gerado pela própria API (sem passar pelo sandbox)
+function renderFormatted(text, options) {
+  let node;
+  try {
+    node = getSandbox().parse(text);
+  } catch (error) {
+    throw new SandboxError('RENDER_ERROR', `Resultado sem representação matemática: ${text}`);
+  }
+  return renderNode(node, options);
+}
+
+// Valor de resultado (número, complexo, lista de soluções) como árvore
+function valueToNode(value) {
+  if (typeof value === 'number') {
+    // Mesmos 10 dígitos do campo "formatted" das respostas
+    const rounded = Number(math.format(value, { precision: 10 }));
+    return rounded < 0
+      ? new math.OperatorNode('-', 'unaryMinus', [new math.ConstantNode(-rounded)])
+      : new math.ConstantNode(rounded);
+  }
+
+  if (Array.isArray(value)) return new math.ArrayNode(value.map(valueToNode));
+
+  // Complexos: { re, im } (calculadora) ou { real, imag } (equações)
+  if (value && typeof value === 'object') {
+    const re = value.re !== undefined ? value.re : value.real;
+    const im = value.im !== undefined ? value.im : value.imag;
+    if (typeof re === 'number' && typeof im === 'number') {
+      const imaginary = new math.OperatorNode('*', 'multiply', [valueToNode(Math.abs(im)), new math.SymbolNode('i')], true);
+      if (re === 0) return im < 0 ? new math.OperatorNode('-', 'unaryMinus', [imaginary]) : imaginary;
+      return new math.OperatorNode(im < 0 ? '-' : '+', im < 0 ? 'subtract' : 'add', [valueToNode(re), imaginary]);
+    }
+  }
+
+  throw new SandboxError('RENDER_ERROR', 'Valor sem representação matemática');
+}
+
+// Renderiza um resultado numérico já serializado
+function renderValue(value, options) {
+  return renderNode(valueToNode(value), options);
+}
+
+module.exports = {
+  toMathML,
+  renderNode,
+  renderExpression,
+  renderFormatted,
+  renderValue
+};
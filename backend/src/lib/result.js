@@ -0,0 +1,133 @@
+const { math, isPlainObject, isExactFraction } = require('./engine');
+const { findDimension } = require('./units');
+
+const { format } = math;
+
+// Verifica se o resultado pode ser devolvido ao cliente
+function isValidResult(value) {
+  if (typeof value === 'number') return isFinite(value);
+  if (math.isBigNumber(value)) return value.isFinite();
+  if (math.isFraction(value)) return isExactFraction(value);
+  if (math.isComplex(value)) return isFinite(value.re) && isFinite(value.im);
+  if (math.isUnit(value)) return value.value === null || isFinite(Number(value.value));
+  if (math.isMatrix(value)) return value.toArray().flat(Infinity).every(isValidResult);
+  if (Array.isArray(value)) return value.every(isValidResult);
+  if (isPlainObject(value)) return Object.values(value).every(isValidResult);
+  return false;
+}
+
+// Converte recursivamente para JSON: matrizes viram arrays aninhados, complexos { re, im }
+function toPlainValue(value) {
+  if (math.isMatrix(value)) return toPlainValue(value.toArray());
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainValue(entry)]));
+  }
+  if (math.isComplex(value)) return { re: value.re, im: value.im };
+  return Number(value);
+}
+
+// Formatação legível; frações inteiras saem sem denominador ("2" em vez de "2/1")
+function formatValue(value, precision) {
+  if (math.isMatrix(value)) return formatValue(value.toArray(), precision);
+  if (Array.isArray(value)) return `[${value.map(element => formatValue(element, precision)).join(', ')}]`;
+  if (math.isFraction(value)) return value.toFraction();
+  return format(value, { precision });
+}
+
+// Dimensões de matrizes/vetores (inclusive dentro de decomposições)
+function shapeOf(value) {
+  if (math.isMatrix(value) || Array.isArray(value)) return math.size(value).valueOf().map(Number);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, shapeOf(entry)]));
+  }
+  return [];
+}
+
+// Separa valor e unidade a partir da formatação do Math.js (que escolhe o melhor prefixo)
+function splitUnit(unit) {
+  const [, ...units] = format(unit, { precision: 15 }).split(' ');
+  const name = units.join(' ');
+  return { value: unit.toNumber(name), unit: name };
+}
+
+// Inteiros saem com todos os dígitos enquanto cabem na precisão da instância;
+// acima dela os dígitos extras seriam zeros de preenchimento e o valor sai em notação exponencial
+function bigNumberToString(value) {
+  if (!value.isInteger()) return value.toString();
+  return value.e < value.constructor.precision ? value.toFixed() : value.toExponential();
+}
+
+// Converte o resultado do Math.js em uma estrutura serializável
+// resultString preserva o valor exato/de alta precisão que o número JSON perderia
+function serializeResult(value, { precision = 10 } = {}) {
+  if (math.isMatrix(value) || Array.isArray(value)) {
+    const shape = shapeOf(value);
+    return {
+      result: toPlainValue(value),
+      shape,
+      formatted: formatValue(value, precision),
+      type: shape.length === 1 ? 'vector' : 'matrix'
+    };
+  }
+
+  // Decomposições (eigs → { values, vectors }, lup → { L, U, p }, qr → { Q, R })
+  if (isPlainObject(value)) {
+    return {
+      result: toPlainValue(value),
+      shape: shapeOf(value),
+      formatted: format(value, { precision, fraction: 'ratio' }),
+      type: 'decomposition'
+    };
+  }
+
+  if (math.isUnit(value)) {
+    return {
+      result: splitUnit(value),
+      formatted: format(value, { precision, fraction: 'ratio' }),
+      type: 'unit',
+      dimension: findDimension(value)
+    };
+  }
+
+  if (math.isComplex(value)) {
+    const { r, phi } = value.toPolar();
+    return {
+      result: { re: value.re, im: value.im },
+      polar: { r, theta: phi },
+      formatted: format(value, { precision }),
+      type: 'complex'
+    };
+  }
+
+  if (math.isBigNumber(value)) {
+    return {
+      result: value.toNumber(),
+      resultString: bigNumberToString(value),
+      formatted: format(value, { precision }),
+      type: 'bignumber'
+    };
+  }
+
+  if (math.isFraction(value)) {
+    const ratio = formatValue(value, precision);
+    return {
+      result: value.valueOf(),
+      resultString: ratio,
+      formatted: ratio,
+      type: 'fraction'
+    };
+  }
+
+  return {
+    result: Number(value),
+    resultString: String(value),
+    formatted: format(value, { precision }),
+    type: typeof value
+  };
+}
+
+module.exports = {
+  isValidResult,
+  serializeResult
+};
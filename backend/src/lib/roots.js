@@ -0,0 +1,106 @@
+// Parâmetros padrão da busca de raízes
+const ROOT_LIMITS = {
+  defaultTolerance: 1e-12,
+  maxIterations: 200
+};
+
+// Método de Brent: bissecção, secante e interpolação quadrática inversa no intervalo [a, b]
+// Exige f(a) e f(b) com sinais opostos; converge sempre, com a velocidade da secante quando possível
+function brentRoot(f, lower, upper, { tolerance = ROOT_LIMITS.defaultTolerance, maxIterations = ROOT_LIMITS.maxIterations } = {}) {
+  let a = lower;
+  let b = upper;
+  let fa = f(a);
+  let fb = f(b);
+
+  if (fa === 0) return { root: a, value: 0, iterations: 0, converged: true };
+  if (fb === 0) return { root: b, value: 0, iterations: 0, converged: true };
+  if (Math.sign(fa) === Math.sign(fb)) return null;
+
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    // b é sempre a melhor estimativa e c o extremo oposto do intervalo
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      [a, b, c] = [b, c, b];
+      [fa, fb, fc] = [fb, fc, fb];
+    }
+
+    const step = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const middle = (c - b) / 2;
+    if (Math.abs(middle) <= step || fb === 0) {
+      return { root: b, value: fb, iterations: iteration, converged: true };
+    }
+
+    if (Math.abs(e) >= step && Math.abs(fa) > Math.abs(fb)) {
+      // Secante (dois pontos) ou interpolação quadrática inversa (três pontos)
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * middle * s;
+        q = 1 - s;
+      } else {
+        const r = fb / fc;
+        const t = fa / fc;
+        p = s * (2 * middle * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      else p = -p;
+
+      // Aceita a interpolação só quando ela cai dentro do intervalo e encolhe rápido o bastante
+      if (2 * p < Math.min(3 * middle * q - Math.abs(step * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = middle;
+        e = d;
+      }
+    } else {
+      d = middle;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > step ? d : (middle > 0 ? step : -step);
+    fb = f(b);
+  }
+
+  return { root: b, value: fb, iterations: maxIterations, converged: false };
+}
+
+// Intervalos com troca de sinal entre pontos consecutivos da grade
+function findBrackets(f, points) {
+  const brackets = [];
+  let previous = null;
+
+  points.forEach(x => {
+    const y = f(x);
+    if (!Number.isFinite(y)) {
+      previous = null;
+      return;
+    }
+    if (previous && (previous.y === 0 || Math.sign(previous.y) !== Math.sign(y))) {
+      brackets.push([previous.x, x]);
+    }
+    previous = { x, y };
+  });
+
+  return brackets;
+}
+
+module.exports = {
+  ROOT_LIMITS,
+  brentRoot,
+  findBrackets
+};
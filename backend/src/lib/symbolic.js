@@ -0,0 +1,290 @@
+const { getSandbox, createContext, parseExpression, SandboxError } = require('./engine');
+
+const sandbox = getSandbox();
+const { math, symbolic } = sandbox;
+const { OperatorNode, FunctionNode, ConstantNode } = math;
+
+// Limites das operações simbólicas
+const SYMBOLIC_LIMITS = {
+  maxOrder: 10,
+  maxExpandPower: 12,
+  maxTerms: 500,
+  maxResultNodes: 2000,
+  // simplify é o passo caro: árvores maiores que isso ficam sem simplificar
+  maxSimplifyNodes: 400,
+  // No /simplify o custo cresce com somas, produtos e divisões entre termos distintos
+  // (a/b/c/.../k leva mais de 1 s); a entrada do cliente é limitada por esse total
+  maxSimplifyOperations: 8
+};
+
+// Analisa uma expressão simbólica (variáveis livres permitidas)
+function parseSymbolic(expression) {
+  return parseExpression(expression, { ...createContext({}, sandbox), freeSymbols: true });
+}
+
+// Representações da árvore: texto, LaTeX e AST em JSON
+function describeNode(node) {
+  return {
+    text: node.toString(),
+    latex: node.toTex(),
+    ast: JSON.parse(JSON.stringify(node))
+  };
+}
+
+const nodeCount = node => node.filter(() => true).length;
+
+// Impede que o resultado simbólico cresça sem controle
+function assertResultSize(node) {
+  const size = nodeCount(node);
+  if (size > SYMBOLIC_LIMITS.maxResultNodes) {
+    throw new SandboxError('RESULT_TOO_LARGE', `Resultado simbólico muito grande (${size} nós)`, {
+      limit: SYMBOLIC_LIMITS.maxResultNodes
+    });
+  }
+  return node;
+}
+
+// Executa a operação simbólica do Math.js padronizando os erros
+function runSymbolic(operation) {
+  try {
+    return assertResultSize(operation());
+  } catch (error) {
+    if (error instanceof SandboxError) throw error;
+    throw new SandboxError('SYMBOLIC_ERROR', error.message);
+  }
+}
+
+// Derivada de ordem n em relação à variável, com cada ordem intermediária
+// As ordens são derivadas sem simplificar (o tamanho é conferido a cada uma) e só o
+// resultado final é simplificado, se couber no limite
+function differentiate(node, variable, order = 1) {
+  const steps = [];
+  let current = node;
+
+  for (let i = 1; i <= order; i++) {
+    current = runSymbolic(() => symbolic.derivative(current, variable, { simplify: false }));
+    steps.push({ order: i, ...describeNode(current) });
+  }
+
+  const simplified = nodeCount(current) <= SYMBOLIC_LIMITS.maxSimplifyNodes;
+  if (simplified) current = simplifyNode(current);
+
+  return { result: current, steps, simplified };
+}
+
+function simplifyNode(node) {
+  return runSymbolic(() => symbolic.simplify(node));
+}
+
+const ARITHMETIC = new Set(['add', 'subtract', 'multiply', 'divide']);
+
+// Simplificação pedida pelo cliente, recusada antes de bloquear o servidor
+function simplifyInput(node) {
+  const operations = node.filter(child => child.type === 'OperatorNode' && ARITHMETIC.has(child.fn)).length;
+  if (operations > SYMBOLIC_LIMITS.maxSimplifyOperations) {
+    throw new SandboxError(
+      'TOO_MANY_OPERATIONS',
+      `Operações demais para simplificar (máximo ${SYMBOLIC_LIMITS.maxSimplifyOperations} somas, subtrações, produtos e divisões)`,
+      { limit: SYMBOLIC_LIMITS.maxSimplifyOperations }
+    );
+  }
+  return simplifyNode(node);
+}
+
+// Polinômio generalizado: Map(chave do monômio → { coef, factors })
+// Cada fator é um símbolo ou subexpressão não polinomial (ex.: sin(x)) com expoente inteiro
+const monomialKey = factors => [...factors.keys()].sort().map(key => `${key}^${factors.get(key).power}`).join('*');
+
+function constantPolynomial(value) {
+  return value === 0 ? new Map() : new Map([['', { coef: value, factors: new Map() }]]);
+}
+
+function atomPolynomial(node, power = 1) {
+  const factors = new Map([[node.toString(), { node, power }]]);
+  return new Map([[monomialKey(factors), { coef: 1, factors }]]);
+}
+
+function addTerm(polynomial, term) {
+  const key = monomialKey(term.factors);
+  const existing = polynomial.get(key);
+  const coef = (existing ? existing.coef : 0) + term.coef;
+
+  if (coef === 0) polynomial.delete(key);
+  else polynomial.set(key, { coef, factors: term.factors });
+}
+
+function addPolynomials(a, b, sign = 1) {
+  const result = new Map(a);
+  b.forEach(term => addTerm(result, { ...term, coef: sign * term.coef }));
+  return result;
+}
+
+function scalePolynomial(polynomial, factor) {
+  return addPolynomials(new Map(), polynomial, factor);
+}
+
+// Propriedade distributiva com agrupamento de fatores iguais (x·x = x²)
+function multiplyPolynomials(a, b) {
+  if (a.size * b.size > SYMBOLIC_LIMITS.maxTerms) {
+    throw new SandboxError('RESULT_TOO_LARGE', `Expansão gera termos demais (máximo ${SYMBOLIC_LIMITS.maxTerms})`, {
+      limit: SYMBOLIC_LIMITS.maxTerms
+    });
+  }
+
+  const result = new Map();
+  a.forEach(left => b.forEach(right => {
+    const factors = new Map(left.factors);
+    right.factors.forEach((factor, key) => {
+      const power = (factors.has(key) ? factors.get(key).power : 0) + factor.power;
+      if (power === 0) factors.delete(key);
+      else factors.set(key, { node: factor.node, power });
+    });
+    addTerm(result, { coef: left.coef * right.coef, factors });
+  }));
+  return result;
+}
+
+const constantValue = polynomial => {
+  if (polynomial.size === 0) return 0;
+  const term = polynomial.get('');
+  return polynomial.size === 1 && term ? term.coef : null;
+};
+
+// Converte a árvore em polinômio, expandindo produtos e potências inteiras
+function toPolynomial(node) {
+  switch (node.type) {
+    case 'ParenthesisNode':
+      return toPolynomial(node.content);
+
+    case 'ConstantNode':
+      return constantPolynomial(node.value);
+
+    case 'SymbolNode':
+      return atomPolynomial(node);
+
+    case 'FunctionNode':
+      // Expande os argumentos, mas a função permanece como fator
+      return atomPolynomial(new FunctionNode(node.fn, node.args.map(arg => fromPolynomial(toPolynomial(arg)))));
+
+    case 'OperatorNode':
+      return operatorToPolynomial(node);
+
+    default:
+      return atomPolynomial(node);
+  }
+}
+
+function operatorToPolynomial(node) {
+  const [left, right] = node.args;
+
+  switch (node.fn) {
+    case 'add':
+      return addPolynomials(toPolynomial(left), toPolynomial(right));
+    case 'subtract':
+      return addPolynomials(toPolynomial(left), toPolynomial(right), -1);
+    case 'unaryMinus':
+      return scalePolynomial(toPolynomial(left), -1);
+    case 'unaryPlus':
+      return toPolynomial(left);
+    case 'multiply':
+      return multiplyPolynomials(toPolynomial(left), toPolynomial(right));
+
+    case 'divide': {
+      const numerator = toPolynomial(left);
+      const denominator = toPolynomial(right);
+      const divisor = constantValue(denominator);
+      if (divisor === 0) throw divisionByZero();
+      if (divisor !== null) return scalePolynomial(numerator, 1 / divisor);
+
+      // Denominador não constante vira fator de expoente -1 (monômio) ou átomo
+      const inverse = denominator.size === 1
+        ? invertMonomial([...denominator.values()][0])
+        : atomPolynomial(fromPolynomial(denominator), -1);
+      return multiplyPolynomials(numerator, inverse);
+    }
+
+    case 'pow': {
+      const base = toPolynomial(left);
+      const exponent = constantValue(toPolynomial(right));
+      if (!Number.isInteger(exponent)) break;
+
+      if (exponent > SYMBOLIC_LIMITS.maxExpandPower) {
+        throw new SandboxError('RESULT_TOO_LARGE', `Expoente muito alto para expandir (máximo ${SYMBOLIC_LIMITS.maxExpandPower})`, {
+          limit: SYMBOLIC_LIMITS.maxExpandPower
+        });
+      }
+
+      if (exponent < 0 && constantValue(base) === 0) throw divisionByZero();
+      if (exponent >= 0) {
+        let result = constantPolynomial(1);
+        for (let i = 0; i < exponent; i++) result = multiplyPolynomials(result, base);
+        return result;
+      }
+      if (base.size === 1) {
+        const inverse = invertMonomial([...base.values()][0]);
+        let result = constantPolynomial(1);
+        for (let i = 0; i < -exponent; i++) result = multiplyPolynomials(result, inverse);
+        return result;
+      }
+      break;
+    }
+  }
+
+  return atomPolynomial(new OperatorNode(node.op, node.fn, node.args.map(arg => fromPolynomial(toPolynomial(arg)))));
+}
+
+// Denominador (ou base de expoente negativo) que se anula como constante
+const divisionByZero = () => new SandboxError('DIVISION_BY_ZERO', 'Divisão por zero');
+
+function invertMonomial(term) {
+  const factors = new Map();
+  term.factors.forEach((factor, key) => factors.set(key, { node: factor.node, power: -factor.power }));
+  return new Map([[monomialKey(factors), { coef: 1 / term.coef, factors }]]);
+}
+
+const degree = term => [...term.factors.values()].reduce((sum, factor) => sum + factor.power, 0);
+
+// Converte o polinômio de volta em árvore, do maior para o menor grau
+function fromPolynomial(polynomial) {
+  const ordered = [...polynomial.entries()]
+    .sort(([keyA, a], [keyB, b]) => degree(b) - degree(a) || keyA.localeCompare(keyB))
+    .map(([, term]) => term);
+
+  if (ordered.length === 0) return new ConstantNode(0);
+
+  return ordered.reduce((sum, term, index) => {
+    const magnitude = monomialNode(Math.abs(term.coef), term.factors);
+    if (index === 0) {
+      return term.coef < 0 ? new OperatorNode('-', 'unaryMinus', [magnitude]) : magnitude;
+    }
+    return term.coef < 0
+      ? new OperatorNode('-', 'subtract', [sum, magnitude])
+      : new OperatorNode('+', 'add', [sum, magnitude]);
+  }, null);
+}
+
+function monomialNode(coef, factors) {
+  const parts = [...factors.keys()].sort().map(key => {
+    const { node, power } = factors.get(key);
+    const base = node.type === 'OperatorNode' ? new math.ParenthesisNode(node) : node;
+    return power === 1 ? base : new OperatorNode('^', 'pow', [base, new ConstantNode(power)]);
+  });
+
+  if (coef !== 1 || parts.length === 0) parts.unshift(new ConstantNode(coef));
+  return parts.reduce((product, part) => new OperatorNode('*', 'multiply', [product, part]));
+}
+
+// Expande e agrupa termos semelhantes
+function expandNode(node) {
+  return runSymbolic(() => fromPolynomial(toPolynomial(node)));
+}
+
+module.exports = {
+  SYMBOLIC_LIMITS,
+  parseSymbolic,
+  describeNode,
+  differentiate,
+  simplifyNode,
+  simplifyInput,
+  expandNode
+};
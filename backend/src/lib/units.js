@@ -0,0 +1,78 @@
+const { math } = require('./engine');
+
+const { Unit } = math;
+
+// Nome da dimensão a partir da chave de BASE_UNITS (ex.: ELECTRIC_CHARGE → electric_charge)
+const dimensionName = key => key.toLowerCase();
+
+// Dimensões físicas conhecidas (ignorando a adimensional NONE)
+const DIMENSIONS = Object.keys(Unit.BASE_UNITS).filter(key => key !== 'NONE');
+
+// Dimensões derivadas sem unidade base própria no Math.js
+// Ordem: massa, comprimento, tempo, corrente, temperatura, luminosidade, quantidade, ângulo, bit
+const DERIVED_DIMENSIONS = {
+  velocity: [0, 1, -1, 0, 0, 0, 0, 0, 0],
+  acceleration: [0, 1, -2, 0, 0, 0, 0, 0, 0],
+  density: [1, -3, 0, 0, 0, 0, 0, 0, 0],
+  momentum: [1, 1, -1, 0, 0, 0, 0, 0, 0],
+  flow_rate: [0, 3, -1, 0, 0, 0, 0, 0, 0]
+};
+
+const sameDimensions = (a, b) => a.every((exponent, i) => exponent === b[i]);
+
+// Identifica a dimensão de uma unidade comparando o vetor de dimensões
+function findDimension(unit) {
+  const key = DIMENSIONS.find(candidate => sameDimensions(Unit.BASE_UNITS[candidate].dimensions, unit.dimensions));
+  if (key) return dimensionName(key);
+
+  const derived = Object.keys(DERIVED_DIMENSIONS).find(name => sameDimensions(DERIVED_DIMENSIONS[name], unit.dimensions));
+  return derived || null;
+}
+
+// Nome do grupo de prefixos aceito pela unidade (short, long, binary_short...)
+function prefixGroup(unit) {
+  const key = Object.keys(Unit.PREFIXES).find(candidate => Unit.PREFIXES[candidate] === unit.prefixes);
+  return key ? key.toLowerCase() : 'none';
+}
+
+// Catálogo de unidades do Math.js agrupado por dimensão
+function getUnitCatalog() {
+  const catalog = {};
+
+  Object.keys(Unit.UNITS).forEach(name => {
+    const definition = Unit.UNITS[name];
+    const key = DIMENSIONS.find(candidate => Unit.BASE_UNITS[candidate] === definition.base);
+    if (!key) return;
+
+    const dimension = dimensionName(key);
+    if (!catalog[dimension]) catalog[dimension] = [];
+
+    catalog[dimension].push({
+      name,
+      prefixes: prefixGroup(definition)
+    });
+  });
+
+  return catalog;
+}
+
+// Prefixos disponíveis por grupo
+function getPrefixCatalog() {
+  return Object.keys(Unit.PREFIXES).reduce((catalog, key) => {
+    const prefixes = Object.keys(Unit.PREFIXES[key]).filter(prefix => prefix !== '');
+    if (prefixes.length > 0) catalog[key.toLowerCase()] = prefixes;
+    return catalog;
+  }, {});
+}
+
+// Verifica se o símbolo é uma unidade reconhecida (ex.: km, N, degC)
+function isUnitSymbol(name) {
+  return Unit.isValuelessUnit(name);
+}
+
+module.exports = {
+  findDimension,
+  getUnitCatalog,
+  getPrefixCatalog,
+  isUnitSymbol
+};
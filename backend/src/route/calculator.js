@@ -1,22 +1,167 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { evaluate, format } = require('mathjs');
+const { body, query, validationResult } = require('express-validator');
+const { format } = require('mathjs');
+const { evaluateProgram, evaluateNode, nodeToString, isPlainObject, SandboxError } = require('../lib/engine');
+const { isValidResult, serializeResult } = require('../lib/result');
+const { getUnitCatalog, getPrefixCatalog } = require('../lib/units');
+const { getFunctionCatalog, filterFunctions } = require('../lib/functions');
+const { evaluateProgrammer, describeProgrammerValue, describeWord } = require('../lib/programmer');
+const { explainProgram } = require('../lib/explain');
+const {
+  SYMBOLIC_LIMITS,
+  parseSymbolic,
+  describeNode,
+  differentiate,
+  simplifyInput,
+  expandNode
+} = require('../lib/symbolic');
+const { INTEGRATION_LIMITS, METHODS: INTEGRATION_METHODS, integrate } = require('../lib/integration');
+const { PLOT_LIMITS, plot } = require('../lib/plot');
+const { renderExpression, renderFormatted } = require('../lib/render');
+const {
+  message,
+  translateError,
+  resolveLocale,
+  delocalizeExpression,
+  localizeFormatted,
+  SUPPORTED_LOCALES
+} = require('../lib/i18n');
+const { DIAGNOSTIC_LIMITS, diagnose, complete } = require('../lib/diagnostics');
 const router = express.Router();
 
-// Validações
+// Tamanho máximo de um lote em /batch (configurável por ambiente)
+const MAX_BATCH_SIZE = parseInt(process.env.CALCULATE_BATCH_MAX_SIZE, 10) || 50;
+
+// Validações (conteúdo da expressão é validado pelo sandbox)
 const validateExpression = [
   body('expression')
     .notEmpty()
-    .withMessage('Expressão é obrigatória')
-    .isLength({ max: 200 })
-    .withMessage('Expressão muito longa (máximo 200 caracteres)')
-    .matches(/^[0-9+\-*/().\s√^!%sincostan log ln exp abs ceil floor round pi e ]+$/i)
-    .withMessage('Expressão contém caracteres inválidos')
+    .withMessage(message('validation.expression_required'))
+    .bail()
+    .isString()
+    .withMessage(message('validation.expression_string'))
+];
+
+// Validações da derivada
+// Ponto da derivada: número ou texto numérico
+const isNumericPoint = value =>
+  (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+
+const validateDerivative = [
+  ...validateExpression,
+  body('variable')
+    .optional()
+    .matches(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .withMessage(message('validation.variable_identifier')),
+  body('order')
+    .optional()
+    .isInt({ min: 1, max: SYMBOLIC_LIMITS.maxOrder })
+    .withMessage(message('validation.order_range', { max: SYMBOLIC_LIMITS.maxOrder })),
+  body('at')
+    .optional({ values: 'null' })
+    .custom(value => isNumericPoint(value) || (isPlainObject(value) && Object.values(value).every(isNumericPoint)))
+    .withMessage(message('validation.derivative_point'))
+];
+
+// Validações da integral (limites são interpretados por lib/integration)
+const validateIntegral = [
+  ...validateExpression,
+  body('variable')
+    .optional()
+    .matches(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .withMessage(message('validation.variable_identifier')),
+  body(['lower', 'upper'])
+    .exists({ values: 'null' })
+    .withMessage(message('validation.bounds_required')),
+  body('method')
+    .optional()
+    .isIn(INTEGRATION_METHODS)
+    .withMessage(message('validation.method_in', { methods: INTEGRATION_METHODS.join(', ') })),
+  body('tolerance')
+    .optional()
+    .isFloat({ min: INTEGRATION_LIMITS.minTolerance, max: INTEGRATION_LIMITS.maxTolerance })
+    .withMessage(message('validation.tolerance_range', {
+      min: INTEGRATION_LIMITS.minTolerance,
+      max: INTEGRATION_LIMITS.maxTolerance
+    }))
+];
+
+// Validações do gráfico
+const validatePlot = [
+  body('expressions')
+    .custom(value => typeof value === 'string' || (
+      Array.isArray(value) &&
+      value.length >= 1 &&
+      value.length <= PLOT_LIMITS.maxExpressions &&
+      value.every(item => typeof item === 'string')
+    ))
+    .withMessage(message('validation.plot_expressions', { max: PLOT_LIMITS.maxExpressions })),
+  body('variable')
+    .optional()
+    .matches(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .withMessage(message('validation.variable_identifier')),
+  body(['domain.min', 'domain.max'])
+    .exists({ values: 'null' })
+    .withMessage(message('validation.plot_domain_required')),
+  body('points')
+    .optional()
+    .isInt({ min: PLOT_LIMITS.minPoints, max: PLOT_LIMITS.maxPoints })
+    .withMessage(message('validation.points_range', { min: PLOT_LIMITS.minPoints, max: PLOT_LIMITS.maxPoints }))
+];
+
+// Validações do lote
+const validateBatch = [
+  body('expressions')
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(message('validation.batch_size', { max: MAX_BATCH_SIZE })),
+  // Escopos são mesclados com spread: texto ou lista viraria { 0: ..., 1: ... }
+  body(['scope', 'expressions.*.scope'])
+    .optional()
+    .custom(isPlainObject)
+    .withMessage(message('validation.scope_object')),
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(message('validation.locale_in', { locales: SUPPORTED_LOCALES.join(', ') }))
+];
+
+// Validações do autocompletar (expressão vazia é permitida)
+const validateComplete = [
+  body('expression')
+    .isString()
+    .withMessage(message('validation.expression_string')),
+  body('cursor')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage(message('validation.cursor_range'))
+    .bail()
+    .custom((value, { req }) => typeof req.body.expression !== 'string' || Number(value) <= req.body.expression.length)
+    .withMessage(message('validation.cursor_range')),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: DIAGNOSTIC_LIMITS.maxCompletions })
+    .withMessage(message('validation.limit_range', { max: DIAGNOSTIC_LIMITS.maxCompletions })),
+  body('scope')
+    .optional()
+    .custom(isPlainObject)
+    .withMessage(message('validation.scope_object'))
+];
+
+// Filtros do catálogo de funções
+const validateFunctions = [
+  query('allowed')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage(message('validation.allowed_boolean')),
+  ...['q', 'category'].map(field => query(field)
+    .optional()
+    .isString()
+    .withMessage(message('validation.query_string', { field })))
 ];
 
 /**
  * @swagger
- * /api/calculate:
+ * /api/v1/calculate:
  *   post:
  *     summary: Calcula expressão matemática
  *     tags: [Calculator]
@@ -39,6 +184,53 @@ const validateExpression = [
  *               summary: Cálculo complexo
  *               value:
  *                 expression: "sqrt(16) + log(100, 10)"
+ *             units:
+ *               summary: Conversão de unidades
+ *               value:
+ *                 expression: "5 km/h to m/s"
+ *             bignumber:
+ *               summary: Precisão arbitrária
+ *               value:
+ *                 expression: "0.1 + 0.2"
+ *                 mode: "bignumber"
+ *                 precision: 32
+ *             fraction:
+ *               summary: Frações exatas
+ *               value:
+ *                 expression: "1/3 + 1/6"
+ *                 mode: "fraction"
+ *             complexDomain:
+ *               summary: Resultado complexo
+ *               value:
+ *                 expression: "sqrt(-4)"
+ *                 domain: "complex"
+ *             locale:
+ *               summary: Vírgula decimal (pt-BR)
+ *               value:
+ *                 expression: "2,5 + 1,5 * 1000"
+ *                 locale: "pt-BR"
+ *             matrix:
+ *               summary: Álgebra linear
+ *               value:
+ *                 expression: "inv(A)"
+ *                 scope: { A: [[1, 2], [3, 4]] }
+ *             program:
+ *               summary: Variáveis e funções definidas pelo usuário
+ *               value:
+ *                 expression: "f(x) = x^2 + 1; g(t) = f(t) * 2; g(r)"
+ *                 scope: { r: 3 }
+ *             explain:
+ *               summary: Passo a passo (ordem das operações)
+ *               value:
+ *                 expression: "2 + 3 * 4"
+ *                 explain: true
+ *             programmer:
+ *               summary: Modo programador (bases e operadores bit a bit)
+ *               value:
+ *                 expression: "(0xF0 | 0b1010) ^| 0o17 << 2"
+ *                 mode: "programmer"
+ *                 wordSize: 16
+ *                 signed: false
  *     responses:
  *       200:
  *         description: Cálculo realizado com sucesso
@@ -48,8 +240,24 @@ const validateExpression = [
  *               type: object
  *               properties:
  *                 result:
- *                   type: number
- *                   description: Resultado do cálculo
+ *                   oneOf:
+ *                     - type: number
+ *                     - type: object
+ *                       properties:
+ *                         value: {type: number}
+ *                         unit: {type: string}
+ *                     - type: object
+ *                       properties:
+ *                         re: {type: number}
+ *                         im: {type: number}
+ *                     - type: array
+ *                       items: {}
+ *                   description: Resultado do cálculo (número, { value, unit }, { re, im } ou arrays aninhados)
+ *                 shape:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: Dimensões do resultado matricial
  *                 expression:
  *                   type: string
  *                   description: Expressão original
@@ -59,6 +267,64 @@ const validateExpression = [
  *                 type:
  *                   type: string
  *                   description: Tipo do resultado
+ *                 assignments:
+ *                   type: array
+ *                   description: Atribuições intermediárias (variáveis e funções)
+ *                   items:
+ *                     type: object
+ *                 explanation:
+ *                   type: object
+ *                   description: >
+ *                     Com explain: true, cada redução na ordem das operações
+ *                     ("2 + 3 * 4 → 2 + 12 → 14"), com a subexpressão destacada
+ *                   properties:
+ *                     summary: {type: string}
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           step: {type: integer}
+ *                           statement: {type: integer, description: Instrução do programa (a partir de 0)}
+ *                           rule:
+ *                             type: string
+ *                             enum: [substitution, function, index, exponent, factorial, sign, multiplication, division, modulo, addition, subtraction, conversion, transpose, operation]
+ *                           description: {type: string}
+ *                           operation: {type: string, description: Subexpressão calculada}
+ *                           expression: {type: string, description: Expressão antes do passo}
+ *                           highlight:
+ *                             type: object
+ *                             description: Trecho de expression substituído neste passo
+ *                             properties:
+ *                               offset: {type: integer}
+ *                               length: {type: integer}
+ *                               text: {type: string}
+ *                           result: {type: string}
+ *                           after: {type: string, description: Expressão depois do passo}
+ *                 bases:
+ *                   type: object
+ *                   description: >
+ *                     Modo programmer: binário, octal, decimal e hexadecimal. Inteiros negativos
+ *                     aparecem em complemento de dois na largura da palavra
+ *                   properties:
+ *                     binary: {type: string}
+ *                     octal: {type: string}
+ *                     decimal: {type: string}
+ *                     hexadecimal: {type: string}
+ *                 bits:
+ *                   type: string
+ *                   description: Modo programmer, inteiros - palavra completa agrupada em nibbles
+ *                 word:
+ *                   type: object
+ *                   description: Modo programmer - tamanho, sinal, tratamento de estouro e limites
+ *                 overflowed:
+ *                   type: boolean
+ *                   description: Modo programmer - alguma operação aritmética saiu da faixa da palavra
+ *                 ieee754:
+ *                   type: object
+ *                   description: >
+ *                     Modo programmer, ponto flutuante - sinal, expoente e fração em precisão
+ *                     simples e dupla, classe (normal, subnormal...) e erro de arredondamento
  *             examples:
  *               success:
  *                 value:
@@ -79,124 +345,331 @@ router.post('/', validateExpression, (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Dados inválidos',
+        error: req.t('errors.invalid_data'),
         details: errors.array()
       });
     }
 
-    const { expression } = req.body;
+    res.json({
+      ...calculate(req.body, req.t),
+      timestamp: new Date().toISOString()
+    });
 
-    // Substituir operadores para Math.js
-    let processedExpression = expression
-      .replace(/×/g, '*')
-      .replace(/÷/g, '/')
-      .replace(/√/g, 'sqrt')
-      .toLowerCase();
+  } catch (error) {
+    if (!(error instanceof SandboxError)) {
+      console.error('Erro no cálculo:', error);
+    }
 
-    // Calcular usando Math.js
-    const result = evaluate(processedExpression);
-    
     // Verificar se o resultado é válido
-    if (!isFinite(result)) {
+    if (error.code === 'INVALID_RESULT') {
       return res.status(400).json({
-        error: 'Resultado inválido',
-        details: 'O cálculo resultou em infinito ou NaN'
+        error: req.t('errors.invalid_result'),
+        code: error.code,
+        details: translateError(error, req.locale)
       });
     }
-
-    // Formatear resultado
-    const formatted = format(result, { precision: 10 });
-    const type = typeof result;
-
-    res.json({
-      result: Number(result),
-      expression: expression,
-      formatted: formatted,
-      type: type,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Erro no cálculo:', error);
     
     res.status(400).json({
-      error: 'Erro no cálculo',
-      details: error.message || 'Expressão matemática inválida'
+      error: req.t('errors.calculation'),
+      code: error.code || 'EVALUATION_ERROR',
+      details: translateError(error, req.locale) || req.t('errors.invalid_expression')
     });
   }
 });
 
 /**
  * @swagger
- * /api/calculate/functions:
+ * /api/v1/calculate/batch:
+ *   post:
+ *     summary: Calcula várias expressões em uma única requisição
+ *     description: >
+ *       Cada item é avaliado de forma independente; erros de um item não afetam os demais.
+ *       A requisição conta uma única vez no limite de requisições.
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expressions]
+ *             properties:
+ *               expressions:
+ *                 type: array
+ *                 description: Expressões (texto) ou objetos { expression, scope }
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         expression: {type: string}
+ *                         scope: {type: object}
+ *               scope:
+ *                 type: object
+ *                 description: Escopo compartilhado (o escopo de cada item tem prioridade)
+ *               mode:
+ *                 type: string
+ *                 enum: [number, bignumber, fraction, programmer]
+ *               precision:
+ *                 type: integer
+ *               wordSize:
+ *                 type: integer
+ *                 enum: [8, 16, 32, 64]
+ *               signed:
+ *                 type: boolean
+ *               overflow:
+ *                 type: string
+ *                 enum: [wrap, saturate, error]
+ *               domain:
+ *                 type: string
+ *                 enum: [real, complex]
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML em cada item
+ *               locale:
+ *                 type: string
+ *                 enum: [pt-BR, en, es]
+ *                 description: Formato numérico da entrada e dos campos formatted
+ *           examples:
+ *             dashboard:
+ *               summary: Vários cálculos com escopo compartilhado
+ *               value:
+ *                 expressions: ["r^2 * pi", "2 * pi * r", { expression: "r * k", scope: { k: 10 } }, "1 / 0"]
+ *                 scope: { r: 3 }
+ *     responses:
+ *       200:
+ *         description: Resultados por item (sucesso ou erro)
+ *       400:
+ *         description: Lote inválido
+ */
+router.post('/batch', validateBatch, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expressions, scope, mode, precision, domain, render, explain, locale, wordSize, signed, overflow } = req.body;
+
+  const results = expressions.map((item, index) => {
+    const entry = typeof item === 'string' ? { expression: item } : (item || {});
+
+    try {
+      // Escopo do item sobrescreve o compartilhado
+      const itemScope = scope || entry.scope ? { ...scope, ...entry.scope } : undefined;
+
+      return {
+        index,
+        success: true,
+        ...calculate({
+          expression: entry.expression,
+          scope: itemScope,
+          mode,
+          precision,
+          domain,
+          render,
+          explain,
+          locale,
+          wordSize,
+          signed,
+          overflow
+        }, req.t)
+      };
+    } catch (error) {
+      if (!(error instanceof SandboxError)) {
+        console.error('Erro no cálculo em lote:', error);
+      }
+
+      return {
+        index,
+        success: false,
+        expression: entry.expression,
+        error: {
+          code: error.code || 'EVALUATION_ERROR',
+          message: translateError(error, req.locale) || req.t('errors.invalid_expression')
+        }
+      };
+    }
+  });
+
+  const succeeded = results.filter(item => item.success).length;
+
+  res.json({
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/functions:
  *   get:
- *     summary: Lista funções matemáticas disponíveis
+ *     summary: Catálogo de funções gerado a partir do motor de cálculo
+ *     description: >
+ *       Lista as funções da instância configurada do Math.js com categoria, assinaturas tipadas,
+ *       tipos de cada argumento, descrição, exemplos executados no sandbox e se a função é
+ *       liberada nas expressões. Mantém o teclado do frontend e a documentação em sincronia.
  *     tags: [Calculator]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema: {type: string}
+ *         description: "Filtra por categoria (ex.: trigonometric, linear_algebra, probability)"
+ *       - in: query
+ *         name: q
+ *         schema: {type: string}
+ *         description: Busca no nome e na descrição (todos os termos, sem diferenciar maiúsculas)
+ *       - in: query
+ *         name: allowed
+ *         schema: {type: boolean}
+ *         description: Apenas funções liberadas (true) ou bloqueadas (false) no sandbox
  *     responses:
  *       200:
- *         description: Lista de funções disponíveis
+ *         description: Funções encontradas e constantes disponíveis
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 basic:
+ *                 total: {type: integer}
+ *                 categories:
  *                   type: array
- *                   items:
- *                     type: string
- *                 trigonometric:
+ *                   items: {type: string}
+ *                 functions:
  *                   type: array
  *                   items:
- *                     type: string
- *                 logarithmic:
- *                   type: array
- *                   items:
- *                     type: string
+ *                     type: object
+ *                     properties:
+ *                       name: {type: string}
+ *                       category: {type: string}
+ *                       allowed: {type: boolean}
+ *                       syntax:
+ *                         type: array
+ *                         items: {type: string}
+ *                       signatures:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             types:
+ *                               type: array
+ *                               items: {type: string}
+ *                             variadic: {type: boolean}
+ *                       argumentTypes:
+ *                         type: array
+ *                         description: Tipos aceitos em cada posição
+ *                         items:
+ *                           type: array
+ *                           items: {type: string}
+ *                       description: {type: string}
+ *                       examples:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             expression: {type: string}
+ *                             result: {type: string}
+ *                             domain: {type: string, enum: [real, complex]}
+ *                             setup:
+ *                               type: array
+ *                               description: Definições necessárias antes do exemplo
+ *                               items: {type: string}
+ *                       seealso:
+ *                         type: array
+ *                         items: {type: string}
  *                 constants:
  *                   type: array
  *                   items:
- *                     type: string
+ *                     type: object
+ *                     properties:
+ *                       name: {type: string}
+ *                       value: {type: string}
+ *                       description: {type: string}
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Categoria não encontrada
+ */
+router.get('/functions', validateFunctions, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const catalog = getFunctionCatalog();
+  const { category, q } = req.query;
+  const allowed = req.query.allowed === undefined ? undefined : req.query.allowed === 'true';
+
+  if (category && !catalog.categories.includes(category)) {
+    return res.status(404).json({
+      error: req.t('errors.category_not_found'),
+      available_categories: catalog.categories
+    });
+  }
+
+  const functions = filterFunctions(catalog.functions, { category, q, allowed });
+
+  res.json({
+    total: functions.length,
+    categories: catalog.categories,
+    functions,
+    constants: catalog.constants,
+    filters: { category, q, allowed }
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/units:
+ *   get:
+ *     summary: Lista unidades físicas agrupadas por dimensão
+ *     tags: [Calculator]
+ *     parameters:
+ *       - in: query
+ *         name: dimension
+ *         schema:
+ *           type: string
+ *         description: "Filtra por dimensão (ex.: length, mass, energy)"
+ *     responses:
+ *       200:
+ *         description: Catálogo de unidades
  */
-router.get('/functions', (req, res) => {
+router.get('/units', (req, res) => {
+  const catalog = getUnitCatalog();
+  const { dimension } = req.query;
+
+  if (dimension && !catalog[dimension]) {
+    return res.status(404).json({
+      error: req.t('errors.dimension_not_found'),
+      available_dimensions: Object.keys(catalog)
+    });
+  }
+
   res.json({
-    basic: [
-      'sqrt(x) - Raiz quadrada',
-      'abs(x) - Valor absoluto', 
-      'ceil(x) - Arredondar para cima',
-      'floor(x) - Arredondar para baixo',
-      'round(x) - Arredondar',
-      'pow(x, y) - Potenciação'
-    ],
-    trigonometric: [
-      'sin(x) - Seno',
-      'cos(x) - Cosseno', 
-      'tan(x) - Tangente',
-      'asin(x) - Arco seno',
-      'acos(x) - Arco cosseno',
-      'atan(x) - Arco tangente'
-    ],
-    logarithmic: [
-      'log(x) - Logaritmo natural',
-      'log10(x) - Logaritmo base 10',
-      'log(x, base) - Logaritmo com base',
-      'exp(x) - Exponencial'
-    ],
-    constants: [
-      'pi - π (3.14159...)',
-      'e - Número de Euler (2.71828...)'
-    ],
+    dimensions: dimension ? { [dimension]: catalog[dimension] } : catalog,
+    prefixes: getPrefixCatalog(),
     examples: [
-      'sin(pi/2) = 1',
-      'sqrt(16) = 4',
-      'log10(100) = 2',
-      'pow(2, 3) = 8'
+      '5 km/h to m/s',
+      '3 ft * 2 m',
+      '100 degF to degC',
+      '2 N * 3 m'
     ]
   });
 });
 
 /**
  * @swagger
- * /api/calculate/validate:
+ * /api/v1/calculate/validate:
  *   post:
  *     summary: Valida expressão matemática
  *     tags: [Calculator]
@@ -211,6 +684,19 @@ router.get('/functions', (req, res) => {
  *               expression:
  *                 type: string
  *                 description: Expressão para validar
+ *               mode:
+ *                 type: string
+ *                 enum: [number, bignumber, fraction, programmer]
+ *               precision:
+ *                 type: integer
+ *                 description: Dígitos significativos no modo bignumber
+ *               domain:
+ *                 type: string
+ *                 enum: [real, complex]
+ *               locale:
+ *                 type: string
+ *                 enum: [pt-BR, en, es]
+ *                 description: Formato numérico da entrada e da prévia
  *     responses:
  *       200:
  *         description: Validação da expressão
@@ -227,32 +713,65 @@ router.get('/functions', (req, res) => {
  *                   type: array
  *                   items:
  *                     type: string
+ *                 diagnostics:
+ *                   type: array
+ *                   description: >
+ *                     Problemas localizados: posição (offset) e comprimento no texto enviado,
+ *                     tokens esperados, parênteses sem par e nomes parecidos (didYouMean)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code: {type: string}
+ *                       kind:
+ *                         type: string
+ *                         enum: [syntax, unclosed, unexpected_close, mismatched, unknown_function, unknown_symbol, operator_not_allowed]
+ *                       message: {type: string}
+ *                       offset: {type: integer, nullable: true}
+ *                       length: {type: integer}
+ *                       token: {type: string}
+ *                       expected:
+ *                         type: array
+ *                         items: {type: string}
+ *                       didYouMean:
+ *                         type: array
+ *                         items: {type: string}
+ *             example:
+ *               valid: false
+ *               code: FUNCTION_NOT_ALLOWED
+ *               diagnostics:
+ *                 - code: FUNCTION_NOT_ALLOWED
+ *                   kind: unknown_function
+ *                   message: "Função desconhecida: sqr"
+ *                   offset: 0
+ *                   length: 3
+ *                   token: sqr
+ *                   didYouMean: [sqrt, qr]
  */
 router.post('/validate', (req, res) => {
-  const { expression } = req.body;
+  const { expression, scope, mode, precision, domain } = req.body;
   
   if (!expression) {
     return res.status(400).json({
       valid: false,
-      message: 'Expressão é obrigatória'
+      message: req.t('validation.expression_required')
     });
   }
 
+  // Texto efetivamente analisado (com a notação do locale já convertida)
+  let text = expression;
+
   try {
-    // Processar expressão
-    let processedExpression = expression
-      .replace(/×/g, '*')
-      .replace(/÷/g, '/')
-      .replace(/√/g, 'sqrt')
-      .toLowerCase();
-
-    // Tentar avaliar
-    const result = evaluate(processedExpression);
-    
+    // Tentar avaliar no sandbox
+    const locale = resolveLocale(req.body.locale);
+    text = delocalizeExpression(expression, locale);
+    const preview = mode === 'programmer'
+      ? programmerPreview(text, scope, req.body)
+      : previewResult(evaluateProgram(text, scope, { mode, precision, domain }).result);
+
     res.json({
       valid: true,
-      message: 'Expressão válida',
-      preview: format(result, { precision: 4 }),
+      message: req.t('validate.valid'),
+      preview: localizeFormatted(preview, locale),
       suggestions: []
     });
 
@@ -260,20 +779,729 @@ router.post('/validate', (req, res) => {
     const suggestions = [];
     
     // Analisar tipos de erro comuns
-    if (error.message.includes('Unexpected')) {
-      suggestions.push('Verifique parênteses e operadores');
+    if (error.code === 'PARSE_ERROR') {
+      suggestions.push(req.t('suggestions.parentheses'));
+    }
+    if (error.code === 'TOO_MANY_NODES' || error.code === 'TOO_DEEP' || error.code === 'MAGNITUDE_EXCEEDED') {
+      suggestions.push(req.t('suggestions.simplify'));
     }
-    if (error.message.includes('Undefined')) {
-      suggestions.push('Função não reconhecida - veja /api/calculate/functions');
+    if (error.code === 'COMPLEX_RESULT') {
+      suggestions.push(req.t('suggestions.complex_domain'));
     }
+
+    const diagnostics = typeof text === 'string'
+      ? diagnose(text, error, { scope: isPlainObject(scope) ? scope : {} }).map(diagnostic => ({
+        ...diagnostic,
+        message: req.t(`diagnostics.${diagnostic.kind}`, {
+          ...diagnostic,
+          expected: (diagnostic.expected || []).join(', ')
+        })
+      }))
+      : [];
+
+    // Funções desconhecidas também são apontadas quando a expressão nem chega a ser analisada
+    if (diagnostics.some(diagnostic => diagnostic.kind === 'unknown_function' || diagnostic.kind === 'unknown_symbol')) {
+      suggestions.push(req.t('suggestions.unknown_function'));
+    }
+
+    diagnostics
+      .filter(diagnostic => diagnostic.didYouMean && diagnostic.didYouMean.length > 0)
+      .forEach(diagnostic => suggestions.push(req.t('suggestions.did_you_mean', { names: diagnostic.didYouMean.join(', ') })));
     
     res.json({
       valid: false,
-      message: 'Expressão inválida',
-      error: error.message,
+      message: req.t('validate.invalid'),
+      code: error.code || 'EVALUATION_ERROR',
+      error: translateError(error, req.locale),
+      // Dicas dos erros vêm como chave do catálogo (hints.*)
+      details: error.details && error.details.hint
+        ? { ...error.details, hint: req.t(`hints.${error.details.hint}`) }
+        : error.details,
+      diagnostics,
       suggestions: suggestions
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/calculate/complete:
+ *   post:
+ *     summary: Sugestões de funções, constantes e variáveis na posição do cursor
+ *     description: >
+ *       Completa o identificador que termina no cursor. Sem prefixo correspondente, sugere nomes
+ *       parecidos. replace indica o trecho da expressão a substituir por insertText.
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expression]
+ *             properties:
+ *               expression:
+ *                 type: string
+ *               cursor:
+ *                 type: integer
+ *                 description: "Posição do cursor (padrão: fim da expressão)"
+ *               scope:
+ *                 type: object
+ *                 description: Variáveis que também podem ser sugeridas
+ *               limit:
+ *                 type: integer
+ *                 default: 20
+ *                 maximum: 100
+ *           examples:
+ *             prefix:
+ *               summary: Prefixo de função
+ *               value:
+ *                 expression: "2 * sq"
+ *     responses:
+ *       200:
+ *         description: Sugestões ordenadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prefix: {type: string}
+ *                 replace:
+ *                   type: object
+ *                   properties:
+ *                     offset: {type: integer}
+ *                     length: {type: integer}
+ *                 total: {type: integer}
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       label: {type: string}
+ *                       type: {type: string, enum: [function, constant, variable]}
+ *                       insertText: {type: string}
+ *                       cursorOffset: {type: integer}
+ *       400:
+ *         description: Erro de validação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/complete', validateComplete, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expression, cursor, scope, limit } = req.body;
+
+  res.json({
+    expression,
+    cursor: cursor === undefined ? expression.length : Number(cursor),
+    ...complete(expression, {
+      cursor: cursor === undefined ? undefined : Number(cursor),
+      scope,
+      limit: limit === undefined ? undefined : Number(limit)
+    }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/derivative:
+ *   post:
+ *     summary: Derivada simbólica de ordem n
+ *     description: >
+ *       Os passos trazem cada ordem como derivada, sem simplificar. O resultado final é
+ *       simplificado quando tem até 400 nós (simplified indica se foi).
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expression]
+ *             properties:
+ *               expression:
+ *                 type: string
+ *               variable:
+ *                 type: string
+ *                 default: x
+ *               order:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 default: 1
+ *               at:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                   - type: object
+ *                     additionalProperties:
+ *                       type: number
+ *                 description: Ponto de avaliação (valor da variável, como número ou texto numérico, ou escopo completo)
+ *           examples:
+ *             basic:
+ *               summary: Derivada primeira
+ *               value:
+ *                 expression: "x^3 + sin(x)"
+ *             secondOrder:
+ *               summary: Derivada segunda avaliada em um ponto
+ *               value:
+ *                 expression: "x^2 * y"
+ *                 variable: "x"
+ *                 order: 2
+ *                 at: { x: 1, y: 3 }
+ *     responses:
+ *       200:
+ *         description: Derivada em texto, LaTeX e AST
+ *       400:
+ *         description: Erro de validação ou cálculo simbólico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/derivative', validateDerivative, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expression, variable = 'x', order = 1, at } = req.body;
+
+  try {
+    const node = parseSymbolic(expression);
+    const { result, steps, simplified } = differentiate(node, variable, Number(order));
+
+    const response = {
+      expression,
+      variable,
+      order: Number(order),
+      input: describeNode(node),
+      result: describeNode(result),
+      simplified,
+      steps
+    };
+
+    if (at !== undefined && at !== null) {
+      // Número: valor da variável; objeto: escopo com todas as variáveis livres
+      const point = isPlainObject(at) ? at : { [variable]: at };
+      const scope = Object.fromEntries(Object.entries(point).map(([name, value]) => [name, Number(value)]));
+      const value = evaluateNode(result, scope);
+
+      if (!isValidResult(value)) {
+        throw new SandboxError('INVALID_RESULT', 'A derivada no ponto resultou em infinito ou NaN');
+      }
+
+      response.at = scope;
+      response.value = serializeResult(value);
+    }
+
+    res.json({
+      ...response,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendSymbolicError(req, res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/simplify:
+ *   post:
+ *     summary: Simplifica uma expressão simbólica
+ *     description: >
+ *       O custo da simplificação cresce rápido com o número de termos: a expressão pode ter
+ *       no máximo 8 somas, subtrações, produtos e divisões (TOO_MANY_OPERATIONS).
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expression]
+ *             properties:
+ *               expression:
+ *                 type: string
+ *           examples:
+ *             basic:
+ *               value:
+ *                 expression: "2*x + 3*x - x^2/x"
+ *     responses:
+ *       200:
+ *         description: Expressão simplificada em texto, LaTeX e AST
+ *       400:
+ *         description: Erro de validação ou cálculo simbólico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/simplify', validateExpression, (req, res) => {
+  transformExpression(req, res, simplifyInput);
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/expand:
+ *   post:
+ *     summary: Expande produtos e potências inteiras, agrupando termos semelhantes
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expression]
+ *             properties:
+ *               expression:
+ *                 type: string
+ *           examples:
+ *             basic:
+ *               value:
+ *                 expression: "(x + 1)^2 * (x - 2)"
+ *     responses:
+ *       200:
+ *         description: Expressão expandida em texto, LaTeX e AST
+ *       400:
+ *         description: Erro de validação ou cálculo simbólico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/expand', validateExpression, (req, res) => {
+  transformExpression(req, res, expandNode);
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/integrate:
+ *   post:
+ *     summary: Integral definida numérica com estimativa de erro
+ *     description: >
+ *       Limites infinitos são tratados por troca de variável. Quando o método não converge
+ *       na tolerância pedida, o resultado vem acompanhado de um aviso (warning).
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expression, lower, upper]
+ *             properties:
+ *               expression:
+ *                 type: string
+ *               variable:
+ *                 type: string
+ *                 default: x
+ *               lower:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Limite inferior (número, expressão constante ou "-inf")
+ *               upper:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Limite superior (número, expressão constante ou "inf")
+ *               method:
+ *                 type: string
+ *                 enum: [simpson, gauss-kronrod, romberg]
+ *                 default: gauss-kronrod
+ *               tolerance:
+ *                 type: number
+ *                 default: 1e-10
+ *                 description: Tolerância relativa (absoluta para integrais menores que 1)
+ *               scope:
+ *                 type: object
+ *                 description: Demais variáveis da expressão
+ *           examples:
+ *             basic:
+ *               summary: Integral de polinômio
+ *               value:
+ *                 expression: "x^2"
+ *                 lower: 0
+ *                 upper: 1
+ *             gaussian:
+ *               summary: Limites infinitos
+ *               value:
+ *                 expression: "exp(-x^2)"
+ *                 lower: "-inf"
+ *                 upper: "inf"
+ *             romberg:
+ *               summary: Romberg com limite simbólico
+ *               value:
+ *                 expression: "sin(x)"
+ *                 lower: 0
+ *                 upper: "pi"
+ *                 method: "romberg"
+ *     responses:
+ *       200:
+ *         description: Valor, erro estimado e número de avaliações
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 value:
+ *                   type: number
+ *                 errorEstimate:
+ *                   type: number
+ *                 evaluations:
+ *                   type: integer
+ *                 converged:
+ *                   type: boolean
+ *                 warning:
+ *                   type: string
+ *                   description: Aviso traduzido quando o método não converge
+ *                 warningCode:
+ *                   type: string
+ *                   enum: [evaluation_limit, not_converged]
+ *       400:
+ *         description: Erro de validação ou de integração
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/integrate', validateIntegral, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expression, variable = 'x', lower, upper, method, tolerance, scope } = req.body;
+
+  try {
+    const { node, warning, ...integral } = integrate(expression, {
+      variable,
+      lower,
+      upper,
+      method,
+      tolerance: tolerance === undefined ? undefined : Number(tolerance),
+      scope
+    });
+
+    res.json({
+      expression,
+      variable,
+      integrand: nodeToString(node),
+      ...integral,
+      // JSON não representa infinito
+      lower: formatBound(integral.lower),
+      upper: formatBound(integral.upper),
+      formatted: format(integral.value, { precision: 10 }),
+      ...(warning && { warning: req.t(`warnings.${warning.code}`, warning.params), warningCode: warning.code }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof SandboxError)) {
+      console.error('Erro na integração:', error);
+    }
+
+    res.status(400).json({
+      error: req.t('errors.integration'),
+      code: error.code || 'EVALUATION_ERROR',
+      details: translateError(error, req.locale) || req.t('errors.invalid_integral')
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/calculate/plot:
+ *   post:
+ *     summary: Dados de gráfico com amostragem adaptativa
+ *     description: >
+ *       Amostra cada expressão no intervalo pedido, com mais pontos onde a curvatura é maior.
+ *       A polilinha é quebrada em descontinuidades e assíntotas (segments), e são marcados
+ *       raízes, extremos locais e interseções entre as curvas.
+ *     tags: [Calculator]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expressions, domain]
+ *             properties:
+ *               expressions:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                     maxItems: 5
+ *               variable:
+ *                 type: string
+ *                 default: x
+ *               domain:
+ *                 type: object
+ *                 description: Intervalo da variável (números ou expressões constantes)
+ *                 properties:
+ *                   min:
+ *                     oneOf:
+ *                       - type: number
+ *                       - type: string
+ *                   max:
+ *                     oneOf:
+ *                       - type: number
+ *                       - type: string
+ *               points:
+ *                 type: integer
+ *                 minimum: 10
+ *                 maximum: 2000
+ *                 default: 200
+ *                 description: Número alvo de pontos por expressão
+ *               scope:
+ *                 type: object
+ *                 description: Demais variáveis das expressões
+ *           examples:
+ *             trig:
+ *               summary: Seno e cosseno (interseções)
+ *               value:
+ *                 expressions: ["sin(x)", "cos(x)"]
+ *                 domain: { min: 0, max: "2*pi" }
+ *             asymptote:
+ *               summary: Função com assíntotas
+ *               value:
+ *                 expressions: "tan(x)"
+ *                 domain: { min: -5, max: 5 }
+ *                 points: 400
+ *     responses:
+ *       200:
+ *         description: Séries com trechos [x, y], descontinuidades, raízes e extremos
+ *       400:
+ *         description: Erro de validação ou de avaliação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/plot', validatePlot, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expressions, variable, domain, points, scope } = req.body;
+
+  try {
+    res.json({
+      ...plot(expressions, {
+        variable,
+        domain,
+        points: points === undefined ? undefined : Number(points),
+        scope
+      }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof SandboxError)) {
+      console.error('Erro no gráfico:', error);
+    }
+
+    res.status(400).json({
+      error: req.t('errors.plot'),
+      code: error.code || 'EVALUATION_ERROR',
+      details: translateError(error, req.locale) || req.t('errors.invalid_expression')
+    });
+  }
+});
+
+// Calcula uma expressão/programa e monta o corpo da resposta
+// Com locale, a entrada aceita a notação do idioma e os campos formatted usam seus separadores
+// t traduz as descrições dos passos (opção explain: true)
+function calculate({ expression, scope, mode, precision, domain, render, explain, locale, wordSize, signed, overflow }, t) {
+  if (mode === 'programmer') {
+    return calculateProgrammer({ expression, scope, render, locale, wordSize, signed, overflow });
+  }
+
+  const numberLocale = resolveLocale(locale);
+
+  // Calcular no sandbox do Math.js
+  const parsedExpression = delocalizeExpression(expression, numberLocale);
+  const evaluation = evaluateProgram(parsedExpression, scope, { mode, precision, domain });
+  const { result, assignments } = evaluation;
+  const serializeOptions = { precision: displayPrecision(evaluation) };
+
+  if (!isValidResult(result)) {
+    throw new SandboxError('INVALID_RESULT', 'O cálculo resultou em infinito ou NaN');
+  }
+
+  const serialized = serializeResult(result, serializeOptions);
+
+  return {
+    ...serialized,
+    formatted: localizeFormatted(serialized.formatted, numberLocale),
+    expression: expression,
+    mode: evaluation.mode,
+    domain: evaluation.domain,
+    ...(evaluation.mode === 'bignumber' && { precision: evaluation.precision }),
+    ...(numberLocale && { locale: numberLocale }),
+    assignments: assignments.map(assignment => formatAssignment(assignment, serializeOptions, numberLocale)),
+    ...(render === true && { render: renderCalculation(parsedExpression, serialized.formatted) }),
+    ...(explain === true && {
+      explanation: describeExplanation(explainProgram(evaluation.statements, scope, { mode, precision, domain }), t)
+    })
+  };
+}
+
+// Passos da avaliação com a descrição de cada redução no idioma da requisição
+function describeExplanation({ steps, summary }, t) {
+  return {
+    summary,
+    steps: steps.map(step => ({
+      ...step,
+      description: t(`explain.${step.rule}`, { operation: step.operation, result: step.result })
+    }))
+  };
+}
+
+// Modo programador: inteiros na palavra escolhida (todas as bases) ou ponto flutuante (IEEE-754)
+function calculateProgrammer({ expression, scope, render, locale, wordSize, signed, overflow }) {
+  const numberLocale = resolveLocale(locale);
+  const parsedExpression = delocalizeExpression(expression, numberLocale);
+  const evaluation = evaluateProgrammer(parsedExpression, scope, { wordSize, signed, overflow });
+  const described = describeProgrammerValue(evaluation.result, evaluation.word);
+
+  return {
+    ...described,
+    formatted: localizeFormatted(described.formatted, numberLocale),
+    expression: expression,
+    mode: 'programmer',
+    word: describeWord(evaluation.word),
+    overflowed: evaluation.overflowed,
+    ...(numberLocale && { locale: numberLocale }),
+    assignments: evaluation.assignments.map(({ value, ...assignment }) => {
+      const variable = describeProgrammerValue(value, evaluation.word);
+      return {
+        ...assignment,
+        value: variable.result,
+        formatted: localizeFormatted(variable.formatted, numberLocale),
+        valueType: variable.type
+      };
+    }),
+    ...(render === true && { render: renderCalculation(parsedExpression, described.formatted) })
+  };
+}
+
+// Prévia do /validate no modo programador
+function programmerPreview(expression, scope, { wordSize, signed, overflow }) {
+  const { result, word } = evaluateProgrammer(expression, scope, { wordSize, signed, overflow });
+  return describeProgrammerValue(result, word).formatted;
+}
+
+// Prévia do /validate com a mesma serialização do /calculate ("4", não "4/1")
+function previewResult(result) {
+  if (!isValidResult(result)) {
+    throw new SandboxError('INVALID_RESULT', 'O cálculo resultou em infinito ou NaN');
+  }
+  return serializeResult(result, { precision: 4 }).formatted;
+}
+
+// LaTeX e MathML da expressão e do resultado (opção render: true)
+// Programas com várias instruções não têm representação única e ficam null
+function renderCalculation(expression, formatted) {
+  return {
+    expression: tryRender(() => renderExpression(expression)),
+    result: tryRender(() => renderFormatted(formatted))
+  };
+}
+
+function tryRender(render) {
+  try {
+    return render();
+  } catch (error) {
+    if (error instanceof SandboxError) return null;
+    throw error;
+  }
+}
+
+// Aplica uma transformação simbólica (simplify/expand) e responde em texto, LaTeX e AST
+function transformExpression(req, res, transform) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  try {
+    const node = parseSymbolic(req.body.expression);
+
+    res.json({
+      expression: req.body.expression,
+      input: describeNode(node),
+      result: describeNode(transform(node)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendSymbolicError(req, res, error);
+  }
+}
+
+function sendSymbolicError(req, res, error) {
+  if (!(error instanceof SandboxError)) {
+    console.error('Erro no cálculo simbólico:', error);
+  }
+
+  res.status(400).json({
+    error: req.t('errors.symbolic'),
+    code: error.code || 'SYMBOLIC_ERROR',
+    details: translateError(error, req.locale) || req.t('errors.invalid_symbolic_expression')
+  });
+}
+
+// Limite de integração para JSON: infinitos como "inf"/"-inf"
+function formatBound(value) {
+  if (isFinite(value)) return value;
+  return value > 0 ? 'inf' : '-inf';
+}
+
+// Dígitos exibidos: os escolhidos pelo cliente no modo bignumber, 10 nos demais
+function displayPrecision(evaluation) {
+  return evaluation.mode === 'bignumber' ? evaluation.precision : 10;
+}
+
+// Formata o valor de uma atribuição intermediária para a resposta
+function formatAssignment(assignment, options, locale) {
+  if (assignment.type !== 'variable') return assignment;
+
+  const { result, formatted, type } = serializeResult(assignment.value, options);
+
+  return {
+    ...assignment,
+    value: result,
+    formatted: localizeFormatted(formatted, locale),
+    valueType: type
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,500 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { SandboxError } = require('../lib/engine');
+const { serializeResult } = require('../lib/result');
+const {
+  CATALOG_LIMITS,
+  NAME_PATTERN,
+  TAG_PATTERN,
+  findEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getVersion,
+  queryCatalog,
+  listTags,
+  summarize,
+  evaluateEntry
+} = require('../lib/catalog');
+const { message, translateError } = require('../lib/i18n');
+const router = express.Router();
+
+// Erros do catálogo que não são de validação da definição
+const STATUS_BY_CODE = {
+  NAME_TAKEN: 409,
+  VERSION_CONFLICT: 409,
+  CATALOG_FULL: 507
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Validações da definição; em PUT todos os campos são opcionais
+const validateDefinition = ({ partial }) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .matches(NAME_PATTERN)
+      .withMessage(message('validation.catalog_name')),
+    field('expression')
+      .isString()
+      .withMessage(message('validation.expression_string')),
+    body('variables')
+      .optional()
+      .isArray({ max: CATALOG_LIMITS.maxVariables })
+      .withMessage(message('validation.catalog_variables', { max: CATALOG_LIMITS.maxVariables })),
+    body('variables.*')
+      .custom(item => (typeof item === 'string' ? IDENTIFIER_PATTERN.test(item) : (
+        item !== null && typeof item === 'object' &&
+        typeof item.name === 'string' && IDENTIFIER_PATTERN.test(item.name) &&
+        (item.default === undefined || Number.isFinite(Number(item.default)))
+      )))
+      .withMessage(message('validation.catalog_variables', { max: CATALOG_LIMITS.maxVariables })),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: CATALOG_LIMITS.maxDescriptionLength })
+      .withMessage(message('validation.catalog_description', { max: CATALOG_LIMITS.maxDescriptionLength })),
+    body('tags')
+      .optional()
+      .isArray({ max: CATALOG_LIMITS.maxTags })
+      .withMessage(message('validation.catalog_tags', { max: CATALOG_LIMITS.maxTags })),
+    body('tags.*')
+      .custom(tag => typeof tag === 'string' && TAG_PATTERN.test(tag))
+      .withMessage(message('validation.catalog_tags', { max: CATALOG_LIMITS.maxTags }))
+  ];
+};
+
+const validateKey = [
+  param('id')
+    .matches(/^(\d+|[A-Za-z][A-Za-z0-9_-]{0,63})$/)
+    .withMessage(message('validation.catalog_key'))
+];
+
+const validateVersion = source => source('version')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage(message('validation.catalog_version'));
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(message('validation.page_positive')),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CATALOG_LIMITS.maxPageSize })
+    .withMessage(message('validation.limit_range', { max: CATALOG_LIMITS.maxPageSize }))
+];
+
+const validateUpdate = [
+  ...validateKey,
+  ...validateDefinition({ partial: true }),
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(message('validation.catalog_version'))
+];
+
+const validateEvaluate = [
+  ...validateKey,
+  validateVersion(body),
+  body('values')
+    .optional()
+    .isObject()
+    .withMessage(message('validation.values_object'))
+];
+
+// Tags da consulta: ?tag=a&tag=b ou ?tag=a,b
+const tagsOf = value => [].concat(value || []).flatMap(item => String(item).split(',')).map(tag => tag.trim()).filter(Boolean);
+
+// Encerra com 400 quando a validação falha; devolve true quando a requisição pode seguir
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return true;
+
+  res.status(400).json({
+    error: req.t('errors.invalid_data'),
+    details: errors.array()
+  });
+  return false;
+}
+
+// Entrada pelo id numérico ou nome; responde 404 quando não existe
+function loadEntry(req, res) {
+  const entry = findEntry(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: req.t('errors.catalog_not_found') });
+  }
+  return entry;
+}
+
+function sendError(req, res, error) {
+  if (!(error instanceof SandboxError)) {
+    console.error('Erro no catálogo de equações:', error);
+  }
+
+  res.status(STATUS_BY_CODE[error.code] || 400).json({
+    error: req.t('errors.catalog'),
+    code: error.code || 'CATALOG_ERROR',
+    details: translateError(error, req.locale) || req.t('errors.invalid_catalog_input')
+  });
+}
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog:
+ *   get:
+ *     summary: Lista as equações do catálogo com busca, tags e paginação
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: {type: string}
+ *         description: Busca no nome, descrição e expressão
+ *       - in: query
+ *         name: tag
+ *         schema: {type: string}
+ *         description: "Tags exigidas (repetido ou separado por vírgula: tag=juros,credito)"
+ *       - in: query
+ *         name: page
+ *         schema: {type: integer, minimum: 1, default: 1}
+ *       - in: query
+ *         name: limit
+ *         schema: {type: integer, minimum: 1, maximum: 100, default: 20}
+ *     responses:
+ *       200:
+ *         description: Equações (versão atual), paginação e tags em uso
+ */
+router.get('/', validateQuery, (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const filters = { q: req.query.q, tags: tagsOf(req.query.tag) };
+
+  res.json({
+    ...queryCatalog({
+      ...filters,
+      page: req.query.page ? Number(req.query.page) : undefined,
+      limit: req.query.limit ? Number(req.query.limit) : undefined
+    }),
+    tags: listTags(),
+    filters
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/tags:
+ *   get:
+ *     summary: Tags em uso no catálogo e quantidade de equações de cada uma
+ *     tags: [Equation Catalog]
+ *     responses:
+ *       200:
+ *         description: Lista de tags
+ */
+router.get('/tags', (req, res) => {
+  res.json({ tags: listTags() });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog:
+ *   post:
+ *     summary: Cadastra uma equação no catálogo
+ *     description: >
+ *       A expressão usa a sintaxe do Math.js e só pode referenciar as variáveis declaradas,
+ *       além das constantes e funções liberadas na calculadora. Variáveis declaradas e não usadas
+ *       voltam em unused. O nome é único e pode substituir o id nas demais rotas.
+ *     tags: [Equation Catalog]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, expression]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[A-Za-z][A-Za-z0-9_-]{0,63}$'
+ *               expression:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [name]
+ *                       properties:
+ *                         name: {type: string}
+ *                         description: {type: string}
+ *                         unit: {type: string}
+ *                         default: {type: number}
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items: {type: string}
+ *           examples:
+ *             compound:
+ *               summary: Montante com juros compostos
+ *               value:
+ *                 name: montante
+ *                 expression: "C * (1 + i_m)^n"
+ *                 variables:
+ *                   - { name: C, description: Capital, unit: BRL }
+ *                   - { name: i_m, description: Taxa mensal, default: 0.01 }
+ *                   - n
+ *                 tags: [finanças, juros]
+ *     responses:
+ *       201:
+ *         description: Equação cadastrada (versão 1)
+ *       400:
+ *         description: Erro de validação ou expressão inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Nome já usado por outra equação
+ */
+router.post('/', validateDefinition({ partial: false }), (req, res) => {
+  // Cadastro não é cálculo: fica fora do histórico
+  res.locals.skipHistory = true;
+  if (!checkValidation(req, res)) return;
+
+  try {
+    const { entry, unused } = createEntry(req.body);
+    res.status(201).json({ ...entry, unused });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/{id}:
+ *   get:
+ *     summary: Equação do catálogo pelo id ou nome
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: string}
+ *         description: Id numérico ou nome
+ *       - in: query
+ *         name: version
+ *         schema: {type: integer, minimum: 1}
+ *         description: Versão anterior da definição
+ *     responses:
+ *       200:
+ *         description: Equação com o histórico de versões (ou a versão pedida)
+ *       404:
+ *         description: Equação ou versão não encontrada
+ */
+router.get('/:id', validateKey, validateVersion(query), (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const entry = loadEntry(req, res);
+  if (!entry) return;
+
+  if (req.query.version === undefined) return res.json(entry);
+
+  const definition = getVersion(entry, Number(req.query.version));
+  if (!definition) {
+    return res.status(404).json({ error: req.t('errors.catalog_version_not_found') });
+  }
+
+  res.json({ id: entry.id, name: entry.name, ...definition });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/{id}/versions:
+ *   get:
+ *     summary: Histórico de versões de uma equação
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Versões guardadas, da mais recente para a mais antiga
+ *       404:
+ *         description: Equação não encontrada
+ */
+router.get('/:id/versions', validateKey, (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const entry = loadEntry(req, res);
+  if (!entry) return;
+
+  res.json({
+    id: entry.id,
+    name: entry.name,
+    version: entry.version,
+    versions: [...entry.versions].reverse()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/{id}:
+ *   put:
+ *     summary: Atualiza uma equação do catálogo
+ *     description: >
+ *       Atualização parcial. Mudanças na expressão, nas variáveis ou na descrição criam uma nova
+ *       versão; nome e tags são alterados sem versionar. Com expectedVersion, a atualização só
+ *       acontece se a equação ainda estiver nessa versão (409 caso contrário).
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: string}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: {type: string}
+ *               expression: {type: string}
+ *               variables: {type: array, items: {}}
+ *               description: {type: string}
+ *               tags: {type: array, items: {type: string}}
+ *               expectedVersion: {type: integer}
+ *     responses:
+ *       200:
+ *         description: Equação atualizada (newVersion indica se houve nova versão)
+ *       400:
+ *         description: Erro de validação ou expressão inválida
+ *       404:
+ *         description: Equação não encontrada
+ *       409:
+ *         description: Nome em uso ou versão desatualizada
+ */
+router.put('/:id', validateUpdate, (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const entry = loadEntry(req, res);
+  if (!entry) return;
+
+  const { expectedVersion, ...changes } = req.body;
+
+  try {
+    const { unused, newVersion } = updateEntry(entry, {
+      ...changes,
+      expectedVersion: expectedVersion === undefined ? undefined : Number(expectedVersion)
+    });
+    res.json({ ...entry, unused, newVersion });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/{id}:
+ *   delete:
+ *     summary: Remove uma equação do catálogo (com todas as versões)
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Equação removida
+ *       404:
+ *         description: Equação não encontrada
+ */
+router.delete('/:id', validateKey, (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const entry = loadEntry(req, res);
+  if (!entry) return;
+
+  deleteEntry(entry);
+  res.json({ deleted: true, ...summarize(entry) });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/catalog/{id}/evaluate:
+ *   post:
+ *     summary: Avalia uma equação do catálogo
+ *     description: >
+ *       Os parâmetros são conferidos contra as variáveis declaradas: nomes não declarados são
+ *       rejeitados (UNKNOWN_VARIABLE) e variáveis sem valor padrão são obrigatórias (MISSING_VARIABLES).
+ *     tags: [Equation Catalog]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: string}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               values:
+ *                 type: object
+ *                 description: Valor de cada variável (número ou matriz)
+ *               version:
+ *                 type: integer
+ *                 description: Versão da definição (padrão é a atual)
+ *           examples:
+ *             compound:
+ *               summary: POST /api/v1/equations/catalog/montante/evaluate
+ *               value:
+ *                 values: { C: 1000, n: 12 }
+ *     responses:
+ *       200:
+ *         description: Resultado da avaliação e valores usados
+ *       400:
+ *         description: Parâmetros inválidos ou erro de avaliação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Equação ou versão não encontrada
+ */
+router.post('/:id/evaluate', validateEvaluate, (req, res) => {
+  if (!checkValidation(req, res)) return;
+
+  const entry = loadEntry(req, res);
+  if (!entry) return;
+
+  const { values, version } = req.body;
+  const definition = getVersion(entry, version === undefined ? undefined : Number(version));
+  if (!definition) {
+    return res.status(404).json({ error: req.t('errors.catalog_version_not_found') });
+  }
+
+  try {
+    const { scope, result } = evaluateEntry(definition, values);
+
+    res.json({
+      id: entry.id,
+      name: entry.name,
+      version: definition.version,
+      expression: definition.expression,
+      values: scope,
+      ...serializeResult(result),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
@@ -1,45 +1,137 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { renderExpression, renderValue } = require('../lib/render');
+const { message, translateError } = require('../lib/i18n');
+const { SandboxError } = require('../lib/engine');
+const { POLYNOMIAL_LIMITS, findPolynomialRoots, evaluatePolynomial } = require('../lib/polynomial');
+const { solveCubic, solveQuartic } = require('../lib/closedForm');
+const {
+  LINEAR_SYSTEM_LIMITS,
+  parseLinearEquations,
+  solveLinearSystem,
+  verifyLinearSolution
+} = require('../lib/linearSystem');
 const router = express.Router();
 
 // Validações para equação quadrática
 const validateQuadratic = [
   body('a')
     .isNumeric()
-    .withMessage('Coeficiente "a" deve ser um número')
-    .custom(value => {
+    .withMessage(message('validation.coefficient_numeric', { name: 'a' }))
+    .custom((value, { req }) => {
       if (value === 0) {
-        throw new Error('Coeficiente "a" não pode ser zero (não seria equação quadrática)');
+        throw new Error(req.t('validation.quadratic_a_nonzero'));
       }
       return true;
     }),
   body('b')
     .isNumeric()
-    .withMessage('Coeficiente "b" deve ser um número'),
+    .withMessage(message('validation.coefficient_numeric', { name: 'b' })),
   body('c')
     .isNumeric()
-    .withMessage('Coeficiente "c" deve ser um número')
+    .withMessage(message('validation.coefficient_numeric', { name: 'c' }))
 ];
 
 // Validações para equação linear
 const validateLinear = [
   body('a')
     .isNumeric()
-    .withMessage('Coeficiente "a" deve ser um número')
-    .custom(value => {
+    .withMessage(message('validation.coefficient_numeric', { name: 'a' }))
+    .custom((value, { req }) => {
       if (value === 0) {
-        throw new Error('Coeficiente "a" não pode ser zero');
+        throw new Error(req.t('validation.coefficient_nonzero', { name: 'a' }));
       }
       return true;
     }),
   body('b')
     .isNumeric()
-    .withMessage('Coeficiente "b" deve ser um número')
+    .withMessage(message('validation.coefficient_numeric', { name: 'b' }))
+];
+
+// Validações para cúbica (a..d) e quártica (a..e): coeficientes numéricos e a ≠ 0
+const validateClosedForm = names => names.map(name => {
+  const chain = body(name)
+    .isNumeric()
+    .withMessage(message('validation.coefficient_numeric', { name }));
+  if (name !== 'a') return chain;
+  return chain.custom((value, { req }) => {
+    if (Number(value) === 0) {
+      throw new Error(req.t('validation.coefficient_nonzero', { name: 'a' }));
+    }
+    return true;
+  });
+});
+
+const CUBIC_COEFFICIENTS = ['a', 'b', 'c', 'd'];
+const QUARTIC_COEFFICIENTS = ['a', 'b', 'c', 'd', 'e'];
+
+// Validações do sistema linear: matriz aumentada ou equações em texto (uma das duas)
+const isNumericEntry = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+
+const validateLinearSystem = [
+  body()
+    .custom((value, { req }) => {
+      if (Boolean(req.body.matrix) === Boolean(req.body.equations)) {
+        throw new Error(req.t('validation.linear_system_input'));
+      }
+      return true;
+    }),
+  body('matrix')
+    .optional()
+    .custom((matrix, { req }) => {
+      const width = Array.isArray(matrix) && Array.isArray(matrix[0]) ? matrix[0].length : 0;
+      const valid = Array.isArray(matrix) &&
+        matrix.length >= 1 && matrix.length <= LINEAR_SYSTEM_LIMITS.maxEquations &&
+        width >= 2 && width <= LINEAR_SYSTEM_LIMITS.maxVariables + 1 &&
+        matrix.every(row => Array.isArray(row) && row.length === width && row.every(isNumericEntry));
+      if (!valid) {
+        throw new Error(req.t('validation.augmented_matrix', {
+          rows: LINEAR_SYSTEM_LIMITS.maxEquations,
+          columns: LINEAR_SYSTEM_LIMITS.maxVariables + 1
+        }));
+      }
+      if (req.body.variables && req.body.variables.length !== width - 1) {
+        throw new Error(req.t('validation.variables_count', { count: width - 1 }));
+      }
+      return true;
+    }),
+  body('equations')
+    .optional()
+    .isArray({ min: 1, max: LINEAR_SYSTEM_LIMITS.maxEquations })
+    .withMessage(message('validation.equations_list', { max: LINEAR_SYSTEM_LIMITS.maxEquations })),
+  body('equations.*')
+    .isString()
+    .withMessage(message('validation.equations_list', { max: LINEAR_SYSTEM_LIMITS.maxEquations })),
+  body('variables')
+    .optional()
+    .isArray({ min: 1, max: LINEAR_SYSTEM_LIMITS.maxVariables })
+    .withMessage(message('validation.variables_list', { max: LINEAR_SYSTEM_LIMITS.maxVariables })),
+  body('variables.*')
+    .matches(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .withMessage(message('validation.variable_identifier'))
+];
+
+// Validações para polinômio de grau qualquer (coeficientes do maior para o menor grau)
+const validatePolynomial = [
+  body('coefficients')
+    .isArray({ min: 2, max: POLYNOMIAL_LIMITS.maxDegree + 1 })
+    .withMessage(message('validation.polynomial_coefficients', { max: POLYNOMIAL_LIMITS.maxDegree + 1 }))
+    .bail()
+    .custom((value, { req }) => {
+      // Zeros à esquerda são ignorados; sobra ao menos o termo em x
+      if (!value.slice(0, -1).some(coefficient => Number(coefficient) !== 0)) {
+        throw new Error(req.t('validation.polynomial_degree'));
+      }
+      return true;
+    }),
+  body('coefficients.*')
+    .isNumeric()
+    .withMessage(message('validation.coefficient_list_numeric'))
 ];
 
 /**
  * @swagger
- * /api/equations/quadratic:
+ * /api/v1/equations/quadratic:
  *   post:
  *     summary: Resolve equação quadrática
  *     tags: [Equations]
@@ -109,7 +201,7 @@ router.post('/quadratic', validateQuadratic, (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Dados inválidos',
+        error: req.t('errors.invalid_data'),
         details: errors.array()
       });
     }
@@ -171,13 +263,19 @@ router.post('/quadratic', validateQuadratic, (req, res) => {
       type,
       steps,
       verification,
+      ...(req.body.render === true && {
+        render: {
+          equation: renderExpression(equation),
+          solutions: renderValue(solutions)
+        }
+      }),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Erro ao resolver equação quadrática:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -185,7 +283,7 @@ router.post('/quadratic', validateQuadratic, (req, res) => {
 
 /**
  * @swagger
- * /api/equations/linear:
+ * /api/v1/equations/linear:
  *   post:
  *     summary: Resolve equação linear (ax + b = 0)
  *     tags: [Equations]
@@ -203,6 +301,9 @@ router.post('/quadratic', validateQuadratic, (req, res) => {
  *               b:
  *                 type: number
  *                 description: Termo independente
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML da equação e da solução
  *           examples:
  *             basic:
  *               summary: Equação linear básica
@@ -231,7 +332,7 @@ router.post('/linear', validateLinear, (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Dados inválidos',
+        error: req.t('errors.invalid_data'),
         details: errors.array()
       });
     }
@@ -256,13 +357,159 @@ router.post('/linear', validateLinear, (req, res) => {
       solution,
       steps,
       verification: Math.abs(verification) < 1e-10 ? 0 : verification,
+      ...(req.body.render === true && {
+        render: {
+          equation: renderExpression(equation),
+          solution: renderValue(solution)
+        }
+      }),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Erro ao resolver equação linear:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/polynomial:
+ *   post:
+ *     summary: Encontra todas as raízes de um polinômio de grau qualquer
+ *     description: >
+ *       Coeficientes do maior para o menor grau ([1, -6, 11, -6] é x³ - 6x² + 11x - 6).
+ *       As raízes (reais e complexas) são obtidas pelo método de Aberth–Ehrlich e refinadas por Newton;
+ *       aproximações agrupadas cujas derivadas se anulam formam uma raiz múltipla.
+ *     tags: [Equations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [coefficients]
+ *             properties:
+ *               coefficients:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 minItems: 2
+ *                 maxItems: 101
+ *                 description: Coeficientes do maior para o menor grau
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML da equação e das soluções
+ *           examples:
+ *             cubic:
+ *               summary: Três raízes reais
+ *               value:
+ *                 coefficients: [1, -6, 11, -6]
+ *             multiple:
+ *               summary: "Raiz dupla e par complexo: (x - 1)²(x² + 1)"
+ *               value:
+ *                 coefficients: [1, -2, 2, -2, 1]
+ *     responses:
+ *       200:
+ *         description: Raízes distintas com multiplicidade e verificação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 equation:
+ *                   type: string
+ *                 degree:
+ *                   type: integer
+ *                 solutions:
+ *                   type: array
+ *                   description: Raízes distintas (número real ou { real, imag })
+ *                 roots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       real: {type: number}
+ *                       imag: {type: number}
+ *                       multiplicity: {type: integer}
+ *                 type:
+ *                   type: string
+ *                   enum: [real, complex, mixed]
+ *                 verification:
+ *                   type: array
+ *                   description: p(x) em cada raiz, no mesmo formato da quadrática
+ *       400:
+ *         description: Erro de validação
+ */
+router.post('/polynomial', validatePolynomial, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        details: errors.array()
+      });
+    }
+
+    // Zeros à esquerda não mudam o polinômio
+    const all = req.body.coefficients.map(Number);
+    const coefficients = all.slice(all.findIndex(coefficient => coefficient !== 0));
+    const degree = coefficients.length - 1;
+
+    const equation = formatPolynomialEquation(coefficients);
+    const { roots, zeroMultiplicity, method, radius, iterations, converged } = findPolynomialRoots(coefficients);
+
+    const steps = [
+      `Equação: ${equation}`,
+      `Grau ${degree}: ${degree} raízes contando multiplicidade`
+    ];
+    if (zeroMultiplicity > 0) {
+      steps.push(`Fator x${formatExponent(zeroMultiplicity)}: x = 0 é raiz de multiplicidade ${zeroMultiplicity}`);
+    }
+    if (method === 'aberth') {
+      steps.push(`Aberth–Ehrlich: aproximações iniciais no círculo de raio ${radius.toFixed(4)}`);
+      steps.push(converged
+        ? `Convergência em ${iterations} iterações, raízes refinadas por Newton`
+        : `Sem convergência completa após ${iterations} iterações (raízes aproximadas)`);
+    }
+    roots
+      .filter(({ multiplicity, root }) => multiplicity > 1 && !(root.re === 0 && root.im === 0 && zeroMultiplicity > 0))
+      .forEach(({ root, multiplicity }) => steps.push(`Raiz múltipla: x = ${formatRoot(root)} (multiplicidade ${multiplicity})`));
+    roots.forEach(({ root }, index) => steps.push(`x${formatSubscript(index + 1)} = ${formatRoot(root)}`));
+
+    const solutions = roots.map(({ root }) => root.im === 0 ? root.re : { real: root.re, imag: root.im });
+    const realCount = roots.filter(({ root }) => root.im === 0).length;
+    let type = 'mixed';
+    if (realCount === roots.length) type = 'real';
+    else if (realCount === 0) type = 'complex';
+
+    res.json({
+      equation,
+      coefficients,
+      degree,
+      solutions,
+      roots: roots.map(({ root, multiplicity }) => ({ real: root.re, imag: root.im, multiplicity })),
+      type,
+      method,
+      converged,
+      steps,
+      verification: verifyPolynomialRoots(coefficients, solutions),
+      ...(req.body.render === true && {
+        render: {
+          equation: renderExpression(equation),
+          solutions: renderValue(solutions)
+        }
+      }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Erro ao encontrar raízes do polinômio:', error);
+    res.status(500).json({
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -270,7 +517,147 @@ router.post('/linear', validateLinear, (req, res) => {
 
 /**
  * @swagger
- * /api/equations/system:
+ * /api/v1/equations/cubic:
+ *   post:
+ *     summary: Resolve equação cúbica (ax³ + bx² + cx + d = 0) pela fórmula de Cardano
+ *     description: >
+ *       Aritmética racional exata sobre os coeficientes decimais. Com D > 0 as raízes saem em radicais
+ *       (∛ e √); com D < 0 (casus irreducibilis) pela forma trigonométrica, com ângulos notáveis em
+ *       frações de π. Raízes racionais são confirmadas exatamente e o fator restante é resolvido
+ *       em radicais, deixando cada raiz na forma mais simples.
+ *     tags: [Equations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [a, b, c, d]
+ *             properties:
+ *               a: {type: number}
+ *               b: {type: number}
+ *               c: {type: number}
+ *               d: {type: number}
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML da equação e das soluções
+ *           examples:
+ *             casusIrreducibilis:
+ *               summary: Três raízes reais irracionais (forma trigonométrica)
+ *               value: {a: 1, b: 0, c: -3, d: 1}
+ *             cardano:
+ *               summary: Uma raiz real e duas complexas
+ *               value: {a: 1, b: 0, c: 1, d: -1}
+ *     responses:
+ *       200:
+ *         description: Raízes exatas, aproximações, passos e verificação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 equation:
+ *                   type: string
+ *                 discriminant:
+ *                   type: number
+ *                   description: Δ = 18abcd - 4b³d + b²c² - 4ac³ - 27a²d²
+ *                 solutions:
+ *                   type: array
+ *                   description: Raízes distintas (número real ou { real, imag })
+ *                 roots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       real: {type: number}
+ *                       imag: {type: number}
+ *                       multiplicity: {type: integer}
+ *                       exact: {type: string}
+ *                 type:
+ *                   type: string
+ *                   enum: [three_real, repeated_real, one_real_two_complex]
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Erro de validação
+ */
+router.post('/cubic', validateClosedForm(CUBIC_COEFFICIENTS), (req, res) => {
+  solveByClosedForm(req, res, { names: CUBIC_COEFFICIENTS, solve: solveCubic, method: 'cardano' });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/quartic:
+ *   post:
+ *     summary: Resolve equação quártica (ax⁴ + bx³ + cx² + dx + e = 0) pelo método de Ferrari
+ *     description: >
+ *       Reduz a y⁴ + py² + qy + r = 0 (x = y - b/(4a)). Com q = 0 a equação é biquadrada; caso contrário
+ *       uma raiz positiva m da cúbica resolvente (resolvida por Cardano) fatora a quártica em dois
+ *       trinômios. Raízes racionais são confirmadas exatamente e o fator restante resolvido em radicais.
+ *     tags: [Equations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [a, b, c, d, e]
+ *             properties:
+ *               a: {type: number}
+ *               b: {type: number}
+ *               c: {type: number}
+ *               d: {type: number}
+ *               e: {type: number}
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML da equação e das soluções
+ *           examples:
+ *             biquadratic:
+ *               summary: "Biquadrada: x⁴ - 2x² - 1 = 0"
+ *               value: {a: 1, b: 0, c: -2, d: 0, e: -1}
+ *             ferrari:
+ *               summary: Quatro raízes complexas
+ *               value: {a: 1, b: 2, c: 3, d: 4, e: 5}
+ *     responses:
+ *       200:
+ *         description: Raízes exatas, aproximações, passos e verificação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 equation:
+ *                   type: string
+ *                 discriminant:
+ *                   type: number
+ *                 solutions:
+ *                   type: array
+ *                 roots:
+ *                   type: array
+ *                 type:
+ *                   type: string
+ *                   enum: [four_real, two_real_two_complex, four_complex, repeated]
+ *                 resolvent:
+ *                   type: object
+ *                   description: >
+ *                     Cúbica resolvente e a raiz m usada (forma exata e valor); presente quando q ≠ 0.
+ *                     As formas exatas das raízes citam m quando ele é irracional
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Erro de validação
+ */
+router.post('/quartic', validateClosedForm(QUARTIC_COEFFICIENTS), (req, res) => {
+  solveByClosedForm(req, res, { names: QUARTIC_COEFFICIENTS, solve: solveQuartic, method: 'ferrari' });
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/system:
  *   post:
  *     summary: Resolve sistema 2x2 de equações lineares
  *     tags: [Equations]
@@ -294,6 +681,9 @@ router.post('/linear', validateLinear, (req, res) => {
  *                   a: {type: number}
  *                   b: {type: number}
  *                   c: {type: number}
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML das equações e da solução
  *           examples:
  *             basic:
  *               summary: Sistema básico 2x2
@@ -311,7 +701,7 @@ router.post('/system', (req, res) => {
     // Validação básica
     if (!eq1 || !eq2) {
       return res.status(400).json({
-        error: 'Duas equações são necessárias'
+        error: req.t('errors.two_equations')
       });
     }
 
@@ -323,8 +713,8 @@ router.post('/system', (req, res) => {
     
     if (Math.abs(det) < 1e-10) {
       return res.status(400).json({
-        error: 'Sistema indeterminado ou impossível',
-        details: 'Determinante igual a zero'
+        error: req.t('errors.singular_system'),
+        details: req.t('errors.zero_determinant')
       });
     }
 
@@ -352,13 +742,156 @@ router.post('/system', (req, res) => {
         eq1: a1 * x + b1 * y,
         eq2: a2 * x + b2 * y
       },
+      ...(req.body.render === true && {
+        render: {
+          equations: equations.map(text => renderExpression(text)),
+          solution: { x: renderValue(x), y: renderValue(y) }
+        }
+      }),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Erro ao resolver sistema:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/equations/linear-system:
+ *   post:
+ *     summary: Resolve sistema linear de qualquer tamanho por eliminação de Gauss
+ *     description: >
+ *       Recebe a matriz aumentada [A|b] ou as equações em texto ("2x + y - z = 8").
+ *       A eliminação usa pivoteamento parcial escalado (tolerância relativa à magnitude de cada linha)
+ *       e a classificação segue Rouché–Capelli:
+ *       solução única (posto(A) = posto([A|b]) = n), impossível (posto(A) < posto([A|b]))
+ *       ou infinitas soluções, com as variáveis livres como parâmetros.
+ *     tags: [Equations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               matrix:
+ *                 type: array
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: number
+ *                 description: Linhas [a₁, ..., aₙ, b] da matriz aumentada
+ *               equations:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Equações lineares em texto (alternativa à matriz)
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Nomes e ordem das incógnitas (padrão x, y, z, w ou x1, x2, ...)
+ *               render:
+ *                 type: boolean
+ *                 description: Inclui LaTeX e MathML das equações e da solução
+ *           examples:
+ *             unique:
+ *               summary: Solução única 3×3
+ *               value:
+ *                 matrix: [[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]]
+ *             infinite:
+ *               summary: Infinitas soluções (equações em texto)
+ *               value:
+ *                 equations: ["x + y + z = 6", "2x + 2y + 2z = 12", "x - y = 0"]
+ *             none:
+ *               summary: Sistema impossível
+ *               value:
+ *                 matrix: [[1, 1, 2], [1, 1, 3]]
+ *     responses:
+ *       200:
+ *         description: Classificação, postos, solução (única ou paramétrica) e passos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [unique, none, infinite]
+ *                 ranks:
+ *                   type: object
+ *                   properties:
+ *                     coefficient: {type: integer}
+ *                     augmented: {type: integer}
+ *                     variables: {type: integer}
+ *                 solution:
+ *                   type: object
+ *                   description: Valor de cada incógnita (somente solução única)
+ *                 parametric:
+ *                   type: object
+ *                   description: Variáveis livres, expressões, solução particular e base das direções
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Erro de validação ou equação não linear
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/linear-system', validateLinearSystem, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        details: errors.array()
+      });
+    }
+
+    const { matrix, variables } = req.body.equations
+      ? parseLinearEquations(req.body.equations, req.body.variables)
+      : { matrix: req.body.matrix.map(row => row.map(Number)), variables: req.body.variables };
+
+    const result = solveLinearSystem(matrix, variables);
+    const checked = result.solution || (result.parametric && result.parametric.particular);
+
+    res.json({
+      ...result,
+      matrix,
+      solution: result.solution || null,
+      parametric: result.parametric || null,
+      verification: checked ? verifyLinearSolution(matrix, result.variables, checked) : null,
+      ...(req.body.render === true && {
+        render: {
+          equations: result.equations.map(text => renderExpression(text)),
+          ...(result.solution && {
+            solution: Object.fromEntries(Object.entries(result.solution).map(([name, value]) => [name, renderValue(value)]))
+          })
+        }
+      }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof SandboxError) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        code: error.code,
+        details: translateError(error, req.locale)
+      });
+    }
+
+    console.error('Erro ao resolver sistema linear:', error);
+    res.status(500).json({
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -366,7 +899,7 @@ router.post('/system', (req, res) => {
 
 /**
  * @swagger
- * /api/equations/parse:
+ * /api/v1/equations/parse:
  *   post:
  *     summary: Analisa e extrai coeficientes de equação em texto
  *     tags: [Equations]
@@ -392,7 +925,7 @@ router.post('/parse', (req, res) => {
     
     if (!equation) {
       return res.status(400).json({
-        error: 'Equação é obrigatória'
+        error: req.t('errors.equation_required')
       });
     }
 
@@ -400,8 +933,8 @@ router.post('/parse', (req, res) => {
     
     if (!parsed.success) {
       return res.status(400).json({
-        error: 'Formato de equação inválido',
-        details: parsed.error
+        error: req.t('errors.invalid_equation_format'),
+        details: req.t('errors.unrecognized_format')
       });
     }
 
@@ -416,7 +949,7 @@ router.post('/parse', (req, res) => {
   } catch (error) {
     console.error('Erro ao analisar equação:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -478,6 +1011,115 @@ function verifySolutions(a, b, c, solutions) {
   });
 }
 
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+function formatExponent(power) {
+  return power === 1 ? '' : [...String(power)].map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+}
+
+function formatSubscript(index) {
+  return [...String(index)].map(digit => SUBSCRIPT_DIGITS[digit]).join('');
+}
+
+// Polinômio de grau qualquer no mesmo formato da quadrática ("x³ - 6x² + 11x - 6 = 0")
+function formatPolynomialEquation(coefficients) {
+  const degree = coefficients.length - 1;
+  let equation = '';
+
+  coefficients.forEach((coeff, index) => {
+    const power = degree - index;
+    if (coeff === 0) return;
+
+    const size = Math.abs(coeff);
+    const variable = power > 0 ? `x${formatExponent(power)}` : '';
+    const term = `${size === 1 && power > 0 ? '' : size}${variable}`;
+
+    if (equation === '') equation = coeff < 0 ? `-${term}` : term;
+    else equation += coeff < 0 ? ` - ${term}` : ` + ${term}`;
+  });
+
+  return equation + ' = 0';
+}
+
+function formatRoot({ re, im }) {
+  if (im === 0) return re.toFixed(4);
+  return `${re.toFixed(4)} ${im < 0 ? '-' : '+'} ${Math.abs(im).toFixed(4)}i`;
+}
+
+// Mesmo formato de verifySolutions; tolerância relativa à escala dos termos (Σ|aᵢ||x|ⁱ)
+function verifyPolynomialRoots(coefficients, solutions) {
+  return solutions.map(x => {
+    const point = typeof x === 'number' ? x : { re: x.real, im: x.imag };
+    const { value, bound } = evaluatePolynomial(coefficients, point);
+    const scale = Math.max(1, bound);
+    const size = Math.hypot(value.re, value.im);
+    let verification = typeof x === 'number' ? value.re : { real: value.re, imag: value.im };
+    if (size < 1e-10 * scale) verification = 0;
+
+    return {
+      x,
+      verification,
+      isValid: size < 1e-6 * scale
+    };
+  });
+}
+
+// Cúbica e quártica compartilham validação, resposta e tratamento de erros
+function solveByClosedForm(req, res, { names, solve, method }) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        details: errors.array()
+      });
+    }
+
+    const values = names.map(name => req.body[name]);
+    const numbers = values.map(Number);
+    const equation = formatPolynomialEquation(numbers);
+    const { roots, type, discriminant, depressed, resolvent, steps } = solve(values);
+    const solutions = roots.map(({ value }) => value.im === 0 ? value.re : { real: value.re, imag: value.im });
+
+    res.json({
+      equation,
+      coefficients: Object.fromEntries(names.map((name, index) => [name, numbers[index]])),
+      discriminant,
+      solutions,
+      roots: roots.map(({ value, exact, multiplicity }) => ({ real: value.re, imag: value.im, multiplicity, exact })),
+      type,
+      method,
+      depressed,
+      ...(resolvent && { resolvent }),
+      steps: [`Equação: ${equation}`, ...steps],
+      verification: verifyPolynomialRoots(numbers, solutions),
+      ...(req.body.render === true && {
+        render: {
+          equation: renderExpression(equation),
+          solutions: renderValue(solutions)
+        }
+      }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof SandboxError) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        code: error.code,
+        details: translateError(error, req.locale)
+      });
+    }
+
+    console.error(`Erro ao resolver equação (${method}):`, error);
+    res.status(500).json({
+      error: req.t('errors.internal'),
+      details: error.message
+    });
+  }
+}
+
 function parseEquation(equation) {
   // Remove espaços e converte para minúsculo
   let eq = equation.replace(/\s/g, '').toLowerCase();
@@ -530,7 +1172,6 @@ function parseEquation(equation) {
 
   return {
     success: false,
-    error: 'Formato não reconhecido',
     suggestions: [
       'x² + 5x + 6 = 0',
       '2x² - 3x + 1 = 0',
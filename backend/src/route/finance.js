@@ -0,0 +1,590 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SandboxError } = require('../lib/engine');
+const {
+  FINANCE_LIMITS,
+  INTEREST_TYPES,
+  AMORTIZATION_SYSTEMS,
+  PAYMENT_TIMINGS,
+  RATE_KINDS,
+  simpleInterest,
+  compoundInterest,
+  futureValue,
+  presentValue,
+  amortize,
+  netPresentValue,
+  internalRateOfReturn,
+  convertRate
+} = require('../lib/finance');
+const { message, translateError } = require('../lib/i18n');
+const router = express.Router();
+
+// Validações comuns: valores monetários, taxa decimal, prazo e casas decimais
+const amountField = (field, { optional = false } = {}) => {
+  const chain = body(field);
+  return (optional ? chain.optional() : chain)
+    .isFloat()
+    .withMessage(message('validation.amount_numeric', { field }));
+};
+
+const rateField = body('rate')
+  .isFloat()
+  .withMessage(message('validation.rate_numeric'));
+
+const periodsField = body('periods')
+  .isInt({ min: 1, max: FINANCE_LIMITS.maxPeriods })
+  .withMessage(message('validation.periods_range', { max: FINANCE_LIMITS.maxPeriods }));
+
+const decimalsField = body('decimals')
+  .optional()
+  .isInt({ min: 0, max: FINANCE_LIMITS.maxDecimals })
+  .withMessage(message('validation.decimals_range', { max: FINANCE_LIMITS.maxDecimals }));
+
+const timingField = body('timing')
+  .optional()
+  .isIn(PAYMENT_TIMINGS)
+  .withMessage(message('validation.option_in', { field: 'timing', options: PAYMENT_TIMINGS.join(', ') }));
+
+const cashFlowsField = [
+  body('cashFlows')
+    .isArray({ min: 2, max: FINANCE_LIMITS.maxCashFlows })
+    .withMessage(message('validation.cash_flows', { max: FINANCE_LIMITS.maxCashFlows })),
+  body('cashFlows.*')
+    .isFloat()
+    .withMessage(message('validation.cash_flows', { max: FINANCE_LIMITS.maxCashFlows }))
+];
+
+const validateInterest = [
+  amountField('principal'),
+  rateField,
+  periodsField,
+  decimalsField,
+  body('type')
+    .optional()
+    .isIn(INTEREST_TYPES)
+    .withMessage(message('validation.option_in', { field: 'type', options: INTEREST_TYPES.join(', ') }))
+];
+
+const validateFutureValue = [
+  amountField('presentValue', { optional: true }),
+  amountField('payment', { optional: true }),
+  rateField,
+  periodsField,
+  timingField,
+  decimalsField
+];
+
+const validatePresentValue = [
+  amountField('futureValue', { optional: true }),
+  amountField('payment', { optional: true }),
+  rateField,
+  periodsField,
+  timingField,
+  decimalsField
+];
+
+const validateAmortization = [
+  amountField('principal'),
+  rateField,
+  periodsField,
+  decimalsField,
+  body('system')
+    .optional()
+    .isIn(AMORTIZATION_SYSTEMS)
+    .withMessage(message('validation.option_in', { field: 'system', options: AMORTIZATION_SYSTEMS.join(', ') }))
+];
+
+const validateNpv = [rateField, ...cashFlowsField, decimalsField];
+
+const validateIrr = [
+  ...cashFlowsField,
+  decimalsField,
+  body('guess')
+    .optional()
+    .isFloat({ gt: -1 })
+    .withMessage(message('validation.rate_numeric'))
+];
+
+const validateRates = [
+  rateField,
+  body('from')
+    .isIn(RATE_KINDS)
+    .withMessage(message('validation.option_in', { field: 'from', options: RATE_KINDS.join(', ') })),
+  body('periodsPerYear')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage(message('validation.periods_per_year'))
+];
+
+// Números do corpo convertidos (express-validator só confere o formato)
+const numeric = value => (value === undefined ? undefined : Number(value));
+
+// Validação, cálculo e erros comuns a todas as rotas do módulo
+function handle(compute) {
+  return (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        details: errors.array()
+      });
+    }
+
+    try {
+      res.json({
+        ...compute(req.body),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (!(error instanceof SandboxError)) {
+        console.error('Erro no cálculo financeiro:', error);
+      }
+
+      res.status(400).json({
+        error: req.t('errors.finance'),
+        code: error.code || 'FINANCE_ERROR',
+        details: translateError(error, req.locale) || req.t('errors.invalid_finance_input')
+      });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/v1/finance/interest:
+ *   post:
+ *     summary: Juros simples ou compostos
+ *     description: >
+ *       Taxas são decimais por período (0.01 = 1% ao período). A tabela mostra os juros
+ *       e o saldo de cada período.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [principal, rate, periods]
+ *             properties:
+ *               principal:
+ *                 type: number
+ *                 description: Capital inicial (C)
+ *               rate:
+ *                 type: number
+ *                 description: Taxa decimal por período (i)
+ *               periods:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1200
+ *               type:
+ *                 type: string
+ *                 enum: [simple, compound]
+ *                 default: compound
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *                 description: Casas decimais dos valores monetários
+ *           examples:
+ *             compound:
+ *               value:
+ *                 principal: 1000
+ *                 rate: 0.01
+ *                 periods: 12
+ *             simple:
+ *               value:
+ *                 principal: 1000
+ *                 rate: 0.02
+ *                 periods: 6
+ *                 type: simple
+ *     responses:
+ *       200:
+ *         description: Montante, juros, fórmula e tabela por período
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/interest', validateInterest, handle(({ principal, rate, periods, type = 'compound', decimals }) => {
+  const input = { principal: numeric(principal), rate: numeric(rate), periods: numeric(periods), decimals: numeric(decimals) };
+  return {
+    principal: input.principal,
+    rate: input.rate,
+    periods: input.periods,
+    ...(type === 'simple' ? simpleInterest(input) : compoundInterest(input))
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/future-value:
+ *   post:
+ *     summary: Valor futuro de um capital e de uma série de pagamentos
+ *     description: >
+ *       VF = VP × (1 + i)^n + PMT × [(1 + i)^n − 1] / i. Com timing begin os depósitos
+ *       ocorrem no início de cada período (série antecipada).
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate, periods]
+ *             properties:
+ *               presentValue:
+ *                 type: number
+ *                 default: 0
+ *               payment:
+ *                 type: number
+ *                 default: 0
+ *                 description: Depósito periódico (PMT)
+ *               rate:
+ *                 type: number
+ *               periods:
+ *                 type: integer
+ *               timing:
+ *                 type: string
+ *                 enum: [end, begin]
+ *                 default: end
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *           examples:
+ *             savings:
+ *               summary: Poupança com depósitos mensais
+ *               value:
+ *                 presentValue: 1000
+ *                 payment: 200
+ *                 rate: 0.005
+ *                 periods: 24
+ *     responses:
+ *       200:
+ *         description: Valor futuro, fórmula e evolução do saldo
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/future-value', validateFutureValue, handle(({ presentValue: pv, payment, rate, periods, timing, decimals }) => {
+  const input = {
+    presentValue: numeric(pv) || 0,
+    payment: numeric(payment) || 0,
+    rate: numeric(rate),
+    periods: numeric(periods),
+    timing,
+    decimals: numeric(decimals)
+  };
+  return { ...input, ...futureValue(input) };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/present-value:
+ *   post:
+ *     summary: Valor presente de um valor futuro e de uma série de pagamentos
+ *     description: >
+ *       VP = VF / (1 + i)^n + PMT × [1 − (1 + i)^−n] / i. A tabela traz cada fluxo
+ *       descontado até a data zero.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate, periods]
+ *             properties:
+ *               futureValue:
+ *                 type: number
+ *                 default: 0
+ *               payment:
+ *                 type: number
+ *                 default: 0
+ *               rate:
+ *                 type: number
+ *               periods:
+ *                 type: integer
+ *               timing:
+ *                 type: string
+ *                 enum: [end, begin]
+ *                 default: end
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *           examples:
+ *             installments:
+ *               summary: Valor à vista de 10 parcelas de 150
+ *               value:
+ *                 payment: 150
+ *                 rate: 0.02
+ *                 periods: 10
+ *     responses:
+ *       200:
+ *         description: Valor presente, fórmula e fluxos descontados
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/present-value', validatePresentValue, handle(({ futureValue: fv, payment, rate, periods, timing, decimals }) => {
+  const input = {
+    futureValue: numeric(fv) || 0,
+    payment: numeric(payment) || 0,
+    rate: numeric(rate),
+    periods: numeric(periods),
+    timing,
+    decimals: numeric(decimals)
+  };
+  return { ...input, ...presentValue(input) };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/amortization:
+ *   post:
+ *     summary: Tabela de amortização (Price ou SAC)
+ *     description: >
+ *       Price (Tabela Price) tem prestações iguais e amortização crescente; SAC tem amortização
+ *       constante e prestações decrescentes. A linha do período 0 traz o saldo inicial.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [principal, rate, periods]
+ *             properties:
+ *               principal:
+ *                 type: number
+ *                 description: Valor financiado
+ *               rate:
+ *                 type: number
+ *                 description: Taxa decimal por período
+ *               periods:
+ *                 type: integer
+ *                 description: Número de prestações
+ *               system:
+ *                 type: string
+ *                 enum: [price, sac]
+ *                 default: price
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *           examples:
+ *             price:
+ *               value:
+ *                 principal: 10000
+ *                 rate: 0.01
+ *                 periods: 12
+ *             sac:
+ *               value:
+ *                 principal: 120000
+ *                 rate: 0.008
+ *                 periods: 360
+ *                 system: sac
+ *     responses:
+ *       200:
+ *         description: Prestação, totais, fórmula e tabela de amortização
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 system:
+ *                   type: string
+ *                 payment:
+ *                   type: number
+ *                 totals:
+ *                   type: object
+ *                 formula:
+ *                   type: string
+ *                 schedule:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: integer
+ *                       payment:
+ *                         type: number
+ *                       interest:
+ *                         type: number
+ *                       amortization:
+ *                         type: number
+ *                       balance:
+ *                         type: number
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/amortization', validateAmortization, handle(({ principal, rate, periods, system = 'price', decimals }) => {
+  const input = { principal: numeric(principal), rate: numeric(rate), periods: numeric(periods), system, decimals: numeric(decimals) };
+  return {
+    principal: input.principal,
+    rate: input.rate,
+    periods: input.periods,
+    ...amortize(input)
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/npv:
+ *   post:
+ *     summary: Valor presente líquido (VPL)
+ *     description: >
+ *       O primeiro fluxo ocorre na data zero (normalmente o investimento, negativo).
+ *       A tabela inclui o acumulado descontado e o payback descontado.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate, cashFlows]
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 description: Taxa de desconto decimal por período
+ *               cashFlows:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *           examples:
+ *             project:
+ *               value:
+ *                 rate: 0.1
+ *                 cashFlows: [-1000, 300, 400, 500]
+ *     responses:
+ *       200:
+ *         description: VPL, fórmula e fluxos descontados
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/npv', validateNpv, handle(({ rate, cashFlows, decimals }) => {
+  const input = { rate: numeric(rate), cashFlows: cashFlows.map(Number), decimals: numeric(decimals) };
+  return { rate: input.rate, cashFlows: input.cashFlows, ...netPresentValue(input) };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/irr:
+ *   post:
+ *     summary: Taxa interna de retorno (TIR)
+ *     description: >
+ *       Procura trocas de sinal do VPL entre -99,9% e 100000% e refina cada raiz pelo método
+ *       de Brent (convergência garantida). Fluxos com várias trocas de sinal podem ter mais
+ *       de uma TIR; todas vêm em roots e irr é a mais próxima de guess.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [cashFlows]
+ *             properties:
+ *               cashFlows:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               guess:
+ *                 type: number
+ *                 default: 0.1
+ *               decimals:
+ *                 type: integer
+ *                 default: 2
+ *           examples:
+ *             project:
+ *               value:
+ *                 cashFlows: [-1000, 300, 400, 500]
+ *             multiple:
+ *               summary: Duas TIRs (10% e 20%)
+ *               value:
+ *                 cashFlows: [-100, 230, -132]
+ *     responses:
+ *       200:
+ *         description: TIR, raízes encontradas e fluxos descontados pela TIR
+ *       400:
+ *         description: Erro de validação ou TIR inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/irr', validateIrr, handle(({ cashFlows, guess, decimals }) => {
+  const input = { cashFlows: cashFlows.map(Number), guess: numeric(guess), decimals: numeric(decimals) };
+  return { cashFlows: input.cashFlows, ...internalRateOfReturn(input) };
+}));
+
+/**
+ * @swagger
+ * /api/v1/finance/rates:
+ *   post:
+ *     summary: Conversão entre taxa nominal, efetiva e periódica
+ *     description: >
+ *       Para um ano com periodsPerYear capitalizações, converte a taxa informada (nominal anual,
+ *       efetiva anual ou taxa do período) nas demais e na taxa contínua equivalente.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate, from]
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               from:
+ *                 type: string
+ *                 enum: [nominal, effective, periodic]
+ *               periodsPerYear:
+ *                 type: integer
+ *                 default: 12
+ *           examples:
+ *             nominal:
+ *               summary: 12% ao ano capitalizados mensalmente
+ *               value:
+ *                 rate: 0.12
+ *                 from: nominal
+ *             monthly:
+ *               summary: 1% ao mês em taxa anual
+ *               value:
+ *                 rate: 0.01
+ *                 from: periodic
+ *     responses:
+ *       200:
+ *         description: Taxas equivalentes, fórmula e fator acumulado por período
+ *       400:
+ *         description: Erro de validação ou taxa inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/rates', validateRates, handle(({ rate, from, periodsPerYear = 12 }) => {
+  const input = { rate: numeric(rate), from, periodsPerYear: numeric(periodsPerYear) };
+  return { ...input, ...convertRate(input) };
+}));
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { SandboxError } = require('../lib/engine');
+const {
+  FORMULAS,
+  FORMULA_CATEGORIES,
+  getFormula,
+  filterFormulas,
+  solveFormula
+} = require('../lib/formulas');
+const { message, translateError } = require('../lib/i18n');
+const router = express.Router();
+
+// Validações da resolução: valores conhecidos, incógnita opcional e unidade de saída
+const validateSolve = [
+  param('id')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(message('validation.formula_id')),
+  body('values')
+    .optional()
+    .isObject()
+    .withMessage(message('validation.values_object')),
+  body('target')
+    .optional()
+    .matches(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .withMessage(message('validation.variable_identifier')),
+  body('unit')
+    .optional()
+    .isString()
+    .withMessage(message('validation.unit_string')),
+  body('guess')
+    .optional()
+    .isFloat()
+    .withMessage(message('validation.guess_numeric'))
+];
+
+/**
+ * @swagger
+ * /api/v1/formulas:
+ *   get:
+ *     summary: Biblioteca de fórmulas de física e engenharia
+ *     description: >
+ *       Cada fórmula traz a equação, as variáveis com unidade SI e descrição, e valores padrão
+ *       para constantes físicas (g, G, R...).
+ *     tags: [Formulas]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: "Filtra por categoria (ex.: kinematics, electricity, fluids)"
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca no nome, descrição, tags e variáveis
+ *     responses:
+ *       200:
+ *         description: Fórmulas encontradas e categorias disponíveis
+ *       404:
+ *         description: Categoria não encontrada
+ */
+router.get('/', (req, res) => {
+  const { category, q } = req.query;
+
+  if (category && !FORMULA_CATEGORIES.includes(category)) {
+    return res.status(404).json({
+      error: req.t('errors.category_not_found'),
+      available_categories: FORMULA_CATEGORIES
+    });
+  }
+
+  const formulas = filterFormulas({ category, q });
+
+  res.json({
+    total: formulas.length,
+    categories: FORMULA_CATEGORIES,
+    formulas,
+    filters: { category, q }
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/formulas/{id}:
+ *   get:
+ *     summary: Detalhes de uma fórmula
+ *     tags: [Formulas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: ohm-law
+ *     responses:
+ *       200:
+ *         description: Equação, variáveis e unidades
+ *       404:
+ *         description: Fórmula não encontrada
+ */
+router.get('/:id', (req, res) => {
+  const formula = getFormula(req.params.id);
+  if (!formula) {
+    return res.status(404).json({
+      error: req.t('errors.formula_not_found'),
+      available_formulas: FORMULAS.map(item => item.id)
+    });
+  }
+
+  res.json(formula);
+});
+
+/**
+ * @swagger
+ * /api/v1/formulas/{id}/solve:
+ *   post:
+ *     summary: Resolve a fórmula para a variável que falta
+ *     description: >
+ *       Informe todas as variáveis menos uma (constantes com valor padrão podem ser omitidas).
+ *       Valores numéricos estão na unidade SI da variável; textos com unidade ("72 km/h", "45 deg")
+ *       são convertidos. Quando a incógnita aparece uma única vez ela é isolada simbolicamente
+ *       (ramo principal de raízes e funções trigonométricas); caso contrário a equação é resolvida
+ *       numericamente pelo método de Brent.
+ *     tags: [Formulas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               values:
+ *                 type: object
+ *                 additionalProperties:
+ *                   oneOf:
+ *                     - type: number
+ *                     - type: string
+ *                 description: Valores conhecidos por variável
+ *               target:
+ *                 type: string
+ *                 description: Variável a calcular (ignora o valor padrão dela)
+ *               unit:
+ *                 type: string
+ *                 description: Unidade adicional para o resultado
+ *               guess:
+ *                 type: number
+ *                 description: Estimativa para escolher entre várias raízes numéricas
+ *           examples:
+ *             ohm:
+ *               summary: Corrente pela lei de Ohm (POST /api/v1/formulas/ohm-law/solve)
+ *               value:
+ *                 values: { V: 12, R: "4 ohm" }
+ *             projectile:
+ *               summary: Ângulo para um alcance (POST /api/v1/formulas/projectile-range/solve)
+ *               value:
+ *                 values: { R: 100, v0: "36 m/s" }
+ *                 unit: deg
+ *     responses:
+ *       200:
+ *         description: Valor da incógnita, método usado e resíduo
+ *       400:
+ *         description: Erro de validação, valores insuficientes ou sem solução real
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fórmula não encontrada
+ */
+router.post('/:id/solve', validateSolve, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const formula = getFormula(req.params.id);
+  if (!formula) {
+    return res.status(404).json({
+      error: req.t('errors.formula_not_found'),
+      available_formulas: FORMULAS.map(item => item.id)
+    });
+  }
+
+  const { values, target, unit, guess } = req.body;
+
+  try {
+    const solution = solveFormula(formula, values, {
+      target,
+      unit,
+      guess: guess === undefined ? undefined : Number(guess)
+    });
+
+    res.json({
+      id: formula.id,
+      name: formula.name,
+      equation: formula.equation,
+      ...solution,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof SandboxError)) {
+      console.error('Erro ao resolver fórmula:', error);
+    }
+
+    res.status(400).json({
+      error: req.t('errors.formula'),
+      code: error.code || 'FORMULA_ERROR',
+      details: translateError(error, req.locale) || req.t('errors.invalid_formula_input')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const { query, param, header, validationResult } = require('express-validator');
+const { HISTORY_LIMITS, SESSION_HEADER, SESSION_PATTERN, queryHistory, getEntry } = require('../lib/history');
+const { message } = require('../lib/i18n');
+const router = express.Router();
+
+// Sessão do cliente (parâmetro session ou cabeçalho X-Session-Id): obrigatória em todas as rotas,
+// que só enxergam os registros dela
+const validateSession = [
+  query('session')
+    .optional()
+    .matches(SESSION_PATTERN)
+    .withMessage(message('validation.session_format')),
+  header(SESSION_HEADER)
+    .optional()
+    .matches(SESSION_PATTERN)
+    .withMessage(message('validation.session_format')),
+  query('session')
+    .custom((value, { req }) => Boolean(value || req.get(SESSION_HEADER)))
+    .withMessage(message('validation.session_required'))
+];
+
+const sessionOf = req => req.query.session || req.get(SESSION_HEADER);
+
+// Registro da sessão; o de outra sessão é tratado como inexistente
+const findEntry = req => {
+  const entry = getEntry(Number(req.params.id));
+  return entry && entry.session === sessionOf(req) ? entry : null;
+};
+
+// Validações da consulta ao histórico
+const validateQuery = [
+  ...validateSession,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(message('validation.page_positive')),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: HISTORY_LIMITS.maxPageSize })
+    .withMessage(message('validation.limit_range', { max: HISTORY_LIMITS.maxPageSize })),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage(message('validation.date_iso'))
+];
+
+const validateId = [
+  ...validateSession,
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage(message('validation.history_id'))
+];
+
+// Resposta comparável entre execuções (sem o horário)
+const withoutTimestamp = body => {
+  if (!body || typeof body !== 'object') return body;
+  const { timestamp, ...rest } = body;
+  return rest;
+};
+
+/**
+ * @swagger
+ * /api/v1/history:
+ *   get:
+ *     summary: Histórico de cálculos com paginação, filtros e busca
+ *     description: >
+ *       Cada POST em calculate, equations, ml e stats é gravado com a requisição, a resposta e
+ *       o identificador de sessão (cabeçalho X-Session-Id, gerado e devolvido quando ausente).
+ *       A sessão é obrigatória (parâmetro session ou cabeçalho X-Session-Id) e só os registros
+ *       dela são listados.
+ *     tags: [History]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: {type: integer, minimum: 1, default: 1}
+ *       - in: query
+ *         name: limit
+ *         schema: {type: integer, minimum: 1, maximum: 100, default: 20}
+ *       - in: query
+ *         name: endpoint
+ *         description: Módulo (calculate, equations, ml, stats) ou caminho completo (/api/v1/calculate/batch)
+ *         schema: {type: string}
+ *       - in: query
+ *         name: from
+ *         description: Data/hora inicial (ISO 8601)
+ *         schema: {type: string, format: date-time}
+ *       - in: query
+ *         name: to
+ *         description: Data/hora final (ISO 8601)
+ *         schema: {type: string, format: date-time}
+ *       - in: query
+ *         name: q
+ *         description: Busca textual nas expressões (todos os termos, sem diferenciar maiúsculas)
+ *         schema: {type: string}
+ *       - in: query
+ *         name: session
+ *         description: Sessão dos registros (ou cabeçalho X-Session-Id)
+ *         schema: {type: string}
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Registros do mais recente para o mais antigo
+ *       400:
+ *         description: Parâmetros inválidos ou sessão ausente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', validateQuery, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { endpoint, from, to, q } = req.query;
+  const filters = {
+    session: sessionOf(req),
+    endpoint,
+    from,
+    to,
+    q
+  };
+
+  res.json({
+    ...queryHistory({
+      ...filters,
+      page: req.query.page ? Number(req.query.page) : undefined,
+      limit: req.query.limit ? Number(req.query.limit) : undefined
+    }),
+    filters,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/history/{id}:
+ *   get:
+ *     summary: Registro do histórico
+ *     tags: [History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: integer}
+ *       - in: query
+ *         name: session
+ *         description: Sessão dos registros (ou cabeçalho X-Session-Id)
+ *         schema: {type: string}
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Requisição e resposta gravadas
+ *       400:
+ *         description: Identificador inválido ou sessão ausente
+ *       404:
+ *         description: Registro não encontrado (ou de outra sessão)
+ */
+router.get('/:id', validateId, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const entry = findEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: req.t('errors.history_not_found') });
+  }
+
+  res.json(entry);
+});
+
+/**
+ * @swagger
+ * /api/v1/history/{id}/replay:
+ *   post:
+ *     summary: Executa novamente um cálculo do histórico com o motor atual
+ *     description: >
+ *       A requisição gravada é despachada de novo para o mesmo endpoint. A nova execução também é
+ *       gravada (com replayOf) e a resposta traz o resultado original, o novo e se houve mudança.
+ *     tags: [History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: {type: integer}
+ *       - in: query
+ *         name: session
+ *         description: Sessão dos registros (ou cabeçalho X-Session-Id)
+ *         schema: {type: string}
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Resultado original e resultado atual
+ *       400:
+ *         description: Identificador inválido ou sessão ausente
+ *       404:
+ *         description: Registro não encontrado (ou de outra sessão)
+ *       409:
+ *         description: Requisição original grande demais para ter sido gravada
+ */
+router.post('/:id/replay', validateId, (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const entry = findEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: req.t('errors.history_not_found') });
+  }
+  if (entry.requestTruncated) {
+    return res.status(409).json({ error: req.t('errors.history_not_replayable') });
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => json({
+    id: entry.id,
+    path: entry.path,
+    request: entry.request,
+    original: {
+      timestamp: entry.timestamp,
+      status: entry.status,
+      response: entry.response
+    },
+    replay: {
+      status: res.statusCode,
+      response: body
+    },
+    // Respostas grandes demais não foram gravadas e não podem ser comparadas
+    changed: entry.truncated
+      ? null
+      : entry.status !== res.statusCode ||
+        JSON.stringify(withoutTimestamp(entry.response)) !== JSON.stringify(withoutTimestamp(body)),
+    timestamp: new Date().toISOString()
+  });
+
+  // Redespacha a requisição gravada pela aplicação, como os aliases obsoletos
+  // O idioma original é mantido para que as mensagens sejam comparáveis
+  if (entry.locale) req.headers['accept-language'] = entry.locale;
+  // A nova execução é gravada na mesma sessão
+  req.headers[SESSION_HEADER.toLowerCase()] = entry.session;
+  req.baseUrl = '';
+  req.url = entry.path;
+  req.body = entry.request;
+  req.replayOf = entry.id;
+  req.app.handle(req, res, next);
+});
+
+module.exports = router;
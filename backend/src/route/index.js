@@ -0,0 +1,100 @@
+const express = require('express');
+const { historyMiddleware } = require('../lib/history');
+
+const API_PREFIX = '/api/v1';
+
+// Registro único dos módulos de rotas montados em /api/v1
+// history: os cálculos (POST) do módulo são gravados no histórico
+const modules = [
+  { name: 'calculate', path: '/calculate', router: require('./calculator'), history: true },
+  // Antes de equations: o middleware de histórico de /equations também cobriria /equations/catalog
+  { name: 'equation-catalog', path: '/equations/catalog', router: require('./catalog'), history: true },
+  { name: 'equations', path: '/equations', router: require('./equations'), history: true },
+  { name: 'ml', path: '/ml', router: require('./ml'), history: true },
+  { name: 'stats', path: '/stats', router: require('./stats'), history: true },
+  { name: 'number-theory', path: '/number-theory', router: require('./numberTheory'), history: true },
+  { name: 'finance', path: '/finance', router: require('./finance'), history: true },
+  { name: 'formulas', path: '/formulas', router: require('./formulas'), history: true },
+  { name: 'render', path: '/render', router: require('./render') },
+  { name: 'history', path: '/history', router: require('./history') }
+];
+
+// Caminhos antigos mantidos como aliases obsoletos da API versionada
+const deprecatedAliases = [
+  { path: '/api/calculate', target: `${API_PREFIX}/calculate` },
+  { path: '/api/quadratic', target: `${API_PREFIX}/equations/quadratic` },
+  { path: '/api/stats', target: `${API_PREFIX}/stats` }
+];
+
+// Router que monta todos os módulos registrados
+function createApiRouter() {
+  const api = express.Router();
+
+  modules.forEach(module => {
+    if (module.history) {
+      api.use(module.path, historyMiddleware(module.name), module.router);
+    } else {
+      api.use(module.path, module.router);
+    }
+  });
+
+  return api;
+}
+
+// Middleware que redireciona internamente os caminhos antigos para /api/v1
+function deprecatedAliasMiddleware(req, res, next) {
+  const alias = deprecatedAliases.find(a =>
+    req.path === a.path || req.path.startsWith(`${a.path}/`)
+  );
+
+  if (!alias) {
+    return next();
+  }
+
+  const target = alias.target + req.path.slice(alias.path.length);
+
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${target}>; rel="successor-version"`);
+
+  req.url = req.url.replace(alias.path, alias.target);
+  next();
+}
+
+// Lista "MÉTODO /caminho" de cada rota de um módulo a partir do router
+function listModuleEndpoints(module) {
+  const base = `${API_PREFIX}${module.path}`;
+
+  return module.router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+      const path = layer.route.path === '/' ? base : `${base}${layer.route.path}`;
+      return `${method.toUpperCase()} ${path}`;
+    }));
+}
+
+// Mapa de endpoints agrupado por módulo
+function getEndpointMap() {
+  return modules.reduce((map, module) => {
+    map[module.name] = listModuleEndpoints(module);
+    return map;
+  }, {});
+}
+
+// Lista plana de caminhos disponíveis (sem métodos)
+function getAvailableEndpoints() {
+  const paths = modules.flatMap(module =>
+    listModuleEndpoints(module).map(endpoint => endpoint.split(' ')[1])
+  );
+
+  return [...new Set(paths)];
+}
+
+module.exports = {
+  API_PREFIX,
+  modules,
+  deprecatedAliases,
+  createApiRouter,
+  deprecatedAliasMiddleware,
+  getEndpointMap,
+  getAvailableEndpoints
+};
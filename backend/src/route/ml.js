@@ -1,24 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { mean, standardDeviation, variance, median, mode, min, max } = require('simple-statistics');
+const { message } = require('../lib/i18n');
 const router = express.Router();
 
 // Validações para dados de ML
 const validateDataset = [
   body('data')
     .isArray({ min: 2, max: 1000 })
-    .withMessage('Dataset deve ser um array com 2-1000 pontos'),
+    .withMessage(message('validation.dataset_size')),
   body('data.*.x')
     .isNumeric()
-    .withMessage('Valores de X devem ser numéricos'),
+    .withMessage(message('validation.x_numeric')),
   body('data.*.y')
     .isNumeric()
-    .withMessage('Valores de Y devem ser numéricos')
+    .withMessage(message('validation.y_numeric'))
 ];
 
 /**
  * @swagger
- * /api/ml/regression/linear:
+ * /api/v1/ml/regression/linear:
  *   post:
  *     summary: Calcula regressão linear simples
  *     tags: [Machine Learning]
@@ -67,7 +68,7 @@ router.post('/regression/linear', validateDataset, (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Dados inválidos',
+        error: req.t('errors.invalid_data'),
         details: errors.array()
       });
     }
@@ -91,8 +92,8 @@ router.post('/regression/linear', validateDataset, (req, res) => {
     
     if (denominator === 0) {
       return res.status(400).json({
-        error: 'Não é possível calcular regressão',
-        details: 'Todos os valores de X são iguais'
+        error: req.t('errors.regression'),
+        details: req.t('errors.identical_x')
       });
     }
     
@@ -145,7 +146,7 @@ router.post('/regression/linear', validateDataset, (req, res) => {
   } catch (error) {
     console.error('Erro na regressão linear:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -153,7 +154,7 @@ router.post('/regression/linear', validateDataset, (req, res) => {
 
 /**
  * @swagger
- * /api/ml/stats/descriptive:
+ * /api/v1/ml/stats/descriptive:
  *   post:
  *     summary: Calcula estatísticas descritivas
  *     tags: [Machine Learning]
@@ -180,7 +181,7 @@ router.post('/stats/descriptive', (req, res) => {
     
     if (!Array.isArray(values) || values.length === 0) {
       return res.status(400).json({
-        error: 'Array de valores é obrigatório'
+        error: req.t('errors.values_required')
       });
     }
 
@@ -188,7 +189,7 @@ router.post('/stats/descriptive', (req, res) => {
     const numericValues = values.filter(v => typeof v === 'number' && !isNaN(v));
     if (numericValues.length !== values.length) {
       return res.status(400).json({
-        error: 'Todos os valores devem ser números válidos'
+        error: req.t('errors.invalid_numbers')
       });
     }
 
@@ -222,7 +223,7 @@ router.post('/stats/descriptive', (req, res) => {
   } catch (error) {
     console.error('Erro no cálculo de estatísticas:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -230,7 +231,7 @@ router.post('/stats/descriptive', (req, res) => {
 
 /**
  * @swagger
- * /api/ml/normalize:
+ * /api/v1/ml/normalize:
  *   post:
  *     summary: Normaliza dados usando diferentes métodos
  *     tags: [Machine Learning]
@@ -268,14 +269,14 @@ router.post('/normalize', (req, res) => {
     
     if (!Array.isArray(data) || data.length === 0) {
       return res.status(400).json({
-        error: 'Array de dados é obrigatório'
+        error: req.t('errors.data_required')
       });
     }
 
     const numericData = data.filter(v => typeof v === 'number' && !isNaN(v));
     if (numericData.length !== data.length) {
       return res.status(400).json({
-        error: 'Todos os valores devem ser números válidos'
+        error: req.t('errors.invalid_numbers')
       });
     }
 
@@ -310,7 +311,7 @@ router.post('/normalize', (req, res) => {
 
       default:
         return res.status(400).json({
-          error: 'Método de normalização inválido',
+          error: req.t('errors.invalid_normalization'),
           available_methods: ['zscore', 'minmax', 'robust']
         });
     }
@@ -340,7 +341,7 @@ router.post('/normalize', (req, res) => {
   } catch (error) {
     console.error('Erro na normalização:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -348,7 +349,7 @@ router.post('/normalize', (req, res) => {
 
 /**
  * @swagger
- * /api/ml/correlation:
+ * /api/v1/ml/correlation:
  *   post:
  *     summary: Calcula matriz de correlação entre variáveis
  *     tags: [Machine Learning]
@@ -385,14 +386,14 @@ router.post('/correlation', (req, res) => {
     
     if (!datasets || typeof datasets !== 'object') {
       return res.status(400).json({
-        error: 'Datasets são obrigatórios'
+        error: req.t('errors.datasets_required')
       });
     }
 
     const variables = Object.keys(datasets);
     if (variables.length < 2) {
       return res.status(400).json({
-        error: 'Pelo menos duas variáveis são necessárias'
+        error: req.t('errors.two_variables')
       });
     }
 
@@ -400,7 +401,7 @@ router.post('/correlation', (req, res) => {
     const lengths = variables.map(v => datasets[v].length);
     if (!lengths.every(l => l === lengths[0])) {
       return res.status(400).json({
-        error: 'Todas as variáveis devem ter o mesmo número de observações'
+        error: req.t('errors.same_length')
       });
     }
 
@@ -444,7 +445,7 @@ router.post('/correlation', (req, res) => {
   } catch (error) {
     console.error('Erro no cálculo de correlação:', error);
     res.status(500).json({
-      error: 'Erro interno',
+      error: req.t('errors.internal'),
       details: error.message
     });
   }
@@ -0,0 +1,584 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SandboxError } = require('../lib/engine');
+const {
+  NUMBER_THEORY_LIMITS,
+  toInteger,
+  toPositiveInteger,
+  gcdOfValues,
+  modPow,
+  modInverse,
+  millerRabin,
+  factorize,
+  formatFactorization,
+  totient,
+  solveCongruences
+} = require('../lib/numberTheory');
+const { message, translateError } = require('../lib/i18n');
+const router = express.Router();
+
+// Inteiros da resposta vão como texto: JSON não representa BigInt
+const text = value => value.toString();
+
+const describeFactors = factors => factors.map(({ prime, exponent }) => ({ prime: text(prime), exponent }));
+
+// Inteiros chegam como número ou texto; o formato é conferido na conversão para BigInt
+const integerField = field => body(field)
+  .exists({ values: 'null' })
+  .withMessage(message('validation.integer_required', { field }));
+
+const validateFactorize = [integerField('n')];
+
+const validatePrimality = [
+  integerField('n'),
+  body('rounds')
+    .optional()
+    .isInt({ min: 1, max: NUMBER_THEORY_LIMITS.maxRounds })
+    .withMessage(message('validation.rounds_range', { max: NUMBER_THEORY_LIMITS.maxRounds }))
+];
+
+const validateGcd = [
+  body('values')
+    .isArray({ min: 2, max: NUMBER_THEORY_LIMITS.maxValues })
+    .withMessage(message('validation.integer_values', { max: NUMBER_THEORY_LIMITS.maxValues }))
+];
+
+const validateModInverse = [integerField('a'), integerField('modulus')];
+
+const validateModPow = [integerField('base'), integerField('exponent'), integerField('modulus')];
+
+const validateCongruences = [
+  body('congruences')
+    .isArray({ min: 1, max: NUMBER_THEORY_LIMITS.maxCongruences })
+    .withMessage(message('validation.congruences', { max: NUMBER_THEORY_LIMITS.maxCongruences })),
+  body('congruences.*')
+    .custom(item => item && typeof item === 'object' && item.remainder !== undefined && item.modulus !== undefined)
+    .withMessage(message('validation.congruences', { max: NUMBER_THEORY_LIMITS.maxCongruences }))
+];
+
+// Validação, cálculo e erros comuns a todas as rotas do módulo
+function handle(compute) {
+  return (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_data'),
+        details: errors.array()
+      });
+    }
+
+    try {
+      res.json({
+        ...compute(req.body),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (!(error instanceof SandboxError)) {
+        console.error('Erro em teoria dos números:', error);
+      }
+
+      res.status(400).json({
+        error: req.t('errors.number_theory'),
+        code: error.code || 'NUMBER_THEORY_ERROR',
+        details: translateError(error, req.locale) || req.t('errors.invalid_integer_input')
+      });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/v1/number-theory/factorize:
+ *   post:
+ *     summary: Fatoração em primos
+ *     description: >
+ *       Divisão por primos pequenos seguida de Pollard rho (variante de Brent). Inteiros aceitam
+ *       número ou texto com dígitos, sem limite de 64 bits. Quando um fator não pode ser separado
+ *       dentro do limite de iterações, a resposta traz complete false e o fator composto em remaining.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [n]
+ *             properties:
+ *               n:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Inteiro positivo (até 60 dígitos)
+ *           examples:
+ *             small:
+ *               value:
+ *                 n: 360
+ *             large:
+ *               summary: Número de Fermat F6
+ *               value:
+ *                 n: "18446744073709551617"
+ *     responses:
+ *       200:
+ *         description: Fatores primos com expoentes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 n:
+ *                   type: string
+ *                 factors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       prime:
+ *                         type: string
+ *                       exponent:
+ *                         type: integer
+ *                 factorization:
+ *                   type: string
+ *                   example: "2^3 × 3^2 × 5"
+ *                 isPrime:
+ *                   type: boolean
+ *                 complete:
+ *                   type: boolean
+ *                 remaining:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Erro de validação ou inteiro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/factorize', validateFactorize, handle(({ n: input }) => {
+  const n = toPositiveInteger(input, 'n', { maxDigits: NUMBER_THEORY_LIMITS.maxFactorDigits });
+  const { factors, remaining, complete } = factorize(n);
+
+  return {
+    n: text(n),
+    factors: describeFactors(factors),
+    factorization: n === 1n ? '1' : formatFactorization([...factors, ...remaining.map(prime => ({ prime, exponent: 1 }))]),
+    isPrime: complete && factors.length === 1 && factors[0].exponent === 1,
+    complete,
+    remaining: remaining.map(text)
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/primality:
+ *   post:
+ *     summary: Teste de primalidade de Miller–Rabin
+ *     description: >
+ *       Determinístico (13 primeiras bases primas) para n < 3317044064679887385961981.
+ *       Acima disso usa bases aleatórias; um provável primo erra com probabilidade de no máximo 4^-rounds.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [n]
+ *             properties:
+ *               n:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *               rounds:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 64
+ *                 default: 20
+ *                 description: Rodadas do teste probabilístico
+ *           examples:
+ *             mersenne:
+ *               summary: Primo de Mersenne 2^127 - 1
+ *               value:
+ *                 n: "170141183460469231731687303715884105727"
+ *     responses:
+ *       200:
+ *         description: Resultado do teste
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 n:
+ *                   type: string
+ *                 isPrime:
+ *                   type: boolean
+ *                 deterministic:
+ *                   type: boolean
+ *                 rounds:
+ *                   type: integer
+ *                 witness:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Base que prova que n é composto
+ *                 divisor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Primo pequeno que divide n
+ *                 errorProbability:
+ *                   type: number
+ *       400:
+ *         description: Erro de validação ou inteiro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/primality', validatePrimality, handle(({ n: input, rounds }) => {
+  const n = toInteger(input, 'n');
+  const test = millerRabin(n, { rounds: rounds === undefined ? undefined : Number(rounds) });
+
+  return {
+    n: text(n),
+    isPrime: test.isPrime,
+    deterministic: test.deterministic,
+    rounds: test.rounds,
+    witness: test.witness === null ? null : text(test.witness),
+    divisor: test.divisor ? text(test.divisor) : null,
+    // Só o resultado "primo" do teste probabilístico pode estar errado
+    errorProbability: test.isPrime && !test.deterministic ? 4 ** -test.rounds : 0
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/gcd:
+ *   post:
+ *     summary: MDC e MMC com o algoritmo de Euclides estendido
+ *     description: >
+ *       Retorna os coeficientes de Bézout (Σ valueᵢ · coefficientᵢ = gcd) e a tabela de divisões
+ *       de cada par, combinando os valores da esquerda para a direita.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [values]
+ *             properties:
+ *               values:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 50
+ *                 items:
+ *                   oneOf:
+ *                     - type: integer
+ *                     - type: string
+ *           examples:
+ *             pair:
+ *               value:
+ *                 values: [240, 46]
+ *             list:
+ *               value:
+ *                 values: [12, "18", 30]
+ *     responses:
+ *       200:
+ *         description: MDC, MMC, coeficientes de Bézout e passos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 gcd:
+ *                   type: string
+ *                 lcm:
+ *                   type: string
+ *                 coefficients:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 equation:
+ *                   type: string
+ *                   example: "240 × (-9) + 46 × 47 = 2"
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       a:
+ *                         type: string
+ *                       b:
+ *                         type: string
+ *                       gcd:
+ *                         type: string
+ *                       steps:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Erro de validação ou inteiro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/gcd', validateGcd, handle(({ values: inputs }) => {
+  const values = inputs.map((value, index) => toInteger(value, `values[${index}]`));
+  const { gcd, lcm, coefficients, pairs } = gcdOfValues(values);
+  const wrap = value => (value < 0n ? `(${value})` : `${value}`);
+
+  return {
+    values: values.map(text),
+    gcd: text(gcd),
+    lcm: text(lcm),
+    coefficients: coefficients.map(text),
+    equation: `${values.map((value, index) => `${wrap(value)} × ${wrap(coefficients[index])}`).join(' + ')} = ${gcd}`,
+    steps: pairs
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/modinv:
+ *   post:
+ *     summary: Inverso modular
+ *     description: >
+ *       Calcula x com a · x ≡ 1 (mod modulus) pelo algoritmo de Euclides estendido.
+ *       O inverso existe apenas quando mdc(a, modulus) = 1 (erro NO_INVERSE caso contrário).
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [a, modulus]
+ *             properties:
+ *               a:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *               modulus:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *           examples:
+ *             basic:
+ *               value:
+ *                 a: 17
+ *                 modulus: 3120
+ *     responses:
+ *       200:
+ *         description: Inverso e passos do algoritmo
+ *       400:
+ *         description: Erro de validação ou inverso inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/modinv', validateModInverse, handle(({ a: inputA, modulus: inputModulus }) => {
+  const a = toInteger(inputA, 'a');
+  const modulus = toPositiveInteger(inputModulus, 'modulus');
+  const { inverse, steps } = modInverse(a, modulus);
+
+  return {
+    a: text(a),
+    modulus: text(modulus),
+    inverse: text(inverse),
+    equation: `${a} × ${inverse} ≡ 1 (mod ${modulus})`,
+    steps
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/modpow:
+ *   post:
+ *     summary: Exponenciação modular
+ *     description: >
+ *       Quadrados sucessivos sobre os bits do expoente (do mais significativo ao menos).
+ *       Expoentes negativos usam o inverso modular da base. A tabela de passos acompanha
+ *       expoentes de até 64 bits.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [base, exponent, modulus]
+ *             properties:
+ *               base:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *               exponent:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *               modulus:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *           examples:
+ *             rsa:
+ *               summary: Cifra RSA de exemplo
+ *               value:
+ *                 base: 65
+ *                 exponent: 17
+ *                 modulus: 3233
+ *     responses:
+ *       200:
+ *         description: Resultado e passos por bit do expoente
+ *       400:
+ *         description: Erro de validação ou inteiro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/modpow', validateModPow, handle(({ base: inputBase, exponent: inputExponent, modulus: inputModulus }) => {
+  const base = toInteger(inputBase, 'base');
+  const exponent = toInteger(inputExponent, 'exponent');
+  const modulus = toPositiveInteger(inputModulus, 'modulus');
+  const { result, steps } = modPow(base, exponent, modulus);
+
+  return {
+    base: text(base),
+    exponent: text(exponent),
+    modulus: text(modulus),
+    result: text(result),
+    equation: `${base}^${exponent} ≡ ${result} (mod ${modulus})`,
+    steps
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/totient:
+ *   post:
+ *     summary: Função totiente de Euler
+ *     description: >
+ *       φ(n) = n · Π (1 − 1/p) sobre os primos distintos de n, a partir da fatoração.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [n]
+ *             properties:
+ *               n:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Inteiro positivo (até 60 dígitos)
+ *           examples:
+ *             basic:
+ *               value:
+ *                 n: 36
+ *     responses:
+ *       200:
+ *         description: Valor de φ(n) e a fatoração usada
+ *       400:
+ *         description: Erro de validação ou fatoração incompleta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/totient', validateFactorize, handle(({ n: input }) => {
+  const n = toPositiveInteger(input, 'n', { maxDigits: NUMBER_THEORY_LIMITS.maxFactorDigits });
+  const { totient: value, factors } = totient(n);
+
+  return {
+    n: text(n),
+    totient: text(value),
+    factors: describeFactors(factors),
+    formula: factors.length === 0
+      ? 'φ(1) = 1'
+      : `φ(${n}) = ${n} × ${factors.map(({ prime }) => `(1 - 1/${prime})`).join(' × ')} = ${value}`
+  };
+}));
+
+/**
+ * @swagger
+ * /api/v1/number-theory/crt:
+ *   post:
+ *     summary: Sistema de congruências (Teorema Chinês do Resto)
+ *     description: >
+ *       Resolve x ≡ remainderᵢ (mod modulusᵢ). Módulos não coprimos são aceitos; um sistema
+ *       incompatível retorna solvable false e o índice da congruência em conflito.
+ *     tags: [Number Theory]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [congruences]
+ *             properties:
+ *               congruences:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required: [remainder, modulus]
+ *                   properties:
+ *                     remainder:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                     modulus:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *           examples:
+ *             classic:
+ *               summary: x ≡ 2 (mod 3), x ≡ 3 (mod 5), x ≡ 2 (mod 7)
+ *               value:
+ *                 congruences: [{ remainder: 2, modulus: 3 }, { remainder: 3, modulus: 5 }, { remainder: 2, modulus: 7 }]
+ *     responses:
+ *       200:
+ *         description: Solução x ≡ solution (mod modulus) e passos da combinação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 solvable:
+ *                   type: boolean
+ *                 solution:
+ *                   type: string
+ *                 modulus:
+ *                   type: string
+ *                 conflict:
+ *                   type: integer
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Erro de validação ou inteiro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/crt', validateCongruences, handle(({ congruences: inputs }) => {
+  const congruences = inputs.map((item, index) => ({
+    remainder: toInteger(item.remainder, `congruences[${index}].remainder`),
+    modulus: toPositiveInteger(item.modulus, `congruences[${index}].modulus`)
+  }));
+  const { solvable, solution, modulus, steps, conflict } = solveCongruences(congruences);
+
+  return solvable
+    ? { solvable, solution: text(solution), modulus: text(modulus), equation: `x ≡ ${solution} (mod ${modulus})`, steps }
+    : { solvable, conflict, steps };
+}));
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SandboxError } = require('../lib/engine');
+const { renderExpression, renderValue } = require('../lib/render');
+const { message, translateError } = require('../lib/i18n');
+const router = express.Router();
+
+// Validações: uma expressão/equação ou um valor de resultado
+const validateRender = [
+  body('expression')
+    .optional()
+    .isString()
+    .withMessage(message('validation.expression_string')),
+  body('display')
+    .optional()
+    .isIn(['block', 'inline'])
+    .withMessage(message('validation.display_in')),
+  body()
+    .custom(payload => payload.expression !== undefined || payload.value !== undefined)
+    .withMessage(message('validation.expression_or_value'))
+];
+
+/**
+ * @swagger
+ * /api/v1/render:
+ *   post:
+ *     summary: Renderiza expressão, equação ou resultado em LaTeX e MathML
+ *     description: >
+ *       A expressão passa pelo mesmo parser da calculadora (variáveis livres permitidas).
+ *       Equações com um sinal de igual e expoentes sobrescritos (x²) também são aceitos.
+ *     tags: [Render]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expression:
+ *                 type: string
+ *                 description: Expressão ou equação
+ *               value:
+ *                 description: Resultado (número, { re, im }, { real, imag } ou lista de soluções)
+ *               display:
+ *                 type: string
+ *                 enum: [block, inline]
+ *                 default: block
+ *           examples:
+ *             equation:
+ *               summary: Equação quadrática
+ *               value:
+ *                 expression: "x² - 5x + 6 = 0"
+ *             expression:
+ *               summary: Fração e raiz
+ *               value:
+ *                 expression: "sqrt(x^2 + 1) / (2 * pi)"
+ *             solutions:
+ *               summary: Soluções complexas
+ *               value:
+ *                 value: [{ real: -0.5, imag: 0.866 }, { real: -0.5, imag: -0.866 }]
+ *     responses:
+ *       200:
+ *         description: Representações LaTeX e MathML
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 latex:
+ *                   type: string
+ *                 mathml:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                   enum: [expression, equation, value]
+ *       400:
+ *         description: Erro de validação ou renderização
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', validateRender, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: req.t('errors.invalid_data'),
+      details: errors.array()
+    });
+  }
+
+  const { expression, value, display } = req.body;
+
+  try {
+    const rendered = expression !== undefined
+      ? renderExpression(expression, { display })
+      : { ...renderValue(value, { display }), type: 'value' };
+
+    res.json({
+      ...(expression !== undefined ? { expression } : { value }),
+      ...rendered,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof SandboxError)) {
+      console.error('Erro na renderização:', error);
+    }
+
+    res.status(400).json({
+      error: req.t('errors.render'),
+      code: error.code || 'RENDER_ERROR',
+      details: translateError(error, req.locale) || req.t('errors.invalid_render_input')
+    });
+  }
+});
+
+module.exports = router;
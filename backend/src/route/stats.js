@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/stats:
+ *   post:
+ *     summary: Calcula estatísticas básicas
+ *     tags: [Statistics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [values]
+ *             properties:
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [1, 2, 3, 4, 5]
+ *     responses:
+ *       200:
+ *         description: Estatísticas calculadas
+ */
+router.post('/', (req, res) => {
+  try {
+    const { values } = req.body;
+
+    if (!Array.isArray(values) || values.length === 0) {
+      return res.status(400).json({
+        error: req.t('errors.values_required')
+      });
+    }
+
+    // Verificar se todos são números
+    const numericValues = values.filter(v => typeof v === 'number' && !isNaN(v));
+    if (numericValues.length !== values.length) {
+      return res.status(400).json({
+        error: req.t('errors.invalid_numbers')
+      });
+    }
+
+    // Calcular estatísticas básicas
+    const sortedValues = [...numericValues].sort((a, b) => a - b);
+    const n = numericValues.length;
+    const sum = numericValues.reduce((acc, val) => acc + val, 0);
+    const mean = sum / n;
+    const median = n % 2 === 0
+      ? (sortedValues[n/2 - 1] + sortedValues[n/2]) / 2
+      : sortedValues[Math.floor(n/2)];
+
+    // Variância e desvio padrão
+    const variance = numericValues.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / n;
+    const standardDeviation = Math.sqrt(variance);
+
+    const stats = {
+      count: n,
+      sum,
+      mean,
+      median,
+      min: Math.min(...numericValues),
+      max: Math.max(...numericValues),
+      range: Math.max(...numericValues) - Math.min(...numericValues),
+      variance,
+      standardDeviation
+    };
+
+    res.json({
+      original_data: values,
+      statistics: stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Erro no cálculo de estatísticas:', error);
+    res.status(500).json({
+      error: req.t('errors.internal'),
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
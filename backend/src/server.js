@@ -6,8 +6,15 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const { evaluate, format } = require('mathjs');
 const net = require('net');
+const {
+  API_PREFIX,
+  createApiRouter,
+  deprecatedAliasMiddleware,
+  getEndpointMap,
+  getAvailableEndpoints
+} = require('./route');
+const { localeMiddleware } = require('./lib/i18n');
 require('dotenv').config();
 
 const app = express();
@@ -29,6 +36,9 @@ const findFreePort = (startPort) => {
   });
 };
 
+// Idioma das mensagens (Accept-Language: pt-BR, en, es)
+app.use(localeMiddleware);
+
 // Middleware de segurança
 app.use(helmet());
 app.use(compression());
@@ -38,16 +48,18 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://equation-hub.vercel.app']
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-  credentials: true
+  credentials: true,
+  // Identificador de sessão do histórico
+  exposedHeaders: ['X-Session-Id']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // máximo 100 requests por IP
-  message: {
-    error: 'Muitas requisições. Tente novamente em 15 minutos.'
-  }
+  message: req => ({
+    error: req.t('errors.rate_limit')
+  })
 });
 app.use(limiter);
 
@@ -55,8 +67,10 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Logging
-app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+// Logging (desligado nos testes)
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+}
 
 // Swagger/OpenAPI setup
 const swaggerOptions = {
@@ -65,16 +79,116 @@ const swaggerOptions = {
     info: {
       title: 'EquationHub API',
       version: '1.0.0',
-      description: 'API completa para cálculos matemáticos e Machine Learning'
+      description: 'API completa para cálculos matemáticos e Machine Learning. ' +
+        'As mensagens seguem o cabeçalho Accept-Language (pt-BR, en, es; padrão pt-BR).'
     },
     servers: [{
       url: process.env.NODE_ENV === 'production' 
         ? 'https://equation-hub-api.herokuapp.com'
         : 'http://localhost:PORT_PLACEHOLDER',
       description: process.env.NODE_ENV === 'production' ? 'Produção' : 'Desenvolvimento'
-    }]
+    }],
+    components: {
+      schemas: {
+        CalculationRequest: {
+          type: 'object',
+          required: ['expression'],
+          properties: {
+            expression: {
+              type: 'string',
+              description: 'Expressão matemática',
+              example: '2 + 3 * 4'
+            },
+            scope: {
+              type: 'object',
+              description: 'Variáveis disponíveis na expressão',
+              additionalProperties: {
+                oneOf: [
+                  { type: 'number' },
+                  { type: 'array', items: {} }
+                ]
+              },
+              example: { r: 3 }
+            },
+            mode: {
+              type: 'string',
+              enum: ['number', 'bignumber', 'fraction', 'programmer'],
+              default: 'number',
+              description: 'Modo numérico: double IEEE, precisão arbitrária, frações exatas ou programador (literais 0x/0b/0o e operadores bit a bit & | ^| ~ << >> >>>)'
+            },
+            precision: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 500,
+              default: 64,
+              description: 'Dígitos significativos no modo bignumber'
+            },
+            wordSize: {
+              type: 'integer',
+              enum: [8, 16, 32, 64],
+              default: 64,
+              description: 'Tamanho da palavra no modo programmer'
+            },
+            signed: {
+              type: 'boolean',
+              default: true,
+              description: 'Inteiros com sinal (complemento de dois) no modo programmer'
+            },
+            overflow: {
+              type: 'string',
+              enum: ['wrap', 'saturate', 'error'],
+              default: 'wrap',
+              description: 'Estouro no modo programmer: contorna, satura nos limites ou gera erro'
+            },
+            domain: {
+              type: 'string',
+              enum: ['real', 'complex'],
+              default: 'real',
+              description: 'No domínio real, resultados complexos são rejeitados'
+            },
+            render: {
+              type: 'boolean',
+              default: false,
+              description: 'Inclui LaTeX e MathML da expressão e do resultado'
+            },
+            explain: {
+              type: 'boolean',
+              default: false,
+              description: 'Inclui o passo a passo da avaliação na ordem das operações (modos number, bignumber e fraction)'
+            },
+            locale: {
+              type: 'string',
+              enum: ['pt-BR', 'en', 'es'],
+              description: 'Formato numérico da entrada e do campo formatted ("2,5 + 1,5" em pt-BR). Com vírgula decimal, separe argumentos e elementos de matriz com ";" ("max(1,5; 2)"); outra vírgula gera AMBIGUOUS_SEPARATOR'
+            }
+          }
+        },
+        QuadraticRequest: {
+          type: 'object',
+          required: ['a', 'b', 'c'],
+          properties: {
+            a: { type: 'number', example: 1 },
+            b: { type: 'number', example: -5 },
+            c: { type: 'number', example: 6 },
+            render: {
+              type: 'boolean',
+              default: false,
+              description: 'Inclui LaTeX e MathML da equação e das soluções'
+            }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string', description: 'Código estruturado do erro (ex.: FUNCTION_NOT_ALLOWED)' },
+            details: {}
+          }
+        }
+      }
+    }
   },
-  apis: ['./src/server.js']
+  apis: ['./src/server.js', './src/route/*.js']
 };
 
 const specs = swaggerJsdoc(swaggerOptions);
@@ -98,288 +212,30 @@ app.get('/health', (req, res) => {
 // Rota raiz
 app.get('/', (req, res) => {
   res.json({
-    message: '🧮 Bem-vindo à EquationHub API!',
+    message: req.t('api.welcome'),
     version: '1.0.0',
     documentation: '/api-docs',
+    apiBase: API_PREFIX,
     endpoints: {
       health: '/health',
-      calculate: '/api/calculate',
-      quadratic: '/api/quadratic',
-      stats: '/api/stats'
+      ...getEndpointMap()
     },
     github: 'https://github.com/seu-usuario/equation-hub-platform'
   });
 });
 
-/**
- * @swagger
- * /api/calculate:
- *   post:
- *     summary: Calcula expressão matemática
- *     tags: [Calculator]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [expression]
- *             properties:
- *               expression:
- *                 type: string
- *                 description: Expressão matemática
- *                 example: "2 + 3 * 4"
- *     responses:
- *       200:
- *         description: Cálculo realizado com sucesso
- */
-app.post('/api/calculate', (req, res) => {
-  try {
-    const { expression } = req.body;
-
-    if (!expression) {
-      return res.status(400).json({
-        error: 'Expressão é obrigatória'
-      });
-    }
-
-    // Substituir operadores para Math.js
-    let processedExpression = expression
-      .replace(/×/g, '*')
-      .replace(/÷/g, '/')
-      .replace(/√/g, 'sqrt')
-      .toLowerCase();
-
-    // Calcular usando Math.js
-    const result = evaluate(processedExpression);
-    
-    // Verificar se o resultado é válido
-    if (!isFinite(result)) {
-      return res.status(400).json({
-        error: 'Resultado inválido',
-        details: 'O cálculo resultou em infinito ou NaN'
-      });
-    }
-
-    // Formatear resultado
-    const formatted = format(result, { precision: 10 });
-
-    res.json({
-      result: Number(result),
-      expression: expression,
-      formatted: formatted,
-      type: typeof result,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Erro no cálculo:', error);
-    
-    res.status(400).json({
-      error: 'Erro no cálculo',
-      details: error.message || 'Expressão matemática inválida'
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/quadratic:
- *   post:
- *     summary: Resolve equação quadrática
- *     tags: [Equations]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [a, b, c]
- *             properties:
- *               a: {type: number, example: 1}
- *               b: {type: number, example: -5}
- *               c: {type: number, example: 6}
- *     responses:
- *       200:
- *         description: Equação resolvida com sucesso
- */
-app.post('/api/quadratic', (req, res) => {
-  try {
-    const { a, b, c } = req.body;
-    
-    // Validações básicas
-    if (typeof a !== 'number' || typeof b !== 'number' || typeof c !== 'number') {
-      return res.status(400).json({
-        error: 'Coeficientes devem ser números'
-      });
-    }
-
-    if (a === 0) {
-      return res.status(400).json({
-        error: 'Coeficiente "a" não pode ser zero'
-      });
-    }
-
-    // Calcular discriminante
-    const discriminant = b * b - 4 * a * c;
-    
-    // Formatar equação
-    const equation = formatQuadraticEquation(a, b, c);
-    
-    let solutions = [];
-    let type = '';
-
-    if (discriminant > 0) {
-      // Duas soluções reais
-      const x1 = (-b + Math.sqrt(discriminant)) / (2 * a);
-      const x2 = (-b - Math.sqrt(discriminant)) / (2 * a);
-      solutions = [x1, x2].sort((a, b) => a - b);
-      type = 'two_real';
-    } else if (discriminant === 0) {
-      // Uma solução real
-      const x = -b / (2 * a);
-      solutions = [x];
-      type = 'one_real';
-    } else {
-      // Soluções complexas
-      const realPart = -b / (2 * a);
-      const imagPart = Math.sqrt(-discriminant) / (2 * a);
-      solutions = [
-        { real: realPart, imag: imagPart },
-        { real: realPart, imag: -imagPart }
-      ];
-      type = 'complex';
-    }
-
-    res.json({
-      equation,
-      coefficients: { a, b, c },
-      discriminant,
-      solutions,
-      type,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Erro ao resolver equação quadrática:', error);
-    res.status(500).json({
-      error: 'Erro interno',
-      details: error.message
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/stats:
- *   post:
- *     summary: Calcula estatísticas básicas
- *     tags: [Statistics]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [values]
- *             properties:
- *               values:
- *                 type: array
- *                 items:
- *                   type: number
- *                 example: [1, 2, 3, 4, 5]
- *     responses:
- *       200:
- *         description: Estatísticas calculadas
- */
-app.post('/api/stats', (req, res) => {
-  try {
-    const { values } = req.body;
-    
-    if (!Array.isArray(values) || values.length === 0) {
-      return res.status(400).json({
-        error: 'Array de valores é obrigatório'
-      });
-    }
-
-    // Verificar se todos são números
-    const numericValues = values.filter(v => typeof v === 'number' && !isNaN(v));
-    if (numericValues.length !== values.length) {
-      return res.status(400).json({
-        error: 'Todos os valores devem ser números válidos'
-      });
-    }
-
-    // Calcular estatísticas básicas
-    const sortedValues = [...numericValues].sort((a, b) => a - b);
-    const n = numericValues.length;
-    const sum = numericValues.reduce((acc, val) => acc + val, 0);
-    const mean = sum / n;
-    const median = n % 2 === 0 
-      ? (sortedValues[n/2 - 1] + sortedValues[n/2]) / 2
-      : sortedValues[Math.floor(n/2)];
-    
-    // Variância e desvio padrão
-    const variance = numericValues.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / n;
-    const standardDeviation = Math.sqrt(variance);
-
-    const stats = {
-      count: n,
-      sum,
-      mean,
-      median,
-      min: Math.min(...numericValues),
-      max: Math.max(...numericValues),
-      range: Math.max(...numericValues) - Math.min(...numericValues),
-      variance,
-      standardDeviation
-    };
-
-    res.json({
-      original_data: values,
-      statistics: stats,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Erro no cálculo de estatísticas:', error);
-    res.status(500).json({
-      error: 'Erro interno',
-      details: error.message
-    });
-  }
-});
-
-// Função auxiliar para formatar equação quadrática
-function formatQuadraticEquation(a, b, c) {
-  let equation = '';
-  
-  // Termo a
-  if (a === 1) equation += 'x²';
-  else if (a === -1) equation += '-x²';
-  else equation += `${a}x²`;
-  
-  // Termo b
-  if (b > 0) equation += ` + ${b === 1 ? '' : b}x`;
-  else if (b < 0) equation += ` - ${b === -1 ? '' : Math.abs(b)}x`;
-  
-  // Termo c
-  if (c > 0) equation += ` + ${c}`;
-  else if (c < 0) equation += ` - ${Math.abs(c)}`;
-  
-  return equation + ' = 0';
-}
+// Rotas versionadas e aliases obsoletos
+app.use(deprecatedAliasMiddleware);
+app.use(API_PREFIX, createApiRouter());
 
 // Middleware de erro 404
 app.use('*', (req, res) => {
   res.status(404).json({
-    error: 'Endpoint não encontrado',
-    message: `Rota ${req.originalUrl} não existe`,
+    error: req.t('errors.not_found'),
+    message: req.t('errors.route_not_found', { path: req.originalUrl }),
     availableEndpoints: [
       '/health',
-      '/api/calculate', 
-      '/api/quadratic',
-      '/api/stats',
+      ...getAvailableEndpoints(),
       '/api-docs'
     ]
   });
@@ -390,7 +246,7 @@ app.use((err, req, res, next) => {
   console.error('Erro capturado:', err);
   
   res.status(err.status || 500).json({
-    error: err.message || 'Erro interno do servidor',
+    error: err.message || req.t('errors.server'),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
@@ -423,6 +279,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Ao ser importado (testes), apenas exporta a aplicação sem abrir porta
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
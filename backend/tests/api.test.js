@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('API versionada /api/v1', () => {
+  test('módulos respondem sob o prefixo versionado', async () => {
+    const res = await request(app).post('/api/v1/calculate').send({ expression: '2 + 3' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(5);
+    expect(res.headers.deprecation).toBeUndefined();
+  });
+
+  test('caminhos antigos são aliases obsoletos com link para a nova versão', async () => {
+    const res = await request(app).post('/api/quadratic').send({ a: 1, b: -5, c: 6 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.solutions).toEqual([2, 3]);
+    expect(res.headers.deprecation).toBe('true');
+    expect(res.headers.link).toBe('</api/v1/equations/quadratic>; rel="successor-version"');
+  });
+
+  test('alias preserva o subcaminho', async () => {
+    const res = await request(app).get('/api/calculate/functions');
+
+    expect(res.status).toBe(200);
+    expect(res.headers.link).toBe('</api/v1/calculate/functions>; rel="successor-version"');
+  });
+
+  test('raiz lista os endpoints de cada módulo registrado', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.apiBase).toBe('/api/v1');
+    expect(res.body.endpoints.calculate).toContain('POST /api/v1/calculate');
+    expect(res.body.endpoints.equations).toContain('POST /api/v1/equations/quadratic');
+  });
+
+  test('rota inexistente responde 404 com os caminhos disponíveis', async () => {
+    const res = await request(app).get('/api/v1/nao-existe');
+
+    expect(res.status).toBe(404);
+    expect(res.body.availableEndpoints).toEqual(expect.arrayContaining(['/health', '/api/v1/calculate']));
+  });
+
+  test('health check', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+});
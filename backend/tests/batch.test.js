@@ -0,0 +1,48 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const batch = body => request(app).post('/api/v1/calculate/batch').send(body);
+
+describe('POST /calculate/batch', () => {
+  test('resultado por item, com falhas isoladas', async () => {
+    const res = await batch({ expressions: ['1+1', { expression: 'x*2', scope: { x: 3 } }, 'foo(1)'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+    expect(res.body.results[0]).toMatchObject({ index: 0, success: true, result: 2 });
+    expect(res.body.results[1]).toMatchObject({ index: 1, success: true, result: 6 });
+    expect(res.body.results[2]).toMatchObject({
+      index: 2,
+      success: false,
+      error: { code: 'FUNCTION_NOT_ALLOWED' }
+    });
+  });
+
+  test('limites do sandbox valem para cada item', async () => {
+    const res = await batch({ expressions: ['combinations(1e8, 5e7)', 'sqrt(-1)'] });
+
+    expect(res.body.results.map(item => item.error.code)).toEqual(['MAGNITUDE_EXCEEDED', 'COMPLEX_RESULT']);
+  });
+
+  test.each([
+    [{ expressions: [] }],
+    [{ expressions: Array(51).fill('1') }],
+    [{ expressions: '1 + 1' }],
+    [{ expressions: ['1'], locale: 'fr' }]
+  ])('lote inválido %#', async body => {
+    const res = await batch(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toBeDefined();
+  });
+
+  test.each([
+    [{ expressions: ['x'], scope: 'abc' }, 'scope'],
+    [{ expressions: ['1', { expression: 'x', scope: [1, 2] }] }, 'expressions[1].scope']
+  ])('escopo que não é objeto (%j) é rejeitado na validação', async (body, path) => {
+    const res = await batch(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ path, msg: 'Escopo deve ser um objeto { nome: valor }' });
+  });
+});
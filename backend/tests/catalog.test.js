@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const CATALOG = '/api/v1/equations/catalog';
+
+const create = body => request(app).post(CATALOG).send(body);
+
+describe('catálogo de equações', () => {
+  beforeAll(async () => {
+    await create({ name: 'energia_cinetica', expression: 'm * v^2 / 2', variables: ['m', { name: 'v', default: 2 }], tags: ['fisica'] });
+  });
+
+  test('cadastro normaliza a expressão e começa na versão 1', async () => {
+    const res = await create({ name: 'area_circulo', expression: 'pi * r^2', variables: ['r'], tags: ['geometria'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'area_circulo', expression: 'pi * r ^ 2', version: 1, unused: [] });
+  });
+
+  test.each([
+    [{ name: 'energia_cinetica', expression: '1' }, 409, 'NAME_TAKEN'],
+    [{ name: 'incompleta', expression: 'm * ', variables: ['m'] }, 400, 'PARSE_ERROR'],
+    [{ name: 'sem_declarar', expression: 'm * y', variables: ['m'] }, 400, 'SYMBOL_NOT_ALLOWED']
+  ])('cadastro de %j responde %i %s', async (body, status, code) => {
+    const res = await create(body);
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('variáveis e tags inválidas são rejeitadas na validação', async () => {
+    const res = await create({ name: 'ruim', expression: 'x', variables: ['1x'], tags: ['com espaço'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['variables[0]', 'tags[0]']));
+  });
+
+  test('avaliação usa os valores informados e os padrões declarados', async () => {
+    const res = await request(app).post(`${CATALOG}/energia_cinetica/evaluate`).send({ values: { m: 3 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ values: { m: 3, v: 2 }, result: 6, version: 1 });
+  });
+
+  test.each([
+    [{ values: { m: 3, x: 1 } }, 'UNKNOWN_VARIABLE'],
+    [{ values: {} }, 'MISSING_VARIABLES']
+  ])('avaliação com %j é rejeitada com %s', async (body, code) => {
+    const res = await request(app).post(`${CATALOG}/energia_cinetica/evaluate`).send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('atualização cria versão nova e exige a versão esperada', async () => {
+    const created = await create({ name: 'versionada', expression: 'a + 1', variables: ['a'] });
+    const url = `${CATALOG}/${created.body.id}`;
+
+    const updated = await request(app).put(url).send({ expression: 'a + 2', expectedVersion: 1 });
+    const conflict = await request(app).put(url).send({ expression: 'a + 3', expectedVersion: 1 });
+    const [first, versions] = await Promise.all([
+      request(app).get(url).query({ version: 1 }),
+      request(app).get(`${url}/versions`)
+    ]);
+
+    expect(updated.body).toMatchObject({ version: 2, expression: 'a + 2' });
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.code).toBe('VERSION_CONFLICT');
+    expect(first.body.expression).toBe('a + 1');
+    expect(versions.body.versions.map(item => item.version)).toEqual([2, 1]);
+  });
+
+  test('busca por texto e tag', async () => {
+    const res = await request(app).get(CATALOG).query({ q: 'energia', tag: 'fisica' });
+
+    expect(res.body.items.map(item => item.name)).toEqual(['energia_cinetica']);
+    expect(res.body.tags).toEqual(expect.arrayContaining([{ tag: 'fisica', count: 1 }]));
+  });
+
+  test('exclusão remove a equação', async () => {
+    await create({ name: 'descartavel', expression: '1' });
+
+    const deleted = await request(app).delete(`${CATALOG}/descartavel`);
+    const [missing, version] = await Promise.all([
+      request(app).get(`${CATALOG}/descartavel`),
+      request(app).get(`${CATALOG}/energia_cinetica`).query({ version: 9 })
+    ]);
+
+    expect(deleted.body.deleted).toBe(true);
+    expect(missing.status).toBe(404);
+    expect(version.status).toBe(404);
+  });
+});
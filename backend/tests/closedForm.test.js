@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { evaluate } = require('mathjs');
+const app = require('../src/server');
+
+const cubic = body => request(app).post('/api/v1/equations/cubic').send(body);
+const quartic = body => request(app).post('/api/v1/equations/quartic').send(body);
+
+describe('cúbica (Cardano)', () => {
+  test('três raízes racionais exatas', async () => {
+    const res = await cubic({ a: 1, b: 0, c: -7, d: 6 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: 'three_real', method: 'cardano', discriminant: 400, solutions: [-3, 1, 2] });
+    expect(res.body.roots.map(root => root.exact)).toEqual(['-3', '1', '2']);
+  });
+
+  test('casus irreducibilis usa a forma trigonométrica', async () => {
+    const res = await cubic({ a: 1, b: 0, c: -3, d: 1 });
+
+    expect(res.body.type).toBe('three_real');
+    expect(res.body.roots.map(root => root.exact)).toEqual(['2·cos(8π/9)', '2·cos(14π/9)', '2·cos(2π/9)']);
+    expect(res.body.steps).toEqual(expect.arrayContaining([expect.stringContaining('casus irreducibilis')]));
+    expect(res.body.verification.every(item => item.isValid)).toBe(true);
+  });
+
+  test('uma raiz real e um par complexo com radicais', async () => {
+    const res = await cubic({ a: 1, b: 0, c: 0, d: -2 });
+
+    expect(res.body.type).toBe('one_real_two_complex');
+    expect(res.body.roots[0]).toMatchObject({ exact: '∛2', imag: 0 });
+    expect(res.body.roots[1].exact).toBe('-∛2/2 + (√3/2·∛2)i');
+  });
+
+  test('raiz tripla', async () => {
+    const res = await cubic({ a: 1, b: -3, c: 3, d: -1 });
+
+    expect(res.body).toMatchObject({ type: 'repeated_real', roots: [{ exact: '1', multiplicity: 3 }] });
+    expect(res.body.depressed).toMatchObject({ substitution: 'x = t + 1', p: '0', q: '0' });
+  });
+});
+
+describe('quártica (Ferrari)', () => {
+  test('biquadrada com quatro raízes reais', async () => {
+    const res = await quartic({ a: 1, b: -10, c: 35, d: -50, e: 24 });
+
+    expect(res.body).toMatchObject({ type: 'four_real', method: 'ferrari', solutions: [1, 2, 3, 4] });
+    expect(res.body.depressed).toMatchObject({ substitution: 'x = y + 5/2', q: '0' });
+  });
+
+  test('caso geral pela cúbica resolvente', async () => {
+    const res = await quartic({ a: 1, b: 0, c: 0, d: 1, e: 1 });
+
+    expect(res.body.type).toBe('four_complex');
+    expect(res.body.steps).toEqual(expect.arrayContaining([expect.stringMatching(/^Cúbica resolvente/)]));
+    expect(res.body.verification.every(item => item.isValid)).toBe(true);
+  });
+
+  test('formas exatas citam só o m devolvido em resolvent', async () => {
+    const res = await quartic({ a: 1, b: 2, c: 3, d: 4, e: 5 });
+    const { m } = res.body.resolvent;
+
+    expect(res.body.resolvent.equation).toBe('8m³ + 12m² - 24m - 4 = 0');
+    expect(res.body.roots[0].exact).toBe('(-√(2m) + √(-(3 + 2m - 4/√(2m))))/2 - 1/2');
+    res.body.roots.forEach(root => {
+      const value = evaluate(root.exact.replace(/√/g, 'sqrt').replace(/m/g, `(${m.value})`));
+      expect(value.re).toBeCloseTo(root.real, 8);
+      expect(value.im).toBeCloseTo(root.imag, 8);
+    });
+  });
+});
+
+describe('validação dos coeficientes', () => {
+  test.each([
+    ['cubic', { a: 0, b: 1, c: 2, d: 1 }, 'a'],
+    ['quartic', { a: 1, b: 2, c: 3, d: 'x', e: 1 }, 'd'],
+    ['quartic', { a: 1, b: 2, c: 3, d: 4 }, 'e']
+  ])('%s com %j rejeita o coeficiente %s', async (path, body, field) => {
+    const res = await request(app).post(`/api/v1/equations/${path}`).send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe(field);
+  });
+});
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const calculate = body => request(app).post('/api/v1/calculate').send(body);
+
+describe('resultados complexos', () => {
+  test('domínio complex devolve partes real/imaginária e forma polar', async () => {
+    const res = await calculate({ expression: 'sqrt(-4)', domain: 'complex' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ result: { re: 0, im: 2 }, formatted: '2i', type: 'complex' });
+    expect(res.body.polar.r).toBe(2);
+    expect(res.body.polar.theta).toBeCloseTo(Math.PI / 2, 12);
+  });
+
+  test('aritmética com a unidade imaginária', async () => {
+    const res = await calculate({ expression: '(1+2i)*(3-i)', domain: 'complex' });
+
+    expect(res.body.result).toEqual({ re: 5, im: 5 });
+  });
+
+  test('domínio real rejeita resultado complexo com dica', async () => {
+    const res = await calculate({ expression: 'sqrt(-4)' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('COMPLEX_RESULT');
+  });
+
+  test('parte imaginária de arredondamento é descartada no domínio real', async () => {
+    const res = await calculate({ expression: 'exp(i * pi)' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(-1);
+  });
+
+  test('domínio inválido', async () => {
+    const res = await calculate({ expression: '1', domain: 'quaternion' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_DOMAIN');
+  });
+});
@@ -0,0 +1,62 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const calculate = (body, language = 'pt-BR') =>
+  request(app).post('/api/v1/calculate').set('Accept-Language', language).send(body);
+
+describe('passo a passo (explain)', () => {
+  test('reduz na ordem das operações', async () => {
+    const res = await calculate({ expression: '2 + 3 * 4', explain: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.explanation.summary).toBe('2 + 3 * 4 → 2 + 12 → 14');
+    expect(res.body.explanation.steps[0]).toMatchObject({
+      step: 1,
+      rule: 'multiplication',
+      operation: '3 * 4',
+      highlight: { offset: 4, length: 5, text: '3 * 4' },
+      result: '12',
+      after: '2 + 12',
+      description: 'Multiplicação: 3 * 4 = 12'
+    });
+  });
+
+  test('parênteses, potência e funções em sequência, com descrições no idioma', async () => {
+    const res = await calculate({ expression: '(1 + 2)^2 - sqrt(16)', explain: true }, 'en');
+
+    expect(res.body.explanation.steps.map(step => step.rule))
+      .toEqual(['addition', 'exponent', 'function', 'subtraction']);
+    expect(res.body.explanation.steps[0].description).toBe('Addition: 1 + 2 = 3');
+    expect(res.body.result).toBe(5);
+  });
+
+  test('variáveis do programa viram passos de substituição', async () => {
+    const res = await calculate({ expression: 'a = 2; a * 3', explain: true });
+
+    expect(res.body.explanation.steps[0]).toMatchObject({ statement: 1, rule: 'substitution', operation: 'a', result: '2' });
+  });
+
+  test('sem explain: true a resposta não traz o passo a passo', async () => {
+    const [omitted, notBoolean] = await Promise.all([
+      calculate({ expression: '2 + 3' }),
+      calculate({ expression: '2 + 3', explain: 'true' })
+    ]);
+
+    expect(omitted.body.explanation).toBeUndefined();
+    expect(notBoolean.body.explanation).toBeUndefined();
+  });
+
+  test('modo programador ignora explain', async () => {
+    const res = await calculate({ expression: '2 + 3', mode: 'programmer', explain: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.explanation).toBeUndefined();
+  });
+
+  test('resultado inválido falha mesmo com explain', async () => {
+    const res = await calculate({ expression: '1/0 + 1', explain: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESULT');
+  });
+});
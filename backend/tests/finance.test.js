@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const post = (path, body) => request(app).post(`/api/v1/finance/${path}`).send(body);
+
+describe('matemática financeira', () => {
+  test('juros compostos com a evolução do saldo', async () => {
+    const res = await post('interest', { principal: 1000, rate: 0.1, periods: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ amount: 1210, interest: 210, calculation: '1000 × (1 + 0.1)^2 = 1210' });
+    expect(res.body.table.map(row => row.balance)).toEqual([1100, 1210]);
+  });
+
+  test('Price tem prestações iguais e zera o saldo', async () => {
+    const res = await post('amortization', { principal: 1000, rate: 0.01, periods: 3 });
+
+    expect(res.body).toMatchObject({ system: 'price', payment: 340.02, formula: 'PMT = PV × i / [1 − (1 + i)^−n]' });
+    expect(res.body.schedule[3].balance).toBe(0);
+  });
+
+  test('Price com taxa zero mostra PMT = PV / n nos passos', async () => {
+    const res = await post('amortization', { principal: 1200, rate: 0, periods: 12 });
+
+    expect(res.body).toMatchObject({
+      payment: 100,
+      formula: 'PMT = PV / n',
+      calculation: '1200 / 12 = 100',
+      totals: { payment: 1200, interest: 0, amortization: 1200 }
+    });
+  });
+
+  test('SAC tem amortizações iguais e prestações decrescentes', async () => {
+    const res = await post('amortization', { principal: 1000, rate: 0.01, periods: 3, system: 'sac' });
+
+    expect(res.body).toMatchObject({ amortization: 333.33, firstPayment: 343.33, lastPayment: 336.67 });
+  });
+
+  test('valor futuro de série sem juros é a soma dos pagamentos', async () => {
+    const res = await post('future-value', { payment: 100, rate: 0, periods: 12 });
+
+    expect(res.body).toMatchObject({ futureValue: 1200, formula: 'VF = VP × (1 + i)^n + PMT × n', totalInterest: 0 });
+  });
+
+  test('valor presente antecipado desconta a partir do período zero', async () => {
+    const res = await post('present-value', { payment: 100, rate: 0.1, periods: 2, timing: 'begin' });
+
+    expect(res.body.presentValue).toBeCloseTo(190.91, 2);
+    expect(res.body.table[0]).toMatchObject({ period: 0, discountFactor: 1 });
+  });
+
+  test('VPL com a soma descontada dos fluxos', async () => {
+    const res = await post('npv', { rate: 0.1, cashFlows: [-1000, 500, 600] });
+
+    expect(res.body).toMatchObject({ npv: -49.59, discountedPayback: null });
+  });
+
+  test.each([
+    ['amortization', { principal: 1000, rate: -1, periods: 3 }, 'INVALID_RATE'],
+    ['irr', { cashFlows: [100, 50] }, 'INVALID_CASH_FLOWS']
+  ])('%s com %j é rejeitado com %s', async (path, body, code) => {
+    const res = await post(path, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test.each([
+    ['amortization', { principal: 1000, rate: 0.01, periods: 0 }, 'periods'],
+    ['amortization', { principal: 1000, rate: 0.01, periods: 3, system: 'alemao' }, 'system'],
+    ['future-value', { payment: 100, rate: 'dez', periods: 3 }, 'rate'],
+    ['rates', { rate: 0.01, from: 'monthly' }, 'from']
+  ])('%s valida o campo de %j', async (path, body, field) => {
+    const res = await post(path, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe(field);
+  });
+});
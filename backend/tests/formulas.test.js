@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const solve = (id, body) => request(app).post(`/api/v1/formulas/${id}/solve`).send(body);
+
+describe('biblioteca de fórmulas', () => {
+  test('lista com filtro por categoria e busca', async () => {
+    const res = await request(app).get('/api/v1/formulas').query({ category: 'fluids', q: 'bernoulli' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.formulas.map(item => item.id)).toEqual(['bernoulli']);
+    expect(res.body.categories).toContain('electricity');
+  });
+
+  test('detalhe traz variáveis com unidade e descrição', async () => {
+    const res = await request(app).get('/api/v1/formulas/ohm-law');
+
+    expect(res.body.variables.I).toEqual(expect.objectContaining({ unit: 'A', description: expect.any(String) }));
+  });
+
+  test('isola a incógnita simbolicamente e converte unidades de entrada', async () => {
+    const res = await solve('ohm-law', { values: { V: 12, R: '4 ohm' } });
+
+    expect(res.body).toMatchObject({ variable: 'I', value: 3, unit: 'A', method: 'symbolic', expression: 'I = V / R' });
+  });
+
+  test('usa constantes padrão e converte o resultado para a unidade pedida', async () => {
+    const res = await solve('projectile-range', { values: { R: 100, v0: '36 m/s' }, unit: 'deg' });
+
+    expect(res.body.knowns.g).toMatchObject({ value: 9.80665, source: 'default' });
+    expect(res.body.converted.value).toBeCloseTo(24.5865, 3);
+  });
+
+  test('resolve numericamente quando não consegue isolar', async () => {
+    const res = await solve('uniform-acceleration-displacement', { values: { s: 10, v0: 1, a: 2 } });
+
+    expect(res.body.method).toBe('numeric');
+    expect(res.body.value).toBeCloseTo(2.70156, 5);
+    expect(res.body.roots).toHaveLength(2);
+  });
+
+  test.each([
+    [{ values: { V: 12 } }, 'UNDERDETERMINED'],
+    [{ values: { V: 12, R: 4, I: 3 } }, 'NOTHING_TO_SOLVE'],
+    [{ values: { V: 12, R: '4 kg' } }, 'INCOMPATIBLE_UNIT'],
+    [{ values: { V: 12, R: 4 }, target: 'X' }, 'UNKNOWN_VARIABLE']
+  ])('ohm-law com %j é rejeitado com %s', async (body, code) => {
+    const res = await solve('ohm-law', body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('sem solução real responde NO_SOLUTION', async () => {
+    const res = await solve('projectile-range', { values: { R: 1000, v0: '10 m/s' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NO_SOLUTION');
+  });
+
+  test('fórmula inexistente responde 404 e values precisa ser objeto', async () => {
+    const [missing, invalid] = await Promise.all([
+      solve('nope', { values: {} }),
+      solve('ohm-law', { values: 'x' })
+    ]);
+
+    expect(missing.status).toBe(404);
+    expect(missing.body.available_formulas).toContain('ohm-law');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0].path).toBe('values');
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { ALLOWED_FUNCTIONS, ALLOWED_CONSTANTS } = require('../src/lib/engine');
+
+const functions = query => request(app).get('/api/v1/calculate/functions').query(query);
+
+describe('catálogo de funções', () => {
+  let catalog;
+
+  beforeAll(async () => {
+    catalog = (await functions({})).body;
+  });
+
+  test('as funções liberadas são exatamente as do sandbox', () => {
+    catalog.functions.forEach(item => expect(item.allowed).toBe(ALLOWED_FUNCTIONS.has(item.name)));
+    expect(catalog.functions.filter(item => item.allowed).length).toBeGreaterThan(50);
+    expect(catalog.constants.map(item => item.name).sort()).toEqual([...ALLOWED_CONSTANTS].sort());
+  });
+
+  test('cada função traz assinaturas e tipos dos argumentos', () => {
+    const atan2 = catalog.functions.find(item => item.name === 'atan2');
+
+    expect(atan2).toMatchObject({ category: 'trigonometric', allowed: true });
+    expect(atan2.signatures).toEqual(expect.arrayContaining([{ types: ['number', 'number'], variadic: false }]));
+    expect(atan2.argumentTypes).toHaveLength(2);
+  });
+
+  test('os exemplos das funções liberadas rodam na própria API', async () => {
+    const sqrt = catalog.functions.find(item => item.name === 'sqrt');
+    const [example] = sqrt.examples;
+
+    const res = await request(app).post('/api/v1/calculate').send({ expression: example.expression });
+
+    expect(res.status).toBe(200);
+    expect(res.body.resultString).toBe(example.result);
+  });
+
+  test('filtra por categoria e busca no nome', async () => {
+    const res = await functions({ category: 'trigonometric', q: 'sin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(res.body.functions.length);
+    expect(res.body.functions.map(item => item.name)).toEqual(expect.arrayContaining(['sin', 'asin', 'sinh']));
+    expect(res.body.functions.every(item => item.category === 'trigonometric')).toBe(true);
+    expect(res.body.filters).toMatchObject({ category: 'trigonometric', q: 'sin' });
+  });
+
+  test('allowed=false lista as funções fora do sandbox', async () => {
+    const res = await functions({ allowed: 'false' });
+
+    expect(res.body.total).toBeGreaterThan(0);
+    expect(res.body.functions.some(item => ALLOWED_FUNCTIONS.has(item.name))).toBe(false);
+  });
+
+  test('categoria inexistente responde 404 com as disponíveis', async () => {
+    const res = await functions({ category: 'alquimia' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.available_categories).toContain('trigonometric');
+  });
+
+  test('allowed fora de true/false é rejeitado', async () => {
+    const res = await functions({ allowed: 'talvez' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('allowed');
+  });
+
+  test.each(['q[]=a', 'category[]=basic', 'q=a&q=b'])('filtro repetido ou em lista (%s) é rejeitado', async search => {
+    const res = await request(app).get(`/api/v1/calculate/functions?${search}`);
+
+    expect(res.status).toBe(400);
+    expect(['q', 'category']).toContain(res.body.details[0].path);
+  });
+});
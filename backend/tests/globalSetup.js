@@ -0,0 +1,12 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Diretório de dados da execução; o da execução anterior é descartado aqui, pois
+// gravações assíncronas do histórico podem terminar depois do último teste
+module.exports = () => {
+  const dir = path.join(os.tmpdir(), 'equation-hub-tests');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  process.env.EQUATION_HUB_TEST_DIR = dir;
+};
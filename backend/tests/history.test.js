@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { HISTORY_LIMITS, queryHistory } = require('../src/lib/history');
+
+const calculate = (expression, session) =>
+  request(app).post('/api/v1/calculate').set('X-Session-Id', session).send({ expression });
+
+describe('histórico por sessão', () => {
+  let own;
+  let other;
+
+  beforeAll(async () => {
+    own = (await calculate('2 + 3', 'sessao-a')).body;
+    other = (await calculate('7 * 6', 'sessao-b')).body;
+  });
+
+  const latestId = async session => {
+    const res = await request(app).get('/api/v1/history').query({ session, q: own.expression });
+    return res.body.items[0].id;
+  };
+
+  test.each([
+    ['get', '/api/v1/history'],
+    ['get', '/api/v1/history/1'],
+    ['post', '/api/v1/history/1/replay']
+  ])('%s %s exige a sessão', async (method, url) => {
+    const res = await request(app)[method](url);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ msg: 'Informe a sessão (parâmetro session ou cabeçalho X-Session-Id)' })
+    ]));
+  });
+
+  test('sessão em formato inválido é rejeitada', async () => {
+    const res = await request(app).get('/api/v1/history').set('X-Session-Id', 'com espaço');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('lista só os registros da sessão (parâmetro ou cabeçalho)', async () => {
+    const [byQuery, byHeader] = await Promise.all([
+      request(app).get('/api/v1/history').query({ session: 'sessao-a' }),
+      request(app).get('/api/v1/history').set('X-Session-Id', 'sessao-a')
+    ]);
+
+    expect(byQuery.status).toBe(200);
+    expect(byQuery.body.items.map(item => item.expression)).toEqual(['2 + 3']);
+    expect(byHeader.body.items).toEqual(byQuery.body.items);
+    expect(byQuery.body.items.every(item => item.session === 'sessao-a')).toBe(true);
+    expect(other.result).toBe(42);
+  });
+
+  test('registro de outra sessão responde 404', async () => {
+    const id = await latestId('sessao-a');
+
+    const [mine, foreign, replay] = await Promise.all([
+      request(app).get(`/api/v1/history/${id}`).set('X-Session-Id', 'sessao-a'),
+      request(app).get(`/api/v1/history/${id}`).set('X-Session-Id', 'sessao-b'),
+      request(app).post(`/api/v1/history/${id}/replay`).query({ session: 'sessao-b' })
+    ]);
+
+    expect(mine.status).toBe(200);
+    expect(mine.body.response.result).toBe(5);
+    expect(foreign.status).toBe(404);
+    expect(replay.status).toBe(404);
+  });
+
+  test('replay da própria sessão é gravado nela', async () => {
+    const id = await latestId('sessao-a');
+
+    const res = await request(app).post(`/api/v1/history/${id}/replay`).query({ session: 'sessao-a' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id, changed: false, replay: { status: 200 } });
+
+    const history = await request(app).get('/api/v1/history').set('X-Session-Id', 'sessao-a');
+    expect(history.body.items[0]).toMatchObject({ replayOf: id, session: 'sessao-a' });
+  });
+
+  test('requisição grande demais fica fora do arquivo e não pode ser reexecutada', async () => {
+    const expression = '1+'.repeat(HISTORY_LIMITS.maxStoredRequestBytes) + '1';
+    await calculate(expression, 'sessao-grande');
+
+    const { items: [entry] } = queryHistory({ session: 'sessao-grande' });
+    expect(entry).toMatchObject({ request: null, requestTruncated: true });
+    expect(entry.expression).toHaveLength(HISTORY_LIMITS.maxStoredExpressionLength);
+
+    const replay = await request(app).post(`/api/v1/history/${entry.id}/replay`).set('X-Session-Id', 'sessao-grande');
+    expect(replay.status).toBe(409);
+  });
+
+  test('compacta só depois da folga acima do limite', async () => {
+    const { maxEntries } = HISTORY_LIMITS;
+    HISTORY_LIMITS.maxEntries = 10;
+    const totals = [];
+    try {
+      for (let index = 0; index < 12; index++) {
+        await calculate(`${index} + 1`, 'sessao-c');
+        totals.push(queryHistory().pagination.total);
+      }
+    } finally {
+      HISTORY_LIMITS.maxEntries = maxEntries;
+    }
+
+    expect(Math.max(...totals)).toBe(11);
+    expect(totals.slice(-3)).toContain(10);
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const integrate = body => request(app).post('/api/v1/calculate/integrate').send(body);
+
+describe('POST /calculate/integrate', () => {
+  test('integral de polinômio é exata com Gauss–Kronrod', async () => {
+    const res = await integrate({ expression: 'x^2', lower: 0, upper: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ method: 'gauss-kronrod', converged: true });
+    expect(res.body.value).toBeCloseTo(9, 12);
+  });
+
+  test.each(['simpson', 'gauss-kronrod', 'romberg'])('limites infinitos com %s', async method => {
+    const res = await integrate({ expression: 'exp(-x^2)', lower: '-inf', upper: 'inf', method });
+
+    expect(res.status).toBe(200);
+    expect(res.body.value).toBeCloseTo(Math.sqrt(Math.PI), 8);
+    expect(res.body.errorEstimate).toBeLessThan(1e-6);
+  });
+
+  test('limites como expressões constantes', async () => {
+    const res = await integrate({ expression: 'sin(x)', lower: 0, upper: 'pi' });
+
+    expect(res.body.value).toBeCloseTo(2, 10);
+  });
+
+  test('integrando não finito no intervalo', async () => {
+    const res = await integrate({ expression: '1/x', lower: 0, upper: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NON_FINITE_INTEGRAND');
+  });
+
+  test('limite inválido', async () => {
+    const res = await integrate({ expression: 'x', lower: 'abc', upper: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_BOUND');
+  });
+
+  test('validação de método e limites ausentes', async () => {
+    const method = await integrate({ expression: 'x', lower: 0, upper: 1, method: 'trapezio' });
+    const bounds = await integrate({ expression: 'x' });
+
+    expect(method.status).toBe(400);
+    expect(bounds.status).toBe(400);
+  });
+
+  test('aviso de não convergência vem como código e texto no idioma pedido', async () => {
+    const res = await integrate({ expression: 'sin(1/x)', lower: 0.0001, upper: 1, method: 'simpson' }).set('Accept-Language', 'en');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ converged: false, warningCode: 'evaluation_limit' });
+    expect(res.body.warning).toMatch(/^Limit of \d+ evaluations reached without convergence/);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const solve = body => request(app).post('/api/v1/equations/linear-system').send(body);
+
+describe('sistemas lineares', () => {
+  test('solução única 3×3 com verificação', async () => {
+    const res = await solve({ matrix: [[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: 'unique', solution: { x: 2, y: 3, z: -1 } });
+    expect(res.body.verification.every(item => item.isValid)).toBe(true);
+  });
+
+  test.each([
+    [{ matrix: [[1e-12, 0, 1e-12], [0, 1e-12, 2e-12]] }],
+    [{ matrix: [[1e-12, 0, 1e-12], [0, 1, 2]] }],
+    [{ equations: ['1e-12x = 1e-12', '1e-12y = 2e-12'] }]
+  ])('coeficientes minúsculos não viram zero: %j', async body => {
+    const res = await solve(body);
+
+    expect(res.body).toMatchObject({ type: 'unique', ranks: { coefficient: 2 }, solution: { x: 1, y: 2 } });
+  });
+
+  test('impossível mesmo em escala 1e-12', async () => {
+    const res = await solve({ matrix: [[1e-12, 1e-12, 1e-12], [2e-12, 2e-12, 3e-12]] });
+
+    expect(res.body).toMatchObject({ type: 'none', ranks: { coefficient: 1, augmented: 2 }, solution: null });
+  });
+
+  test('infinitas soluções com a variável livre como parâmetro', async () => {
+    const res = await solve({ equations: ['x + y + z = 6', '2x + 2y + 2z = 12', 'x - y = 0'] });
+
+    expect(res.body.type).toBe('infinite');
+    expect(res.body.parametric.freeVariables).toEqual(['z']);
+    expect(res.body.verification.every(item => item.isValid)).toBe(true);
+  });
+
+  test.each([
+    [{ matrix: [[1, 2], [1]] }, 'matrix'],
+    [{ matrix: [[1, 2]], equations: ['x = 2'] }, ''],
+    [{ matrix: [[1, 1, 2]], variables: ['x'] }, 'matrix']
+  ])('%j é rejeitado na validação', async (body, field) => {
+    const res = await solve(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe(field);
+  });
+
+  test('equação não linear responde NONLINEAR_EQUATION', async () => {
+    const res = await solve({ equations: ['x*y = 1', 'x + y = 2'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NONLINEAR_EQUATION');
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const calculate = (body, language) => {
+  const req = request(app).post('/api/v1/calculate');
+  return (language ? req.set('Accept-Language', language) : req).send(body);
+};
+
+describe('vírgula decimal (pt-BR)', () => {
+  test('aceita decimais e milhares no formato do idioma', async () => {
+    const res = await calculate({ expression: '2,5 + 1.234,5', locale: 'pt-BR' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ result: 1237, formatted: '1.237' });
+  });
+
+  test('argumentos e elementos de matriz são separados por ";"', async () => {
+    const [max, matrix] = await Promise.all([
+      calculate({ expression: 'max(1,5; 2)', locale: 'pt-BR' }),
+      calculate({ expression: '[[1; 2]; [3; 4]]', locale: 'pt-BR' })
+    ]);
+
+    expect(max.body.result).toBe(2);
+    expect(matrix.body.result).toEqual([[1, 2], [3, 4]]);
+  });
+
+  test('fora de parênteses ";" continua separando instruções', async () => {
+    const res = await calculate({ expression: 'a = 1,5; a * 2', locale: 'pt-BR' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(3);
+  });
+
+  test('função de um argumento aceita decimal sem ";"', async () => {
+    const res = await calculate({ expression: 'sqrt(2,25)', locale: 'pt-BR' });
+
+    expect(res.body.result).toBe(1.5);
+  });
+
+  test.each(['max(1,2)', 'max(1, 2)', '[1,2]', 'f(x, y) = x'])('rejeita %s, que teria duas leituras', async expression => {
+    const res = await calculate({ expression, locale: 'pt-BR' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('AMBIGUOUS_SEPARATOR');
+    expect(res.body.details).toContain(';');
+  });
+
+  test('a mensagem de ambiguidade segue o Accept-Language', async () => {
+    const res = await calculate({ expression: 'max(1,2)', locale: 'pt-BR' }, 'en');
+
+    expect(res.body.details).toBe('With a decimal comma, separate arguments and elements with ";" (position 5)');
+  });
+
+  test('/validate também rejeita a vírgula ambígua', async () => {
+    const res = await request(app).post('/api/v1/calculate/validate').send({ expression: 'max(1,2)', locale: 'pt-BR' });
+
+    expect(res.body).toMatchObject({ valid: false, code: 'AMBIGUOUS_SEPARATOR' });
+  });
+
+  test('sem vírgula decimal a vírgula separa argumentos normalmente', async () => {
+    const res = await calculate({ expression: 'max(1,2)', locale: 'en' });
+
+    expect(res.body.result).toBe(2);
+  });
+});
+
+describe('erros de sintaxe traduzidos', () => {
+  test('o idioma padrão traduz a mensagem do Math.js', async () => {
+    const res = await calculate({ expression: '1 +' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'PARSE_ERROR', details: 'Fim inesperado da expressão (posição 4)' });
+  });
+
+  test.each([
+    ['en', '(1', "')' expected at position 3"],
+    ['es', '2 3', 'Fragmento inesperado "3" en la posición 3'],
+    ['en', '[1, 2; 3]', 'Matrix rows have different numbers of elements (position 10)']
+  ])('%s: %s', async (language, expression, details) => {
+    const res = await calculate({ expression }, language);
+
+    expect(res.body.code).toBe('PARSE_ERROR');
+    expect(res.body.details).toBe(details);
+  });
+
+  test('/validate devolve o erro traduzido e mantém a posição nos detalhes', async () => {
+    const res = await request(app)
+      .post('/api/v1/calculate/validate')
+      .set('Accept-Language', 'es')
+      .send({ expression: '1 +' });
+
+    expect(res.body).toMatchObject({
+      valid: false,
+      code: 'PARSE_ERROR',
+      error: 'Fin inesperado de la expresión (posición 4)',
+      details: { char: 4, reason: 'unexpected_end' }
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { LIMITS } = require('../src/lib/engine');
+
+const calculate = body => request(app).post('/api/v1/calculate').send(body);
+
+// Vetor com o número máximo de elementos aceito no escopo
+const vector = Array.from({ length: LIMITS.maxMatrixElements }, (_, index) => index % 7);
+const column = vector.map(value => [value]);
+
+describe('matrizes e vetores', () => {
+  test('resultado como arrays aninhados com forma', async () => {
+    const res = await calculate({ expression: 'inv(A)', scope: { A: [[1, 2], [3, 4]] } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.type).toBe('matrix');
+    expect(res.body.shape).toEqual([2, 2]);
+    expect(res.body.result[0][0]).toBeCloseTo(-2, 12);
+    expect(res.body.result[1][1]).toBeCloseTo(-0.5, 12);
+  });
+
+  test('vetores e decomposições', async () => {
+    const product = await calculate({ expression: 'A * [1, 1]', scope: { A: [[1, 2], [3, 4]] } });
+    const eigs = await calculate({ expression: 'eigs([[2, 0], [0, 3]])' });
+
+    expect(product.body).toMatchObject({ result: [3, 7], shape: [2], type: 'vector' });
+    expect(eigs.body.type).toBe('decomposition');
+    expect(eigs.body.result.values).toEqual([2, 3]);
+  });
+
+  test('escopo com matriz irregular ou grande demais', async () => {
+    const ragged = await calculate({ expression: 'A', scope: { A: [[1, 2], [3]] } });
+    const large = await calculate({ expression: 'v', scope: { v: [...vector, 1] } });
+
+    expect(ragged.body.code).toBe('INVALID_SCOPE');
+    expect(large.body.code).toBe('INVALID_SCOPE');
+  });
+
+  test.each([
+    ['diag(v)', { v: vector }, 'diag'],
+    ['v * transpose(v)', { v: column }, 'multiply'],
+    ['c + transpose(c)', { c: column }, 'add'],
+    ['ones(10000, 1) * ones(1, 10000)', {}, 'multiply'],
+    ['kron(v, v)', { v: vector }, 'kron'],
+    ['identity(101)', {}, 'identity']
+  ])('%s é rejeitada antes de alocar o resultado', async (expression, scope, fn) => {
+    const started = Date.now();
+    const res = await calculate({ expression, scope });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('MATRIX_TOO_LARGE');
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(res.body.details).toContain(fn);
+  });
+
+  test('produto externo dentro do limite', async () => {
+    const res = await calculate({ expression: 'v * transpose(v)', scope: { v: column.slice(0, 100) } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shape).toEqual([100, 100]);
+  });
+
+  test('operações elemento a elemento em vetores grandes continuam aceitas', async () => {
+    const res = await calculate({ expression: 'sum(v .* v)', scope: { v: vector } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(vector.reduce((total, value) => total + value * value, 0));
+  });
+});
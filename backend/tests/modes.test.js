@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { LIMITS, getSandbox } = require('../src/lib/engine');
+
+const calculate = body => request(app).post('/api/v1/calculate').send(body);
+const validate = body => request(app).post('/api/v1/calculate/validate').send(body);
+
+describe('modos bignumber e fraction', () => {
+  test('bignumber respeita a precisão pedida', async () => {
+    const res = await calculate({ expression: '0.1 + 0.2', mode: 'bignumber', precision: 32 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.resultString).toBe('0.3');
+    expect(res.body.precision).toBe(32);
+  });
+
+  test('inteiros grandes no bignumber saem com todos os dígitos', async () => {
+    const res = await calculate({ expression: 'factorial(30)', mode: 'bignumber' });
+
+    expect(res.body.resultString).toBe('265252859812191058636308480000000');
+  });
+
+  test('inteiros além da precisão saem em notação exponencial, sem zeros de preenchimento', async () => {
+    const [power, factorial] = await Promise.all([
+      calculate({ expression: '10^100', mode: 'bignumber' }),
+      calculate({ expression: 'factorial(30)', mode: 'bignumber', precision: 10 })
+    ]);
+
+    expect(power.body.resultString).toBe('1e+100');
+    expect(factorial.body.resultString).toBe('2.652528598e+32');
+  });
+
+  test.each(['10^(10^15)', '10^(10^6)'])('bignumber rejeita %s antes de serializar', async expression => {
+    const res = await calculate({ expression, mode: 'bignumber' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'RESULT_TOO_LARGE', details: `Resultado muito grande (máximo 1e${LIMITS.maxBigExponent})` });
+  });
+
+  test('fraction devolve a razão exata', async () => {
+    const res = await calculate({ expression: '1/3 + 1/6', mode: 'fraction' });
+
+    expect(res.body).toMatchObject({ resultString: '1/2', formatted: '1/2', type: 'fraction' });
+  });
+
+  test.each(['2^1000', '2^2000', '1/3^40'])('fraction rejeita %s, que perderia a exatidão', async expression => {
+    const res = await calculate({ expression, mode: 'fraction' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_IN_MODE');
+  });
+
+  test('fraction rejeita operações sem resultado racional', async () => {
+    const res = await calculate({ expression: 'sqrt(2)', mode: 'fraction' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_IN_MODE');
+  });
+
+  test.each([
+    ['sqrt(4)', '2'],
+    ['sqrt(1/4)', '1/2'],
+    ['nthRoot(-8/27, 3) + cbrt(1/8)', '-1/6']
+  ])('fraction extrai raízes exatas: %s = %s', async (expression, expected) => {
+    const res = await calculate({ expression, mode: 'fraction' });
+
+    expect(res.body).toMatchObject({ resultString: expected, type: 'fraction' });
+  });
+
+  test.each([
+    ['sqrt(-4)', 'sqrt(-4) has no exact rational result'],
+    ['sin(1/2)', 'Operation not supported for fractions in fraction mode']
+  ])('fraction explica por que rejeita %s', async (expression, message) => {
+    const res = await calculate({ expression, mode: 'fraction' }).set('Accept-Language', 'en');
+
+    expect(res.body.code).toBe('UNSUPPORTED_IN_MODE');
+    expect(res.body.details).toContain(message);
+  });
+
+  test('inteiros até 2^53 continuam exatos', async () => {
+    const res = await calculate({ expression: '2^53 - 1', mode: 'fraction' });
+
+    expect(res.body.resultString).toBe('9007199254740991');
+  });
+
+  test.each([
+    [{ mode: 'decimal' }, 'INVALID_MODE'],
+    [{ mode: 'bignumber', precision: LIMITS.maxPrecision + 1 }, 'INVALID_PRECISION']
+  ])('opções inválidas %j', async (options, code) => {
+    const res = await calculate({ expression: '1', ...options });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  describe('prévia do /validate', () => {
+    test('usa a mesma serialização do /calculate', async () => {
+      const body = { expression: '8/2', mode: 'fraction' };
+      const [preview, result] = await Promise.all([validate(body), calculate(body)]);
+
+      expect(preview.body.preview).toBe('4');
+      expect(result.body.formatted).toBe('4');
+    });
+
+    test('resultado inexato ou infinito não é válido', async () => {
+      const inexact = await validate({ expression: '2^1000', mode: 'fraction' });
+      const infinite = await validate({ expression: '1/0' });
+
+      expect(inexact.body).toMatchObject({ valid: false, code: 'UNSUPPORTED_IN_MODE' });
+      expect(infinite.body).toMatchObject({ valid: false, code: 'INVALID_RESULT' });
+    });
+  });
+
+  test('cache de instâncias por precisão é limitado (LRU)', () => {
+    const first = getSandbox({ mode: 'bignumber', precision: 10 });
+    expect(getSandbox({ mode: 'bignumber', precision: 10 })).toBe(first);
+
+    for (let precision = 11; precision <= 10 + LIMITS.maxSandboxes; precision++) {
+      getSandbox({ mode: 'bignumber', precision });
+    }
+
+    const recent = getSandbox({ mode: 'bignumber', precision: 10 + LIMITS.maxSandboxes });
+    expect(getSandbox({ mode: 'bignumber', precision: 10 + LIMITS.maxSandboxes })).toBe(recent);
+    expect(getSandbox({ mode: 'bignumber', precision: 10 })).not.toBe(first);
+  });
+});
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { NUMBER_THEORY_LIMITS } = require('../src/lib/numberTheory');
+
+const post = (path, body) => request(app).post(`/api/v1/number-theory/${path}`).send(body);
+
+describe('teoria dos números', () => {
+  test('fatoração em primos com expoentes', async () => {
+    const res = await post('factorize', { n: '360' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ factorization: '2^3 × 3^2 × 5', isPrime: false, complete: true });
+  });
+
+  test('Miller–Rabin reconhece primo grande e número de Carmichael', async () => {
+    const [mersenne, carmichael] = await Promise.all([
+      post('primality', { n: '170141183460469231731687303715884105727' }),
+      post('primality', { n: 561 })
+    ]);
+
+    expect(mersenne.body.isPrime).toBe(true);
+    expect(mersenne.body.errorProbability).toBeLessThan(1e-11);
+    expect(carmichael.body).toMatchObject({ isPrime: false, deterministic: true });
+  });
+
+  test('mdc e mmc com os coeficientes de Bézout', async () => {
+    const res = await post('gcd', { values: ['240', '46'] });
+
+    expect(res.body).toMatchObject({ gcd: '2', lcm: '5520', coefficients: ['-9', '47'] });
+    expect(res.body.steps[0].steps[0].equation).toBe('240 = 5 × 46 + 10');
+  });
+
+  test('inverso e exponenciação modulares', async () => {
+    const [inverse, power] = await Promise.all([
+      post('modinv', { a: '3', modulus: '11' }),
+      post('modpow', { base: '4', exponent: '13', modulus: '497' })
+    ]);
+
+    expect(inverse.body).toMatchObject({ inverse: '4', equation: '3 × 4 ≡ 1 (mod 11)' });
+    expect(power.body.result).toBe('445');
+  });
+
+  test('função totiente de Euler', async () => {
+    const res = await post('totient', { n: '36' });
+
+    expect(res.body.totient).toBe('12');
+  });
+
+  test('teorema chinês do resto, com e sem solução', async () => {
+    const [solvable, conflicting] = await Promise.all([
+      post('crt', { congruences: [{ remainder: '2', modulus: '3' }, { remainder: '3', modulus: '5' }, { remainder: '2', modulus: '7' }] }),
+      post('crt', { congruences: [{ remainder: '1', modulus: '4' }, { remainder: '2', modulus: '6' }] })
+    ]);
+
+    expect(solvable.body).toMatchObject({ solvable: true, solution: '23', modulus: '105' });
+    expect(conflicting.body).toMatchObject({ solvable: false, conflict: 1 });
+  });
+
+  test.each([
+    ['modinv', { a: '2', modulus: '4' }, 'NO_INVERSE'],
+    ['factorize', { n: 'abc' }, 'INVALID_INTEGER'],
+    ['factorize', { n: '0' }, 'NON_POSITIVE_INTEGER'],
+    ['modpow', { base: '2', exponent: '3', modulus: '0' }, 'NON_POSITIVE_INTEGER'],
+    ['factorize', { n: '1'.padEnd(NUMBER_THEORY_LIMITS.maxFactorDigits + 1, '0') }, 'INTEGER_TOO_LARGE']
+  ])('%s com %j é rejeitado com %s', async (path, body, code) => {
+    const res = await post(path, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test.each([
+    ['gcd', { values: ['5'] }, 'values'],
+    ['crt', { congruences: [] }, 'congruences']
+  ])('%s valida o tamanho das listas', async (path, body, field) => {
+    const res = await post(path, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe(field);
+  });
+});
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { PLOT_LIMITS } = require('../src/lib/plot');
+
+const plot = body => request(app).post('/api/v1/calculate/plot').send(body);
+
+describe('POST /calculate/plot', () => {
+  test('amostras em segmentos com raízes e extremos', async () => {
+    const res = await plot({ expressions: 'x^2 - 1', domain: { min: -2, max: 2 } });
+
+    expect(res.status).toBe(200);
+    const [series] = res.body.series;
+    expect(series.segments).toHaveLength(1);
+    expect(series.roots.map(root => root.x)).toEqual([expect.closeTo(-1, 6), expect.closeTo(1, 6)]);
+    expect(series.extrema).toEqual([{ x: expect.closeTo(0, 6), y: expect.closeTo(-1, 6), type: 'minimum' }]);
+  });
+
+  test('assíntota separa a curva em segmentos', async () => {
+    const res = await plot({ expressions: ['1/x'], domain: { min: -1, max: 1 } });
+    const [series] = res.body.series;
+
+    expect(series.segments).toHaveLength(2);
+    expect(series.discontinuities).toEqual([{ x: 0, type: 'asymptote' }]);
+  });
+
+  test('interseções entre várias curvas', async () => {
+    const res = await plot({ expressions: ['x', '2 - x'], domain: { min: -3, max: 3 } });
+
+    expect(res.body.series).toHaveLength(2);
+    expect(res.body.intersections).toEqual([{ x: expect.closeTo(1, 6), y: expect.closeTo(1, 6), series: [0, 1] }]);
+  });
+
+  test.each([
+    [{ expressions: [], domain: { min: 0, max: 1 } }],
+    [{ expressions: 'x', domain: { min: 0 } }],
+    [{ expressions: 'x', domain: { min: 0, max: 1 }, points: PLOT_LIMITS.maxPoints + 1 }]
+  ])('requisição inválida %#', async body => {
+    const res = await plot(body);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('domínio invertido', async () => {
+    const res = await plot({ expressions: 'x', domain: { min: 1, max: 0 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_DOMAIN_BOUND');
+  });
+
+  test('intervalo cuja largura estoura é rejeitado', async () => {
+    const res = await plot({ expressions: 'x', domain: { min: -1e308, max: 1e308 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_DOMAIN_BOUND', details: expect.stringContaining('max - min') });
+  });
+
+  test('intervalo enorme mas finito gera só abscissas finitas', async () => {
+    const res = await plot({ expressions: '1/x', domain: { min: -8e307, max: 8e307 }, points: 40 });
+
+    const xs = res.body.series[0].segments.flat().map(([x]) => x);
+    expect(res.status).toBe(200);
+    expect(xs.every(Number.isFinite)).toBe(true);
+    expect(res.body.series[0].discontinuities.every(item => Number.isFinite(item.x))).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { findPolynomialRoots } = require('../src/lib/polynomial');
+
+const polynomial = coefficients => request(app).post('/api/v1/equations/polynomial').send({ coefficients });
+
+// Coeficientes (do maior para o menor grau) do polinômio mônico com essas raízes
+const fromRoots = roots => roots.reduce((coefficients, root) => [...coefficients, 0].map(
+  (coefficient, index) => coefficient - (index > 0 ? root * coefficients[index - 1] : 0)
+), [1]);
+
+const rootsOf = coefficients => findPolynomialRoots(coefficients).roots
+  .map(({ root, multiplicity }) => [Number(root.re.toPrecision(8)), root.im, multiplicity]);
+
+describe('raízes de polinômios', () => {
+  test('agrupa raízes múltiplas com a multiplicidade', async () => {
+    const res = await polynomial([1, -3, 3, -1]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.roots).toEqual([{ real: 1, imag: 0, multiplicity: 3 }]);
+  });
+
+  test('raízes próximas mas distintas não são fundidas', async () => {
+    const res = await polynomial([1, -2.000001, 1.000001]);
+
+    expect(res.body.roots.map(root => root.multiplicity)).toEqual([1, 1]);
+    expect(res.body.solutions[0]).toBeCloseTo(1, 8);
+    expect(res.body.solutions[1]).toBeCloseTo(1.000001, 8);
+  });
+
+  test('a quadrática e a cúbica com o mesmo par próximo concordam', () => {
+    const quadratic = rootsOf([1, -2.000001, 1.000001]);
+    const cubic = rootsOf([1, -4.000001, 5.000003, -2.000002]);
+
+    expect(cubic.slice(0, 2)).toEqual(quadratic);
+    expect(cubic[2]).toEqual([2, 0, 1]);
+  });
+
+  test.each([
+    [[0.3, 0.3, -2, 5, 5, 5], [[-2, 0, 1], [0.3, 0, 2], [5, 0, 3]]],
+    [[1e-3, 1e-3, 7], [[0.001, 0, 2], [7, 0, 1]]],
+    [[1e4, 1e4, 1], [[1, 0, 1], [10000, 0, 2]]],
+    [[10, 10.0001], [[10, 0, 1], [10.0001, 0, 1]]]
+  ])('raízes %j em qualquer escala', (roots, expected) => {
+    expect(rootsOf(fromRoots(roots))).toEqual(expected);
+  });
+
+  test('pares complexos conjugados duplos', () => {
+    expect(rootsOf([1, 0, 2, 0, 1])).toEqual([[0, 1, 2], [0, -1, 2]]);
+  });
+
+  test('raiz nula sai com a multiplicidade dos zeros à direita', async () => {
+    const res = await polynomial([1, -1, 0, 0]);
+
+    expect(res.body.roots).toEqual([{ real: 0, imag: 0, multiplicity: 2 }, { real: 1, imag: 0, multiplicity: 1 }]);
+  });
+
+  test('coeficientes inválidos são rejeitados', async () => {
+    const res = await polynomial([1]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('coefficients');
+  });
+});
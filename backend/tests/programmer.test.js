@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const programmer = (expression, options = {}) =>
+  request(app).post('/api/v1/calculate').send({ expression, mode: 'programmer', ...options });
+
+describe('modo programador', () => {
+  test('aceita literais hexadecimais, binários e octais', async () => {
+    const res = await programmer('0xFF & 0b1010 | 0o17');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      result: 15,
+      type: 'integer',
+      bases: { binary: '1111', octal: '17', decimal: '15', hexadecimal: 'F' }
+    });
+  });
+
+  test('NOT e deslocamentos respeitam a palavra e o sinal', async () => {
+    const [not, arithmetic, logical] = await Promise.all([
+      programmer('~0', { wordSize: 16, signed: false }),
+      programmer('-8 >> 1', { wordSize: 8 }),
+      programmer('-8 >>> 1', { wordSize: 8 })
+    ]);
+
+    expect(not.body).toMatchObject({ result: 65535, bits: '1111 1111 1111 1111', interpretations: { signed: '-1' } });
+    expect(arithmetic.body.result).toBe(-4);
+    expect(logical.body.result).toBe(124);
+  });
+
+  test.each([
+    ['wrap', 44],
+    ['saturate', 255]
+  ])('estouro em 8 bits sem sinal com overflow=%s', async (overflow, result) => {
+    const res = await programmer('200 + 100', { wordSize: 8, signed: false, overflow });
+
+    expect(res.body).toMatchObject({ result, overflowed: true, word: { size: 8, min: '0', max: '255' } });
+  });
+
+  test('overflow=error rejeita o estouro', async () => {
+    const res = await programmer('0x7F + 1', { wordSize: 8, overflow: 'error' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('OVERFLOW');
+  });
+
+  test('valores de ponto flutuante trazem a decomposição IEEE-754', async () => {
+    const res = await programmer('1.5');
+
+    expect(res.body.type).toBe('float');
+    expect(res.body.ieee754.double).toMatchObject({ sign: 0, hexadecimal: '3FF8000000000000', class: 'normal' });
+    expect(res.body.ieee754.single.hexadecimal).toBe('3FC00000');
+  });
+
+  test.each([
+    ['1.5 & 1', {}, 'NON_INTEGER_OPERAND'],
+    ['5 / 0', {}, 'DIVISION_BY_ZERO'],
+    ['1', { wordSize: 12 }, 'INVALID_WORD_SIZE'],
+    ['1', { overflow: 'explode' }, 'INVALID_OVERFLOW_MODE']
+  ])('%s com %j é rejeitado com %s', async (expression, options, code) => {
+    const res = await programmer(expression, options);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+});
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const render = body => request(app).post('/api/v1/render').send(body);
+
+describe('POST /render', () => {
+  test('expressão em LaTeX e MathML', async () => {
+    const res = await render({ expression: 'sqrt(x)/2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.latex).toBe('\\frac{\\sqrt{ x}}{2}');
+    expect(res.body.mathml).toBe(
+      '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mfrac><msqrt><mi>x</mi></msqrt><mn>2</mn></mfrac></math>'
+    );
+  });
+
+  test('modo inline', async () => {
+    const res = await render({ expression: 'x^2', display: 'inline' });
+
+    expect(res.body.mathml).toContain('display="inline"');
+    expect(res.body.mathml).toContain('<msup><mi>x</mi><mn>2</mn></msup>');
+  });
+
+  test('matriz como valor', async () => {
+    const res = await render({ value: [[1, 2], [3, 4]] });
+
+    expect(res.body).toMatchObject({ type: 'value', latex: '\\begin{bmatrix}1&2\\\\3&4\\end{bmatrix}' });
+  });
+
+  test('a expressão passa pela lista branca do sandbox', async () => {
+    const res = await render({ expression: 'import(1)' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('FUNCTION_NOT_ALLOWED');
+  });
+
+  test('exige expression ou value', async () => {
+    const res = await render({});
+
+    expect(res.status).toBe(400);
+  });
+
+  test('opção render nos cálculos', async () => {
+    const res = await request(app).post('/api/v1/calculate').send({ expression: '1/2', render: true });
+
+    expect(res.body.render.expression.latex).toBe('\\frac{1}{2}');
+    expect(res.body.render.result.latex).toBe('0.5');
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { LIMITS } = require('../src/lib/engine');
+
+const calculate = (expression, headers = {}) =>
+  request(app).post('/api/v1/calculate').set(headers).send({ expression });
+
+describe('sandbox de expressões', () => {
+  test('avalia expressões da lista branca', async () => {
+    const res = await calculate('sqrt(16) + 2^3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(12);
+  });
+
+  test.each([
+    ['import({}, {})', 'FUNCTION_NOT_ALLOWED'],
+    ['evaluate("1")', 'FUNCTION_NOT_ALLOWED'],
+    ['f = 1; f.constructor', 'NODE_NOT_ALLOWED'],
+    ['x > 1 ? 1 : 0', 'NODE_NOT_ALLOWED'],
+    ['desconhecido + 1', 'SYMBOL_NOT_ALLOWED'],
+    ['factorial(171)', 'MAGNITUDE_EXCEEDED'],
+    ['1e101', 'MAGNITUDE_EXCEEDED']
+  ])('%s é rejeitada com %s', async (expression, code) => {
+    const res = await calculate(expression);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('expressão longa demais', async () => {
+    const res = await calculate('1+'.repeat(LIMITS.maxLength));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('EXPRESSION_TOO_LONG');
+  });
+
+  test('aninhamento profundo demais', async () => {
+    const depth = LIMITS.maxDepth + 1;
+    const res = await calculate(`${'('.repeat(depth)}1${')'.repeat(depth)}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOO_DEEP');
+  });
+
+  describe('combinations e permutations', () => {
+    test('valores dentro do limite', async () => {
+      expect((await calculate('combinations(5, 2)')).body.result).toBe(10);
+      expect((await calculate('permutations(5, 2)')).body.result).toBe(20);
+      expect((await calculate('permutations(4)')).body.result).toBe(24);
+    });
+
+    test.each([
+      'combinations(1e50, 5e49)',
+      'combinations(1e8, 5e7)',
+      'permutations(1e6)'
+    ])('%s é rejeitada antes de avaliar', async expression => {
+      const started = Date.now();
+      const res = await calculate(expression);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('MAGNITUDE_EXCEEDED');
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('argumentos não inteiros ou negativos', async () => {
+      for (const expression of ['combinations(5.5, 2)', 'permutations(-3)']) {
+        const res = await calculate(expression);
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('NON_INTEGER_ARGUMENT');
+      }
+    });
+
+    test('validate rejeita pelo mesmo limite em vez de mostrar NaN', async () => {
+      const res = await request(app)
+        .post('/api/v1/calculate/validate')
+        .send({ expression: 'combinations(1e8, 5e7)' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.valid).toBe(false);
+      expect(res.body.code).toBe('MAGNITUDE_EXCEEDED');
+      expect(res.body.details).toEqual({ function: 'combinations', limit: LIMITS.maxCombinatorics });
+    });
+
+    test('mensagem traduzida pelo código do erro', async () => {
+      const res = await calculate('combinations(1e8, 5e7)', { 'Accept-Language': 'en' });
+
+      expect(res.body.details).toBe(`Argument of combinations too large (maximum ${LIMITS.maxCombinatorics})`);
+    });
+  });
+});
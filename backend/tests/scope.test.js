@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { LIMITS } = require('../src/lib/engine');
+
+const calculate = body => request(app).post('/api/v1/calculate').send(body);
+
+describe('variáveis e funções do usuário', () => {
+  test('funções definidas no programa usam o escopo do cliente', async () => {
+    const res = await calculate({ expression: 'f(x) = x^2 + a; f(r)', scope: { r: 3, a: 1 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe(10);
+    expect(res.body.assignments).toEqual([
+      { type: 'function', name: 'f', params: ['x'], definition: 'f(x) = x ^ 2 + a' }
+    ]);
+  });
+
+  test('atribuições são listadas com o valor', async () => {
+    const res = await calculate({ expression: 'y = 2; y * 3' });
+
+    expect(res.body.result).toBe(6);
+    expect(res.body.assignments[0]).toMatchObject({ type: 'variable', name: 'y', value: 2 });
+  });
+
+  test.each([
+    [{ expression: 'pi = 3' }, 'INVALID_NAME'],
+    [{ expression: 'sin(x) = x; 1' }, 'INVALID_NAME'],
+    [{ expression: 'f(x) = f(x) + 1; f(1)' }, 'FUNCTION_NOT_ALLOWED'],
+    [{ expression: 'f(x) = x' }, 'NO_RESULT'],
+    [{ expression: 'x', scope: { x: 'abc' } }, 'INVALID_SCOPE'],
+    [{ expression: 'x', scope: [1] }, 'INVALID_SCOPE']
+  ])('%j é rejeitado com %s', async (body, code) => {
+    const res = await calculate(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('escopo com variáveis demais', async () => {
+    const scope = Object.fromEntries(Array.from({ length: LIMITS.maxScopeVariables + 1 }, (_, index) => [`v${index}`, index]));
+    const res = await calculate({ expression: 'v0', scope });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SCOPE');
+  });
+
+  test('instruções demais', async () => {
+    const res = await calculate({ expression: Array(LIMITS.maxStatements + 1).fill('1').join('; ') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOO_MANY_STATEMENTS');
+  });
+});
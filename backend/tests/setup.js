@@ -0,0 +1,7 @@
+const fs = require('fs');
+const path = require('path');
+
+// Histórico e catálogo de cada arquivo de teste em um diretório próprio
+const dataDir = fs.mkdtempSync(path.join(process.env.EQUATION_HUB_TEST_DIR, 'suite-'));
+process.env.HISTORY_FILE = path.join(dataDir, 'history.jsonl');
+process.env.CATALOG_FILE = path.join(dataDir, 'catalog.json');
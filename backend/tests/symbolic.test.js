@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { SYMBOLIC_LIMITS } = require('../src/lib/symbolic');
+
+const post = (path, body) => request(app).post(`/api/v1/calculate/${path}`).send(body);
+
+describe('derivada simbólica', () => {
+  test('resultado simplificado, passos por ordem e valor no ponto', async () => {
+    const res = await post('derivative', { expression: 'x^5 + 3x^2', order: 2, at: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result.text).toBe('20 * x ^ 3 + 6');
+    expect(res.body.simplified).toBe(true);
+    expect(res.body.steps.map(step => step.order)).toEqual([1, 2]);
+    expect(res.body.value.result).toBe(26);
+  });
+
+  test('derivada parcial com escopo completo', async () => {
+    const res = await post('derivative', { expression: 'x^2 * y', variable: 'x', at: { x: 1, y: 3 } });
+
+    expect(res.body.result.text).toBe('2 * y * x');
+    expect(res.body.value.result).toBe(6);
+  });
+
+  test.each([
+    ['x^2', '3'],
+    ['x^2 * y', { x: '1', y: 3 }]
+  ])('ponto em texto numérico é aceito: %s em %j', async (expression, at) => {
+    const res = await post('derivative', { expression, at });
+
+    expect(res.body.value.result).toBe(6);
+  });
+
+  test.each([[[1, 2]], [{ x: [1] }], ['abc']])('ponto %j é rejeitado na validação', async at => {
+    const res = await post('derivative', { expression: 'x^2', at });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('at');
+  });
+
+  test('ordem alta de expressão que cresce termina rápido com erro de tamanho', async () => {
+    const started = Date.now();
+    const res = await post('derivative', { expression: 'sin(x)^3*exp(x^2)*tan(x)', order: SYMBOLIC_LIMITS.maxOrder });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('RESULT_TOO_LARGE');
+    expect(Date.now() - started).toBeLessThan(3000);
+  });
+
+  test('resultado grande demais para simplificar sai sem simplificação', async () => {
+    const started = Date.now();
+    const res = await post('derivative', { expression: 'sin(x)^3*exp(x^2)*tan(x)', order: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.simplified).toBe(false);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  test('ordem fora do intervalo', async () => {
+    const res = await post('derivative', { expression: 'x', order: SYMBOLIC_LIMITS.maxOrder + 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('order');
+  });
+});
+
+describe('simplify e expand', () => {
+  test('simplify agrupa termos', async () => {
+    const res = await post('simplify', { expression: '2*x + 3*x' });
+
+    expect(res.body.result.text).toBe('5 * x');
+  });
+
+  test('simplify recusa entradas com operações demais antes de processar', async () => {
+    const started = Date.now();
+    const res = await post('simplify', { expression: 'a/b/c/d/e/f/g/h/i/j/k/l/m' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOO_MANY_OPERATIONS');
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+
+  test('expand distribui produtos e potências', async () => {
+    const res = await post('expand', { expression: '(x + 1)^2 * (x - 2)' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result.text).toBe('x ^ 3 - 3 * x - 2');
+  });
+
+  test.each(['x/0', 'x/(x - x)', '(x - x)^-2'])('expand de %s é divisão por zero', async expression => {
+    const res = await post('expand', { expression });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('DIVISION_BY_ZERO');
+  });
+
+  test('expoente alto demais para expandir', async () => {
+    const res = await post('expand', { expression: `(x + 1)^${SYMBOLIC_LIMITS.maxExpandPower + 1}` });
+
+    expect(res.body.code).toBe('RESULT_TOO_LARGE');
+  });
+});
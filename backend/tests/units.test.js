@@ -0,0 +1,37 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const calculate = expression => request(app).post('/api/v1/calculate').send({ expression });
+
+describe('unidades físicas', () => {
+  test('conversão com "to" devolve valor, unidade e dimensão', async () => {
+    const res = await calculate('5 km/h to m/s');
+
+    expect(res.status).toBe(200);
+    expect(res.body.type).toBe('unit');
+    expect(res.body.result.unit).toBe('m / s');
+    expect(res.body.result.value).toBeCloseTo(1.3889, 4);
+    expect(res.body.dimension).toBe('velocity');
+  });
+
+  test('unidades derivadas são simplificadas', async () => {
+    const res = await calculate('3 N * 2 m');
+
+    expect(res.body.result).toEqual({ value: 6, unit: 'J' });
+    expect(res.body.dimension).toBe('energy');
+  });
+
+  test('dimensões incompatíveis são erro de avaliação', async () => {
+    const res = await calculate('2 m + 3 s');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('EVALUATION_ERROR');
+  });
+
+  test('catálogo de unidades agrupado por dimensão', async () => {
+    const res = await request(app).get('/api/v1/calculate/units');
+
+    expect(res.status).toBe(200);
+    expect(res.body.dimensions.length).toEqual(expect.arrayContaining([{ name: 'meter', prefixes: 'long' }]));
+  });
+});
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+const validate = (body, language = 'pt-BR') =>
+  request(app).post('/api/v1/calculate/validate').set('Accept-Language', language).send(body);
+
+describe('diagnósticos do /validate', () => {
+  test('expressão válida traz a prévia do resultado', async () => {
+    const res = await validate({ expression: 'sqrt(16) + 1' });
+
+    expect(res.body).toMatchObject({ valid: true, preview: '5', suggestions: [] });
+  });
+
+  test('parêntese sem fechamento é apontado na posição da abertura', async () => {
+    const res = await validate({ expression: '2 * (3 + 4' });
+
+    expect(res.body).toMatchObject({ valid: false, code: 'PARSE_ERROR' });
+    expect(res.body.diagnostics[0]).toMatchObject({ kind: 'unclosed', offset: 4, token: '(', expected: [')'] });
+  });
+
+  test('função desconhecida recebe sugestões', async () => {
+    const res = await validate({ expression: 'sqtr(4) + 1' });
+
+    expect(res.body.code).toBe('FUNCTION_NOT_ALLOWED');
+    expect(res.body.diagnostics[0]).toMatchObject({ kind: 'unknown_function', offset: 0, length: 4, token: 'sqtr' });
+    expect(res.body.diagnostics[0].didYouMean[0]).toBe('sqrt');
+  });
+
+  test('a busca de funções desconhecidas também roda quando a análise falha', async () => {
+    const res = await validate({ expression: 'sqtr(4) + (1' });
+
+    expect(res.body.code).toBe('PARSE_ERROR');
+    expect(res.body.diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ kind: 'unclosed', offset: 10 }),
+      expect.objectContaining({ kind: 'unknown_function', token: 'sqtr', offset: 0 })
+    ]));
+    expect(res.body.suggestions).toEqual(expect.arrayContaining([expect.stringContaining('sqrt')]));
+  });
+
+  test('funções definidas no programa não são apontadas como desconhecidas', async () => {
+    const res = await validate({ expression: 'f(x) = x^2; f(2) + (1' });
+
+    expect(res.body.code).toBe('PARSE_ERROR');
+    expect(res.body.diagnostics.some(diagnostic => diagnostic.kind === 'unknown_function')).toBe(false);
+  });
+
+  test('símbolo desconhecido considera as variáveis do escopo', async () => {
+    const res = await validate({ expression: 'raio * 2', scope: { raoi: 1 } });
+
+    expect(res.body.code).toBe('SYMBOL_NOT_ALLOWED');
+    expect(res.body.diagnostics[0].didYouMean).toContain('raoi');
+  });
+
+  test('mensagens dos diagnósticos seguem o idioma', async () => {
+    const res = await validate({ expression: 'sqtr(4) + (1' }, 'en');
+
+    expect(res.body.diagnostics.find(diagnostic => diagnostic.kind === 'unknown_function').message).toMatch(/sqtr/);
+    expect(res.body.error).toBe("')' expected at position 13");
+  });
+
+  test('dica do erro também segue o idioma', async () => {
+    const res = await validate({ expression: 'sqrt(-1)' }, 'es');
+
+    expect(res.body.details.hint).toBe('Use domain: "complex" para aceptar resultados complejos');
+  });
+});